@@ -1,11 +1,28 @@
-module.exports = function handler(req, res) {
+const { limitRequest } = require('../lib/rate-limit');
+const { getBrowserKey, warnAboutApiKeys } = require('../lib/api-keys');
+const { getAllowedOrigins, isAllowedOrigin } = require('../lib/allowed-origins');
+const { sendError, ERROR_CODES } = require('../lib/api-errors');
+
+warnAboutApiKeys();
+
+module.exports = async function handler(req, res) {
   if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return sendError(res, 405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed');
+  }
+
+  if (!isAllowedOrigin(req, getAllowedOrigins())) {
+    return sendError(res, 403, ERROR_CODES.ORIGIN_NOT_ALLOWED, 'Origin not allowed');
   }
 
-  const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+  if (!await limitRequest(req, res, 'config')) return;
+
+  const apiKey = getBrowserKey();
   if (!apiKey) {
-    return res.status(500).json({ error: 'Server misconfiguration: API key not set' });
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: browser API key not set');
+  }
+  // A browser key that is really the server key would leak it to every visitor
+  if (apiKey === process.env.GOOGLE_MAPS_SERVER_KEY) {
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: browser API key is the server key');
   }
 
   res.json({ apiKey });
@@ -0,0 +1,57 @@
+const {
+  getElevationProvider,
+  getElevationProfile,
+  ElevationError,
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES
+} = require('../lib/elevation');
+const { requestDeadline } = require('../lib/routing');
+const { limitRequest } = require('../lib/rate-limit');
+const { ApiError, sendError, sendApiError, ERROR_CODES } = require('../lib/api-errors');
+const { checkBody } = require('../lib/validation');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return sendError(res, 405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed');
+  }
+
+  if (!await limitRequest(req, res, 'elevation')) return;
+
+  let provider;
+  try {
+    provider = getElevationProvider();
+  } catch (err) {
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: ' + err.message);
+  }
+  if (!provider) {
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: elevation provider not configured');
+  }
+
+  let body;
+  try {
+    body = checkBody(req);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    throw err;
+  }
+  const { encodedPolyline, samples = DEFAULT_SAMPLES } = body;
+
+  if (typeof encodedPolyline !== 'string' || encodedPolyline.length === 0) {
+    return sendError(res, 400, ERROR_CODES.MISSING_FIELD, 'encodedPolyline is required', 'encodedPolyline');
+  }
+
+  if (!Number.isInteger(samples) || samples < 2 || samples > MAX_SAMPLES) {
+    return sendError(res, 400, ERROR_CODES.INVALID_FIELD, `samples must be an integer between 2 and ${MAX_SAMPLES}`, 'samples');
+  }
+
+  try {
+    const profile = await getElevationProfile(encodedPolyline, provider, samples, { deadline: requestDeadline() });
+    res.json(profile);
+  } catch (err) {
+    if (err instanceof ElevationError) {
+      return sendError(res, 502, ERROR_CODES.ELEVATION_FAILED, 'Elevation lookup failed', undefined, { details: err.message });
+    }
+    console.error('Failed to get elevation:', err.message);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to get elevation');
+  }
+};
@@ -0,0 +1,211 @@
+const { generateLoop, NoRouteError, RouteBlockedError, TERRAINS, SHAPES, MAX_CANDIDATES } = require('../lib/loop');
+const { getRoutingProvider, requestDeadline, RoutingError } = require('../lib/routing');
+const { getRouteCache, createCachedRouter, wantsFreshRoute } = require('../lib/route-cache');
+const { limitRequest } = require('../lib/rate-limit');
+const { warnAboutApiKeys } = require('../lib/api-keys');
+const { getElevationProvider, ElevationError } = require('../lib/elevation');
+const { ApiError, sendError, sendApiError, ERROR_CODES } = require('../lib/api-errors');
+const { checkBody, checkLatLng, checkLatLngList, checkRouteLocale } = require('../lib/validation');
+const { localDistanceMeters, getPetalCount, pointInPolygon, METERS_PER_MILE, MAX_PETALS, MAX_SEED } = require('../public/route-generator');
+
+warnAboutApiKeys();
+
+const MIN_DISTANCE_MILES = 0.5;
+const MAX_DISTANCE_MILES = 50;
+const MIN_POINT_TO_POINT_METERS = 100; // closer than this, a loop is the better fit
+const MAX_EXCLUSIONS = 10;
+
+/**
+ * Validate a /api/loop body. Returns the checked values with defaults filled in; throws ApiError.
+ */
+function validateLoopRequest(body) {
+  const { distanceMiles } = body;
+  const options = body.options ?? {};
+  const bad = (message, field) => new ApiError(400, ERROR_CODES.INVALID_FIELD, message, field);
+
+  const origin = checkLatLng(body.origin, 'origin');
+
+  if (typeof distanceMiles !== 'number' || distanceMiles < MIN_DISTANCE_MILES || distanceMiles > MAX_DISTANCE_MILES) {
+    throw bad(`distanceMiles must be between ${MIN_DISTANCE_MILES} and ${MAX_DISTANCE_MILES}`, 'distanceMiles');
+  }
+
+  const boundary = body.boundary === undefined || body.boundary === null
+    ? body.boundary
+    : checkLatLngList(body.boundary, 'boundary', Infinity);
+
+  const exclusions = body.exclusions ?? [];
+  if (!Array.isArray(exclusions)) {
+    throw bad('exclusions must be an array of polygons', 'exclusions');
+  }
+  if (exclusions.length > MAX_EXCLUSIONS) {
+    throw bad(`exclusions can have at most ${MAX_EXCLUSIONS} zones`, 'exclusions');
+  }
+  const zones = exclusions.map((zone, i) => {
+    const points = checkLatLngList(zone, `exclusions[${i}]`, Infinity);
+    if (points.length < 3) throw bad(`exclusions[${i}] needs at least 3 points`, `exclusions[${i}]`);
+    return points;
+  });
+  const zoneAt = point => zones.findIndex(zone => pointInPolygon(point.lat, point.lng, zone));
+  if (zoneAt(origin) !== -1) {
+    throw bad(`origin is inside exclusions[${zoneAt(origin)}]`, 'origin');
+  }
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw bad('options must be an object', 'options');
+  }
+
+  const terrain = options.terrain || 'any';
+  if (!TERRAINS.includes(terrain)) {
+    throw bad(`options.terrain must be one of ${TERRAINS.join(', ')}`, 'options.terrain');
+  }
+
+  const shape = options.shape || 'loop';
+  if (!SHAPES.includes(shape)) {
+    throw bad(`options.shape must be one of ${SHAPES.join(', ')}`, 'options.shape');
+  }
+
+  let destination = body.destination;
+  if (shape === 'point-to-point') {
+    if (destination === undefined || destination === null) {
+      throw new ApiError(400, ERROR_CODES.MISSING_FIELD,
+        'destination with numeric lat and lng is required for point-to-point routes', 'destination');
+    }
+    destination = checkLatLng(destination, 'destination');
+    const direct = localDistanceMeters(origin.lat, origin.lng, destination.lat, destination.lng);
+    if (direct < MIN_POINT_TO_POINT_METERS) {
+      throw bad('destination is at the start; use a loop or out-and-back route', 'destination');
+    }
+    if (direct > distanceMiles * METERS_PER_MILE) {
+      throw bad('distanceMiles is shorter than the straight line to destination', 'distanceMiles');
+    }
+  }
+
+  if (shape === 'cloverleaf') {
+    const petalMiles = options.petalMiles;
+    if (typeof petalMiles !== 'number' || petalMiles < MIN_DISTANCE_MILES) {
+      throw bad(`options.petalMiles must be a number of at least ${MIN_DISTANCE_MILES} for cloverleaf routes`, 'options.petalMiles');
+    }
+    if (petalMiles >= distanceMiles) {
+      throw bad('options.petalMiles must be shorter than distanceMiles', 'options.petalMiles');
+    }
+    if (getPetalCount(distanceMiles, petalMiles) > MAX_PETALS) {
+      const minPetal = Math.ceil((distanceMiles / MAX_PETALS) * 100) / 100;
+      throw bad(`options.petalMiles must be at least ${minPetal} (cloverleaf routes have at most ${MAX_PETALS} petals)`, 'options.petalMiles');
+    }
+  }
+
+  const bearing = options.bearing;
+  if (bearing !== undefined && bearing !== null &&
+      (typeof bearing !== 'number' || bearing < 0 || bearing >= 360)) {
+    throw bad('options.bearing must be a number from 0 to 359', 'options.bearing');
+  }
+
+  const candidates = options.candidates;
+  if (candidates !== undefined && candidates !== null &&
+      (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_CANDIDATES)) {
+    throw bad(`options.candidates must be an integer from 1 to ${MAX_CANDIDATES}`, 'options.candidates');
+  }
+
+  const seed = options.seed;
+  if (seed !== undefined && seed !== null &&
+      (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+    throw bad(`options.seed must be an integer from 0 to ${MAX_SEED}`, 'options.seed');
+  }
+
+  const boundaryTolerance = options.boundaryTolerance;
+  if (boundaryTolerance !== undefined && boundaryTolerance !== null &&
+      (typeof boundaryTolerance !== 'number' || boundaryTolerance < 0 || boundaryTolerance > 1)) {
+    throw bad('options.boundaryTolerance must be a fraction from 0 to 1', 'options.boundaryTolerance');
+  }
+
+  if (destination && zoneAt(destination) !== -1) {
+    throw bad(`destination is inside exclusions[${zoneAt(destination)}]`, 'destination');
+  }
+
+  return { origin, destination, distanceMiles, boundary, exclusions: zones, options, terrain, locale: checkRouteLocale(body) };
+}
+
+function sendLoopError(res, err) {
+  if (err instanceof RoutingError) {
+    return sendError(res, err.status, err.code, err.message, undefined, { details: err.details });
+  }
+  if (err instanceof NoRouteError) {
+    return sendError(res, 422, ERROR_CODES.NO_ROUTE, err.message);
+  }
+  if (err instanceof RouteBlockedError) {
+    return sendError(res, 422, ERROR_CODES.ROUTE_BLOCKED, err.message, 'exclusions',
+      { zones: err.zones, blockedRoutes: err.blockedRoutes });
+  }
+  if (err instanceof ElevationError) {
+    return sendError(res, 502, ERROR_CODES.ELEVATION_FAILED, 'Elevation lookup failed', undefined, { details: err.message });
+  }
+  console.error('Failed to generate loop:', err.message);
+  sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to generate route');
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return sendError(res, 405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed');
+  }
+
+  const usage = await limitRequest(req, res, 'loop', { routing: true });
+  if (!usage) return;
+
+  let router;
+  let cache;
+  try {
+    router = getRoutingProvider();
+    cache = getRouteCache();
+  } catch (err) {
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: ' + err.message);
+  }
+  if (!router) {
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: routing provider not configured');
+  }
+
+  let request;
+  try {
+    request = validateLoopRequest(checkBody(req));
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    throw err;
+  }
+  const { origin, destination, distanceMiles, boundary, exclusions, options, terrain, locale } = request;
+
+  let elevationProvider = null;
+  if (terrain !== 'any') {
+    try {
+      elevationProvider = getElevationProvider();
+    } catch (err) {
+      return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: ' + err.message);
+    }
+    if (!elevationProvider) {
+      return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: elevation provider not configured');
+    }
+  }
+
+  const bypass = wantsFreshRoute(req.headers);
+  const cachedRouter = createCachedRouter(router, cache, { bypass });
+
+  let result;
+  let error = null;
+  try {
+    result = await generateLoop(
+      { origin, destination, distanceMiles, boundary, exclusions, options, locale, deadline: requestDeadline() },
+      cachedRouter,
+      elevationProvider
+    );
+  } catch (err) {
+    error = err;
+  }
+
+  // Calls made before a failure still count against the quota
+  await usage.recordRoutingCalls(cachedRouter.stats.misses);
+  if (error) return sendLoopError(res, error);
+
+  const { hits, misses } = cachedRouter.stats;
+  res.setHeader('X-Cache', !cache || bypass ? 'BYPASS' : misses === 0 ? 'HIT' : 'MISS');
+  res.setHeader('X-Cache-Hits', String(hits));
+  await usage.recordRoute();
+  res.json(result);
+};
@@ -1,64 +1,58 @@
+const { getRoutingProvider, requestDeadline, RoutingError } = require('../lib/routing');
+const { getRouteCache, cachedComputeRoutes, wantsFreshRoute } = require('../lib/route-cache');
+const { limitRequest } = require('../lib/rate-limit');
+const { warnAboutApiKeys } = require('../lib/api-keys');
+const { ApiError, sendError, sendApiError, ERROR_CODES } = require('../lib/api-errors');
+const { checkBody, validateRouteRequest } = require('../lib/validation');
+
+warnAboutApiKeys();
+
 module.exports = async function handler(req, res) {
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'Server misconfiguration: API key not set' });
+    return sendError(res, 405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed');
   }
 
-  const { origin, waypoints } = req.body;
+  const usage = await limitRequest(req, res, 'route', { routing: true });
+  if (!usage) return;
 
-  if (!origin || !waypoints || !Array.isArray(waypoints)) {
-    return res.status(400).json({ error: 'origin and waypoints array are required' });
+  let router;
+  let cache;
+  try {
+    router = getRoutingProvider();
+    cache = getRouteCache();
+  } catch (err) {
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: ' + err.message);
+  }
+  if (!router) {
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: routing provider not configured');
   }
 
-  const body = {
-    origin: {
-      location: {
-        latLng: { latitude: origin.lat, longitude: origin.lng }
-      }
-    },
-    destination: {
-      location: {
-        latLng: { latitude: origin.lat, longitude: origin.lng }
-      }
-    },
-    intermediates: waypoints.map(wp => ({
-      location: {
-        latLng: { latitude: wp.lat, longitude: wp.lng }
-      }
-    })),
-    travelMode: 'WALK',
-    units: 'IMPERIAL',
-    languageCode: 'en-US'
-  };
-
+  let request;
   try {
-    const response = await fetch('https://routes.googleapis.com/directions/v2:computeRoutes', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Goog-Api-Key': apiKey,
-        'X-Goog-FieldMask': 'routes.distanceMeters,routes.duration,routes.polyline.encodedPolyline,routes.legs.distanceMeters,routes.legs.duration,routes.legs.polyline.encodedPolyline,routes.legs.steps.navigationInstruction,routes.legs.steps.distanceMeters,routes.legs.steps.staticDuration'
-      },
-      body: JSON.stringify(body)
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      console.error('Routes API error:', JSON.stringify(data));
-      return res.status(response.status).json({
-        error: 'Routes API error',
-        details: data.error?.message || JSON.stringify(data)
-      });
-    }
+    // Omitting destination keeps the original behaviour: a loop back to origin
+    request = validateRouteRequest(checkBody(req), router);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    throw err;
+  }
 
+  try {
+    const { data, cacheStatus, ageSeconds } = await cachedComputeRoutes(
+      router,
+      { ...request, deadline: requestDeadline() },
+      cache,
+      { bypass: wantsFreshRoute(req.headers) }
+    );
+    if (cacheStatus !== 'HIT') await usage.recordRoutingCalls(1);
+    res.setHeader('X-Cache', cacheStatus);
+    if (ageSeconds !== null) res.setHeader('Age', String(ageSeconds));
     res.json(data);
   } catch (err) {
-    console.error('Failed to call Routes API:', err.message);
-    res.status(500).json({ error: 'Failed to compute route' });
+    await usage.recordRoutingCalls(1);
+    if (err instanceof RoutingError) {
+      return sendError(res, err.status, err.code, err.message, undefined, { details: err.details });
+    }
+    console.error('Failed to compute route:', err.message);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to compute route');
   }
 };
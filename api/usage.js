@@ -0,0 +1,41 @@
+const { getRateLimiter, getUsageReport, USAGE_RETENTION_DAYS } = require('../lib/rate-limit');
+const { sendError, ERROR_CODES } = require('../lib/api-errors');
+
+const DEFAULT_DAYS = 7;
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return sendError(res, 405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed');
+  }
+
+  // Without a token the report is not served at all, rather than served to anyone
+  const usageToken = process.env.USAGE_TOKEN;
+  if (!usageToken) {
+    return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'The usage report needs USAGE_TOKEN');
+  }
+  if ((req.headers?.authorization || '') !== `Bearer ${usageToken}`) {
+    return sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'A valid usage token is required');
+  }
+
+  let limiter;
+  try {
+    limiter = getRateLimiter();
+  } catch (err) {
+    return sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: ' + err.message);
+  }
+  if (!limiter) {
+    return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Usage tracking is off');
+  }
+
+  const days = req.query?.days === undefined ? DEFAULT_DAYS : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > USAGE_RETENTION_DAYS) {
+    return sendError(res, 400, ERROR_CODES.INVALID_FIELD, `days must be an integer from 1 to ${USAGE_RETENTION_DAYS}`, 'days');
+  }
+
+  try {
+    res.json({ days: await getUsageReport(limiter, days) });
+  } catch (err) {
+    console.error('Failed to read usage:', err.message);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to read usage');
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Origins allowed to load the browser config, from ALLOWED_ORIGINS (comma separated, e.g.
+ * "https://routes.example.com,http://localhost:3000"). An entry like "https://*.vercel.app"
+ * also allows every subdomain. Returns null when no allow-list is set.
+ */
+function getAllowedOrigins(env = process.env) {
+  const origins = (env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+  return origins.length > 0 ? origins : null;
+}
+
+function originMatches(origin, allowed) {
+  if (allowed === origin) return true;
+  const wildcard = /^(\w+:\/\/)\*\.(.+)$/.exec(allowed);
+  if (!wildcard) return false;
+  const [, scheme, domain] = wildcard;
+  return origin.startsWith(scheme) && origin.endsWith('.' + domain) && !origin.slice(scheme.length).includes('/');
+}
+
+/**
+ * The origin a request came from: its Origin header, else the origin of its Referer.
+ */
+function requestOrigin(headers = {}) {
+  if (headers.origin && headers.origin !== 'null') return headers.origin;
+  if (!headers.referer) return null;
+  try {
+    return new URL(headers.referer).origin;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * True when the request's Origin (or Referer) is on the allow-list, or there is no allow-list.
+ */
+function isAllowedOrigin(req, allowedOrigins) {
+  if (!allowedOrigins) return true;
+  const origin = requestOrigin(req.headers);
+  return origin !== null && allowedOrigins.some(allowed => originMatches(origin, allowed));
+}
+
+module.exports = {
+  getAllowedOrigins,
+  isAllowedOrigin,
+  requestOrigin
+};
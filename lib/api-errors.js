@@ -0,0 +1,60 @@
+/**
+ * Error codes shared by the API routes. Every error response is
+ * { code, message, field?, error } — `error` repeats the message for older clients.
+ * The browser turns codes into friendly messages; `message` is for scripts and logs.
+ */
+const ERROR_CODES = {
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  INVALID_BODY: 'INVALID_BODY',
+  BODY_TOO_LARGE: 'BODY_TOO_LARGE',
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_FIELD: 'INVALID_FIELD',
+  INVALID_COORDINATE: 'INVALID_COORDINATE',
+  TOO_MANY_WAYPOINTS: 'TOO_MANY_WAYPOINTS',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  NO_ROUTE: 'NO_ROUTE',
+  ROUTE_BLOCKED: 'ROUTE_BLOCKED',
+  ROUTING_FAILED: 'ROUTING_FAILED',
+  ROUTING_TIMEOUT: 'ROUTING_TIMEOUT',
+  ROUTING_UNAVAILABLE: 'ROUTING_UNAVAILABLE',
+  ELEVATION_FAILED: 'ELEVATION_FAILED',
+  SERVER_MISCONFIGURED: 'SERVER_MISCONFIGURED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * A request the API refuses, with the HTTP status and the field at fault (e.g. "waypoints[2].lat").
+ */
+class ApiError extends Error {
+  constructor(status, code, message, field) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Send a structured error response. `extra` adds fields such as an upstream `details` string.
+ */
+function sendError(res, status, code, message, field, extra = {}) {
+  const body = { code, message };
+  if (field) body.field = field;
+  return res.status(status).json({ ...body, ...extra, error: message });
+}
+
+function sendApiError(res, err) {
+  return sendError(res, err.status, err.code, err.message, err.field);
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  sendError,
+  sendApiError
+};
@@ -0,0 +1,67 @@
+/**
+ * Google API keys. The browser key goes to the Maps JavaScript loader through /api/config and
+ * should be HTTP-referrer restricted; the server key is used for Routes and Elevation API calls
+ * and is never sent to the browser. GOOGLE_MAPS_API_KEY is the older single key, used for both
+ * when the specific key isn't set.
+ */
+function getBrowserKey(env = process.env) {
+  return env.GOOGLE_MAPS_BROWSER_KEY || env.GOOGLE_MAPS_API_KEY || null;
+}
+
+function getServerKey(env = process.env) {
+  return env.GOOGLE_MAPS_SERVER_KEY || env.GOOGLE_MAPS_API_KEY || null;
+}
+
+/**
+ * True when the server makes Google API calls with the server key.
+ */
+function usesServerKey(env) {
+  return (env.ROUTING_PROVIDER || 'google').toLowerCase() === 'google' ||
+    (env.ELEVATION_PROVIDER || 'google').toLowerCase() === 'google';
+}
+
+/**
+ * Problems with the key setup, as messages for the server log.
+ */
+function apiKeyWarnings(env = process.env) {
+  const browserKey = getBrowserKey(env);
+  const serverKey = getServerKey(env);
+  const warnings = [];
+
+  if (!browserKey && !serverKey) return warnings;
+
+  if (browserKey && browserKey === serverKey) {
+    warnings.push(
+      'The same Google API key is used in the browser and on the server. Set GOOGLE_MAPS_BROWSER_KEY ' +
+      '(HTTP-referrer restricted) and GOOGLE_MAPS_SERVER_KEY so the server key is never sent to browsers.'
+    );
+  } else if (!browserKey) {
+    warnings.push('GOOGLE_MAPS_BROWSER_KEY is not set, so /api/config has no key for the map.');
+  } else if (!serverKey && usesServerKey(env)) {
+    warnings.push('GOOGLE_MAPS_SERVER_KEY is not set, so Google routing and elevation calls will fail.');
+  }
+
+  if (browserKey && !env.ALLOWED_ORIGINS) {
+    warnings.push('ALLOWED_ORIGINS is not set, so /api/config hands the browser key to any site.');
+  }
+
+  return warnings;
+}
+
+let warned = false;
+
+/**
+ * Log the key setup warnings once per process; called when the API modules load.
+ */
+function warnAboutApiKeys(env = process.env) {
+  if (warned) return;
+  warned = true;
+  apiKeyWarnings(env).forEach(message => console.warn('Warning: ' + message));
+}
+
+module.exports = {
+  getBrowserKey,
+  getServerKey,
+  apiKeyWarnings,
+  warnAboutApiKeys
+};
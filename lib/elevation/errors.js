@@ -0,0 +1,11 @@
+/**
+ * An elevation lookup failed (upstream error, missing DEM tile, etc.).
+ */
+class ElevationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ElevationError';
+  }
+}
+
+module.exports = { ElevationError };
@@ -0,0 +1,48 @@
+const { encodePolyline } = require('../../public/polyline');
+const { ElevationError } = require('./errors');
+const { upstreamFetch, getUpstreamPolicy } = require('../routing/upstream');
+const { RoutingError } = require('../routing/errors');
+
+const ELEVATION_API_URL = 'https://maps.googleapis.com/maps/api/elevation/json';
+const MAX_LOCATIONS = 512; // per-request limit of the Elevation API
+
+/**
+ * Elevation provider backed by the Google Elevation API.
+ * Calls get the routing servers' timeout, retries and circuit breaker (see lib/routing/upstream),
+ * bounded by the request's deadline when there is one.
+ */
+function createGoogleElevationProvider(apiKey) {
+  return {
+    name: 'google',
+
+    async getElevations(points, { deadline } = {}) {
+      if (points.length > MAX_LOCATIONS) {
+        throw new ElevationError(`At most ${MAX_LOCATIONS} locations per request`);
+      }
+
+      const locations = 'enc:' + encodePolyline(points);
+      const url = `${ELEVATION_API_URL}?locations=${encodeURIComponent(locations)}&key=${encodeURIComponent(apiKey)}`;
+      let response;
+      try {
+        response = await upstreamFetch('Elevation API', url, {}, getUpstreamPolicy(process.env, deadline));
+      } catch (err) {
+        if (err instanceof RoutingError) throw new ElevationError(`${err.message}: ${err.details}`);
+        throw err;
+      }
+      const data = await response.json();
+
+      if (!response.ok || data.status !== 'OK') {
+        console.error('Elevation API error:', JSON.stringify(data));
+        throw new ElevationError(data.error_message || data.status || 'Elevation lookup failed');
+      }
+
+      return data.results.map(r => r.elevation);
+    }
+  };
+}
+
+module.exports = {
+  createGoogleElevationProvider,
+  ELEVATION_API_URL,
+  MAX_LOCATIONS
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { ElevationError } = require('./errors');
+
+const VOID_VALUE = -32768; // SRTM marker for missing data
+
+// Parsed tiles, keyed by file path, shared across requests in a warm function
+const tileCache = new Map();
+
+/**
+ * SRTM tile name for the 1x1 degree cell containing (lat, lng), e.g. "N40W075.hgt".
+ */
+function tileName(lat, lng) {
+  const latFloor = Math.floor(lat);
+  const lngFloor = Math.floor(lng);
+  const ns = latFloor >= 0 ? 'N' : 'S';
+  const ew = lngFloor >= 0 ? 'E' : 'W';
+  return `${ns}${String(Math.abs(latFloor)).padStart(2, '0')}${ew}${String(Math.abs(lngFloor)).padStart(3, '0')}.hgt`;
+}
+
+function loadTile(filePath) {
+  if (tileCache.has(filePath)) return tileCache.get(filePath);
+
+  let buf;
+  try {
+    buf = fs.readFileSync(filePath);
+  } catch (err) {
+    throw new ElevationError(`No elevation tile ${path.basename(filePath)}`);
+  }
+
+  // Tiles are square grids of big-endian int16 samples: 1201x1201 (SRTM3) or 3601x3601 (SRTM1)
+  const size = Math.sqrt(buf.length / 2);
+  if (!Number.isInteger(size) || size < 2) {
+    throw new ElevationError(`Invalid elevation tile ${path.basename(filePath)}`);
+  }
+
+  const tile = { buf, size };
+  tileCache.set(filePath, tile);
+  return tile;
+}
+
+/**
+ * Bilinear interpolation between the four grid samples around (lat, lng), skipping voids.
+ * Rows run north to south, columns west to east.
+ */
+function sampleTile(tile, lat, lng) {
+  const { buf, size } = tile;
+  const row = (Math.floor(lat) + 1 - lat) * (size - 1);
+  const col = (lng - Math.floor(lng)) * (size - 1);
+  const r0 = Math.min(Math.floor(row), size - 2);
+  const c0 = Math.min(Math.floor(col), size - 2);
+  const dr = row - r0;
+  const dc = col - c0;
+
+  let weighted = 0;
+  let totalWeight = 0;
+  [[0, 0, (1 - dr) * (1 - dc)], [0, 1, (1 - dr) * dc], [1, 0, dr * (1 - dc)], [1, 1, dr * dc]]
+    .forEach(([r, c, w]) => {
+      const value = buf.readInt16BE(((r0 + r) * size + (c0 + c)) * 2);
+      if (value !== VOID_VALUE && w > 0) {
+        weighted += value * w;
+        totalWeight += w;
+      }
+    });
+
+  return totalWeight > 0 ? weighted / totalWeight : null;
+}
+
+/**
+ * Elevation provider that reads SRTM .hgt tiles from a local directory.
+ * Needs no network or API key, so it also serves as the test provider.
+ */
+function createHgtElevationProvider(dir) {
+  return {
+    name: 'hgt',
+
+    async getElevations(points) {
+      return points.map(p => sampleTile(loadTile(path.join(dir, tileName(p.lat, p.lng))), p.lat, p.lng));
+    }
+  };
+}
+
+module.exports = {
+  createHgtElevationProvider,
+  tileName,
+  VOID_VALUE
+};
@@ -0,0 +1,89 @@
+const { decodePolyline, samplePath } = require('../../public/polyline');
+const { createGoogleElevationProvider } = require('./google');
+const { createHgtElevationProvider } = require('./hgt');
+const { ElevationError } = require('./errors');
+const { getServerKey } = require('../api-keys');
+
+const DEFAULT_SAMPLES = 100;
+const MAX_SAMPLES = 256;
+
+/**
+ * Pick the elevation provider from the environment.
+ * ELEVATION_PROVIDER=google (default) uses the Google Elevation API with the server key
+ * (GOOGLE_MAPS_SERVER_KEY, or GOOGLE_MAPS_API_KEY);
+ * ELEVATION_PROVIDER=hgt reads SRTM tiles from ELEVATION_HGT_DIR.
+ * Returns null when the selected provider isn't configured.
+ */
+function getElevationProvider(env = process.env) {
+  const name = (env.ELEVATION_PROVIDER || 'google').toLowerCase();
+
+  if (name === 'hgt') {
+    return env.ELEVATION_HGT_DIR ? createHgtElevationProvider(env.ELEVATION_HGT_DIR) : null;
+  }
+  if (name === 'google') {
+    const apiKey = getServerKey(env);
+    return apiKey ? createGoogleElevationProvider(apiKey) : null;
+  }
+
+  throw new Error(`Unknown ELEVATION_PROVIDER: ${name}`);
+}
+
+/**
+ * Total ascent and descent in meters over a series of elevations, plus min/max.
+ * Samples the provider couldn't resolve (null) are skipped.
+ */
+function summarizeClimb(elevations) {
+  let ascentMeters = 0;
+  let descentMeters = 0;
+  let prev = null;
+  let min = Infinity;
+  let max = -Infinity;
+
+  elevations.forEach(e => {
+    if (e === null || e === undefined) return;
+    if (prev !== null) {
+      if (e > prev) ascentMeters += e - prev;
+      else descentMeters += prev - e;
+    }
+    prev = e;
+    min = Math.min(min, e);
+    max = Math.max(max, e);
+  });
+
+  return {
+    ascentMeters,
+    descentMeters,
+    minElevationMeters: prev === null ? null : min,
+    maxElevationMeters: prev === null ? null : max
+  };
+}
+
+/**
+ * Sample elevations evenly along an encoded polyline. deadline (epoch ms) bounds the lookup.
+ * Returns { samples: [{ lat, lng, distanceMeters, elevationMeters }], ascentMeters, descentMeters,
+ * minElevationMeters, maxElevationMeters, provider }.
+ */
+async function getElevationProfile(encodedPolyline, provider, sampleCount = DEFAULT_SAMPLES, { deadline } = {}) {
+  const points = decodePolyline(encodedPolyline);
+  if (points.length < 2) {
+    throw new ElevationError('Polyline needs at least 2 points');
+  }
+
+  const samples = samplePath(points, Math.min(sampleCount, MAX_SAMPLES));
+  const elevations = await provider.getElevations(samples, { deadline });
+
+  return {
+    samples: samples.map((s, i) => ({ ...s, elevationMeters: elevations[i] })),
+    ...summarizeClimb(elevations),
+    provider: provider.name
+  };
+}
+
+module.exports = {
+  getElevationProvider,
+  getElevationProfile,
+  summarizeClimb,
+  ElevationError,
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES
+};
@@ -0,0 +1,36 @@
+/**
+ * Languages the proxy asks routing providers for directions in. All are Routes API languages;
+ * regional tags the list doesn't name fall back to their base language (en-NZ → en), and
+ * languages it doesn't know at all fall back to DEFAULT_LANGUAGE rather than failing the route.
+ */
+const SUPPORTED_LANGUAGES = [
+  'en', 'en-US', 'en-GB', 'en-AU', 'en-CA',
+  'es', 'es-ES', 'es-419',
+  'de', 'fr', 'fr-CA', 'it', 'nl',
+  'pt', 'pt-BR', 'pt-PT',
+  'da', 'fi', 'nb', 'sv', 'pl', 'cs',
+  'ja', 'ko', 'zh-CN', 'zh-TW'
+];
+const DEFAULT_LANGUAGE = 'en-US';
+
+// BCP 47 shape: a 2–3 letter language and optional subtags (region, script, variant)
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+function isLanguageTag(value) {
+  return typeof value === 'string' && value.length <= 35 && LANGUAGE_TAG.test(value);
+}
+
+/**
+ * The supported language closest to a BCP 47 tag, in its canonical spelling.
+ */
+function resolveLanguage(tag) {
+  const find = t => SUPPORTED_LANGUAGES.find(l => l.toLowerCase() === t.toLowerCase());
+  return find(tag) || find(tag.split('-')[0]) || DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+  isLanguageTag,
+  resolveLanguage,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
+};
@@ -0,0 +1,475 @@
+const {
+  generateWaypoints,
+  generateOutAndBack,
+  generatePointToPoint,
+  checkTolerance,
+  refineRadius,
+  refineTurnaround,
+  refineDetour,
+  generateCloverleaf,
+  refinePetalRadius,
+  localDistanceMeters,
+  defaultDetour,
+  avoidExclusions,
+  createRandom,
+  randomSeed,
+  METERS_PER_MILE,
+  MAX_OVERSHOOT,
+  MAX_UNDERSHOOT
+} = require('../public/route-generator');
+const { getElevationProfile } = require('./elevation');
+const { decodePolyline } = require('../public/polyline');
+const { measureRoute, outsideStretches } = require('./route-quality');
+
+const MAX_ATTEMPTS = 4;
+const TERRAINS = ['flat', 'any', 'hilly'];
+const SHAPES = ['loop', 'out-and-back', 'point-to-point', 'cloverleaf'];
+const CANDIDATES = 4; // layouts sent to the routing provider in parallel per attempt
+const MAX_CANDIDATES = 5;
+const MAX_ALTERNATIVES = 4; // runners-up returned for an instant Regenerate
+// Score weights, in units of distance error (1 = 100% off target)
+const OVERLAP_WEIGHT = 0.5;
+const BOUNDARY_WEIGHT = 2;
+// Share of a route that may run outside the boundary (roads along its edge, a corner cut short)
+const BOUNDARY_TOLERANCE = 0.02;
+// Most a layout's scale keeps after its roads leave the boundary; less when more of them did
+const BOUNDARY_PULL = 0.8;
+const TERRAIN_SAMPLES = 50; // elevation samples per candidate; enough to rank climb
+// After an attempt whose every route crossed an exclusion: how much wider a point-to-point detour
+// gets, and how far (degrees) a fixed out-and-back bearing swings, alternating sides
+const BLOCKED_DETOUR_GROWTH = 1.5;
+const BLOCKED_BEARING_STEP = 30;
+
+/**
+ * Thrown when the routing provider returns no route for any layout tried.
+ */
+class NoRouteError extends Error {
+  constructor() {
+    super('No route found. Try a different starting location.');
+    this.name = 'NoRouteError';
+  }
+}
+
+/**
+ * Thrown when the routing provider found routes but every one passed through an exclusion zone.
+ * zones lists the indices of the zones they crossed; blockedRoutes counts the routes rejected.
+ */
+class RouteBlockedError extends Error {
+  constructor(zones, blockedRoutes) {
+    super(`Every route found passes through an exclusion zone (${blockedRoutes} tried). ` +
+      'Try a shorter distance, another start or smaller exclusion zones.');
+    this.name = 'RouteBlockedError';
+    this.zones = zones;
+    this.blockedRoutes = blockedRoutes;
+  }
+}
+
+/**
+ * How far a distance misses the tolerance window, as a fraction of the target (0 when inside).
+ */
+function toleranceMiss(tolerance) {
+  if (tolerance.tooLong) return tolerance.pctDiff - MAX_OVERSHOOT;
+  if (tolerance.tooShort) return -MAX_UNDERSHOOT - tolerance.pctDiff;
+  return 0;
+}
+
+/**
+ * Lower is better: distance error (plus how far it misses the tolerance window), with
+ * penalties for the share of the route that retraces itself or leaves the boundary.
+ */
+function scoreCandidate(candidate) {
+  const { tolerance } = candidate;
+  return toleranceMiss(tolerance) + Math.abs(tolerance.pctDiff) +
+    OVERLAP_WEIGHT * (candidate.overlapFraction || 0) +
+    BOUNDARY_WEIGHT * (candidate.outsideFraction || 0);
+}
+
+/**
+ * Whether a candidate is acceptable as it is: within the distance tolerance and, when it was
+ * measured against a boundary, within the boundary tolerance.
+ */
+function fitsCandidate(candidate) {
+  return candidate.tolerance.withinTolerance && candidate.withinBoundary !== false;
+}
+
+/**
+ * Order candidates best first: anything that fits (see fitsCandidate) beats anything that doesn't.
+ * Among those that fit, flat prefers the least climb per mile and hilly the most; otherwise
+ * (and among those that don't) the lowest score wins.
+ */
+function rankCandidates(candidates, terrain) {
+  const sign = terrain === 'flat' ? 1 : -1;
+  return candidates.slice().sort((a, b) => {
+    const aWithin = fitsCandidate(a);
+    if (aWithin !== fitsCandidate(b)) return aWithin ? -1 : 1;
+    if (aWithin && terrain !== 'any' && a.climbPerMileMeters !== undefined && b.climbPerMileMeters !== undefined) {
+      return sign * (a.climbPerMileMeters - b.climbPerMileMeters);
+    }
+    return scoreCandidate(a) - scoreCandidate(b);
+  });
+}
+
+/**
+ * Pick the best candidate; see rankCandidates.
+ */
+function pickCandidate(candidates, terrain) {
+  return rankCandidates(candidates, terrain)[0];
+}
+
+/**
+ * Chain cloverleaf petals into one list of intermediates, passing the start between petals.
+ */
+function joinPetals(origin, petals) {
+  return petals.flatMap((petal, i) => (i === 0 ? petal.waypoints : [origin, ...petal.waypoints]));
+}
+
+/**
+ * Per-petal summary for a cloverleaf route. Each intermediate is a stopover, so a petal
+ * with n waypoints spans n + 1 legs of the route.
+ */
+function summarizePetals(route, petals) {
+  let leg = 0;
+  return petals.map(petal => {
+    const legs = (route.legs || []).slice(leg, leg + petal.waypoints.length + 1);
+    leg += petal.waypoints.length + 1;
+    return {
+      bearing: petal.bearing,
+      distanceMeters: legs.reduce((sum, l) => sum + (l.distanceMeters || 0), 0)
+    };
+  });
+}
+
+/**
+ * Waypoint layout strategy for a route shape.
+ * layouts(count, scale, best, blocked) returns up to `count` candidate layouts ({ waypoints, ...extra })
+ * at the given scale (null on the first attempt); refine(actualMeters, scale) returns the next scale.
+ * blocked counts the attempts so far whose every route crossed an exclusion, so layouts that
+ * aren't random can change course; widen(scale), where present, is the scale to try after one.
+ * destination is where the route ends (undefined for shapes that return to origin);
+ * retraces is set for shapes that cover the same streets twice by design, so overlap isn't scored.
+ * Every random choice is drawn from random, so a seeded one reproduces the same layouts.
+ */
+function createShape(shape, origin, destination, distanceMiles, boundary, options, random) {
+  if (shape === 'point-to-point') {
+    const direct = localDistanceMeters(origin.lat, origin.lng, destination.lat, destination.lng);
+    return {
+      destination,
+      layouts(count, scale, best) {
+        // Keep the detour on one side once chosen so refinement only changes its size
+        // The arc is deterministic, so there are only two distinct layouts per scale; widen changes it
+        const sides = best ? [best.side] : ['left', 'right'].slice(0, count);
+        return sides.map(side => ({
+          waypoints: generatePointToPoint(
+            origin.lat, origin.lng, destination.lat, destination.lng, distanceMiles, scale, side, boundary
+          ),
+          side
+        }));
+      },
+      refine: (actualMeters, scale) => refineDetour(direct, distanceMiles, actualMeters, scale),
+      // Both sides ran into something on or near the straight line: bulge further out
+      widen: scale => (scale || defaultDetour(direct, distanceMiles) || direct / 4) * BLOCKED_DETOUR_GROWTH
+    };
+  }
+
+  if (shape === 'cloverleaf') {
+    return {
+      layouts(count, scale, best) {
+        // Keep the petal directions once chosen so refinement only changes their size
+        const offsets = best ? [best.offset] : Array.from({ length: count }, () => random() * 360);
+        return offsets.map(offset => {
+          const petals = generateCloverleaf(
+            origin.lat, origin.lng, distanceMiles, options.petalMiles, scale, offset, boundary
+          );
+          return { waypoints: joinPetals(origin, petals), petals, offset };
+        });
+      },
+      refine: (actualMeters, scale) => refinePetalRadius(distanceMiles, options.petalMiles, actualMeters, scale)
+    };
+  }
+
+  if (shape === 'out-and-back') {
+    return {
+      retraces: true,
+      layouts(count, scale, best, blocked = 0) {
+        // Keep the direction fixed once chosen so refinement only changes the turnaround distance
+        const fixedBearing = best ? best.bearing : options.bearing;
+        // A requested bearing that was blocked swings 30° one way, then the other, then 60°...
+        const swing = blocked % 2 === 1 ? Math.ceil(blocked / 2) : -blocked / 2;
+        const bearings = fixedBearing !== undefined && fixedBearing !== null
+          ? [(((fixedBearing + swing * BLOCKED_BEARING_STEP) % 360) + 360) % 360]
+          : Array.from({ length: count }, () => random() * 360);
+        return bearings.map(bearing => ({
+          waypoints: generateOutAndBack(origin.lat, origin.lng, distanceMiles, scale, bearing, boundary),
+          bearing
+        }));
+      },
+      refine: (actualMeters, scale) => refineTurnaround(distanceMiles, actualMeters, scale)
+    };
+  }
+
+  return {
+    layouts(count, scale) {
+      return Array.from({ length: count }, () => ({
+        waypoints: generateWaypoints(origin.lat, origin.lng, distanceMiles, scale, boundary, random)
+      }));
+    },
+    refine: (actualMeters, scale) => refineRadius(distanceMiles, actualMeters, scale)
+  };
+}
+
+async function scoreClimb(candidate, elevationProvider, deadline) {
+  const profile = await getElevationProfile(candidate.route.polyline.encodedPolyline, elevationProvider, TERRAIN_SAMPLES, { deadline });
+  candidate.ascentMeters = profile.ascentMeters;
+  candidate.climbPerMileMeters = profile.ascentMeters / (candidate.route.distanceMeters / METERS_PER_MILE);
+}
+
+/**
+ * Generate a loop of roughly distanceMiles starting and ending at origin.
+ * Places waypoints, asks the routing provider (router, see lib/routing) to snap them to roads,
+ * and re-scales the waypoint radius until the distance is within tolerance or attempts run out.
+ *
+ * options.shape is 'loop' (default), 'out-and-back', 'point-to-point' or 'cloverleaf'. Out-and-back sends a
+ * single turnaround waypoint at options.bearing (degrees; random if omitted) and refines its
+ * distance. Point-to-point ends at destination and bulges detour waypoints to one side of the
+ * straight line, refining the size of the bulge. Cloverleaf splits the distance into equal petal
+ * loops of at most options.petalMiles, each leaving the start in a different direction, and
+ * sends them as one route that passes the start between petals.
+ *
+ * Each attempt sends a batch of options.candidates layouts (default CANDIDATES, at most
+ * MAX_CANDIDATES) to the router in parallel and keeps the best by distance error,
+ * self-overlap and boundary compliance (see rankCandidates); a failed call only drops its
+ * layout, unless every call of the batch fails. Later attempts refine the best
+ * layout's scale. options.terrain ('flat' | 'any' | 'hilly') ranks candidates within tolerance
+ * by climb per mile instead; that needs an elevationProvider. locale ({ units, languageCode },
+ * see checkRouteLocale in lib/validation) is passed to the router for the directions text.
+ *
+ * A route with more than options.boundaryTolerance (default BOUNDARY_TOLERANCE) of its road path
+ * outside the boundary doesn't fit, and the next attempt pulls its layouts in.
+ *
+ * With a deadline (epoch ms), no attempt starts that the last one's duration says can't finish
+ * by then, and each routing and elevation call is bounded by it.
+ *
+ * options.seed (an integer up to MAX_SEED, random if omitted) seeds every random choice, so the
+ * same request with the same seed tries the same layouts and, with the same road data, ends
+ * with the same route.
+ *
+ * exclusions is a list of polygons (each [{ lat, lng }]) to keep out of: waypoints inside one
+ * are pushed out past its edge, and a route that still passes through one is rejected, so the
+ * attempt counts only the rest. When every route of an attempt is rejected the next attempt
+ * changes course: fresh directions, a wider point-to-point detour or a swung out-and-back
+ * bearing. When no attempt finds an allowed route it throws a RouteBlockedError naming the
+ * zones in the way.
+ *
+ * Returns { route, waypoints, shape, seed, targetMeters, withinTolerance, overlapFraction,
+ * outsideFraction, withinBoundary, attempts, alternatives }, plus outsideStretches (the parts
+ * outside the boundary, [[{ lat, lng }]]) when withinBoundary is false. attempts lists
+ * { radiusMeters, distanceMeters, pctDiff, candidates } for every refinement step (plus
+ * outsideFraction with a boundary, and blocked, the routes rejected for crossing an exclusion,
+ * when there are exclusions; an attempt with every route rejected has null distanceMeters and pctDiff)
+ * (radiusMeters is the turnaround distance for out-and-back, the detour for point-to-point and
+ * the petal half-length for cloverleaf) and alternatives holds up to MAX_ALTERNATIVES
+ * runners-up, best first, in the same shape as the result (without attempts or alternatives,
+ * and with alternative: their 1-based rank, since their seed is the one that led to the result).
+ * Out-and-back results also have bearing and turnaround; point-to-point results have
+ * destination and side; cloverleaf results have petals ([{ bearing, distanceMeters }]);
+ * with a terrain preference the result also has ascentMeters and climbPerMileMeters.
+ */
+async function generateLoop({ origin, destination, distanceMiles, boundary, exclusions = [], options = {}, locale = {}, deadline }, router, elevationProvider) {
+  const maxAttempts = Math.min(options.maxAttempts || MAX_ATTEMPTS, MAX_ATTEMPTS);
+  const candidateCount = Math.min(options.candidates || CANDIDATES, MAX_CANDIDATES);
+  const terrain = options.terrain || 'any';
+  const shapeName = options.shape || 'loop';
+  const seed = options.seed ?? randomSeed();
+  const hasBoundary = Boolean(boundary && boundary.length >= 3);
+  const boundaryTolerance = options.boundaryTolerance ?? BOUNDARY_TOLERANCE;
+  const shape = createShape(shapeName, origin, destination, distanceMiles, boundary, options, createRandom(seed));
+  const attempts = [];
+  const seen = [];
+  const blockedZones = new Set();
+  let blockedRoutes = 0;
+  let best;
+  let anchor; // layout later attempts refine: the last best, unless it left the boundary or was blocked
+  let radius = null;
+  let blockedAttempts = 0;
+  let attemptMs = 0;
+
+  while (attempts.length < maxAttempts) {
+    if (deadline !== undefined && attempts.length > 0 && Date.now() + attemptMs > deadline) break;
+    const started = Date.now();
+    // A waypoint in an area to avoid would pull the route through it
+    const layouts = shape.layouts(candidateCount, radius, anchor, blockedAttempts).map(layout => ({
+      ...layout,
+      waypoints: avoidExclusions(layout.waypoints, exclusions)
+    }));
+    const settled = await Promise.allSettled(layouts.map(layout =>
+      router.computeRoutes({ origin, destination: shape.destination, waypoints: layout.waypoints, ...locale, deadline })
+    ));
+    attemptMs = Date.now() - started;
+    // One failed call (a 429, a timeout) shouldn't throw away the routes the rest of the batch found
+    const failed = settled.filter(s => s.status === 'rejected');
+    if (failed.length === settled.length) throw failed[0].reason;
+    const responses = settled.map(s => (s.status === 'fulfilled' ? s.value : {}));
+    const candidates = [];
+    let routed = 0;
+    let blocked = 0;
+    responses.forEach((data, i) => {
+      if (data.routes && data.routes.length > 0) {
+        routed++;
+        const route = data.routes[0];
+        const quality = measureRoute(route.polyline?.encodedPolyline, boundary, exclusions);
+        if (quality.crossedExclusions.length > 0) {
+          quality.crossedExclusions.forEach(zone => blockedZones.add(zone));
+          blocked++;
+          return;
+        }
+        candidates.push({
+          ...layouts[i],
+          route,
+          tolerance: checkTolerance(route.distanceMeters, distanceMiles),
+          overlapFraction: shape.retraces ? 0 : quality.overlapFraction,
+          outsideFraction: quality.outsideFraction,
+          withinBoundary: quality.outsideFraction <= boundaryTolerance
+        });
+      }
+    });
+    blockedRoutes += blocked;
+
+    if (routed === 0) {
+      // Refining led somewhere with no roads: keep what earlier attempts found
+      if (best || blockedRoutes > 0) break;
+      throw new NoRouteError();
+    }
+
+    if (candidates.length === 0) {
+      // Every route went through an area to avoid: change course rather than resend the same layouts
+      attempts.push({ radiusMeters: radius, distanceMeters: null, pctDiff: null, candidates: 0, blocked });
+      blockedAttempts++;
+      anchor = undefined;
+      if (shape.widen) radius = shape.widen(radius);
+      continue;
+    }
+
+    if (terrain !== 'any') {
+      await Promise.all(candidates
+        .filter(c => c.tolerance.withinTolerance)
+        .map(c => scoreClimb(c, elevationProvider, deadline)));
+    }
+
+    seen.push(...candidates);
+    best = pickCandidate(candidates, terrain);
+    attempts.push({
+      radiusMeters: radius,
+      distanceMeters: best.route.distanceMeters,
+      pctDiff: best.tolerance.pctDiff,
+      candidates: candidates.length,
+      ...(hasBoundary && { outsideFraction: best.outsideFraction }),
+      ...(exclusions.length > 0 && { blocked })
+    });
+
+    if (fitsCandidate(best)) break;
+    if (!best.withinBoundary) {
+      // Refining roads that leave the boundary keeps them leaving: pull in, in fresh directions
+      anchor = undefined;
+      const pull = Math.min(BOUNDARY_PULL, 1 - best.outsideFraction);
+      radius = shape.refine(best.route.distanceMeters, radius) * pull;
+    } else {
+      anchor = best;
+      if (!best.tolerance.withinTolerance) {
+        radius = shape.refine(best.route.distanceMeters, radius);
+      }
+    }
+  }
+
+  if (!best) {
+    throw new RouteBlockedError([...blockedZones].sort((a, b) => a - b), blockedRoutes);
+  }
+  // Out of attempts without a fit: an earlier attempt may have come closer
+  if (!fitsCandidate(best)) {
+    best = pickCandidate(seen, terrain);
+  }
+
+  // Runners-up from every attempt, skipping duplicate routes; once something fits, only other routes that fit
+  const polylines = new Set([best.route.polyline?.encodedPolyline]);
+  const alternatives = rankCandidates(seen, terrain)
+    .filter(c => c !== best && (!fitsCandidate(best) || fitsCandidate(c)))
+    .filter(c => {
+      const key = c.route.polyline?.encodedPolyline;
+      if (!key) return true;
+      if (polylines.has(key)) return false;
+      polylines.add(key);
+      return true;
+    })
+    .slice(0, MAX_ALTERNATIVES);
+
+  const result = {
+    ...describeCandidate(best, shapeName, destination, boundary),
+    shape: shapeName,
+    seed,
+    targetMeters: distanceMiles * METERS_PER_MILE,
+    attempts,
+    alternatives: alternatives.map((c, i) => ({
+      ...describeCandidate(c, shapeName, destination, boundary),
+      shape: shapeName,
+      seed,
+      alternative: i + 1
+    }))
+  };
+  return result;
+}
+
+/**
+ * Public view of a candidate: the route, its waypoints, quality measures and shape-specific extras.
+ */
+function describeCandidate(candidate, shapeName, destination, boundary) {
+  const result = {
+    route: candidate.route,
+    waypoints: candidate.waypoints,
+    withinTolerance: candidate.tolerance.withinTolerance,
+    overlapFraction: candidate.overlapFraction,
+    outsideFraction: candidate.outsideFraction,
+    withinBoundary: candidate.withinBoundary
+  };
+
+  if (!candidate.withinBoundary) {
+    // Where it leaves the boundary, so the app can point it out
+    result.outsideStretches = outsideStretches(decodePolyline(candidate.route.polyline?.encodedPolyline || ''), boundary);
+  }
+
+  if (shapeName === 'out-and-back') {
+    result.bearing = candidate.bearing;
+    result.turnaround = candidate.waypoints[0];
+  }
+
+  if (shapeName === 'point-to-point') {
+    result.destination = destination;
+    result.side = candidate.side;
+  }
+
+  if (shapeName === 'cloverleaf') {
+    result.petals = summarizePetals(candidate.route, candidate.petals);
+  }
+
+  if (candidate.climbPerMileMeters !== undefined) {
+    result.ascentMeters = candidate.ascentMeters;
+    result.climbPerMileMeters = candidate.climbPerMileMeters;
+  }
+
+  return result;
+}
+
+module.exports = {
+  generateLoop,
+  pickCandidate,
+  rankCandidates,
+  scoreCandidate,
+  fitsCandidate,
+  NoRouteError,
+  RouteBlockedError,
+  MAX_ATTEMPTS,
+  TERRAINS,
+  SHAPES,
+  CANDIDATES,
+  MAX_CANDIDATES,
+  MAX_ALTERNATIVES,
+  BOUNDARY_TOLERANCE
+};
@@ -0,0 +1,218 @@
+const { createMemoryCounterStore } = require('./memory');
+const { createRedisCounterStore } = require('./redis');
+const { sendError, ERROR_CODES } = require('../api-errors');
+
+const RATE_LIMIT_STORES = ['memory', 'redis', 'off'];
+const DEFAULT_PER_MINUTE = 30;
+const DEFAULT_ROUTING_QUOTA_PER_DAY = 500;
+const USAGE_RETENTION_DAYS = 31;
+const USAGE_ENDPOINTS = ['config', 'route', 'loop', 'elevation'];
+const ROUTING_ENDPOINTS = ['route', 'loop'];
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Limiters built from the environment, so the memory store survives across requests in a warm function
+const limiters = new Map();
+
+function envInt(value, fallback, min) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+/**
+ * Pick the rate limiter from the environment.
+ * RATE_LIMIT=memory (default) counts in process; redis shares counts through a Redis-compatible
+ * REST endpoint at RATE_LIMIT_REDIS_URL (or KV_REST_API_URL); off disables limits and usage tracking.
+ * RATE_LIMIT_PER_MINUTE caps API requests per client, ROUTING_QUOTA_PER_DAY caps routing provider
+ * calls per client per UTC day, and RATE_LIMIT_TOKENS lists bearer tokens that get their own
+ * allowance instead of sharing their IP's.
+ * Returns null when limiting is off or the selected store isn't configured.
+ */
+function getRateLimiter(env = process.env) {
+  const name = (env.RATE_LIMIT || 'memory').toLowerCase();
+  if (!RATE_LIMIT_STORES.includes(name)) {
+    throw new Error(`Unknown RATE_LIMIT: ${name}`);
+  }
+  if (name === 'off') return null;
+
+  const redisUrl = env.RATE_LIMIT_REDIS_URL || env.KV_REST_API_URL;
+  const redisToken = env.RATE_LIMIT_REDIS_TOKEN || env.KV_REST_API_TOKEN;
+  if (name === 'redis' && !redisUrl) return null;
+
+  const perMinute = envInt(env.RATE_LIMIT_PER_MINUTE, DEFAULT_PER_MINUTE, 1);
+  const routingQuotaPerDay = envInt(env.ROUTING_QUOTA_PER_DAY, DEFAULT_ROUTING_QUOTA_PER_DAY, 1);
+  const tokens = (env.RATE_LIMIT_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean);
+
+  const id = [name, perMinute, routingQuotaPerDay, tokens.join(','), name === 'redis' ? redisUrl : ''].join('|');
+  if (limiters.has(id)) return limiters.get(id);
+
+  const store = name === 'redis'
+    ? createRedisCounterStore(redisUrl, redisToken)
+    : createMemoryCounterStore();
+
+  const limiter = { store, perMinute, routingQuotaPerDay, tokens: new Set(tokens) };
+  limiters.set(id, limiter);
+  return limiter;
+}
+
+/**
+ * Forget every limiter built so far (the memory counters go with them).
+ */
+function resetRateLimiters() {
+  limiters.clear();
+}
+
+function bearerToken(headers) {
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  return match ? match[1].trim() : null;
+}
+
+// Last entry of a comma-separated header: the one the nearest proxy added
+function lastHop(value) {
+  return String(value || '').split(',').pop().trim();
+}
+
+/**
+ * Who a request counts against: a known bearer token, else the caller's IP.
+ * The client can send any X-Forwarded-For it likes, so only addresses a proxy set are used:
+ * x-vercel-forwarded-for and x-real-ip (Vercel overwrites both), else the right-most
+ * X-Forwarded-For hop, which the nearest proxy (ngrok, a load balancer) appends.
+ */
+function clientKey(req, tokens) {
+  const headers = req.headers || {};
+  const token = bearerToken(headers);
+  if (token && tokens.has(token)) return `token:${token}`;
+
+  const ip = lastHop(headers['x-vercel-forwarded-for']) || lastHop(headers['x-real-ip']) ||
+    lastHop(headers['x-forwarded-for']) || req.socket?.remoteAddress || 'unknown';
+  return `ip:${ip}`;
+}
+
+/**
+ * UTC day (YYYY-MM-DD) for a timestamp.
+ */
+function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilNextDay(now) {
+  return Math.ceil((DAY_SECONDS * 1000 - (now % (DAY_SECONDS * 1000))) / 1000);
+}
+
+/**
+ * Counter updates and reads fail open: a flaky store shouldn't take the API down with it.
+ */
+async function safely(operation, fallback) {
+  try {
+    return await operation();
+  } catch (err) {
+    console.error('Rate limit store failed:', err.message);
+    return fallback;
+  }
+}
+
+const NO_LIMIT = {
+  async recordRoutingCalls() {},
+  async recordRoute() {}
+};
+
+/**
+ * Apply the per-minute limit (and, for `routing` endpoints, the daily routing quota) to a request.
+ * Sends a 429 with Retry-After (or a 500 for a misconfigured limiter) and resolves to null when
+ * the request must stop; otherwise sets X-RateLimit headers, counts the request in the usage
+ * report and resolves to { recordRoutingCalls(count), recordRoute() } for the handler to report
+ * what the request cost.
+ */
+async function limitRequest(req, res, endpoint, { routing = false } = {}) {
+  let limiter;
+  try {
+    limiter = getRateLimiter();
+  } catch (err) {
+    sendError(res, 500, ERROR_CODES.SERVER_MISCONFIGURED, 'Server misconfiguration: ' + err.message);
+    return null;
+  }
+  if (!limiter) return NO_LIMIT;
+
+  const { store } = limiter;
+  const client = clientKey(req, limiter.tokens);
+  const now = Date.now();
+  const day = dayKey(now);
+  const window = Math.floor(now / 60000);
+
+  const count = await safely(() => store.incr(`minute:${client}:${window}`, 1, 60), 0);
+  res.setHeader('X-RateLimit-Limit', String(limiter.perMinute));
+  res.setHeader('X-RateLimit-Remaining', String(Math.max(0, limiter.perMinute - count)));
+  if (count > limiter.perMinute) {
+    const retryAfter = Math.ceil(((window + 1) * 60000 - now) / 1000);
+    res.setHeader('Retry-After', String(retryAfter));
+    sendError(res, 429, ERROR_CODES.RATE_LIMITED, `Too many requests; try again in ${retryAfter} seconds`);
+    return null;
+  }
+
+  if (routing) {
+    const used = await safely(() => store.get(`quota:${client}:${day}`), 0);
+    if (used >= limiter.routingQuotaPerDay) {
+      res.setHeader('Retry-After', String(secondsUntilNextDay(now)));
+      sendError(res, 429, ERROR_CODES.QUOTA_EXCEEDED, 'Daily routing quota reached; try again tomorrow');
+      return null;
+    }
+  }
+
+  await safely(() => store.incr(`usage:${day}:requests:${endpoint}`, 1, USAGE_RETENTION_DAYS * DAY_SECONDS));
+
+  return {
+    async recordRoutingCalls(calls) {
+      if (calls <= 0) return;
+      await safely(() => Promise.all([
+        store.incr(`quota:${client}:${day}`, calls, DAY_SECONDS),
+        store.incr(`usage:${day}:routing:${endpoint}`, calls, USAGE_RETENTION_DAYS * DAY_SECONDS)
+      ]));
+    },
+
+    async recordRoute() {
+      await safely(() => store.incr(`usage:${day}:routes`, 1, USAGE_RETENTION_DAYS * DAY_SECONDS));
+    }
+  };
+}
+
+/**
+ * Daily usage for the last `days` UTC days, newest first: requests per endpoint, routing
+ * provider calls per endpoint, routes generated by /api/loop and the routing calls each one cost.
+ */
+async function getUsageReport(limiter, days, now = Date.now()) {
+  const { store } = limiter;
+
+  return Promise.all(Array.from({ length: days }, async (_, i) => {
+    const date = dayKey(now - i * DAY_SECONDS * 1000);
+    const read = key => store.get(`usage:${date}:${key}`);
+
+    const requests = {};
+    const routingCalls = {};
+    await Promise.all([
+      ...USAGE_ENDPOINTS.map(async endpoint => { requests[endpoint] = await read(`requests:${endpoint}`); }),
+      ...ROUTING_ENDPOINTS.map(async endpoint => { routingCalls[endpoint] = await read(`routing:${endpoint}`); })
+    ]);
+    const routesGenerated = await read('routes');
+
+    return {
+      date,
+      requests,
+      routingCalls,
+      routesGenerated,
+      routingCallsPerRoute: routesGenerated > 0
+        ? Math.round((routingCalls.loop / routesGenerated) * 100) / 100
+        : null
+    };
+  }));
+}
+
+module.exports = {
+  getRateLimiter,
+  resetRateLimiters,
+  limitRequest,
+  getUsageReport,
+  clientKey,
+  RATE_LIMIT_STORES,
+  USAGE_RETENTION_DAYS,
+  DEFAULT_PER_MINUTE,
+  DEFAULT_ROUTING_QUOTA_PER_DAY
+};
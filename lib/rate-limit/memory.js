@@ -0,0 +1,39 @@
+const PURGE_THRESHOLD = 10000; // sweep expired counters once the map grows past this
+
+/**
+ * In-process counter store. Counts are per instance, so on a serverless deployment
+ * each warm function enforces its own share of the limits; use the redis store to share them.
+ */
+function createMemoryCounterStore() {
+  const counters = new Map();
+
+  function purge(now) {
+    counters.forEach((counter, key) => {
+      if (counter.expiresAt <= now) counters.delete(key);
+    });
+  }
+
+  return {
+    name: 'memory',
+
+    async incr(key, amount, ttlSeconds) {
+      const now = Date.now();
+      if (counters.size > PURGE_THRESHOLD) purge(now);
+
+      const counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counters.set(key, { value: amount, expiresAt: now + ttlSeconds * 1000 });
+        return amount;
+      }
+      counter.value += amount;
+      return counter.value;
+    },
+
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter.value : 0;
+    }
+  };
+}
+
+module.exports = { createMemoryCounterStore };
@@ -0,0 +1,28 @@
+const { createRedisRestClient } = require('../redis-rest');
+
+/**
+ * Counter store on a Redis-compatible REST endpoint, shared by every function instance.
+ * INCRBY and EXPIRE ... NX go in one pipeline, so every increment makes sure the counter
+ * expires, even if an earlier expiry was lost.
+ */
+function createRedisCounterStore(url, token, { prefix = 'rate-limit:' } = {}) {
+  const redis = createRedisRestClient(url, token);
+
+  return {
+    name: 'redis',
+
+    async incr(key, amount, ttlSeconds) {
+      const [value] = await redis.pipeline([
+        ['INCRBY', prefix + key, String(amount)],
+        ['EXPIRE', prefix + key, String(ttlSeconds), 'NX']
+      ]);
+      return Number(value);
+    },
+
+    async get(key) {
+      return Number(await redis.command(['GET', prefix + key])) || 0;
+    }
+  };
+}
+
+module.exports = { createRedisCounterStore };
@@ -0,0 +1,43 @@
+/**
+ * Minimal client for a Redis-compatible server reached over its REST API
+ * (Upstash, Vercel KV and similar), so no socket client is needed in a serverless function.
+ * Each command is a POST of the argument array; the reply is { result } or { error }.
+ * A pipeline POSTs an array of commands to /pipeline and gets one reply per command.
+ */
+function createRedisRestClient(url, token) {
+  async function post(target, body) {
+    const response = await fetch(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+  }
+
+  return {
+    async command(args) {
+      const { ok, status, data } = await post(url, args);
+      if (!ok || data.error) {
+        throw new Error(`Redis ${args[0]} failed: ${data.error || status}`);
+      }
+      return data.result;
+    },
+
+    async pipeline(commands) {
+      const { ok, status, data } = await post(`${url.replace(/\/$/, '')}/pipeline`, commands);
+      const names = commands.map(args => args[0]).join('+');
+      if (!ok || !Array.isArray(data)) {
+        throw new Error(`Redis ${names} failed: ${data.error || status}`);
+      }
+      const failed = data.find(reply => reply?.error);
+      if (failed) throw new Error(`Redis ${names} failed: ${failed.error}`);
+      return data.map(reply => reply.result);
+    }
+  };
+}
+
+module.exports = { createRedisRestClient };
@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Cache store on local disk: one JSON file per entry, named by a hash of the key.
+ * A file's mtime is its last use, so the directory is pruned back to maxEntries
+ * by deleting the least recently used files after each write.
+ */
+function createFileCacheStore(dir, { maxEntries }) {
+  const fileFor = key => path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+
+  async function prune() {
+    const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+    if (names.length <= maxEntries) return;
+
+    const files = await Promise.all(names.map(async name => {
+      const file = path.join(dir, name);
+      try {
+        return { file, mtimeMs: (await fs.stat(file)).mtimeMs };
+      } catch (err) {
+        return null; // removed by another instance
+      }
+    }));
+    const oldest = files.filter(Boolean).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    await Promise.all(oldest.slice(0, oldest.length - maxEntries).map(f => fs.rm(f.file, { force: true })));
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      // A hash collision would hand back another request's route
+      if (entry.key !== key) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(file, { force: true });
+        return null;
+      }
+      const now = new Date();
+      await fs.utimes(file, now, now);
+      return entry;
+    },
+
+    async set(key, value, ttlSeconds) {
+      const storedAt = Date.now();
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify({ key, value, storedAt, expiresAt: storedAt + ttlSeconds * 1000 }));
+      await prune();
+    }
+  };
+}
+
+module.exports = { createFileCacheStore };
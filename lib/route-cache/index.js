@@ -0,0 +1,159 @@
+const os = require('os');
+const path = require('path');
+const { createMemoryCacheStore } = require('./memory');
+const { createFileCacheStore } = require('./file');
+const { createRedisCacheStore } = require('./redis');
+
+const ROUTE_CACHE_STORES = ['memory', 'file', 'redis', 'off'];
+const DEFAULT_PRECISION = 4; // decimal places, about 11 m of latitude
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Caches built from the environment, so the memory store survives across requests in a warm function
+const caches = new Map();
+
+function envInt(value, fallback, min) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+/**
+ * Pick the route cache from the environment.
+ * ROUTE_CACHE=memory (default) keeps entries in process; file writes them under ROUTE_CACHE_DIR;
+ * redis uses a Redis-compatible REST endpoint at ROUTE_CACHE_REDIS_URL (or KV_REST_API_URL);
+ * off disables caching. ROUTE_CACHE_PRECISION, ROUTE_CACHE_MAX_ENTRIES and
+ * ROUTE_CACHE_TTL_SECONDS tune the key rounding, LRU size and expiry.
+ * Returns null when caching is off or the selected store isn't configured.
+ *
+ * The cache is { store, precision, ttlSeconds }; a store has get(key) resolving to
+ * { value, storedAt } or null, and set(key, value, ttlSeconds).
+ */
+function getRouteCache(env = process.env) {
+  const name = (env.ROUTE_CACHE || 'memory').toLowerCase();
+  if (!ROUTE_CACHE_STORES.includes(name)) {
+    throw new Error(`Unknown ROUTE_CACHE: ${name}`);
+  }
+  if (name === 'off') return null;
+
+  const precision = envInt(env.ROUTE_CACHE_PRECISION, DEFAULT_PRECISION, 0);
+  const maxEntries = envInt(env.ROUTE_CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES, 1);
+  const ttlSeconds = envInt(env.ROUTE_CACHE_TTL_SECONDS, DEFAULT_TTL_SECONDS, 1);
+  const dir = env.ROUTE_CACHE_DIR || path.join(os.tmpdir(), 'training-routes-cache');
+  const redisUrl = env.ROUTE_CACHE_REDIS_URL || env.KV_REST_API_URL;
+  const redisToken = env.ROUTE_CACHE_REDIS_TOKEN || env.KV_REST_API_TOKEN;
+
+  if (name === 'redis' && !redisUrl) return null;
+
+  const id = [name, precision, maxEntries, ttlSeconds, name === 'file' ? dir : '', name === 'redis' ? redisUrl : ''].join('|');
+  if (caches.has(id)) return caches.get(id);
+
+  let store;
+  if (name === 'file') store = createFileCacheStore(dir, { maxEntries });
+  else if (name === 'redis') store = createRedisCacheStore(redisUrl, redisToken);
+  else store = createMemoryCacheStore({ maxEntries });
+
+  const cache = { store, precision, ttlSeconds };
+  caches.set(id, cache);
+  return cache;
+}
+
+/**
+ * Forget every cache built so far (the memory stores go with them).
+ */
+function resetRouteCaches() {
+  caches.clear();
+}
+
+/**
+ * Cache key for a routing request: the provider plus origin, destination and waypoints
+ * rounded to `precision` decimal places, so nearly identical requests share an entry.
+ * Requests for directions in a given language or units are kept apart.
+ */
+function routeCacheKey(providerName, { origin, destination, waypoints, units, languageCode }, precision) {
+  const round = p => (p ? `${p.lat.toFixed(precision)},${p.lng.toFixed(precision)}` : '');
+  const key = [providerName, round(origin), round(destination), ...(waypoints || []).map(round)].join(';');
+  return units || languageCode ? `${key}|${units || ''},${languageCode || ''}` : key;
+}
+
+/**
+ * True when the client asked to skip cached routes (Cache-Control: no-cache or no-store),
+ * as the Regenerate button does.
+ */
+function wantsFreshRoute(headers = {}) {
+  const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+  return cacheControl.includes('no-cache') || cacheControl.includes('no-store');
+}
+
+/**
+ * Compute routes through the cache. Resolves to { data, cacheStatus, ageSeconds } where
+ * cacheStatus is HIT, MISS or BYPASS. A bypassed request still refreshes the entry.
+ * Store failures are logged and treated as a miss so caching never breaks routing;
+ * routing errors are never cached.
+ */
+async function cachedComputeRoutes(router, request, cache, { bypass = false } = {}) {
+  if (!cache) {
+    return { data: await router.computeRoutes(request), cacheStatus: 'BYPASS', ageSeconds: null };
+  }
+
+  const key = routeCacheKey(router.name, request, cache.precision);
+
+  if (!bypass) {
+    try {
+      const entry = await cache.store.get(key);
+      if (entry) {
+        const ageSeconds = Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000));
+        return { data: entry.value, cacheStatus: 'HIT', ageSeconds };
+      }
+    } catch (err) {
+      console.error('Route cache read failed:', err.message);
+    }
+  }
+
+  const data = await router.computeRoutes(request);
+  try {
+    await cache.store.set(key, data, cache.ttlSeconds);
+  } catch (err) {
+    console.error('Route cache write failed:', err.message);
+  }
+  return { data, cacheStatus: bypass ? 'BYPASS' : 'MISS', ageSeconds: null };
+}
+
+/**
+ * Wrap a routing provider so every computeRoutes call goes through the cache.
+ * `stats` counts hits and misses (calls that reached the provider, failed or not)
+ * for the response headers and quota.
+ */
+function createCachedRouter(router, cache, { bypass = false } = {}) {
+  const stats = { hits: 0, misses: 0 };
+  return {
+    name: router.name,
+    maxWaypoints: router.maxWaypoints,
+    stats,
+
+    async computeRoutes(request) {
+      let result;
+      try {
+        result = await cachedComputeRoutes(router, request, cache, { bypass });
+      } catch (err) {
+        stats.misses++; // a failed call still reached the provider
+        throw err;
+      }
+      if (result.cacheStatus === 'HIT') stats.hits++;
+      else stats.misses++;
+      return result.data;
+    }
+  };
+}
+
+module.exports = {
+  getRouteCache,
+  resetRouteCaches,
+  routeCacheKey,
+  wantsFreshRoute,
+  cachedComputeRoutes,
+  createCachedRouter,
+  ROUTE_CACHE_STORES,
+  DEFAULT_PRECISION,
+  DEFAULT_MAX_ENTRIES,
+  DEFAULT_TTL_SECONDS
+};
@@ -0,0 +1,36 @@
+/**
+ * In-process cache store: a Map kept in least-recently-used order, capped at maxEntries.
+ * Entries live as long as the warm function (or local server) that holds them.
+ */
+function createMemoryCacheStore({ maxEntries }) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      // Re-inserting moves the key to the most-recently-used end
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, value, ttlSeconds) {
+      const storedAt = Date.now();
+      entries.delete(key);
+      entries.set(key, { value, storedAt, expiresAt: storedAt + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createMemoryCacheStore };
@@ -0,0 +1,26 @@
+const { createRedisRestClient } = require('../redis-rest');
+
+/**
+ * Cache store on a Redis-compatible REST endpoint.
+ * Redis enforces the TTL itself; the size limit comes from the server's maxmemory with an
+ * allkeys-lru eviction policy.
+ */
+function createRedisCacheStore(url, token, { prefix = 'route-cache:' } = {}) {
+  const redis = createRedisRestClient(url, token);
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const stored = await redis.command(['GET', prefix + key]);
+      return stored ? JSON.parse(stored) : null;
+    },
+
+    async set(key, value, ttlSeconds) {
+      const entry = { value, storedAt: Date.now() };
+      await redis.command(['SET', prefix + key, JSON.stringify(entry), 'EX', String(ttlSeconds)]);
+    }
+  };
+}
+
+module.exports = { createRedisCacheStore };
@@ -0,0 +1,162 @@
+const { decodePolyline, pathDistanceMeters, samplePath, haversineMeters } = require('../public/polyline');
+const { pointInPolygon, METERS_PER_DEGREE_LAT } = require('../public/route-generator');
+
+const SAMPLE_SPACING_METERS = 20;
+const MAX_SAMPLES = 2000;
+const OVERLAP_METERS = 15; // two passes closer than this count as the same street
+const MIN_OVERLAP_GAP_METERS = 200; // ignore neighbours this close along the route (just the next step)
+
+/**
+ * Resample a decoded route every SAMPLE_SPACING_METERS (capped at MAX_SAMPLES).
+ * Returns [] for a route too short to sample.
+ */
+function resample(points) {
+  if (points.length < 2) return [];
+  const length = pathDistanceMeters(points);
+  const count = Math.min(MAX_SAMPLES, Math.ceil(length / SAMPLE_SPACING_METERS) + 1);
+  return samplePath(points, count);
+}
+
+/**
+ * Fraction (0–1) of a route that runs over a stretch it has already used or will use again.
+ * Samples are bucketed into a grid of OVERLAP_METERS cells so this stays linear in route length.
+ */
+function selfOverlapFraction(points) {
+  const samples = resample(points);
+  if (samples.length === 0) return 0;
+
+  const cellLat = OVERLAP_METERS / METERS_PER_DEGREE_LAT;
+  const cellLng = cellLat / Math.cos((samples[0].lat * Math.PI) / 180);
+  const cellOf = s => [Math.floor(s.lat / cellLat), Math.floor(s.lng / cellLng)];
+
+  const grid = new Map();
+  samples.forEach((s, i) => {
+    const key = cellOf(s).join(',');
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(i);
+  });
+
+  let overlapping = 0;
+  samples.forEach(s => {
+    const [row, col] = cellOf(s);
+    let found = false;
+    for (let dr = -1; dr <= 1 && !found; dr++) {
+      for (let dc = -1; dc <= 1 && !found; dc++) {
+        const neighbours = grid.get(`${row + dr},${col + dc}`) || [];
+        found = neighbours.some(j => {
+          const other = samples[j];
+          return Math.abs(other.distanceMeters - s.distanceMeters) > MIN_OVERLAP_GAP_METERS &&
+            haversineMeters(s, other) < OVERLAP_METERS;
+        });
+      }
+    }
+    if (found) overlapping++;
+  });
+
+  return overlapping / samples.length;
+}
+
+/**
+ * Fraction (0–1) of a route that lies outside a boundary polygon; 0 without a boundary.
+ */
+function fractionOutside(points, boundary) {
+  if (!boundary || boundary.length < 3) return 0;
+  const samples = resample(points);
+  if (samples.length === 0) return 0;
+  const outside = samples.filter(s => !pointInPolygon(s.lat, s.lng, boundary)).length;
+  return outside / samples.length;
+}
+
+/**
+ * The stretches of a route that lie outside a boundary polygon, each a list of { lat, lng }
+ * samples (every SAMPLE_SPACING_METERS) from the last sample inside to the first one back
+ * inside, so drawn over the route they join up with it. [] without a boundary.
+ */
+function outsideStretches(points, boundary) {
+  if (!boundary || boundary.length < 3) return [];
+  const samples = resample(points);
+  const stretches = [];
+  let current = null;
+  samples.forEach((s, i) => {
+    const point = { lat: s.lat, lng: s.lng };
+    if (!pointInPolygon(s.lat, s.lng, boundary)) {
+      if (!current) {
+        current = i > 0 ? [{ lat: samples[i - 1].lat, lng: samples[i - 1].lng }] : [];
+        stretches.push(current);
+      }
+      current.push(point);
+    } else if (current) {
+      current.push(point);
+      current = null;
+    }
+  });
+  return stretches;
+}
+
+// Orientation of c relative to the line a→b: positive on one side, negative on the other
+function orientation(a, b, c) {
+  return (b.lng - a.lng) * (c.lat - a.lat) - (b.lat - a.lat) * (c.lng - a.lng);
+}
+
+function segmentsCross(a, b, c, d) {
+  const d1 = orientation(c, d, a);
+  const d2 = orientation(c, d, b);
+  const d3 = orientation(a, b, c);
+  const d4 = orientation(a, b, d);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) && d1 !== 0 && d2 !== 0;
+}
+
+function boundsOf(polygon) {
+  const lats = polygon.map(p => p.lat);
+  const lngs = polygon.map(p => p.lng);
+  return { south: Math.min(...lats), north: Math.max(...lats), west: Math.min(...lngs), east: Math.max(...lngs) };
+}
+
+/**
+ * Indices of the exclusion polygons a route passes through, in order; [] when it avoids them all.
+ * A route counts as passing through when a point of it lies inside a zone or a segment crosses
+ * a zone's edge, so a straight stretch that cuts across a corner is caught too.
+ */
+function crossedExclusions(points, exclusions) {
+  if (!exclusions || exclusions.length === 0 || points.length === 0) return [];
+  const crossed = [];
+  exclusions.forEach((zone, index) => {
+    if (zone.length < 3) return;
+    const box = boundsOf(zone);
+    const inBox = p => p.lat >= box.south && p.lat <= box.north && p.lng >= box.west && p.lng <= box.east;
+    const hits = points.some((p, i) => {
+      if (inBox(p) && pointInPolygon(p.lat, p.lng, zone)) return true;
+      const next = points[i + 1];
+      if (!next) return false;
+      // Skip segments that can't reach the zone's bounding box
+      if (Math.max(p.lat, next.lat) < box.south || Math.min(p.lat, next.lat) > box.north ||
+          Math.max(p.lng, next.lng) < box.west || Math.min(p.lng, next.lng) > box.east) {
+        return false;
+      }
+      return zone.some((v, k) => segmentsCross(p, next, zone[k === 0 ? zone.length - 1 : k - 1], v));
+    });
+    if (hits) crossed.push(index);
+  });
+  return crossed;
+}
+
+/**
+ * Measure an encoded route polyline: { overlapFraction, outsideFraction, crossedExclusions }.
+ */
+function measureRoute(encodedPolyline, boundary, exclusions) {
+  const points = decodePolyline(encodedPolyline || '');
+  return {
+    overlapFraction: selfOverlapFraction(points),
+    outsideFraction: fractionOutside(points, boundary),
+    crossedExclusions: crossedExclusions(points, exclusions)
+  };
+}
+
+module.exports = {
+  selfOverlapFraction,
+  fractionOutside,
+  outsideStretches,
+  crossedExclusions,
+  measureRoute,
+  OVERLAP_METERS
+};
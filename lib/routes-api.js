@@ -0,0 +1,86 @@
+const { RoutingError } = require('./routing/errors');
+const { upstreamFetch, getUpstreamPolicy } = require('./routing/upstream');
+
+const ROUTES_API_URL = 'https://routes.googleapis.com/directions/v2:computeRoutes';
+const MAX_INTERMEDIATES = 25; // Routes API limit on intermediate waypoints per request
+
+const FIELD_MASK = [
+  'routes.distanceMeters',
+  'routes.duration',
+  'routes.polyline.encodedPolyline',
+  'routes.legs.distanceMeters',
+  'routes.legs.duration',
+  'routes.legs.polyline.encodedPolyline',
+  'routes.legs.steps.navigationInstruction',
+  'routes.legs.steps.distanceMeters',
+  'routes.legs.steps.staticDuration'
+].join(',');
+
+/**
+ * Error returned by the Routes API itself (non-2xx response).
+ * status is the upstream HTTP status; details is Google's error message.
+ */
+class RoutesApiError extends RoutingError {
+  constructor(status, details) {
+    super('Routes API error', status, details);
+    this.name = 'RoutesApiError';
+  }
+}
+
+function toLatLng(point) {
+  return {
+    location: {
+      latLng: { latitude: point.lat, longitude: point.lng }
+    }
+  };
+}
+
+/**
+ * Build a computeRoutes walking request through the waypoints.
+ * Without a destination the route is a loop that ends back at origin.
+ * Directions are in languageCode (default en-US) with units METRIC or IMPERIAL (default).
+ */
+function buildRoutesRequest({ origin, destination, waypoints, units = 'IMPERIAL', languageCode = 'en-US' }) {
+  return {
+    origin: toLatLng(origin),
+    destination: toLatLng(destination || origin),
+    intermediates: waypoints.map(toLatLng),
+    travelMode: 'WALK',
+    units,
+    languageCode
+  };
+}
+
+/**
+ * Call the Routes API for a route from origin through the waypoints to destination (default: origin).
+ * Resolves with the raw API response ({ routes: [...] }); throws RoutesApiError on a non-2xx.
+ */
+async function computeRoutes(request, apiKey) {
+  const response = await upstreamFetch('Routes API', ROUTES_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Goog-Api-Key': apiKey,
+      'X-Goog-FieldMask': FIELD_MASK
+    },
+    body: JSON.stringify(buildRoutesRequest(request))
+  }, getUpstreamPolicy(process.env, request.deadline));
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    console.error('Routes API error:', JSON.stringify(data));
+    throw new RoutesApiError(response.status, data.error?.message || JSON.stringify(data));
+  }
+
+  return data;
+}
+
+module.exports = {
+  computeRoutes,
+  buildRoutesRequest,
+  RoutesApiError,
+  ROUTES_API_URL,
+  FIELD_MASK,
+  MAX_INTERMEDIATES
+};
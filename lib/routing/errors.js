@@ -0,0 +1,18 @@
+/**
+ * A routing backend answered with an error.
+ * message names the backend ('Routes API error', 'OSRM error', ...); status is the HTTP
+ * status to pass on to the client and details is the backend's own error message.
+ * code is the API error code: ROUTING_FAILED, or ROUTING_TIMEOUT / ROUTING_UNAVAILABLE
+ * when the backend was too slow or its circuit breaker is open.
+ */
+class RoutingError extends Error {
+  constructor(message, status, details, code = 'ROUTING_FAILED') {
+    super(message);
+    this.name = 'RoutingError';
+    this.status = status;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+module.exports = { RoutingError };
@@ -0,0 +1,14 @@
+const { computeRoutes, MAX_INTERMEDIATES } = require('../routes-api');
+
+/**
+ * Routing provider backed by the Google Routes API. Responses are already in the normalized shape.
+ */
+function createGoogleRoutingProvider(apiKey) {
+  return {
+    name: 'google',
+    maxWaypoints: MAX_INTERMEDIATES,
+    computeRoutes: request => computeRoutes(request, apiKey)
+  };
+}
+
+module.exports = { createGoogleRoutingProvider };
@@ -0,0 +1,105 @@
+const { decodePolyline } = require('../../public/polyline');
+const { RoutingError } = require('./errors');
+const { upstreamFetch, getUpstreamPolicy } = require('./upstream');
+const { normalizeRoute, routeStops, DEFAULT_MAX_WAYPOINTS } = require('./normalize');
+
+// GraphHopper instruction signs → Routes API maneuvers
+const SIGN_MANEUVERS = {
+  '-98': 'UTURN_LEFT',
+  '-8': 'UTURN_LEFT',
+  '-7': 'FORK_LEFT',
+  '-6': 'ROUNDABOUT_RIGHT', // leaving a roundabout; GraphHopper doesn't say which way it turns
+  '-3': 'TURN_SHARP_LEFT',
+  '-2': 'TURN_LEFT',
+  '-1': 'TURN_SLIGHT_LEFT',
+  '0': 'STRAIGHT',
+  '1': 'TURN_SLIGHT_RIGHT',
+  '2': 'TURN_RIGHT',
+  '3': 'TURN_SHARP_RIGHT',
+  '6': 'ROUNDABOUT_RIGHT',
+  '7': 'FORK_RIGHT',
+  '8': 'UTURN_RIGHT'
+};
+const SIGN_FINISH = 4;
+const SIGN_VIA_REACHED = 5;
+
+/**
+ * Split a GraphHopper path into legs at its "waypoint reached" instructions.
+ * Each instruction's interval indexes into the path's points.
+ */
+function splitLegs(instructions, points) {
+  const legs = [];
+  let leg = null;
+
+  instructions.forEach(instruction => {
+    if (!leg) {
+      leg = { distanceMeters: 0, durationSeconds: 0, from: instruction.interval[0], steps: [] };
+    }
+    if (instruction.sign === SIGN_VIA_REACHED || instruction.sign === SIGN_FINISH) {
+      leg.points = points.slice(leg.from, instruction.interval[0] + 1);
+      legs.push(leg);
+      leg = null;
+      return;
+    }
+    leg.distanceMeters += instruction.distance;
+    leg.durationSeconds += instruction.time / 1000;
+    leg.steps.push({
+      distanceMeters: instruction.distance,
+      durationSeconds: instruction.time / 1000,
+      maneuver: leg.steps.length === 0 && legs.length === 0 ? 'DEPART' : SIGN_MANEUVERS[instruction.sign],
+      instructions: instruction.text
+    });
+  });
+
+  return legs.map(({ from, ...rest }) => rest);
+}
+
+/**
+ * Routing provider for a GraphHopper server (self-hosted or the hosted API with an apiKey).
+ */
+function createGraphHopperRoutingProvider(baseUrl, { profile = 'foot', apiKey } = {}) {
+  return {
+    name: 'graphhopper',
+    maxWaypoints: DEFAULT_MAX_WAYPOINTS,
+
+    async computeRoutes(request) {
+      const url = `${baseUrl.replace(/\/$/, '')}/route` + (apiKey ? `?key=${encodeURIComponent(apiKey)}` : '');
+      const response = await upstreamFetch('GraphHopper', url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          points: routeStops(request).map(p => [p.lng, p.lat]),
+          profile,
+          instructions: true,
+          points_encoded: true,
+          locale: request.languageCode || 'en'
+        })
+      }, getUpstreamPolicy(process.env, request.deadline));
+      const data = await response.json();
+
+      if (!response.ok) {
+        // Unroutable points come back as a 400 ("Cannot find point", "Connection between locations not found")
+        if (response.status === 400 && /not find|not found/i.test(data.message || '')) {
+          return { routes: [] };
+        }
+        console.error('GraphHopper error:', JSON.stringify(data));
+        throw new RoutingError('GraphHopper error', response.status, data.message || JSON.stringify(data));
+      }
+
+      return {
+        routes: (data.paths || []).slice(0, 1).map(path => {
+          const precision = Math.round(Math.log10(path.points_encoded_multiplier || 1e5));
+          const points = decodePolyline(path.points, precision);
+          return normalizeRoute({
+            distanceMeters: path.distance,
+            durationSeconds: path.time / 1000,
+            points,
+            legs: splitLegs(path.instructions, points)
+          });
+        })
+      };
+    }
+  };
+}
+
+module.exports = { createGraphHopperRoutingProvider };
@@ -0,0 +1,60 @@
+const { createGoogleRoutingProvider } = require('./google');
+const { createOsrmRoutingProvider } = require('./osrm');
+const { createGraphHopperRoutingProvider } = require('./graphhopper');
+const { createValhallaRoutingProvider } = require('./valhalla');
+const { createOfflineRoutingProvider } = require('./offline');
+const { RoutingError } = require('./errors');
+const { requestDeadline } = require('./upstream');
+const { getServerKey } = require('../api-keys');
+
+const ROUTING_PROVIDERS = ['google', 'osrm', 'graphhopper', 'valhalla', 'offline'];
+
+/**
+ * Pick the routing provider from the environment.
+ * ROUTING_PROVIDER=google (default) uses the Routes API with the server key
+ * (GOOGLE_MAPS_SERVER_KEY, or GOOGLE_MAPS_API_KEY);
+ * osrm, graphhopper and valhalla call a server at OSRM_URL, GRAPHHOPPER_URL or VALHALLA_URL;
+ * offline routes on a local OpenStreetMap extract at OSM_EXTRACT (.osm.pbf or OSM XML).
+ * Returns null when the selected provider isn't configured.
+ *
+ * Every provider has computeRoutes({ origin, destination, waypoints }) resolving to
+ * { routes: [route] } in the Routes API shape (empty when no route exists), and throws
+ * RoutingError when the backend fails. An optional deadline (epoch ms, see requestDeadline)
+ * bounds the call, retries included. maxWaypoints is the most intermediate waypoints
+ * the backend accepts in one request.
+ */
+function getRoutingProvider(env = process.env) {
+  const name = (env.ROUTING_PROVIDER || 'google').toLowerCase();
+
+  if (name === 'google') {
+    const apiKey = getServerKey(env);
+    return apiKey ? createGoogleRoutingProvider(apiKey) : null;
+  }
+  if (name === 'osrm') {
+    return env.OSRM_URL ? createOsrmRoutingProvider(env.OSRM_URL, env.OSRM_PROFILE || 'foot') : null;
+  }
+  if (name === 'graphhopper') {
+    return env.GRAPHHOPPER_URL
+      ? createGraphHopperRoutingProvider(env.GRAPHHOPPER_URL, {
+        profile: env.GRAPHHOPPER_PROFILE || 'foot',
+        apiKey: env.GRAPHHOPPER_API_KEY
+      })
+      : null;
+  }
+  if (name === 'valhalla') {
+    return env.VALHALLA_URL ? createValhallaRoutingProvider(env.VALHALLA_URL, env.VALHALLA_COSTING || 'pedestrian') : null;
+  }
+
+  if (name === 'offline') {
+    return env.OSM_EXTRACT ? createOfflineRoutingProvider(env.OSM_EXTRACT) : null;
+  }
+
+  throw new Error(`Unknown ROUTING_PROVIDER: ${name}`);
+}
+
+module.exports = {
+  getRoutingProvider,
+  requestDeadline,
+  RoutingError,
+  ROUTING_PROVIDERS
+};
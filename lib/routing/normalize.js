@@ -0,0 +1,105 @@
+const { encodePolyline } = require('../../public/polyline');
+const { translate } = require('../../public/i18n');
+
+// Waypoint cap for routers without a documented per-request limit
+const DEFAULT_MAX_WAYPOINTS = 100;
+
+// Message catalog keys (public/i18n.js) for the Routes API maneuver names that the adapters map onto
+const MANEUVER_MESSAGES = {
+  DEPART: 'maneuver.depart',
+  TURN_LEFT: 'maneuver.turnLeft',
+  TURN_RIGHT: 'maneuver.turnRight',
+  TURN_SLIGHT_LEFT: 'maneuver.turnSlightLeft',
+  TURN_SLIGHT_RIGHT: 'maneuver.turnSlightRight',
+  TURN_SHARP_LEFT: 'maneuver.turnSharpLeft',
+  TURN_SHARP_RIGHT: 'maneuver.turnSharpRight',
+  UTURN_LEFT: 'maneuver.uturn',
+  UTURN_RIGHT: 'maneuver.uturn',
+  STRAIGHT: 'maneuver.continue',
+  NAME_CHANGE: 'maneuver.continue',
+  MERGE: 'maneuver.merge',
+  FORK_LEFT: 'maneuver.forkLeft',
+  FORK_RIGHT: 'maneuver.forkRight',
+  RAMP_LEFT: 'maneuver.rampLeft',
+  RAMP_RIGHT: 'maneuver.rampRight',
+  ROUNDABOUT_LEFT: 'maneuver.roundabout',
+  ROUNDABOUT_RIGHT: 'maneuver.roundabout',
+  FERRY: 'maneuver.ferry'
+};
+
+/**
+ * Build an instruction like "Turn left onto Main St" for routers that only give a maneuver and a street name.
+ * The words come from the UI catalog, so languages without one (see UI_LANGUAGES) get English.
+ */
+function instructionText(maneuver, streetName, languageCode = 'en') {
+  const action = translate(languageCode, MANEUVER_MESSAGES[maneuver] || 'maneuver.continue');
+  if (!streetName) return action;
+  return translate(languageCode, maneuver === 'DEPART' ? 'maneuver.on' : 'maneuver.onto', { action, street: streetName });
+}
+
+function formatDuration(seconds) {
+  return `${Math.round(seconds)}s`;
+}
+
+function normalizeStep(step) {
+  const navigationInstruction = { instructions: step.instructions };
+  if (step.maneuver) navigationInstruction.maneuver = step.maneuver;
+  return {
+    navigationInstruction,
+    distanceMeters: Math.round(step.distanceMeters),
+    staticDuration: formatDuration(step.durationSeconds)
+  };
+}
+
+/**
+ * Convert a router-neutral description into the Routes API route shape the rest of the app reads:
+ * { distanceMeters, duration, polyline: { encodedPolyline }, legs: [{ distanceMeters, duration,
+ * polyline, steps: [{ navigationInstruction: { maneuver, instructions }, distanceMeters, staticDuration }] }] }.
+ *
+ * Input: { distanceMeters, durationSeconds, points, legs: [{ distanceMeters, durationSeconds, points,
+ * steps: [{ distanceMeters, durationSeconds, maneuver, instructions }] }] } with points as [{lat, lng}].
+ */
+function normalizeRoute(route) {
+  return {
+    distanceMeters: Math.round(route.distanceMeters),
+    duration: formatDuration(route.durationSeconds),
+    polyline: { encodedPolyline: encodePolyline(route.points) },
+    legs: route.legs.map(leg => ({
+      distanceMeters: Math.round(leg.distanceMeters),
+      duration: formatDuration(leg.durationSeconds),
+      polyline: { encodedPolyline: encodePolyline(leg.points) },
+      steps: leg.steps.map(normalizeStep)
+    }))
+  };
+}
+
+/**
+ * Join consecutive point lists, dropping repeated points (such as where one ends and the next begins).
+ */
+function joinPaths(paths) {
+  const joined = [];
+  paths.forEach(path => {
+    path.forEach(p => {
+      const last = joined[joined.length - 1];
+      if (last && last.lat === p.lat && last.lng === p.lng) return;
+      joined.push(p);
+    });
+  });
+  return joined;
+}
+
+/**
+ * The stops a route request visits, in order: origin, waypoints, then destination (default: origin).
+ */
+function routeStops({ origin, destination, waypoints }) {
+  return [origin, ...waypoints, destination || origin];
+}
+
+module.exports = {
+  normalizeRoute,
+  instructionText,
+  formatDuration,
+  joinPaths,
+  routeStops,
+  DEFAULT_MAX_WAYPOINTS
+};
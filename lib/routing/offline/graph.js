@@ -0,0 +1,179 @@
+const { haversineMeters } = require('../../../public/polyline');
+
+// Highways pedestrians can't use regardless of tags, plus ways that aren't built yet
+const NO_FOOT_HIGHWAYS = [
+  'motorway', 'motorway_link', 'construction', 'proposed', 'abandoned', 'raceway', 'bus_guideway', 'busway'
+];
+const NO_ACCESS = ['no', 'private', 'use_sidepath'];
+const GRID_DEGREES = 0.005; // spatial index cell, roughly 400–550 m
+
+/**
+ * Whether a way's tags allow walking. An explicit foot=* tag wins over access=*.
+ */
+function isWalkable(tags) {
+  if (!tags.highway || NO_FOOT_HIGHWAYS.includes(tags.highway)) return false;
+  if (tags.foot) return !NO_ACCESS.includes(tags.foot);
+  return !(tags.access && NO_ACCESS.includes(tags.access));
+}
+
+function gridKey(lat, lng) {
+  return `${Math.floor(lat / GRID_DEGREES)},${Math.floor(lng / GRID_DEGREES)}`;
+}
+
+/**
+ * Build an undirected pedestrian graph from parsed OSM data ({ nodes, ways }).
+ * Returns { points: [{lat, lng}], edges: [[{ to, meters, way }]], ways: [{ name }], grid },
+ * where node indexes are positions in points and way indexes are positions in ways.
+ * Way refs missing from the extract (clipped at its edge) are skipped.
+ */
+function buildPedestrianGraph({ nodes, ways }) {
+  const points = [];
+  const edges = [];
+  const graphWays = [];
+  const indexOf = new Map();
+  const grid = new Map();
+
+  function nodeIndex(id) {
+    if (indexOf.has(id)) return indexOf.get(id);
+    const point = nodes.get(id);
+    const index = points.length;
+    indexOf.set(id, index);
+    points.push(point);
+    edges.push([]);
+
+    const key = gridKey(point.lat, point.lng);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+    return index;
+  }
+
+  ways.forEach(way => {
+    if (!isWalkable(way.tags)) return;
+    const refs = way.refs.filter(ref => nodes.has(ref));
+    if (refs.length < 2) return;
+
+    const wayIndex = graphWays.length;
+    graphWays.push({ name: way.tags.name || way.tags.ref || null });
+
+    for (let i = 1; i < refs.length; i++) {
+      const a = nodeIndex(refs[i - 1]);
+      const b = nodeIndex(refs[i]);
+      if (a === b) continue;
+      const meters = haversineMeters(points[a], points[b]);
+      edges[a].push({ to: b, meters, way: wayIndex });
+      edges[b].push({ to: a, meters, way: wayIndex });
+    }
+  });
+
+  return { points, edges, ways: graphWays, grid };
+}
+
+/**
+ * Index of the graph node closest to point, or -1 if none is within maxMeters.
+ * Searches outward ring by ring through the grid until no closer node can exist.
+ */
+function nearestNode(graph, point, maxMeters) {
+  const row = Math.floor(point.lat / GRID_DEGREES);
+  const col = Math.floor(point.lng / GRID_DEGREES);
+  // A grid ring is at least this far away (the east-west side of a cell is the shorter one)
+  const cellMeters = haversineMeters(point, { lat: point.lat, lng: point.lng + GRID_DEGREES });
+  const maxRing = Math.ceil(maxMeters / cellMeters) + 1;
+  let best = -1;
+  let bestMeters = maxMeters;
+
+  for (let ring = 0; ring <= maxRing; ring++) {
+    if (best !== -1 && bestMeters < (ring - 1) * cellMeters) break;
+    for (let r = row - ring; r <= row + ring; r++) {
+      for (let c = col - ring; c <= col + ring; c++) {
+        if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+        (graph.grid.get(`${r},${c}`) || []).forEach(index => {
+          const meters = haversineMeters(point, graph.points[index]);
+          if (meters <= bestMeters) {
+            best = index;
+            bestMeters = meters;
+          }
+        });
+      }
+    }
+  }
+
+  return best;
+}
+
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].priority <= heap[i].priority) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+      if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+/**
+ * A* shortest walking path between two node indexes, using straight-line distance as the heuristic.
+ * Returns { nodes, ways, meters } (ways[i] is the way used from nodes[i] to nodes[i + 1]),
+ * or null when the nodes aren't connected.
+ */
+function shortestPath(graph, from, to) {
+  const target = graph.points[to];
+  const dist = new Map([[from, 0]]);
+  const prev = new Map();
+  const done = new Set();
+  const heap = [{ node: from, priority: haversineMeters(graph.points[from], target) }];
+
+  while (heap.length > 0) {
+    const { node } = heapPop(heap);
+    if (node === to) break;
+    if (done.has(node)) continue;
+    done.add(node);
+
+    const base = dist.get(node);
+    graph.edges[node].forEach(edge => {
+      const next = base + edge.meters;
+      if (next < (dist.has(edge.to) ? dist.get(edge.to) : Infinity)) {
+        dist.set(edge.to, next);
+        prev.set(edge.to, { node, way: edge.way });
+        heapPush(heap, { node: edge.to, priority: next + haversineMeters(graph.points[edge.to], target) });
+      }
+    });
+  }
+
+  if (!dist.has(to)) return null;
+
+  const nodes = [to];
+  const ways = [];
+  for (let node = to; node !== from; node = prev.get(node).node) {
+    nodes.unshift(prev.get(node).node);
+    ways.unshift(prev.get(node).way);
+  }
+  return { nodes, ways, meters: dist.get(to) };
+}
+
+module.exports = {
+  isWalkable,
+  buildPedestrianGraph,
+  nearestNode,
+  shortestPath
+};
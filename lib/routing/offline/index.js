@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { parseOsmXml } = require('./osm-xml');
+const { parseOsmPbf } = require('./osm-pbf');
+const { buildPedestrianGraph, nearestNode, shortestPath } = require('./graph');
+const { normalizeRoute, instructionText, joinPaths, routeStops, DEFAULT_MAX_WAYPOINTS } = require('../normalize');
+
+const WALKING_SPEED_MPS = 1.4; // about 5 km/h, close to Google's walking estimates
+const MAX_SNAP_METERS = 500; // stops farther than this from any walkable way have no route
+
+// Graphs built from each extract, shared across requests in a warm function
+const graphCache = new Map();
+
+/**
+ * Load and index an OSM extract: .pbf files are read as OSM PBF, anything else as OSM XML.
+ */
+function loadGraph(extractPath) {
+  if (graphCache.has(extractPath)) return graphCache.get(extractPath);
+
+  const buf = fs.readFileSync(extractPath);
+  const osm = path.extname(extractPath).toLowerCase() === '.pbf'
+    ? parseOsmPbf(buf)
+    : parseOsmXml(buf.toString('utf8'));
+  const graph = buildPedestrianGraph(osm);
+
+  graphCache.set(extractPath, graph);
+  return graph;
+}
+
+function bearingDegrees(a, b) {
+  const dLng = (b.lng - a.lng) * Math.cos((a.lat * Math.PI) / 180);
+  return (Math.atan2(dLng, b.lat - a.lat) * 180) / Math.PI;
+}
+
+/**
+ * Routes API maneuver for a change of heading (degrees, positive is clockwise/right).
+ */
+function turnManeuver(delta) {
+  const side = delta < 0 ? 'LEFT' : 'RIGHT';
+  const angle = Math.abs(delta);
+  if (angle < 20) return 'STRAIGHT';
+  if (angle < 45) return `TURN_SLIGHT_${side}`;
+  if (angle < 120) return `TURN_${side}`;
+  if (angle < 170) return `TURN_SHARP_${side}`;
+  return `UTURN_${side}`;
+}
+
+/**
+ * Turn a shortest path into a leg, with one step per stretch of the same street.
+ * Steps are split wherever the street name changes (or, for unnamed ways, the way itself).
+ */
+function buildLeg(graph, pathResult, languageCode) {
+  const points = pathResult.nodes.map(i => graph.points[i]);
+  const segments = [];
+
+  pathResult.ways.forEach((way, i) => {
+    const { name } = graph.ways[way];
+    const key = name || `way:${way}`;
+    const a = points[i];
+    const b = points[i + 1];
+    const meters = graph.edges[pathResult.nodes[i]].find(e => e.to === pathResult.nodes[i + 1]).meters;
+    const last = segments[segments.length - 1];
+
+    if (last && last.key === key) {
+      last.meters += meters;
+      last.endBearing = bearingDegrees(a, b);
+    } else {
+      const bearing = bearingDegrees(a, b);
+      segments.push({ key, name, meters, startBearing: bearing, endBearing: bearing });
+    }
+  });
+
+  const steps = segments.map((segment, i) => {
+    let maneuver = 'DEPART';
+    if (i > 0) {
+      const delta = ((segment.startBearing - segments[i - 1].endBearing + 540) % 360) - 180;
+      maneuver = turnManeuver(delta);
+      if (maneuver === 'STRAIGHT' && segment.name) maneuver = 'NAME_CHANGE';
+    }
+    return {
+      distanceMeters: segment.meters,
+      durationSeconds: segment.meters / WALKING_SPEED_MPS,
+      maneuver,
+      instructions: instructionText(maneuver, segment.name, languageCode)
+    };
+  });
+
+  return {
+    distanceMeters: pathResult.meters,
+    durationSeconds: pathResult.meters / WALKING_SPEED_MPS,
+    points,
+    steps
+  };
+}
+
+/**
+ * Routing provider that walks a pedestrian graph built from a local OpenStreetMap extract
+ * (.osm.pbf or OSM XML), so routes can be generated with no network access.
+ * The extract is parsed on first use and cached.
+ */
+function createOfflineRoutingProvider(extractPath) {
+  return {
+    name: 'offline',
+    maxWaypoints: DEFAULT_MAX_WAYPOINTS,
+
+    async computeRoutes(request) {
+      const graph = loadGraph(extractPath);
+      const stops = routeStops(request).map(p => nearestNode(graph, p, MAX_SNAP_METERS));
+      if (stops.includes(-1)) return { routes: [] };
+
+      const legs = [];
+      for (let i = 1; i < stops.length; i++) {
+        const pathResult = shortestPath(graph, stops[i - 1], stops[i]);
+        if (!pathResult) return { routes: [] };
+        legs.push(buildLeg(graph, pathResult, request.languageCode));
+      }
+
+      return {
+        routes: [normalizeRoute({
+          distanceMeters: legs.reduce((sum, leg) => sum + leg.distanceMeters, 0),
+          durationSeconds: legs.reduce((sum, leg) => sum + leg.durationSeconds, 0),
+          points: joinPaths(legs.map(leg => leg.points)),
+          legs
+        })]
+      };
+    }
+  };
+}
+
+module.exports = {
+  createOfflineRoutingProvider,
+  loadGraph,
+  turnManeuver,
+  WALKING_SPEED_MPS
+};
@@ -0,0 +1,198 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal OSM PBF reader (https://wiki.openstreetmap.org/wiki/PBF_Format): decodes zlib or raw
+ * blobs of Nodes, DenseNodes and Ways. Relations, metadata and node tags are skipped.
+ * Returns { nodes: Map<id, {lat, lng}>, ways: [{ id, refs, tags }] }, the same as parseOsmXml.
+ *
+ * Protobuf varints are decoded with arithmetic rather than bit operations so 64-bit ids
+ * stay exact up to 2^53.
+ */
+
+const TWO_POW_63 = 2 ** 63;
+const TWO_POW_64 = 2 ** 64;
+
+function readVarint(buf, state) {
+  let result = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    byte = buf[state.pos++];
+    result += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte & 0x80);
+  return result;
+}
+
+// int64 values are two's complement, so negatives arrive as huge unsigned varints
+function toInt64(value) {
+  return value >= TWO_POW_63 ? value - TWO_POW_64 : value;
+}
+
+function zigzag(value) {
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+/**
+ * Decode a protobuf message into [field, value] pairs. Length-delimited values are Buffers.
+ */
+function readFields(buf) {
+  const state = { pos: 0 };
+  const fields = [];
+
+  while (state.pos < buf.length) {
+    const key = readVarint(buf, state);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+    let value;
+
+    if (wireType === 0) {
+      value = readVarint(buf, state);
+    } else if (wireType === 2) {
+      const length = readVarint(buf, state);
+      value = buf.subarray(state.pos, state.pos + length);
+      state.pos += length;
+    } else if (wireType === 1) {
+      value = buf.subarray(state.pos, state.pos + 8);
+      state.pos += 8;
+    } else if (wireType === 5) {
+      value = buf.subarray(state.pos, state.pos + 4);
+      state.pos += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+
+    fields.push([field, value]);
+  }
+
+  return fields;
+}
+
+function readPacked(buf) {
+  const state = { pos: 0 };
+  const values = [];
+  while (state.pos < buf.length) {
+    values.push(readVarint(buf, state));
+  }
+  return values;
+}
+
+function readBlob(buf) {
+  for (const [field, value] of readFields(buf)) {
+    if (field === 1) return value;
+    if (field === 3) return zlib.inflateSync(value);
+    if (field === 4 || field === 6 || field === 7) {
+      throw new Error('Only zlib-compressed or raw PBF blobs are supported');
+    }
+  }
+  return Buffer.alloc(0);
+}
+
+function readTags(keys, vals, strings) {
+  const tags = {};
+  keys.forEach((k, i) => {
+    tags[strings[k]] = strings[vals[i]];
+  });
+  return tags;
+}
+
+function readPrimitiveBlock(buf, nodes, ways) {
+  let strings = [];
+  let granularity = 100;
+  let latOffset = 0;
+  let lonOffset = 0;
+  const groups = [];
+
+  for (const [field, value] of readFields(buf)) {
+    if (field === 1) strings = readFields(value).filter(([f]) => f === 1).map(([, s]) => s.toString('utf8'));
+    else if (field === 2) groups.push(value);
+    else if (field === 17) granularity = value;
+    else if (field === 19) latOffset = toInt64(value);
+    else if (field === 20) lonOffset = toInt64(value);
+  }
+
+  const toDegrees = (offset, value) => 1e-9 * (offset + granularity * value);
+
+  groups.forEach(group => {
+    for (const [field, value] of readFields(group)) {
+      if (field === 1) {
+        // Plain Node
+        let id = 0;
+        let lat = 0;
+        let lon = 0;
+        for (const [f, v] of readFields(value)) {
+          if (f === 1) id = zigzag(v);
+          else if (f === 8) lat = zigzag(v);
+          else if (f === 9) lon = zigzag(v);
+        }
+        nodes.set(id, { lat: toDegrees(latOffset, lat), lng: toDegrees(lonOffset, lon) });
+      } else if (field === 2) {
+        // DenseNodes: ids and coordinates are delta-coded
+        let ids = [];
+        let lats = [];
+        let lons = [];
+        for (const [f, v] of readFields(value)) {
+          if (f === 1) ids = readPacked(v);
+          else if (f === 8) lats = readPacked(v);
+          else if (f === 9) lons = readPacked(v);
+        }
+        let id = 0;
+        let lat = 0;
+        let lon = 0;
+        ids.forEach((delta, i) => {
+          id += zigzag(delta);
+          lat += zigzag(lats[i]);
+          lon += zigzag(lons[i]);
+          nodes.set(id, { lat: toDegrees(latOffset, lat), lng: toDegrees(lonOffset, lon) });
+        });
+      } else if (field === 3) {
+        let id = 0;
+        let keys = [];
+        let vals = [];
+        let refs = [];
+        for (const [f, v] of readFields(value)) {
+          if (f === 1) id = v;
+          else if (f === 2) keys = readPacked(v);
+          else if (f === 3) vals = readPacked(v);
+          else if (f === 8) refs = readPacked(v);
+        }
+        let ref = 0;
+        ways.push({
+          id,
+          refs: refs.map(delta => (ref += zigzag(delta))),
+          tags: readTags(keys, vals, strings)
+        });
+      }
+    }
+  });
+}
+
+function parseOsmPbf(buf) {
+  const nodes = new Map();
+  const ways = [];
+  let pos = 0;
+
+  while (pos < buf.length) {
+    const headerLength = buf.readUInt32BE(pos);
+    pos += 4;
+
+    let type = '';
+    let dataSize = 0;
+    for (const [field, value] of readFields(buf.subarray(pos, pos + headerLength))) {
+      if (field === 1) type = value.toString('utf8');
+      else if (field === 3) dataSize = value;
+    }
+    pos += headerLength;
+
+    const blob = buf.subarray(pos, pos + dataSize);
+    pos += dataSize;
+
+    if (type === 'OSMData') {
+      readPrimitiveBlock(readBlob(blob), nodes, ways);
+    }
+  }
+
+  return { nodes, ways };
+}
+
+module.exports = { parseOsmPbf };
@@ -0,0 +1,50 @@
+const { unescapeXml } = require('../../../public/route-import');
+
+/**
+ * Minimal OSM XML reader: node coordinates and ways with their node refs and tags.
+ * Uses regexes like public/route-import.js; relations and node tags are ignored.
+ * Returns { nodes: Map<id, {lat, lng}>, ways: [{ id, refs, tags }] }.
+ */
+
+function readAttrs(tag) {
+  const attrs = {};
+  const re = /([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = re.exec(tag)) !== null) {
+    attrs[match[1]] = unescapeXml(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attrs;
+}
+
+function parseOsmXml(text) {
+  const nodes = new Map();
+  const ways = [];
+
+  const nodeRe = /<node\b([^>]*)>/g;
+  let match;
+  while ((match = nodeRe.exec(text)) !== null) {
+    const attrs = readAttrs(match[1]);
+    const lat = parseFloat(attrs.lat);
+    const lng = parseFloat(attrs.lon);
+    if (attrs.id && Number.isFinite(lat) && Number.isFinite(lng)) {
+      nodes.set(Number(attrs.id), { lat, lng });
+    }
+  }
+
+  const wayRe = /<way\b([^>]*)>([\s\S]*?)<\/way>/g;
+  while ((match = wayRe.exec(text)) !== null) {
+    const { id } = readAttrs(match[1]);
+    const body = match[2];
+    const refs = (body.match(/<nd\b[^>]*>/g) || []).map(nd => Number(readAttrs(nd).ref));
+    const tags = {};
+    (body.match(/<tag\b[^>]*>/g) || []).forEach(tag => {
+      const { k, v } = readAttrs(tag);
+      if (k !== undefined) tags[k] = v;
+    });
+    ways.push({ id: Number(id), refs, tags });
+  }
+
+  return { nodes, ways };
+}
+
+module.exports = { parseOsmXml };
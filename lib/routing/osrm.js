@@ -0,0 +1,91 @@
+const { decodePolyline } = require('../../public/polyline');
+const { RoutingError } = require('./errors');
+const { upstreamFetch, getUpstreamPolicy } = require('./upstream');
+const { normalizeRoute, instructionText, joinPaths, routeStops } = require('./normalize');
+
+// OSRM turn modifiers → Routes API maneuvers
+const MODIFIER_MANEUVERS = {
+  'uturn': 'UTURN_LEFT',
+  'sharp right': 'TURN_SHARP_RIGHT',
+  'right': 'TURN_RIGHT',
+  'slight right': 'TURN_SLIGHT_RIGHT',
+  'straight': 'STRAIGHT',
+  'slight left': 'TURN_SLIGHT_LEFT',
+  'left': 'TURN_LEFT',
+  'sharp left': 'TURN_SHARP_LEFT'
+};
+
+// osrm-routed's default --max-viaroute-size is 500 coordinates, origin and destination included
+const MAX_WAYPOINTS = 498;
+
+// OSRM codes that mean "no route between these points" rather than a server fault
+const NO_ROUTE_CODES = ['NoRoute', 'NoSegment'];
+
+function toManeuver({ type, modifier = '' }) {
+  const side = modifier.includes('left') ? 'LEFT' : 'RIGHT';
+  switch (type) {
+    case 'depart': return 'DEPART';
+    case 'new name': return 'NAME_CHANGE';
+    case 'merge': return 'MERGE';
+    case 'fork': return `FORK_${side}`;
+    case 'on ramp':
+    case 'off ramp': return `RAMP_${side}`;
+    case 'roundabout':
+    case 'rotary':
+    case 'roundabout turn': return `ROUNDABOUT_${side}`;
+    default: return MODIFIER_MANEUVERS[modifier] || 'STRAIGHT';
+  }
+}
+
+/**
+ * Routing provider for a self-hosted OSRM server (http://project-osrm.org) with a foot profile.
+ */
+function createOsrmRoutingProvider(baseUrl, profile = 'foot') {
+  return {
+    name: 'osrm',
+    maxWaypoints: MAX_WAYPOINTS,
+
+    async computeRoutes(request) {
+      const coordinates = routeStops(request).map(p => `${p.lng},${p.lat}`).join(';');
+      const url = `${baseUrl.replace(/\/$/, '')}/route/v1/${profile}/${coordinates}` +
+        '?overview=full&geometries=polyline&steps=true';
+
+      const response = await upstreamFetch('OSRM', url, {}, getUpstreamPolicy(process.env, request.deadline));
+      const data = await response.json();
+
+      if (NO_ROUTE_CODES.includes(data.code)) {
+        return { routes: [] };
+      }
+      if (!response.ok || data.code !== 'Ok') {
+        console.error('OSRM error:', JSON.stringify(data));
+        throw new RoutingError('OSRM error', response.ok ? 502 : response.status, data.message || data.code);
+      }
+
+      return {
+        routes: data.routes.slice(0, 1).map(route => normalizeRoute({
+          distanceMeters: route.distance,
+          durationSeconds: route.duration,
+          points: decodePolyline(route.geometry),
+          legs: route.legs.map(leg => ({
+            distanceMeters: leg.distance,
+            durationSeconds: leg.duration,
+            points: joinPaths(leg.steps.map(step => decodePolyline(step.geometry))),
+            steps: leg.steps
+              .filter(step => step.maneuver.type !== 'arrive')
+              .map(step => {
+                const maneuver = toManeuver(step.maneuver);
+                return {
+                  distanceMeters: step.distance,
+                  durationSeconds: step.duration,
+                  maneuver,
+                  instructions: instructionText(maneuver, step.name, request.languageCode)
+                };
+              })
+          }))
+        }))
+      };
+    }
+  };
+}
+
+module.exports = { createOsrmRoutingProvider };
@@ -0,0 +1,176 @@
+const { RoutingError } = require('./errors');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 250;
+const MAX_RETRY_DELAY_MS = 4000; // longer waits (including Retry-After) give up instead
+const DEFAULT_DEADLINE_MS = 25000; // whole API request, inside the 30 s maxDuration in vercel.json
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_COOLDOWN_MS = 30000;
+
+// Circuit breakers by backend label ('Routes API', 'OSRM', ...), shared across requests in a warm function
+const breakers = new Map();
+
+function envInt(value, fallback, min) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+/**
+ * Timeout, retry and circuit breaker settings from the environment:
+ * ROUTING_TIMEOUT_MS, ROUTING_RETRIES, ROUTING_RETRY_BASE_MS,
+ * ROUTING_BREAKER_THRESHOLD (consecutive failures) and ROUTING_BREAKER_COOLDOWN_MS.
+ * A deadline (epoch ms, see requestDeadline) caps the call, retries included.
+ */
+function getUpstreamPolicy(env = process.env, deadline = undefined) {
+  return {
+    timeoutMs: envInt(env.ROUTING_TIMEOUT_MS, DEFAULT_TIMEOUT_MS, 1),
+    retries: envInt(env.ROUTING_RETRIES, DEFAULT_RETRIES, 0),
+    retryBaseMs: envInt(env.ROUTING_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS, 0),
+    breakerThreshold: envInt(env.ROUTING_BREAKER_THRESHOLD, DEFAULT_BREAKER_THRESHOLD, 1),
+    breakerCooldownMs: envInt(env.ROUTING_BREAKER_COOLDOWN_MS, DEFAULT_BREAKER_COOLDOWN_MS, 0),
+    ...(deadline !== undefined && { deadline })
+  };
+}
+
+/**
+ * When an API request started now must be done with the routing server:
+ * ROUTING_DEADLINE_MS (default DEFAULT_DEADLINE_MS) from now, as epoch ms.
+ */
+function requestDeadline(env = process.env, now = Date.now()) {
+  return now + envInt(env.ROUTING_DEADLINE_MS, DEFAULT_DEADLINE_MS, 1);
+}
+
+/**
+ * Close every circuit (for tests and after a config change).
+ */
+function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+function breakerFor(label) {
+  if (!breakers.has(label)) breakers.set(label, { failures: 0, openUntil: 0 });
+  return breakers.get(label);
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Milliseconds a Retry-After header asks for (delta-seconds or an HTTP date), or null.
+ */
+function retryAfterMs(response, now = Date.now()) {
+  const value = response.headers?.get?.('retry-after');
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * "Full jitter" exponential backoff: a random wait up to base * 2^attempt, capped.
+ */
+function backoffMs(attempt, baseMs) {
+  return Math.random() * Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** attempt);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function fetchWithTimeout(url, init, timeoutMs, label) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw new RoutingError(`${label} timed out`, 504, `No response within ${timeoutMs} ms`, 'ROUTING_TIMEOUT');
+    }
+    throw new RoutingError(`${label} unreachable`, 502, err.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function deadlineError(label) {
+  return new RoutingError(`${label} timed out`, 504, 'The request ran out of time for the routing server', 'ROUTING_TIMEOUT');
+}
+
+function recordFailure(breaker, policy) {
+  breaker.failures++;
+  if (breaker.failures >= policy.breakerThreshold) {
+    breaker.openUntil = Date.now() + policy.breakerCooldownMs;
+  }
+}
+
+/**
+ * fetch() for a routing backend with a timeout, retries and a circuit breaker.
+ *
+ * Each attempt is aborted after timeoutMs. 429 and 5xx responses are retried up to `retries`
+ * times with jittered exponential backoff, waiting for Retry-After instead when the backend
+ * sends one (unless it asks for longer than MAX_RETRY_DELAY_MS). The last response is returned
+ * as is, so callers keep their own error handling for it.
+ *
+ * With policy.deadline, attempts are cut short to end by then and a retry that can't start
+ * before it is skipped; a call made after the deadline fails with a 504 RoutingError.
+ * A retried response's body is cancelled so its connection is freed.
+ *
+ * After breakerThreshold consecutive failed calls (timeouts, unreachable backend, or 429/5xx
+ * once retries run out) the circuit opens and calls fail fast with a 503 RoutingError for
+ * breakerCooldownMs; then one trial call is let through to close it again.
+ */
+async function upstreamFetch(label, url, init = {}, policy = getUpstreamPolicy(), wait = sleep) {
+  const breaker = breakerFor(label);
+  const now = Date.now();
+  const deadline = policy.deadline ?? Infinity;
+  if (now >= deadline) throw deadlineError(label);
+  if (breaker.openUntil > now) {
+    const seconds = Math.ceil((breaker.openUntil - now) / 1000);
+    throw new RoutingError(`${label} unavailable`, 503,
+      `Stopped calling ${label} after ${breaker.failures} failures in a row; retrying in ${seconds} s`,
+      'ROUTING_UNAVAILABLE');
+  }
+  if (breaker.failures >= policy.breakerThreshold) {
+    // Half-open: this call is the trial, and the circuit stays shut to others until it settles
+    breaker.openUntil = now + policy.breakerCooldownMs;
+  }
+
+  let response;
+  let deadlineHit = false; // running out of time says nothing about the backend
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const remaining = deadline - Date.now();
+      deadlineHit = remaining <= policy.timeoutMs;
+      if (remaining <= 0) throw deadlineError(label);
+      response = await fetchWithTimeout(url, init, Math.min(policy.timeoutMs, remaining), label);
+      if (!isRetryable(response.status) || attempt >= policy.retries) break;
+
+      const requested = retryAfterMs(response);
+      if (requested !== null && requested > MAX_RETRY_DELAY_MS) break;
+      const delay = requested !== null ? requested : backoffMs(attempt, policy.retryBaseMs);
+      if (Date.now() + delay >= deadline) break;
+      response.body?.cancel().catch(() => {});
+      await wait(delay);
+    }
+  } catch (err) {
+    if (!(deadlineHit && err.code === 'ROUTING_TIMEOUT')) recordFailure(breaker, policy);
+    throw err;
+  }
+
+  if (isRetryable(response.status)) {
+    recordFailure(breaker, policy);
+  } else {
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+  }
+  return response;
+}
+
+module.exports = {
+  upstreamFetch,
+  getUpstreamPolicy,
+  requestDeadline,
+  resetCircuitBreakers,
+  retryAfterMs,
+  MAX_RETRY_DELAY_MS
+};
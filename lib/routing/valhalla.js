@@ -0,0 +1,83 @@
+const { decodePolyline } = require('../../public/polyline');
+const { METERS_PER_MILE } = require('../../public/route-generator');
+const { RoutingError } = require('./errors');
+const { upstreamFetch, getUpstreamPolicy } = require('./upstream');
+const { normalizeRoute, routeStops, joinPaths } = require('./normalize');
+
+// Valhalla maneuver types → Routes API maneuvers (types 4–6 are arrivals and are dropped)
+const TYPE_MANEUVERS = {
+  1: 'DEPART', 2: 'DEPART', 3: 'DEPART',
+  7: 'NAME_CHANGE', 8: 'STRAIGHT',
+  9: 'TURN_SLIGHT_RIGHT', 10: 'TURN_RIGHT', 11: 'TURN_SHARP_RIGHT',
+  12: 'UTURN_RIGHT', 13: 'UTURN_LEFT',
+  14: 'TURN_SHARP_LEFT', 15: 'TURN_LEFT', 16: 'TURN_SLIGHT_LEFT',
+  17: 'STRAIGHT', 18: 'RAMP_RIGHT', 19: 'RAMP_LEFT', 20: 'RAMP_RIGHT', 21: 'RAMP_LEFT',
+  22: 'STRAIGHT', 23: 'FORK_RIGHT', 24: 'FORK_LEFT', 25: 'MERGE',
+  26: 'ROUNDABOUT_RIGHT', 27: 'ROUNDABOUT_RIGHT', 28: 'FERRY', 29: 'FERRY',
+  37: 'MERGE', 38: 'MERGE'
+};
+const ARRIVAL_TYPES = [4, 5, 6];
+// Valhalla error codes for locations it can't route between
+const NO_ROUTE_ERROR_CODES = [171, 442, 443];
+const SHAPE_PRECISION = 6;
+// Valhalla's default service_limits allow 50 locations per pedestrian route
+const MAX_WAYPOINTS = 48;
+
+/**
+ * Routing provider for a self-hosted Valhalla server with pedestrian costing.
+ */
+function createValhallaRoutingProvider(baseUrl, costing = 'pedestrian') {
+  return {
+    name: 'valhalla',
+    maxWaypoints: MAX_WAYPOINTS,
+
+    async computeRoutes(request) {
+      // Lengths in the response, and distances in the narrative, come back in these units
+      const units = request.units === 'IMPERIAL' ? 'miles' : 'kilometers';
+      const unitMeters = units === 'miles' ? METERS_PER_MILE : 1000;
+      const response = await upstreamFetch('Valhalla', `${baseUrl.replace(/\/$/, '')}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          locations: routeStops(request).map(p => ({ lat: p.lat, lon: p.lng, type: 'break' })),
+          costing,
+          directions_options: { units, language: request.languageCode || 'en-US' }
+        })
+      }, getUpstreamPolicy(process.env, request.deadline));
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (NO_ROUTE_ERROR_CODES.includes(data.error_code)) {
+          return { routes: [] };
+        }
+        console.error('Valhalla error:', JSON.stringify(data));
+        throw new RoutingError('Valhalla error', response.status, data.error || JSON.stringify(data));
+      }
+
+      const legs = data.trip.legs.map(leg => ({
+        distanceMeters: leg.summary.length * unitMeters,
+        durationSeconds: leg.summary.time,
+        points: decodePolyline(leg.shape, SHAPE_PRECISION),
+        steps: leg.maneuvers
+          .filter(m => !ARRIVAL_TYPES.includes(m.type))
+          .map(m => ({
+            distanceMeters: m.length * unitMeters,
+            durationSeconds: m.time,
+            maneuver: TYPE_MANEUVERS[m.type],
+            instructions: m.instruction
+          }))
+      }));
+
+      return {
+        routes: [normalizeRoute({
+          distanceMeters: data.trip.summary.length * unitMeters,
+          durationSeconds: data.trip.summary.time,
+          points: joinPaths(legs.map(leg => leg.points)),
+          legs
+        })]
+      };
+    }
+  };
+}
+
+module.exports = { createValhallaRoutingProvider };
@@ -0,0 +1,105 @@
+const { ApiError, ERROR_CODES } = require('./api-errors');
+const { isLanguageTag, resolveLanguage, DEFAULT_LANGUAGE } = require('./locale');
+
+const MAX_BODY_BYTES = 64 * 1024; // far more than any route request needs, even with a detailed boundary
+
+function invalid(code, message, field) {
+  return new ApiError(400, code, message, field);
+}
+
+/**
+ * Reject bodies over maxBytes (413) and anything that isn't a JSON object (400).
+ * Uses Content-Length when the client sent one, else the size of the parsed body.
+ */
+function checkBody(req, maxBytes = MAX_BODY_BYTES) {
+  const declared = Number(req.headers?.['content-length']);
+  const size = Number.isFinite(declared) && declared > 0
+    ? declared
+    : Buffer.byteLength(typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? null));
+  if (size > maxBytes) {
+    throw new ApiError(413, ERROR_CODES.BODY_TOO_LARGE, `Request body must be at most ${maxBytes} bytes`);
+  }
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    throw invalid(ERROR_CODES.INVALID_BODY, 'Request body must be a JSON object');
+  }
+  return req.body;
+}
+
+/**
+ * Validate a { lat, lng } point: finite numbers, latitude -90..90 and longitude -180..180.
+ * Returns a clean copy without any extra properties.
+ */
+function checkLatLng(value, field) {
+  if (value === undefined || value === null) {
+    throw invalid(ERROR_CODES.MISSING_FIELD, `${field} is required`, field);
+  }
+  if (typeof value !== 'object') {
+    throw invalid(ERROR_CODES.INVALID_COORDINATE, `${field} must be an object with lat and lng`, field);
+  }
+  const { lat, lng } = value;
+  if (typeof lat !== 'number' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw invalid(ERROR_CODES.INVALID_COORDINATE, `${field}.lat must be a number from -90 to 90`, `${field}.lat`);
+  }
+  if (typeof lng !== 'number' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw invalid(ERROR_CODES.INVALID_COORDINATE, `${field}.lng must be a number from -180 to 180`, `${field}.lng`);
+  }
+  return { lat, lng };
+}
+
+/**
+ * Validate an array of points, at most `max` long.
+ */
+function checkLatLngList(value, field, max) {
+  if (!Array.isArray(value)) {
+    throw invalid(ERROR_CODES.INVALID_FIELD, `${field} must be an array of {lat, lng} points`, field);
+  }
+  if (value.length > max) {
+    throw invalid(ERROR_CODES.TOO_MANY_WAYPOINTS, `${field} can have at most ${max} points`, field);
+  }
+  return value.map((p, i) => checkLatLng(p, `${field}[${i}]`));
+}
+
+/**
+ * Validate the client's unit setting (useKm, default false) and language (a BCP 47 tag such as
+ * navigator.language, default en-US). Returns { units: 'METRIC' | 'IMPERIAL', languageCode } with
+ * the language resolved to a supported one (see lib/locale).
+ */
+function checkRouteLocale(body) {
+  const { useKm, language } = body;
+  if (useKm !== undefined && useKm !== null && typeof useKm !== 'boolean') {
+    throw invalid(ERROR_CODES.INVALID_FIELD, 'useKm must be true or false', 'useKm');
+  }
+  if (language !== undefined && language !== null && !isLanguageTag(language)) {
+    throw invalid(ERROR_CODES.INVALID_FIELD, 'language must be a language tag such as en-US', 'language');
+  }
+  return {
+    units: useKm ? 'METRIC' : 'IMPERIAL',
+    languageCode: language ? resolveLanguage(language) : DEFAULT_LANGUAGE
+  };
+}
+
+/**
+ * Validate a /api/route body against the router's waypoint limit.
+ * Returns { origin, destination, waypoints, units, languageCode } with only lat/lng kept
+ * on the points; throws ApiError.
+ */
+function validateRouteRequest(body, { maxWaypoints }) {
+  const origin = checkLatLng(body.origin, 'origin');
+  if (body.waypoints === undefined || body.waypoints === null) {
+    throw invalid(ERROR_CODES.MISSING_FIELD, 'waypoints is required', 'waypoints');
+  }
+  const waypoints = checkLatLngList(body.waypoints, 'waypoints', maxWaypoints);
+  const destination = body.destination === undefined || body.destination === null
+    ? undefined
+    : checkLatLng(body.destination, 'destination');
+  return { origin, destination, waypoints, ...checkRouteLocale(body) };
+}
+
+module.exports = {
+  checkBody,
+  checkLatLng,
+  checkLatLngList,
+  checkRouteLocale,
+  validateRouteRequest,
+  MAX_BODY_BYTES
+};
@@ -2,11 +2,43 @@ let map;
 let startMarker;
 let startLocation = null;
 let currentPolyline = null;
+let outsideStretchLines = []; // parts of the route outside the boundary, drawn over it
 let waypointMarkers = [];
 let lastDistanceMiles = null;
 let lastActualDistanceMeters = null;
 let lastWaypoints = [];
+let lastRouteData = null;
+let elevationProfile = null;
+let elevationMarker = null;
 let useKm = false;
+// Locale for the UI, number formats and the directions; the switcher's choice is kept in localStorage
+let language = detectLocale(readSavedLanguage(), navigator.languages || [navigator.language]);
+let terrain = 'any';
+let routeShape = 'loop';
+let destinationLocation = null;
+let destinationMarker = null;
+let pickingDestination = false;
+let lastDestination = null; // end of the last generated route; null when it returns to start
+let alternatives = []; // runners-up from the last /api/loop call, best first
+let alternativesKey = null; // request body they were generated for
+let lastPetals = null;
+let lastShape = 'loop';
+let lastTurnaround = null;
+let lastBoundary = []; // boundary the last route was generated within
+let lastExclusions = []; // exclusion zones it was generated around
+let lastRouteSaved = false;
+let lastPermalink = null; // what the URL hash records about the route on screen
+let lastSeed = null; // { seed, alternative } the route on screen was generated with, if known
+let directionsStepCount = 0;
+
+// Saved routes (IndexedDB)
+const routeLibrary = openRouteLibrary();
+
+// Routes shown this session, for back/forward and compare
+const routeHistory = createRouteHistory();
+let comparePolyline = null;
+let comparedPair = null; // "current:other" history numbers comparePolyline was drawn for
+let compareNumber = null; // history entry the current route is compared with
 
 // Boundary state
 let boundaryMode = false;
@@ -14,6 +46,15 @@ let boundaryVertices = [];
 let boundaryMarkers = [];
 let boundaryPolygon = null;
 let boundaryPreview = null; // live polyline while drawing
+let drawingTarget = 'boundary'; // what the shape being drawn becomes: 'boundary' or 'exclusion'
+let drawingVertices = []; // points of the shape being drawn
+
+// Exclusion zones: areas every route must keep out of
+let exclusionZones = []; // [{ vertices, polygon }]
+
+// Imported route state
+let importedRoute = null; // { name, points, distanceMeters }
+let importedPolyline = null;
 
 const searchInput = document.getElementById('search');
 const distanceInput = document.getElementById('distance');
@@ -22,41 +63,108 @@ const regenerateBtn = document.getElementById('regenerate');
 const setBoundaryBtn = document.getElementById('set-boundary');
 const doneBoundaryBtn = document.getElementById('done-boundary');
 const clearBoundaryBtn = document.getElementById('clear-boundary');
+const setExclusionBtn = document.getElementById('set-exclusion');
+const clearExclusionsBtn = document.getElementById('clear-exclusions');
+const boundaryToleranceGroup = document.getElementById('boundary-tolerance-group');
+const boundaryToleranceSelect = document.getElementById('boundary-tolerance');
 const routeInfo = document.getElementById('route-info');
 const infoDistance = document.getElementById('info-distance');
 const infoDuration = document.getElementById('info-duration');
+const infoClimbRow = document.getElementById('info-climb-row');
+const infoClimb = document.getElementById('info-climb');
+const infoPetals = document.getElementById('info-petals');
+const elevationEl = document.getElementById('elevation');
+const elevationChart = document.getElementById('elevation-chart');
 const loadingEl = document.getElementById('loading');
 const errorEl = document.getElementById('error');
 const googleMapsLink = document.getElementById('google-maps-link');
+const exportActions = document.getElementById('export-actions');
+const exportGpxBtn = document.getElementById('export-gpx');
+const exportTcxBtn = document.getElementById('export-tcx');
 const directionsEl = document.getElementById('directions');
 const directionsToggle = document.getElementById('directions-toggle');
 const directionsToggleText = document.getElementById('directions-toggle-text');
 const directionsList = document.getElementById('directions-list');
 const unitMiBtn = document.getElementById('unit-mi');
 const unitKmBtn = document.getElementById('unit-km');
+const bearingGroup = document.getElementById('bearing-group');
+const bearingSelect = document.getElementById('bearing');
+const destinationGroup = document.getElementById('destination-group');
+const destinationInput = document.getElementById('destination-search');
+const pickDestinationBtn = document.getElementById('pick-destination');
+const petalGroup = document.getElementById('petal-group');
+const petalInput = document.getElementById('petal-distance');
+const petalUnit = document.getElementById('petal-unit');
+const importRouteBtn = document.getElementById('import-route');
+const importFileInput = document.getElementById('import-file');
+const importedInfo = document.getElementById('imported-info');
+const importedName = document.getElementById('imported-name');
+const importedDistance = document.getElementById('imported-distance');
+const importedUseStartBtn = document.getElementById('imported-use-start');
+const importedClearBtn = document.getElementById('imported-clear');
+const languageSelect = document.getElementById('language-select');
+const saveRouteBtn = document.getElementById('save-route');
+const libraryToggle = document.getElementById('library-toggle');
+const libraryEl = document.getElementById('library');
+const librarySearch = document.getElementById('library-search');
+const libraryList = document.getElementById('library-list');
+const libraryEmpty = document.getElementById('library-empty');
+const copyLinkBtn = document.getElementById('copy-link');
+const seedInput = document.getElementById('seed');
+const infoOutsideRow = document.getElementById('info-outside-row');
+const infoOutside = document.getElementById('info-outside');
+const infoSeedRow = document.getElementById('info-seed-row');
+const infoSeed = document.getElementById('info-seed');
+const historyControls = document.getElementById('history-controls');
+const historyBackBtn = document.getElementById('history-back');
+const historyForwardBtn = document.getElementById('history-forward');
+const historyPosition = document.getElementById('history-position');
+const compareToggle = document.getElementById('compare-toggle');
+const compareEl = document.getElementById('compare');
+const compareSelect = document.getElementById('compare-select');
+const compareTable = document.getElementById('compare-table');
+const compareShowBtn = document.getElementById('compare-show');
+
+const BOUNDARY_COLOR = '#f59e0b';
+const EXCLUSION_COLOR = '#ef4444';
+
+// Catalog keys for the route shape names
+const SHAPE_LABEL_KEYS = {
+  loop: 'shape.loop',
+  'out-and-back': 'shape.outAndBack',
+  'point-to-point': 'shape.pointToPoint',
+  cloverleaf: 'shape.cloverleaf'
+};
 
 // --- Init ---
 
 async function init() {
+  initLanguageSwitcher();
+  applyLanguage();
   try {
     const res = await fetch('/api/config');
-    const { apiKey } = await res.json();
+    const { apiKey, error } = await res.json();
+    if (!res.ok) throw new Error(error || t('error.config'));
     await loadGoogleMaps(apiKey);
     initMap();
     initAutocomplete();
     initEvents();
   } catch (err) {
-    showError('Failed to initialize: ' + err.message);
+    showError(t('error.init', { message: err.message }));
+    return;
   }
+  await openPermalink();
 }
 
 function loadGoogleMaps(apiKey) {
   return new Promise((resolve, reject) => {
     const script = document.createElement('script');
-    script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=places,geometry`;
+    // Map labels and place search use the language at load time; switching later needs a reload for them
+    script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=places,geometry` +
+      `&language=${encodeURIComponent(language)}`;
     script.async = true;
     script.onload = resolve;
-    script.onerror = () => reject(new Error('Failed to load Google Maps'));
+    script.onerror = () => reject(new Error(t('error.mapsLoad')));
     document.head.appendChild(script);
   });
 }
@@ -83,10 +191,14 @@ function initMap() {
     ]
   });
 
-  // Click to set starting point or draw boundary
+  // Click to set starting point, destination, or draw boundary
   map.addListener('click', (e) => {
     if (boundaryMode) {
       handleBoundaryClick(e.latLng.lat(), e.latLng.lng());
+    } else if (pickingDestination) {
+      setDestination(e.latLng.lat(), e.latLng.lng());
+      reverseGeocode(e.latLng, destinationInput);
+      setPickingDestination(false);
     } else {
       setStartLocation(e.latLng.lat(), e.latLng.lng());
       reverseGeocode(e.latLng);
@@ -97,6 +209,8 @@ function initMap() {
   if (navigator.geolocation) {
     navigator.geolocation.getCurrentPosition(
       (pos) => {
+        // A start from a shared link (or picked while waiting) wins over the user's location
+        if (startLocation) return;
         const { latitude, longitude } = pos.coords;
         map.setCenter({ lat: latitude, lng: longitude });
         map.setZoom(14);
@@ -120,6 +234,18 @@ function initAutocomplete() {
     map.setCenter(loc);
     map.setZoom(14);
   });
+
+  const destinationAutocomplete = new google.maps.places.Autocomplete(destinationInput, {
+    fields: ['geometry', 'name']
+  });
+
+  destinationAutocomplete.addListener('place_changed', () => {
+    const place = destinationAutocomplete.getPlace();
+    if (!place.geometry) return;
+
+    const loc = place.geometry.location;
+    setDestination(loc.lat(), loc.lng());
+  });
 }
 
 function initEvents() {
@@ -136,6 +262,18 @@ function initEvents() {
     });
   });
 
+  // Route shape
+  document.querySelectorAll('#shape-toggle button').forEach(btn => {
+    btn.addEventListener('click', () => selectShape(btn.dataset.shape));
+  });
+
+  pickDestinationBtn.addEventListener('click', () => setPickingDestination(!pickingDestination));
+
+  // Terrain preference
+  document.querySelectorAll('#terrain-toggle button').forEach(btn => {
+    btn.addEventListener('click', () => selectTerrain(btn.dataset.terrain));
+  });
+
   // Sync active preset with manual input
   distanceInput.addEventListener('input', () => {
     syncPresetHighlight();
@@ -144,17 +282,124 @@ function initEvents() {
   generateBtn.addEventListener('click', () => computeRoute(false));
   regenerateBtn.addEventListener('click', () => computeRoute(true));
 
+  historyBackBtn.addEventListener('click', () => goToHistoryEntry(routeHistory.step(-1)));
+  historyForwardBtn.addEventListener('click', () => goToHistoryEntry(routeHistory.step(1)));
+  compareToggle.addEventListener('click', toggleCompare);
+  compareSelect.addEventListener('change', () => {
+    compareNumber = Number(compareSelect.value);
+    showComparison();
+  });
+  compareShowBtn.addEventListener('click', () => {
+    // Swap: the route on screen becomes the one compared against
+    const from = routeHistory.current();
+    const to = routeHistory.go(compareNumber);
+    compareNumber = from.number;
+    goToHistoryEntry(to);
+  });
+
   setBoundaryBtn.addEventListener('click', toggleBoundaryMode);
   doneBoundaryBtn.addEventListener('click', finishBoundary);
   clearBoundaryBtn.addEventListener('click', clearBoundary);
+  setExclusionBtn.addEventListener('click', toggleExclusionMode);
+  clearExclusionsBtn.addEventListener('click', clearExclusions);
+
+  exportGpxBtn.addEventListener('click', exportGpx);
+  exportTcxBtn.addEventListener('click', exportTcx);
+
+  saveRouteBtn.addEventListener('click', saveCurrentRoute);
+  copyLinkBtn.addEventListener('click', copyPermalink);
+  // A link pasted into a tab that already has the app open only changes the hash
+  window.addEventListener('hashchange', openPermalink);
+  libraryToggle.addEventListener('click', () => {
+    libraryEl.hidden = !libraryEl.hidden;
+    libraryToggle.classList.toggle('active', !libraryEl.hidden);
+    if (!libraryEl.hidden) refreshLibrary();
+  });
+  librarySearch.addEventListener('input', refreshLibrary);
+
+  importRouteBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', () => {
+    if (importFileInput.files[0]) importRouteFile(importFileInput.files[0]);
+    importFileInput.value = '';
+  });
+  importedUseStartBtn.addEventListener('click', useImportedStart);
+  importedClearBtn.addEventListener('click', clearImportedRoute);
+  initFileDrop();
+
+  elevationChart.addEventListener('mousemove', handleElevationHover);
+  elevationChart.addEventListener('mouseleave', clearElevationHover);
 
   directionsToggle.addEventListener('click', () => {
     directionsEl.classList.toggle('expanded');
-    const isExpanded = directionsEl.classList.contains('expanded');
-    directionsToggleText.textContent = isExpanded
-      ? directionsToggleText.textContent.replace('Show', 'Hide')
-      : directionsToggleText.textContent.replace('Hide', 'Show');
+    updateDirectionsToggle();
+  });
+}
+
+// --- Language ---
+
+function readSavedLanguage() {
+  try {
+    return localStorage.getItem('language');
+  } catch (err) {
+    return null; // storage blocked (e.g. private browsing); fall back to the browser's languages
+  }
+}
+
+function initLanguageSwitcher() {
+  Object.entries(UI_LANGUAGES).forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    languageSelect.appendChild(option);
   });
+  languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+}
+
+function setLanguage(locale) {
+  language = locale;
+  try {
+    localStorage.setItem('language', locale);
+  } catch (err) {
+    // Not saved; the choice still applies until the page is reloaded
+  }
+  applyLanguage();
+}
+
+/**
+ * Show the UI in the current language. Directions already on screen came from the routing
+ * provider in the old language; the next route is requested in the new one.
+ */
+function applyLanguage() {
+  document.documentElement.lang = language;
+  languageSelect.value = uiLanguage(language);
+  applyTranslations(document, language);
+  setPickingDestination(pickingDestination);
+  updateBoundaryButton();
+  labelBoundaryTolerances();
+  updateSaveButton();
+  updateHistoryControls();
+  setUnit(useKm); // re-labels presets and re-renders any route on screen
+}
+
+function t(key, params) {
+  return translate(language, key, params);
+}
+
+// --- Route shape ---
+
+function selectShape(shape) {
+  routeShape = shape;
+  document.querySelectorAll('#shape-toggle button').forEach(b => b.classList.toggle('active', b.dataset.shape === shape));
+  bearingGroup.hidden = routeShape !== 'out-and-back';
+  destinationGroup.hidden = routeShape !== 'point-to-point';
+  petalGroup.hidden = routeShape !== 'cloverleaf';
+  if (routeShape !== 'point-to-point') setPickingDestination(false);
+  if (destinationMarker) destinationMarker.setMap(routeShape === 'point-to-point' ? map : null);
+}
+
+function selectTerrain(value) {
+  terrain = value;
+  document.querySelectorAll('#terrain-toggle button').forEach(b => b.classList.toggle('active', b.dataset.terrain === value));
 }
 
 // --- Unit toggle ---
@@ -163,6 +408,11 @@ function kmToMiles(km) {
   return km / 1.60934;
 }
 
+// A distance in miles as the distance inputs show it: in the current unit, to 0.1
+function milesToInput(miles) {
+  return Math.round((useKm ? miles * 1.60934 : miles) * 10) / 10;
+}
+
 function setUnit(km) {
   useKm = km;
   unitMiBtn.classList.toggle('active', !km);
@@ -171,18 +421,35 @@ function setUnit(km) {
   // Update preset labels
   document.querySelectorAll('#presets button').forEach(btn => {
     if (btn.dataset.miles === '13.1') {
-      btn.textContent = 'Half';
+      btn.textContent = t('preset.half');
     } else if (btn.dataset.miles === '26.2') {
-      btn.textContent = 'Full';
+      btn.textContent = t('preset.full');
     } else {
-      btn.textContent = km ? `${btn.dataset.km} km` : `${btn.dataset.miles} mi`;
+      btn.textContent = km ? formatUnit(Number(btn.dataset.km), 'kilometer') : formatUnit(Number(btn.dataset.miles), 'mile');
     }
   });
 
   // Update distance input max
   distanceInput.max = km ? 100 : 50;
+  petalUnit.textContent = km ? 'km' : 'mi';
 
   syncPresetHighlight();
+
+  // Distances already on screen switch units too; directions text follows on the next route
+  if (importedRoute) {
+    importedDistance.textContent = formatDistance(importedRoute.distanceMeters);
+  }
+  if (lastRouteData) {
+    showRouteInfo(lastRouteData);
+    showPetals(lastPetals);
+    if (elevationProfile) {
+      showClimb(elevationProfile);
+      drawElevationChart(null);
+    }
+  }
+  if (!compareEl.hidden) showComparison();
+  if (lastPermalink) updatePermalink();
+  refreshLibrary();
 }
 
 function syncPresetHighlight() {
@@ -224,15 +491,47 @@ function setStartLocation(lat, lng) {
   generateBtn.disabled = false;
 }
 
-function reverseGeocode(latLng) {
+function reverseGeocode(latLng, input = searchInput) {
   const geocoder = new google.maps.Geocoder();
   geocoder.geocode({ location: latLng }, (results, status) => {
     if (status === 'OK' && results[0]) {
-      searchInput.value = results[0].formatted_address;
+      input.value = results[0].formatted_address;
     }
   });
 }
 
+// --- Destination (point-to-point) ---
+
+function setDestination(lat, lng) {
+  destinationLocation = { lat, lng };
+
+  if (destinationMarker) {
+    destinationMarker.setPosition(destinationLocation);
+    destinationMarker.setMap(map);
+  } else {
+    destinationMarker = new google.maps.Marker({
+      position: destinationLocation,
+      map: map,
+      title: t('destination.label'),
+      icon: {
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: 10,
+        fillColor: '#ef4444',
+        fillOpacity: 1,
+        strokeColor: '#fff',
+        strokeWeight: 3
+      },
+      zIndex: 100
+    });
+  }
+}
+
+function setPickingDestination(picking) {
+  pickingDestination = picking;
+  pickDestinationBtn.classList.toggle('picking', picking);
+  pickDestinationBtn.textContent = t(picking ? 'destination.picking' : 'destination.pick');
+}
+
 // --- Route computation ---
 
 async function computeRoute(isRegenerate) {
@@ -241,81 +540,95 @@ async function computeRoute(isRegenerate) {
   const distanceMiles = inputToMiles();
   if (!distanceMiles || distanceMiles < 0.5 || distanceMiles > 50) {
     showError(useKm
-      ? 'Enter a distance between 0.8 and 80 km'
-      : 'Enter a distance between 0.5 and 50 miles');
+      ? t('error.distanceRange', { min: formatUnit(0.8, 'kilometer', 1), max: formatUnit(80, 'kilometer') })
+      : t('error.distanceRange', { min: formatUnit(0.5, 'mile', 1), max: formatUnit(50, 'mile') }));
+    return;
+  }
+
+  if (routeShape === 'point-to-point' && !destinationLocation) {
+    showError(t('error.destinationRequired'));
+    return;
+  }
+
+  const petalMiles = petalToMiles();
+  if (routeShape === 'cloverleaf' && (!petalMiles || petalMiles < 0.5 || petalMiles >= distanceMiles)) {
+    showError(t('error.petalRange', { min: useKm ? formatUnit(0.8, 'kilometer', 1) : formatUnit(0.5, 'mile', 1) }));
+    return;
+  }
+
+  if (exclusionZoneAt(startLocation) !== -1) {
+    showError(t('error.startInExclusion'));
+    return;
+  }
+  if (routeShape === 'point-to-point' && exclusionZoneAt(destinationLocation) !== -1) {
+    showError(t('error.destinationInExclusion'));
     return;
   }
 
+  const seed = readSeed();
+  if (Number.isNaN(seed)) {
+    showError(t('error.seedInvalid', { max: MAX_SEED }));
+    return;
+  }
+
+  const request = {
+    origin: startLocation,
+    destination: routeShape === 'point-to-point' ? destinationLocation : undefined,
+    distanceMiles,
+    boundary: boundaryVertices,
+    exclusions: exclusionZones.length > 0 ? exclusionVertices() : undefined,
+    options: buildLoopOptions(),
+    useKm,
+    language
+  };
+  const key = JSON.stringify(request);
+
+  // Regenerate with unchanged settings shows the next runner-up without another API call
+  if (isRegenerate && key === alternativesKey && alternatives.length > 0) {
+    hideError();
+    showLoopResult(alternatives.shift(), distanceMiles);
+    return;
+  }
+
+  // A typed seed reproduces a layout with Generate; Regenerate wants new layouts, so the server picks
+  if (!isRegenerate && seed !== null) request.options.seed = seed;
+  const body = JSON.stringify(request);
+
   showLoading(true);
   hideError();
   routeInfo.hidden = true;
+  elevationEl.hidden = true;
   googleMapsLink.hidden = true;
+  exportActions.hidden = true;
   directionsEl.hidden = true;
   directionsEl.classList.remove('expanded');
   directionsList.innerHTML = '';
   generateBtn.disabled = true;
   regenerateBtn.disabled = true;
+  highlightExclusions([]);
 
   try {
-    let waypoints;
-    let routeData;
-    let attempts = 0;
-    const maxAttempts = 4;
-    let lastRadius = null;
-
-    while (attempts < maxAttempts) {
-      attempts++;
-
-      if (attempts === 1 || !lastActualDistanceMeters) {
-        waypoints = generateWaypoints(startLocation.lat, startLocation.lng, distanceMiles, null, boundaryVertices);
-      } else {
-        // Adjust based on previous result, biasing toward longer routes
-        const targetMeters = distanceMiles * 1609.34;
-        const biasedTarget = targetMeters * 1.05; // 5% overshoot bias
-        const ratio = biasedTarget / lastActualDistanceMeters;
-        const baseRadius = (distanceMiles * 1609.34) / (2 * Math.PI * 1.15);
-        const adjustedRadius = (lastRadius || baseRadius) * Math.sqrt(ratio);
-        lastRadius = adjustedRadius;
-        waypoints = generateWaypoints(startLocation.lat, startLocation.lng, distanceMiles, adjustedRadius, boundaryVertices);
-      }
-
-      const res = await fetch('/api/route', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ origin: startLocation, waypoints })
-      });
-
-      const data = await res.json();
-
-      if (!res.ok) {
-        throw new Error(data.details || data.error || 'Route generation failed');
-      }
-
-      if (!data.routes || data.routes.length === 0) {
-        throw new Error('No route found. Try a different starting location.');
-      }
-
-      routeData = data.routes[0];
-      lastActualDistanceMeters = routeData.distanceMeters;
-
-      const targetMeters = distanceMiles * 1609.34;
-      const diff = lastActualDistanceMeters - targetMeters;
-      const pctDiff = diff / targetMeters;
+    // The server owns waypoint placement and the distance-refinement loop,
+    // so this is a single round trip regardless of how many attempts it takes.
+    // Regenerate skips the server's route cache so it can't hand back the same route.
+    const headers = { 'Content-Type': 'application/json' };
+    if (isRegenerate) headers['Cache-Control'] = 'no-cache';
+    const res = await fetch('/api/loop', {
+      method: 'POST',
+      headers,
+      body
+    });
 
-      // Asymmetric tolerance: accept up to 10% too long, but only 3% too short
-      const tooLong = pctDiff > 0.10;
-      const tooShort = pctDiff < -0.03;
+    const data = await res.json();
 
-      if ((!tooLong && !tooShort) || attempts >= maxAttempts) {
-        break;
-      }
+    if (!res.ok) {
+      if (data.code === 'ROUTE_BLOCKED') highlightExclusions(data.zones || []);
+      throw new Error(apiErrorMessage(data, t('error.routeFailed')));
     }
 
-    lastDistanceMiles = distanceMiles;
-    lastWaypoints = waypoints;
-    drawRoute(routeData);
-    showRouteInfo(routeData);
-    regenerateBtn.disabled = false;
+    alternatives = data.alternatives || [];
+    alternativesKey = key;
+    showLoopResult(data, distanceMiles);
   } catch (err) {
     showError(err.message);
   } finally {
@@ -324,6 +637,109 @@ async function computeRoute(isRegenerate) {
   }
 }
 
+/**
+ * Show a new route: a /api/loop result, or a saved or shared route in the same shape. It goes
+ * into the session history with the settings it was made with. savedElevation is the profile
+ * stored with a saved route (null if it had none); other routes look theirs up.
+ */
+function showLoopResult(data, distanceMiles, savedElevation) {
+  const entry = routeHistory.push({
+    data,
+    distanceMiles,
+    start: startLocation,
+    startLabel: searchInput.value,
+    destinationLabel: destinationInput.value,
+    boundary: boundaryVertices.slice(),
+    exclusions: exclusionVertices(),
+    options: buildLoopOptions(),
+    elevation: savedElevation,
+    saved: false
+  });
+  showHistoryEntry(entry);
+}
+
+/**
+ * Draw a history entry and make it the route that directions, export, save and share use.
+ */
+function showHistoryEntry(entry) {
+  const { data, distanceMiles, options } = entry;
+  const routeData = data.route;
+  lastActualDistanceMeters = routeData.distanceMeters;
+
+  lastDistanceMiles = distanceMiles;
+  lastWaypoints = data.waypoints;
+  lastDestination = data.destination || null;
+  lastShape = data.shape || options.shape;
+  lastTurnaround = data.turnaround || null;
+  lastBoundary = entry.boundary;
+  lastExclusions = entry.exclusions;
+  lastRouteData = routeData;
+  lastRouteSaved = entry.saved;
+  lastSeed = data.seed === undefined || data.seed === null
+    ? null
+    : { seed: data.seed, alternative: data.alternative || null };
+  drawRoute(routeData);
+  showOutsideBoundary(data);
+  if (data.turnaround) {
+    drawTurnaroundMarker(data.turnaround);
+  }
+  showRouteInfo(routeData);
+  lastPetals = data.petals || null;
+  showPetals(lastPetals);
+  lastPermalink = {
+    start: entry.start,
+    distanceMiles,
+    shape: lastShape,
+    terrain: options.terrain,
+    bearing: options.bearing,
+    petalMiles: options.petalMiles,
+    petalBearings: lastPetals ? lastPetals.map(p => p.bearing) : undefined,
+    seed: lastSeed ? lastSeed.seed : undefined,
+    alternative: lastSeed && lastSeed.alternative ? lastSeed.alternative : undefined,
+    destination: lastDestination,
+    boundary: lastBoundary,
+    exclusions: lastExclusions,
+    waypoints: lastWaypoints
+  };
+  updatePermalink();
+  if (entry.elevation === undefined) {
+    loadElevation(routeData);
+  } else {
+    showElevation(entry.elevation);
+  }
+  updateSaveButton();
+  updateHistoryControls();
+  if (!compareEl.hidden) showComparison();
+  regenerateBtn.disabled = false;
+}
+
+function buildLoopOptions() {
+  const options = { terrain, shape: routeShape };
+  if (boundaryVertices.length >= 3) {
+    options.boundaryTolerance = parseFloat(boundaryToleranceSelect.value);
+  }
+  if (routeShape === 'out-and-back' && bearingSelect.value !== '') {
+    options.bearing = parseFloat(bearingSelect.value);
+  }
+  if (routeShape === 'cloverleaf') {
+    options.petalMiles = petalToMiles();
+  }
+  return options;
+}
+
+// The typed seed: null when blank, NaN when it isn't one /api/loop accepts
+function readSeed() {
+  const text = seedInput.value.trim();
+  if (!text) return null;
+  const seed = /^\d+$/.test(text) ? Number(text) : NaN;
+  return seed <= MAX_SEED ? seed : NaN;
+}
+
+function petalToMiles() {
+  const val = parseFloat(petalInput.value);
+  return useKm ? kmToMiles(val) : val;
+}
+
 // --- Drawing ---
 
 function drawRoute(routeData) {
@@ -337,14 +753,20 @@ function drawRoute(routeData) {
     strokeColor: '#3b82f6',
     strokeOpacity: 0.9,
     strokeWeight: 5,
+    zIndex: 3, // above the boundary and a compared route
     map: map
   });
 
-  // Fit map to show the full route, accounting for the controls panel
+  // Fit map to show the full route
   const bounds = new google.maps.LatLngBounds();
   path.forEach(point => bounds.extend(point));
   bounds.extend(startMarker.getPosition());
   lastWaypoints.forEach(wp => bounds.extend({ lat: wp.lat, lng: wp.lng }));
+  fitRouteBounds(bounds);
+}
+
+// Fit the map to bounds, accounting for the controls panel
+function fitRouteBounds(bounds) {
   const controlsEl = document.getElementById('controls');
   const panelWidth = controlsEl ? controlsEl.offsetWidth + 32 : 20;
   const isMobile = window.innerWidth <= 768;
@@ -354,37 +776,265 @@ function drawRoute(routeData) {
   map.fitBounds(bounds, padding);
 }
 
+function drawTurnaroundMarker(point) {
+  const marker = new google.maps.Marker({
+    position: point,
+    map: map,
+    title: t('marker.turnaround'),
+    label: { text: 'T', color: '#18181b', fontSize: '11px', fontWeight: '700' },
+    icon: {
+      path: google.maps.SymbolPath.CIRCLE,
+      scale: 9,
+      fillColor: '#f4f4f5',
+      fillOpacity: 1,
+      strokeColor: '#3b82f6',
+      strokeWeight: 3
+    },
+    zIndex: 80
+  });
+  waypointMarkers.push(marker);
+}
+
 function clearRoute() {
   if (currentPolyline) {
     currentPolyline.setMap(null);
     currentPolyline = null;
   }
+  outsideStretchLines.forEach(line => line.setMap(null));
+  outsideStretchLines = [];
   waypointMarkers.forEach(m => m.setMap(null));
   waypointMarkers = [];
+  clearElevationHover();
+}
+
+// --- Elevation ---
+
+async function loadElevation(routeData) {
+  elevationProfile = null;
+  infoClimbRow.hidden = true;
+  elevationEl.hidden = true;
+
+  try {
+    const res = await fetch('/api/elevation', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ encodedPolyline: routeData.polyline.encodedPolyline })
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      throw new Error(apiErrorMessage(data, t('error.elevationFailed')));
+    }
+
+    // Kept with the route's history entries, so going back to it doesn't look it up again
+    routeHistory.list().filter(e => e.data.route === routeData).forEach(e => { e.elevation = data; });
+    if (!compareEl.hidden) showComparison();
+
+    // A newer route may have been drawn while this request was in flight
+    if (routeData !== lastRouteData) return;
+
+    showElevation(data);
+  } catch (err) {
+    // Elevation is supplementary; the route is still usable without it
+    console.warn('Elevation unavailable:', err.message);
+  }
+}
+
+function showElevation(profile) {
+  elevationProfile = profile;
+  infoClimbRow.hidden = !profile;
+  elevationEl.hidden = !profile;
+  if (!profile) return;
+  showClimb(profile);
+  drawElevationChart(null);
+}
+
+function showClimb(profile) {
+  infoClimb.textContent = `+${formatElevation(profile.ascentMeters)} / \u2212${formatElevation(profile.descentMeters)}`;
+}
+
+function formatElevation(meters) {
+  return useKm ? formatUnit(meters, 'meter') : formatUnit(meters * 3.28084, 'foot');
+}
+
+function drawElevationChart(hoverIndex) {
+  const samples = elevationProfile.samples.filter(s => s.elevationMeters !== null);
+  if (samples.length < 2) return;
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = elevationChart.clientWidth;
+  const height = elevationChart.clientHeight;
+  elevationChart.width = width * ratio;
+  elevationChart.height = height * ratio;
+
+  const ctx = elevationChart.getContext('2d');
+  ctx.scale(ratio, ratio);
+  ctx.clearRect(0, 0, width, height);
+
+  const min = elevationProfile.minElevationMeters;
+  const range = Math.max(elevationProfile.maxElevationMeters - min, 10);
+  const totalDistance = samples[samples.length - 1].distanceMeters || 1;
+  const x = (s) => (s.distanceMeters / totalDistance) * width;
+  const y = (s) => height - 4 - ((s.elevationMeters - min) / range) * (height - 8);
+
+  ctx.beginPath();
+  ctx.moveTo(0, height);
+  samples.forEach(s => ctx.lineTo(x(s), y(s)));
+  ctx.lineTo(width, height);
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(59, 130, 246, 0.25)';
+  ctx.fill();
+
+  ctx.beginPath();
+  samples.forEach((s, i) => (i === 0 ? ctx.moveTo(x(s), y(s)) : ctx.lineTo(x(s), y(s))));
+  ctx.strokeStyle = '#3b82f6';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  if (hoverIndex !== null) {
+    const s = elevationProfile.samples[hoverIndex];
+    ctx.beginPath();
+    ctx.moveTo(x(s), 0);
+    ctx.lineTo(x(s), height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    ctx.fillStyle = '#f4f4f5';
+    ctx.font = '11px -apple-system, sans-serif';
+    ctx.textAlign = x(s) > width / 2 ? 'right' : 'left';
+    const label = s.elevationMeters === null ? '' : formatElevation(s.elevationMeters);
+    ctx.fillText(label, x(s) + (ctx.textAlign === 'right' ? -4 : 4), 12);
+  }
+}
+
+function handleElevationHover(e) {
+  if (!elevationProfile || !currentPolyline) return;
+
+  const rect = elevationChart.getBoundingClientRect();
+  const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+  const index = Math.round(fraction * (elevationProfile.samples.length - 1));
+  const sample = elevationProfile.samples[index];
+
+  if (!elevationMarker) {
+    elevationMarker = new google.maps.Marker({
+      map: map,
+      clickable: false,
+      icon: {
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: 6,
+        fillColor: '#f4f4f5',
+        fillOpacity: 1,
+        strokeColor: '#3b82f6',
+        strokeWeight: 3
+      },
+      zIndex: 90
+    });
+  }
+  elevationMarker.setPosition({ lat: sample.lat, lng: sample.lng });
+  elevationMarker.setMap(map);
+  drawElevationChart(index);
+}
+
+function clearElevationHover() {
+  if (elevationMarker) {
+    elevationMarker.setMap(null);
+  }
+  if (elevationProfile && !elevationEl.hidden) {
+    drawElevationChart(null);
+  }
 }
 
 // --- UI helpers ---
 
-function showRouteInfo(routeData) {
-  const distDisplay = useKm
-    ? `${(routeData.distanceMeters / 1000).toFixed(2)} km`
-    : `${(routeData.distanceMeters / 1609.34).toFixed(2)} mi`;
-  const totalSeconds = parseInt(routeData.duration.replace('s', ''));
+/**
+ * A number with a unit ('kilometer', 'foot', 'minute', ...) in the current locale, e.g. "3.10 mi".
+ */
+function formatUnit(value, unit, digits = 0, unitDisplay = 'short') {
+  return new Intl.NumberFormat(language, {
+    style: 'unit',
+    unit,
+    unitDisplay,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(digits === 0 ? Math.round(value) : value);
+}
+
+function formatDistance(meters) {
+  return useKm
+    ? formatUnit(meters / 1000, 'kilometer', 2)
+    : formatUnit(meters / 1609.34, 'mile', 2);
+}
+
+function formatDuration(totalSeconds) {
   const hours = Math.floor(totalSeconds / 3600);
   const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const minutesText = formatUnit(minutes, 'minute', 0, 'narrow');
+  return hours > 0 ? `${formatUnit(hours, 'hour', 0, 'narrow')} ${minutesText}` : minutesText;
+}
 
-  infoDistance.textContent = distDisplay;
-  if (hours > 0) {
-    infoDuration.textContent = `${hours}h ${minutes}m`;
-  } else {
-    infoDuration.textContent = `${minutes}m`;
-  }
+function showRouteInfo(routeData) {
+  infoDistance.textContent = formatDistance(routeData.distanceMeters);
+  infoDuration.textContent = formatDuration(parseInt(routeData.duration.replace('s', '')));
   routeInfo.hidden = false;
+  showSeed();
 
   buildGoogleMapsLink();
   renderDirections(routeData);
 }
 
+/**
+ * Point out where a route leaves the boundary, when the server couldn't find one that stays
+ * inside within the tolerance: the share outside in the route info, the stretches in red.
+ */
+function showOutsideBoundary(data) {
+  const outside = data.withinBoundary === false;
+  infoOutsideRow.hidden = !outside;
+  if (!outside) return;
+  infoOutside.textContent = formatUnit(data.outsideFraction * 100, 'percent');
+  outsideStretchLines = (data.outsideStretches || []).map(path => new google.maps.Polyline({
+    path,
+    geodesic: true,
+    strokeColor: '#ef4444',
+    strokeOpacity: 0.95,
+    strokeWeight: 7,
+    zIndex: 4, // over the route it belongs to
+    map: map
+  }));
+}
+
+function showSeed() {
+  infoSeedRow.hidden = !lastSeed;
+  if (!lastSeed) return;
+  // Digits only, no grouping, so it can be typed back in as is
+  infoSeed.textContent = lastSeed.alternative
+    ? t('info.seedAlternative', { seed: lastSeed.seed, number: lastSeed.alternative })
+    : String(lastSeed.seed);
+}
+
+function showPetals(petals) {
+  infoPetals.innerHTML = '';
+  infoPetals.hidden = !petals;
+  if (!petals) return;
+
+  petals.forEach((petal, i) => {
+    const row = document.createElement('div');
+    row.className = 'info-row';
+
+    const label = document.createElement('span');
+    label.className = 'info-label';
+    const direction = t(`compassShort.${Math.round(petal.bearing / 45) % 8}`);
+    label.textContent = t('info.petal', { number: i + 1, direction });
+
+    const value = document.createElement('span');
+    value.className = 'info-value';
+    value.textContent = formatDistance(petal.distanceMeters);
+
+    row.append(label, value);
+    infoPetals.appendChild(row);
+  });
+}
+
 function buildGoogleMapsLink() {
   if (!startLocation || !lastWaypoints.length) {
     googleMapsLink.hidden = true;
@@ -394,7 +1044,7 @@ function buildGoogleMapsLink() {
   const points = [
     startLocation,
     ...lastWaypoints,
-    startLocation
+    lastDestination || startLocation
   ];
 
   const path = points
@@ -403,19 +1053,57 @@ function buildGoogleMapsLink() {
 
   googleMapsLink.href = `https://www.google.com/maps/dir/${path}?travelmode=walking`;
   googleMapsLink.hidden = false;
+  exportActions.hidden = false;
+}
+
+// --- Export ---
+
+function exportGpx() {
+  if (!lastRouteData || !startLocation) return;
+
+  const gpx = buildGpx({
+    name: t('export.gpxName', { distance: formatDistance(lastRouteData.distanceMeters) }),
+    start: startLocation,
+    waypoints: lastWaypoints,
+    finish: lastDestination,
+    trackPoints: decodePolyline(lastRouteData.polyline.encodedPolyline),
+    distanceMeters: lastRouteData.distanceMeters
+  });
+
+  downloadFile(gpx, exportFileName(lastRouteData.distanceMeters, useKm, 'gpx'), 'application/gpx+xml');
+}
+
+function exportTcx() {
+  if (!lastRouteData) return;
+
+  const tcx = buildTcx({
+    name: t('export.tcxName', { distance: formatDistance(lastRouteData.distanceMeters) }),
+    trackPoints: decodePolyline(lastRouteData.polyline.encodedPolyline),
+    legs: lastRouteData.legs,
+    distanceMeters: lastRouteData.distanceMeters,
+    durationSeconds: parseInt(lastRouteData.duration.replace('s', ''))
+  });
+
+  downloadFile(tcx, exportFileName(lastRouteData.distanceMeters, useKm, 'tcx'), 'application/vnd.garmin.tcx+xml');
+}
+
+function downloadFile(contents, fileName, mimeType) {
+  const blob = new Blob([contents], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
 }
 
 function formatStepDistance(meters) {
   if (useKm) {
-    if (meters >= 100) {
-      return `${(meters / 1000).toFixed(2)} km`;
-    }
-    return `${Math.round(meters)} m`;
+    return meters >= 100 ? formatDistance(meters) : formatUnit(meters, 'meter');
   }
-  if (meters >= 161) {
-    return `${(meters / 1609.34).toFixed(2)} mi`;
-  }
-  return `${Math.round(meters * 3.28084)} ft`;
+  return meters >= 161 ? formatDistance(meters) : formatUnit(meters * 3.28084, 'foot');
 }
 
 function renderDirections(routeData) {
@@ -433,7 +1121,7 @@ function renderDirections(routeData) {
 
     leg.steps.forEach(step => {
       stepNumber++;
-      const instruction = step.navigationInstruction?.instructions || 'Continue';
+      const instruction = step.navigationInstruction?.instructions || t('directions.continue');
       const distMeters = step.distanceMeters || 0;
       const distDisplay = formatStepDistance(distMeters);
 
@@ -462,15 +1150,32 @@ function renderDirections(routeData) {
     });
   });
 
+  directionsStepCount = stepNumber;
   directionsEl.hidden = stepNumber === 0;
   directionsEl.classList.remove('expanded');
-  directionsToggleText.textContent = `Show Directions (${stepNumber} steps)`;
+  updateDirectionsToggle();
+}
+
+function updateDirectionsToggle() {
+  const expanded = directionsEl.classList.contains('expanded');
+  directionsToggleText.textContent = t(expanded ? 'directions.hideSteps' : 'directions.showSteps', { count: directionsStepCount });
 }
 
 function showLoading(show) {
   loadingEl.hidden = !show;
 }
 
+// Friendly text for the API's error codes (apiError.* in the catalog); other errors show the server's message
+function apiErrorMessage(data, fallback) {
+  if (data.code === 'INVALID_COORDINATE') {
+    // Which location the invalid coordinate belongs to, by the field the API names
+    const location = (data.field || '').split(/[.[]/)[0];
+    if (hasMessage(`apiError.coordinate.${location}`)) return t(`apiError.coordinate.${location}`);
+  }
+  if (data.code && hasMessage(`apiError.${data.code}`)) return t(`apiError.${data.code}`);
+  return data.message || data.error || fallback;
+}
+
 function showError(msg) {
   errorEl.textContent = msg;
   errorEl.hidden = false;
@@ -480,6 +1185,83 @@ function hideError() {
   errorEl.hidden = true;
 }
 
+// --- Imported routes ---
+
+function initFileDrop() {
+  const mapEl = document.getElementById('map');
+
+  mapEl.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    mapEl.classList.add('drop-target');
+  });
+  mapEl.addEventListener('dragleave', () => mapEl.classList.remove('drop-target'));
+  mapEl.addEventListener('drop', (e) => {
+    e.preventDefault();
+    mapEl.classList.remove('drop-target');
+    const file = e.dataTransfer.files[0];
+    if (file) importRouteFile(file);
+  });
+}
+
+async function importRouteFile(file) {
+  hideError();
+  try {
+    const text = await file.text();
+    const parsed = parseRouteFile(text, file.name);
+    if (parsed.points.length < 2) {
+      throw new Error(t('error.importTooShort'));
+    }
+    showImportedRoute({
+      name: parsed.name || file.name.replace(/\.[^.]+$/, ''),
+      points: parsed.points,
+      distanceMeters: pathDistanceMeters(parsed.points)
+    });
+  } catch (err) {
+    // The parsers throw catalog keys; anything else (a file that can't be read) has its own message
+    showError(t('error.import', { message: err.key ? t(err.key, err.params) : err.message }));
+  }
+}
+
+function showImportedRoute(route) {
+  clearImportedRoute();
+  importedRoute = route;
+
+  importedPolyline = new google.maps.Polyline({
+    path: route.points,
+    geodesic: true,
+    strokeColor: '#a855f7',
+    strokeOpacity: 0.8,
+    strokeWeight: 4,
+    zIndex: 2,
+    map: map
+  });
+
+  importedName.textContent = route.name;
+  importedName.title = route.name;
+  importedDistance.textContent = formatDistance(route.distanceMeters);
+  importedInfo.hidden = false;
+
+  const bounds = new google.maps.LatLngBounds();
+  route.points.forEach(p => bounds.extend(p));
+  map.fitBounds(bounds);
+}
+
+function useImportedStart() {
+  if (!importedRoute) return;
+  const first = importedRoute.points[0];
+  setStartLocation(first.lat, first.lng);
+  reverseGeocode(new google.maps.LatLng(first.lat, first.lng));
+}
+
+function clearImportedRoute() {
+  if (importedPolyline) {
+    importedPolyline.setMap(null);
+    importedPolyline = null;
+  }
+  importedRoute = null;
+  importedInfo.hidden = true;
+}
+
 // --- Boundary ---
 
 function toggleBoundaryMode() {
@@ -487,24 +1269,50 @@ function toggleBoundaryMode() {
     // Cancel drawing mode — remove preview markers/lines but keep any existing polygon
     cancelBoundaryDrawing();
   } else {
-    boundaryMode = true;
-    boundaryVertices = [];
-    setBoundaryBtn.classList.add('drawing');
-    setBoundaryBtn.textContent = 'Drawing... (click map)';
-    doneBoundaryBtn.hidden = false;
+    startDrawing('boundary');
 
     // Clear any existing finalized polygon
+    boundaryVertices = [];
     if (boundaryPolygon) {
       boundaryPolygon.setMap(null);
       boundaryPolygon = null;
     }
-    clearBoundaryBtn.hidden = true;
+    showBoundaryActions(false);
+  }
+}
+
+function toggleExclusionMode() {
+  if (boundaryMode) {
+    cancelBoundaryDrawing();
+  } else {
+    // Each area drawn is added to the ones already there
+    startDrawing('exclusion');
   }
 }
 
+function startDrawing(target) {
+  boundaryMode = true;
+  drawingTarget = target;
+  drawingVertices = [];
+  drawingButton().classList.add('drawing');
+  // One shape at a time: the other draw button waits until this one is done
+  setBoundaryBtn.disabled = target !== 'boundary';
+  setExclusionBtn.disabled = target !== 'exclusion';
+  updateBoundaryButton();
+  doneBoundaryBtn.hidden = false;
+}
+
+function drawingButton() {
+  return drawingTarget === 'exclusion' ? setExclusionBtn : setBoundaryBtn;
+}
+
+function drawingColor() {
+  return drawingTarget === 'exclusion' ? EXCLUSION_COLOR : BOUNDARY_COLOR;
+}
+
 function handleBoundaryClick(lat, lng) {
-  const index = boundaryVertices.length;
-  boundaryVertices.push({ lat, lng });
+  const index = drawingVertices.length;
+  drawingVertices.push({ lat, lng });
 
   // Add a draggable marker at the vertex so it can be repositioned
   const marker = new google.maps.Marker({
@@ -514,7 +1322,7 @@ function handleBoundaryClick(lat, lng) {
     icon: {
       path: google.maps.SymbolPath.CIRCLE,
       scale: 6,
-      fillColor: '#f59e0b',
+      fillColor: drawingColor(),
       fillOpacity: 1,
       strokeColor: '#fff',
       strokeWeight: 2
@@ -526,14 +1334,14 @@ function handleBoundaryClick(lat, lng) {
   // When a vertex is dragged, update its position and refresh the preview
   marker.addListener('dragend', () => {
     const pos = marker.getPosition();
-    boundaryVertices[index] = { lat: pos.lat(), lng: pos.lng() };
+    drawingVertices[index] = { lat: pos.lat(), lng: pos.lng() };
     updateBoundaryPreview();
   });
 
   // Live preview follows the drag
   marker.addListener('drag', () => {
     const pos = marker.getPosition();
-    boundaryVertices[index] = { lat: pos.lat(), lng: pos.lng() };
+    drawingVertices[index] = { lat: pos.lat(), lng: pos.lng() };
     updateBoundaryPreview();
   });
 
@@ -542,7 +1350,18 @@ function handleBoundaryClick(lat, lng) {
   // Update the live preview polyline
   updateBoundaryPreview();
 
-  setBoundaryBtn.textContent = `Drawing... (${boundaryVertices.length} points)`;
+  updateBoundaryButton();
+}
+
+function updateBoundaryButton() {
+  setBoundaryBtn.textContent = drawingLabel('boundary', t('boundary.draw'));
+  setExclusionBtn.textContent = drawingLabel('exclusion', t('exclusion.draw'));
+}
+
+function drawingLabel(target, idleLabel) {
+  if (!boundaryMode || drawingTarget !== target) return idleLabel;
+  if (drawingVertices.length === 0) return t('boundary.drawing');
+  return t('boundary.drawingPoints', { count: drawingVertices.length });
 }
 
 function updateBoundaryPreview() {
@@ -550,13 +1369,13 @@ function updateBoundaryPreview() {
     boundaryPreview.setMap(null);
   }
 
-  if (boundaryVertices.length < 2) return;
+  if (drawingVertices.length < 2) return;
 
   // Show a closed polyline preview connecting all points back to start
-  const path = [...boundaryVertices, boundaryVertices[0]];
+  const path = [...drawingVertices, drawingVertices[0]];
   boundaryPreview = new google.maps.Polyline({
     path: path,
-    strokeColor: '#f59e0b',
+    strokeColor: drawingColor(),
     strokeOpacity: 0.6,
     strokeWeight: 2,
     geodesic: true,
@@ -565,84 +1384,606 @@ function updateBoundaryPreview() {
 }
 
 function finishBoundary() {
-  if (boundaryVertices.length < 3) {
-    showError('Draw at least 3 points to create a boundary');
+  if (drawingVertices.length < 3) {
+    showError(t(drawingTarget === 'exclusion' ? 'error.exclusionTooShort' : 'error.boundaryTooShort'));
     return;
   }
 
   hideError();
 
-  // Remove preview polyline
-  if (boundaryPreview) {
-    boundaryPreview.setMap(null);
-    boundaryPreview = null;
+  if (drawingTarget === 'exclusion') {
+    addExclusionZone(drawingVertices);
+  } else {
+    boundaryVertices = drawingVertices;
+    drawBoundaryPolygon();
+    showBoundaryActions(true);
   }
+  endDrawing();
+}
 
-  // Remove vertex markers
-  boundaryMarkers.forEach(m => m.setMap(null));
-  boundaryMarkers = [];
-
-  // Draw the finalized polygon
+function drawBoundaryPolygon() {
   boundaryPolygon = new google.maps.Polygon({
     paths: boundaryVertices,
-    strokeColor: '#f59e0b',
+    strokeColor: BOUNDARY_COLOR,
     strokeOpacity: 0.8,
     strokeWeight: 2,
-    fillColor: '#f59e0b',
+    fillColor: BOUNDARY_COLOR,
     fillOpacity: 0.08,
     clickable: false,
     zIndex: 1,
     map: map
   });
-
-  // Exit drawing mode
-  boundaryMode = false;
-  setBoundaryBtn.classList.remove('drawing');
-  setBoundaryBtn.textContent = 'Draw Boundary';
-  doneBoundaryBtn.hidden = true;
-  clearBoundaryBtn.hidden = false;
 }
 
 function cancelBoundaryDrawing() {
+  if (drawingTarget === 'boundary') boundaryVertices = [];
+  endDrawing();
+}
+
+// Leave drawing mode, removing the preview and vertex markers
+function endDrawing() {
   boundaryMode = false;
-  boundaryVertices = [];
+  drawingVertices = [];
 
-  // Remove preview
   if (boundaryPreview) {
     boundaryPreview.setMap(null);
     boundaryPreview = null;
   }
 
-  // Remove vertex markers
   boundaryMarkers.forEach(m => m.setMap(null));
   boundaryMarkers = [];
 
-  setBoundaryBtn.classList.remove('drawing');
-  setBoundaryBtn.textContent = 'Draw Boundary';
+  drawingButton().classList.remove('drawing');
+  setBoundaryBtn.disabled = false;
+  setExclusionBtn.disabled = false;
+  updateBoundaryButton();
   doneBoundaryBtn.hidden = true;
 }
 
 function clearBoundary() {
+  if (boundaryMode && drawingTarget === 'boundary') endDrawing();
   boundaryVertices = [];
-  boundaryMode = false;
-
-  if (boundaryPreview) {
-    boundaryPreview.setMap(null);
-    boundaryPreview = null;
-  }
-
-  boundaryMarkers.forEach(m => m.setMap(null));
-  boundaryMarkers = [];
 
   if (boundaryPolygon) {
     boundaryPolygon.setMap(null);
     boundaryPolygon = null;
   }
 
-  setBoundaryBtn.classList.remove('drawing');
-  setBoundaryBtn.textContent = 'Draw Boundary';
-  doneBoundaryBtn.hidden = true;
-  clearBoundaryBtn.hidden = true;
+  showBoundaryActions(false);
+}
+
+// Clear Boundary and the boundary tolerance apply only once a boundary is drawn
+function showBoundaryActions(show) {
+  clearBoundaryBtn.hidden = !show;
+  boundaryToleranceGroup.hidden = !show;
+}
+
+// Percentages in the current locale ("5 %" in German)
+function labelBoundaryTolerances() {
+  Array.from(boundaryToleranceSelect.options).forEach(option => {
+    option.textContent = formatUnit(parseFloat(option.value) * 100, 'percent');
+  });
+}
+
+// --- Exclusion zones ---
+
+function addExclusionZone(vertices) {
+  const polygon = new google.maps.Polygon({
+    paths: vertices,
+    strokeColor: EXCLUSION_COLOR,
+    strokeOpacity: 0.8,
+    strokeWeight: 2,
+    fillColor: EXCLUSION_COLOR,
+    fillOpacity: 0.15,
+    clickable: false,
+    zIndex: 1,
+    map: map
+  });
+  exclusionZones.push({ vertices, polygon });
+  clearExclusionsBtn.hidden = false;
+}
+
+function exclusionVertices() {
+  return exclusionZones.map(zone => zone.vertices);
+}
+
+function clearExclusions() {
+  if (boundaryMode && drawingTarget === 'exclusion') endDrawing();
+  exclusionZones.forEach(zone => zone.polygon.setMap(null));
+  exclusionZones = [];
+  clearExclusionsBtn.hidden = true;
+}
+
+function restoreExclusions(zones) {
+  clearExclusions();
+  (zones || [])
+    .filter(vertices => vertices.length >= 3)
+    .forEach(vertices => addExclusionZone(vertices.map(p => ({ lat: p.lat, lng: p.lng }))));
+}
+
+// Outline the zones (by index) that blocked every route, until the next route is requested
+function highlightExclusions(indices) {
+  exclusionZones.forEach((zone, i) => {
+    const blocking = indices.includes(i);
+    zone.polygon.setOptions({ strokeWeight: blocking ? 4 : 2, fillOpacity: blocking ? 0.35 : 0.15 });
+  });
+}
+
+// Index of the exclusion zone a point lies in, or -1
+function exclusionZoneAt(point) {
+  const latLng = new google.maps.LatLng(point.lat, point.lng);
+  return exclusionZones.findIndex(zone =>
+    google.maps.geometry.poly.containsLocation(latLng, zone.polygon));
+}
+
+// --- Saved routes ---
+
+function updateSaveButton() {
+  saveRouteBtn.textContent = t(lastRouteSaved ? 'library.saved' : 'library.save');
+  saveRouteBtn.disabled = lastRouteSaved;
+}
+
+async function saveCurrentRoute() {
+  if (!lastRouteData || !startLocation) return;
+
+  const shapeName = t(SHAPE_LABEL_KEYS[lastShape] || SHAPE_LABEL_KEYS.loop);
+  const { data, options } = routeHistory.current();
+  const { withinBoundary, outsideFraction, outsideStretches } = data;
+  try {
+    await routeLibrary.save({
+      name: t('library.defaultName', { shape: shapeName, distance: formatDistance(lastRouteData.distanceMeters) }),
+      start: startLocation,
+      startLabel: searchInput.value,
+      destination: lastDestination,
+      destinationLabel: lastDestination ? destinationInput.value : '',
+      shape: lastShape,
+      distanceMiles: lastDistanceMiles,
+      distanceMeters: lastRouteData.distanceMeters,
+      duration: lastRouteData.duration,
+      waypoints: lastWaypoints,
+      boundary: lastBoundary,
+      exclusions: lastExclusions,
+      // The shape options it was made with, so opening it restores the whole form
+      options: { ...options, seed: lastSeed ? lastSeed.seed : null },
+      withinBoundary,
+      outsideFraction,
+      outsideStretches,
+      turnaround: lastTurnaround,
+      petals: lastPetals,
+      seed: lastSeed ? lastSeed.seed : null,
+      alternative: lastSeed ? lastSeed.alternative : null,
+      polyline: lastRouteData.polyline.encodedPolyline,
+      legs: lastRouteData.legs || [],
+      elevation: elevationProfile
+    });
+    lastRouteSaved = true;
+    routeHistory.current().saved = true;
+    updateSaveButton();
+    refreshLibrary();
+  } catch (err) {
+    showError(t('library.error', { message: err.message }));
+  }
+}
+
+async function refreshLibrary() {
+  let routes;
+  try {
+    routes = await routeLibrary.list();
+  } catch (err) {
+    showError(t('library.error', { message: err.message }));
+    return;
+  }
+  const matches = filterRoutes(routes, librarySearch.value);
+
+  libraryToggle.textContent = routes.length > 0
+    ? t('library.toggleCount', { count: routes.length })
+    : t('library.toggle');
+  libraryList.innerHTML = '';
+  matches.forEach(route => libraryList.appendChild(renderLibraryItem(route)));
+  libraryEmpty.textContent = t(routes.length > 0 ? 'library.noMatches' : 'library.empty');
+  libraryEmpty.hidden = matches.length > 0;
+}
+
+function formatDate(iso) {
+  return new Intl.DateTimeFormat(language, { dateStyle: 'medium' }).format(new Date(iso));
+}
+
+function renderLibraryItem(route) {
+  const li = document.createElement('li');
+
+  const name = document.createElement('div');
+  name.className = 'library-name';
+  name.textContent = route.name;
+  name.title = route.name;
+
+  const meta = document.createElement('div');
+  meta.className = 'library-meta';
+  meta.textContent = `${formatDistance(route.distanceMeters)} \u00b7 ${formatDate(route.createdAt)}`;
+
+  const actions = document.createElement('div');
+  actions.className = 'library-actions';
+  const button = (key, className, onClick) => {
+    const btn = document.createElement('button');
+    btn.textContent = t(key);
+    if (className) btn.className = className;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+  };
+  button('library.open', null, () => openSavedRoute(route.id));
+  button('library.rename', null, () => startRename(name, route));
+  button('library.delete', 'library-delete', () => deleteSavedRoute(route));
+
+  li.append(name, meta, actions);
+  return li;
+}
+
+// Swap the name for an input; Enter or leaving the field saves, Escape cancels
+function startRename(nameEl, route) {
+  const input = document.createElement('input');
+  input.className = 'library-rename';
+  input.value = route.name;
+  input.setAttribute('aria-label', t('library.nameLabel'));
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async save => {
+    if (done) return;
+    done = true;
+    const newName = input.value.trim();
+    if (save && newName && newName !== route.name) {
+      try {
+        await routeLibrary.rename(route.id, newName);
+      } catch (err) {
+        showError(t('library.error', { message: err.message }));
+      }
+    }
+    refreshLibrary();
+  };
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+async function deleteSavedRoute(route) {
+  if (!confirm(t('library.confirmDelete', { name: route.name }))) return;
+  try {
+    await routeLibrary.remove(route.id);
+  } catch (err) {
+    showError(t('library.error', { message: err.message }));
+  }
+  refreshLibrary();
+}
+
+function restoreBoundary(vertices) {
+  clearBoundary();
+  if (!vertices || vertices.length < 3) return;
+  boundaryVertices = vertices.map(p => ({ lat: p.lat, lng: p.lng }));
+  drawBoundaryPolygon();
+  showBoundaryActions(true);
+}
+
+/**
+ * Put a saved route back on the map with the settings it was made with, without routing again.
+ */
+async function openSavedRoute(id) {
+  let saved;
+  try {
+    saved = await routeLibrary.get(id);
+  } catch (err) {
+    showError(t('library.error', { message: err.message }));
+    return;
+  }
+  if (!saved) {
+    refreshLibrary();
+    return;
+  }
+
+  hideError();
+  restoreRouteSettings({
+    ...saved,
+    startLabel: saved.startLabel || '',
+    destinationLabel: saved.destinationLabel || ''
+  });
+
+  // Runners-up belonged to whatever was generated before
+  alternatives = [];
+  alternativesKey = null;
+
+  showLoopResult({
+    route: {
+      distanceMeters: saved.distanceMeters,
+      duration: saved.duration,
+      polyline: { encodedPolyline: saved.polyline },
+      legs: saved.legs
+    },
+    waypoints: saved.waypoints,
+    destination: saved.destination,
+    turnaround: saved.turnaround,
+    petals: saved.petals,
+    shape: saved.shape,
+    seed: saved.seed,
+    alternative: saved.alternative,
+    withinBoundary: saved.withinBoundary,
+    outsideFraction: saved.outsideFraction,
+    outsideStretches: saved.outsideStretches
+  }, saved.distanceMiles, saved.elevation || null);
+  lastRouteSaved = true;
+  routeHistory.current().saved = true;
+  updateSaveButton();
+}
+
+/**
+ * Put the settings a route was made with back in the form: start, destination, shape, boundary,
+ * exclusion zones, distance and, when known, the shape options and seed. Places without a label are looked up.
+ */
+function restoreRouteSettings({ start, startLabel, destination, destinationLabel, shape, boundary, exclusions, distanceMiles, options }) {
+  setStartLocation(start.lat, start.lng);
+  if (startLabel === undefined) reverseGeocode(start);
+  else searchInput.value = startLabel;
+  if (destination) {
+    setDestination(destination.lat, destination.lng);
+    if (destinationLabel === undefined) reverseGeocode(destination, destinationInput);
+    else destinationInput.value = destinationLabel;
+  }
+  selectShape(shape || 'loop');
+  if (options) {
+    selectTerrain(options.terrain || 'any');
+    bearingSelect.value = options.bearing === undefined ? '' : String(options.bearing);
+    if (options.petalMiles) petalInput.value = milesToInput(options.petalMiles);
+    if (options.boundaryTolerance !== undefined) boundaryToleranceSelect.value = String(options.boundaryTolerance);
+    if (options.seed !== undefined) seedInput.value = options.seed === null ? '' : String(options.seed);
+  }
+  restoreBoundary(boundary);
+  restoreExclusions(exclusions);
+  if (distanceMiles) {
+    distanceInput.value = milesToInput(distanceMiles);
+    syncPresetHighlight();
+  }
+}
+
+// --- Route history ---
+
+function updateHistoryControls() {
+  const { index, size } = routeHistory.position();
+  historyControls.hidden = size < 2;
+  historyPosition.textContent = t('history.position', { number: index + 1, total: size });
+  historyBackBtn.disabled = index <= 0;
+  historyForwardBtn.disabled = index >= size - 1;
+}
+
+// Show an earlier or later route with the settings it was made with
+function goToHistoryEntry(entry) {
+  if (!entry) return;
+  hideError();
+  restoreRouteSettings({
+    start: entry.start,
+    startLabel: entry.startLabel,
+    destination: entry.data.destination,
+    destinationLabel: entry.destinationLabel,
+    shape: entry.data.shape || entry.options.shape,
+    boundary: entry.boundary,
+    exclusions: entry.exclusions,
+    distanceMiles: entry.distanceMiles,
+    options: entry.options
+  });
+  showHistoryEntry(entry);
+}
+
+function toggleCompare() {
+  compareEl.hidden = !compareEl.hidden;
+  compareToggle.classList.toggle('active', !compareEl.hidden);
+  if (compareEl.hidden) {
+    clearComparison();
+  } else {
+    showComparison();
+  }
+}
+
+/**
+ * Draw the chosen history entry next to the current route and list both routes' stats.
+ * Without a choice (or once it's the current route) it compares with the route before.
+ */
+function showComparison() {
+  const current = routeHistory.current();
+  const others = routeHistory.list().filter(e => e !== current);
+  if (!current || others.length === 0) {
+    clearComparison();
+    return;
+  }
+
+  const other = others.find(e => e.number === compareNumber) ||
+    others.filter(e => e.number < current.number).pop() ||
+    others[0];
+  compareNumber = other.number;
+
+  compareSelect.innerHTML = '';
+  others.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = String(entry.number);
+    option.textContent = t('history.entry', {
+      number: entry.number,
+      distance: formatDistance(entry.data.route.distanceMeters)
+    });
+    compareSelect.appendChild(option);
+  });
+  compareSelect.value = String(other.number);
+
+  drawComparison(current, other);
+  renderCompareTable(current, other);
+}
+
+// Draw other in orange and fit the map to both, unless that pair is already on the map
+function drawComparison(current, other) {
+  const pair = `${current.number}:${other.number}`;
+  if (comparePolyline && comparedPair === pair) return;
+  clearComparison();
+  comparedPair = pair;
+
+  const path = google.maps.geometry.encoding.decodePath(other.data.route.polyline.encodedPolyline);
+  comparePolyline = new google.maps.Polyline({
+    path: path,
+    geodesic: true,
+    strokeColor: '#f97316',
+    strokeOpacity: 0.8,
+    strokeWeight: 4,
+    zIndex: 2,
+    map: map
+  });
+
+  const bounds = new google.maps.LatLngBounds();
+  path.forEach(point => bounds.extend(point));
+  currentPolyline.getPath().forEach(point => bounds.extend(point));
+  fitRouteBounds(bounds);
+}
+
+function clearComparison() {
+  if (comparePolyline) {
+    comparePolyline.setMap(null);
+    comparePolyline = null;
+  }
+  comparedPair = null;
+}
+
+function renderCompareTable(current, other) {
+  const climb = entry => (entry.elevation ? `+${formatElevation(entry.elevation.ascentMeters)}` : '\u2013');
+  const rows = [
+    ['distance.label', entry => formatDistance(entry.data.route.distanceMeters)],
+    ['info.duration', entry => formatDuration(parseInt(entry.data.route.duration.replace('s', '')))],
+    ['info.climb', climb],
+    ['info.seed', entry => (entry.data.seed === undefined || entry.data.seed === null ? '\u2013' : String(entry.data.seed))]
+  ];
+
+  compareTable.innerHTML = '';
+  const head = compareTable.createTHead().insertRow();
+  head.appendChild(document.createElement('th'));
+  [[current, ''], [other, ' other']].forEach(([entry, swatchClass]) => {
+    const th = document.createElement('th');
+    const swatch = document.createElement('span');
+    swatch.className = `compare-swatch${swatchClass}`;
+    th.append(swatch, t('history.route', { number: entry.number }));
+    head.appendChild(th);
+  });
+
+  const body = compareTable.createTBody();
+  rows.forEach(([key, value]) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = t(key);
+    row.insertCell().textContent = value(current);
+    row.insertCell().textContent = value(other);
+  });
+}
+
+// --- Permalinks ---
+
+// Keep the URL pointing at the route on screen, without adding a history entry per route
+function updatePermalink() {
+  history.replaceState(null, '', `#${encodePermalink({ ...lastPermalink, useKm })}`);
+}
+
+async function copyPermalink() {
+  try {
+    await navigator.clipboard.writeText(location.href);
+  } catch {
+    // No clipboard access (e.g. plain http on a phone): let the user copy it by hand
+    window.prompt(t('share.copy'), location.href);
+    return;
+  }
+  copyLinkBtn.textContent = t('share.copied');
+  setTimeout(() => { copyLinkBtn.textContent = t('share.copy'); }, 2000);
+}
+
+/**
+ * Cloverleaf petal summaries for a shared route, as /api/loop reports them. The waypoints pass
+ * the start between petals, and each stopover starts a new leg, so a petal with n waypoints
+ * spans n + 1 legs. Null when the waypoints don't split into one group per bearing.
+ */
+function petalsFromLegs(legs, waypoints, start, bearings) {
+  const groups = [[]];
+  waypoints.forEach(p => {
+    if (p.lat === start.lat && p.lng === start.lng) groups.push([]);
+    else groups[groups.length - 1].push(p);
+  });
+  if (!bearings || groups.length !== bearings.length) return null;
+
+  let leg = 0;
+  return groups.map((group, i) => {
+    const petalLegs = (legs || []).slice(leg, leg + group.length + 1);
+    leg += group.length + 1;
+    return {
+      bearing: bearings[i],
+      distanceMeters: petalLegs.reduce((sum, l) => sum + (l.distanceMeters || 0), 0)
+    };
+  });
+}
+
+/**
+ * Restore the map, form and route from a shared link in the URL hash. The route is fetched
+ * again through /api/route with the link's waypoints, so it follows the same streets.
+ */
+async function openPermalink() {
+  if (!location.hash) return;
+  const state = decodePermalink(location.hash);
+  if (!state) {
+    showError(t('error.permalinkInvalid'));
+    return;
+  }
+
+  setUnit(state.useKm);
+  restoreRouteSettings({
+    ...state,
+    options: { terrain: state.terrain, bearing: state.bearing, petalMiles: state.petalMiles }
+  });
+  map.setCenter(state.start);
+  map.setZoom(14);
+
+  if (!state.waypoints.length) return;
+
+  showLoading(true);
+  hideError();
+  generateBtn.disabled = true;
+  try {
+    const res = await fetch('/api/route', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        origin: state.start,
+        destination: state.shape === 'point-to-point' ? state.destination : undefined,
+        waypoints: state.waypoints,
+        useKm,
+        language
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(apiErrorMessage(data, t('error.routeFailed')));
+    }
+    if (!data.routes || !data.routes.length) {
+      throw new Error(t('apiError.NO_ROUTE'));
+    }
+
+    const route = data.routes[0];
+    showLoopResult({
+      route,
+      waypoints: state.waypoints,
+      destination: state.shape === 'point-to-point' ? state.destination : null,
+      turnaround: state.shape === 'out-and-back' ? state.waypoints[0] : null,
+      petals: state.shape === 'cloverleaf'
+        ? petalsFromLegs(route.legs, state.waypoints, state.start, state.petalBearings)
+        : null,
+      shape: state.shape,
+      seed: state.seed,
+      alternative: state.alternative
+    }, state.distanceMiles);
+  } catch (err) {
+    showError(t('error.permalink', { message: err.message }));
+  } finally {
+    showLoading(false);
+    generateBtn.disabled = !startLocation;
+  }
 }
 
 // --- Boot ---
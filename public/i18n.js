@@ -0,0 +1,577 @@
+/**
+ * UI message catalog and locale helpers.
+ *
+ * Messages are looked up by key in the catalog for a locale's base language (es-MX → es),
+ * falling back to English. "{name}" placeholders are filled from params; a message that is an
+ * object of plural forms ({ one, other }) is picked with Intl.PluralRules on params.count.
+ * index.html marks translatable elements with data-i18n (text), data-i18n-html (markup from
+ * this catalog only), data-i18n-placeholder and data-i18n-aria-label.
+ */
+
+const DEFAULT_UI_LANGUAGE = 'en';
+
+// Languages offered in the switcher, by their own name
+const UI_LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  de: 'Deutsch'
+};
+
+const MESSAGES = {
+  en: {
+    'app.title': 'Training Routes',
+    'app.github': 'GitHub repository',
+    'language.label': 'Language',
+    'intro.summary': 'Generate a loop running route from any starting point. Set a distance, hit Generate, and get a route with turn-by-turn directions you can open in Google Maps.',
+    'intro.step1': 'Search for a location or click the map to set your start',
+    'intro.step2': 'Pick a distance or enter your own',
+    'intro.step3': 'Optionally draw a boundary to keep the route within an area, or mark areas to avoid',
+    'intro.step4': 'Optionally drop a GPX, KML or GeoJSON file on the map to compare against a known route',
+    'intro.step5': 'Hit <strong>Generate Route</strong>',
+    'start.label': 'Starting Point',
+    'start.placeholder': 'Search location or click the map',
+    'distance.label': 'Distance',
+    'preset.half': 'Half',
+    'preset.full': 'Full',
+    'shape.label': 'Route Shape',
+    'shape.loop': 'Loop',
+    'shape.outAndBack': 'Out & Back',
+    'shape.pointToPoint': 'Point to Point',
+    'shape.cloverleaf': 'Cloverleaf',
+    'petal.label': 'Back at Start Every',
+    'destination.label': 'Destination',
+    'destination.placeholder': 'Search destination',
+    'destination.pick': 'Pick on Map',
+    'destination.picking': 'Click map...',
+    'bearing.label': 'Turnaround Direction',
+    'bearing.random': 'Random',
+    'compass.0': 'North',
+    'compass.1': 'Northeast',
+    'compass.2': 'East',
+    'compass.3': 'Southeast',
+    'compass.4': 'South',
+    'compass.5': 'Southwest',
+    'compass.6': 'West',
+    'compass.7': 'Northwest',
+    'compassShort.0': 'N',
+    'compassShort.1': 'NE',
+    'compassShort.2': 'E',
+    'compassShort.3': 'SE',
+    'compassShort.4': 'S',
+    'compassShort.5': 'SW',
+    'compassShort.6': 'W',
+    'compassShort.7': 'NW',
+    'terrain.label': 'Terrain',
+    'terrain.flat': 'Flat',
+    'terrain.any': 'Any',
+    'terrain.hilly': 'Hilly',
+    'seed.label': 'Seed',
+    'seed.placeholder': 'Random',
+    'generate': 'Generate Route',
+    'regenerate': 'Regenerate',
+    'boundary.draw': 'Draw Boundary',
+    'boundary.done': 'Done',
+    'boundary.clear': 'Clear Boundary',
+    'boundary.tolerance': 'Allowed Outside Boundary',
+    'exclusion.draw': 'Avoid Area',
+    'exclusion.clear': 'Clear Avoided Areas',
+    'boundary.drawing': 'Drawing... (click map)',
+    'boundary.drawingPoints': { one: 'Drawing... ({count} point)', other: 'Drawing... ({count} points)' },
+    'import.button': 'Import Route',
+    'imported.label': 'Imported',
+    'imported.useStart': 'Use as Start',
+    'imported.remove': 'Remove',
+    'info.duration': 'Est. Time',
+    'info.climb': 'Climb',
+    'info.outsideBoundary': 'Outside Boundary',
+    'info.seed': 'Seed',
+    'info.seedAlternative': '{seed} (runner-up {number})',
+    'info.petal': 'Petal {number} ({direction})',
+    'route.openInMaps': 'Open in Google Maps',
+    'export.gpx': 'Export GPX',
+    'export.tcx': 'Export TCX',
+    'export.gpxName': 'Training Route {distance}',
+    'export.tcxName': 'Run {distance}',
+    'directions.show': 'Show Directions',
+    'directions.showSteps': { one: 'Show Directions ({count} step)', other: 'Show Directions ({count} steps)' },
+    'directions.hideSteps': { one: 'Hide Directions ({count} step)', other: 'Hide Directions ({count} steps)' },
+    'directions.continue': 'Continue',
+    'loading': 'Generating route...',
+    'marker.turnaround': 'Turnaround',
+    'error.config': 'Could not load configuration',
+    'error.init': 'Failed to initialize: {message}',
+    'error.mapsLoad': 'Failed to load Google Maps',
+    'error.distanceRange': 'Enter a distance between {min} and {max}',
+    'error.destinationRequired': 'Set a destination for point-to-point routes',
+    'error.petalRange': 'Set a petal distance of at least {min}, shorter than the total',
+    'error.seedInvalid': 'The seed must be a whole number from 0 to {max}',
+    'error.routeFailed': 'Route generation failed',
+    'error.elevationFailed': 'Elevation lookup failed',
+    'error.importTooShort': 'Route file needs at least 2 points',
+    'error.import': 'Could not import route: {message}',
+    'error.importNoGpxPoints': 'No track points found in GPX file',
+    'error.importNoKmlLine': 'No LineString found in KML file',
+    'error.importInvalidGeoJson': 'Invalid GeoJSON: {message}',
+    'error.importNoGeoJsonLine': 'No LineString found in GeoJSON file',
+    'error.importUnsupported': 'Unsupported file type. Use a GPX, KML or GeoJSON file.',
+    'error.boundaryTooShort': 'Draw at least 3 points to create a boundary',
+    'error.exclusionTooShort': 'Draw at least 3 points to mark an area to avoid',
+    'error.startInExclusion': 'The starting point is inside an area to avoid. Move it or clear the area.',
+    'error.destinationInExclusion': 'The destination is inside an area to avoid. Move it or clear the area.',
+    'library.save': 'Save Route',
+    'library.saved': 'Saved',
+    'library.toggle': 'Saved Routes',
+    'library.toggleCount': 'Saved Routes ({count})',
+    'library.search': 'Search saved routes',
+    'library.empty': 'No saved routes yet',
+    'library.noMatches': 'No saved routes match',
+    'library.open': 'Open',
+    'library.rename': 'Rename',
+    'library.delete': 'Delete',
+    'library.nameLabel': 'Route name',
+    'library.confirmDelete': 'Delete "{name}"?',
+    'library.defaultName': '{shape}, {distance}',
+    'library.error': 'Could not use saved routes: {message}',
+    'share.copy': 'Copy Link',
+    'share.copied': 'Link Copied',
+    'history.back': 'Previous',
+    'history.forward': 'Next',
+    'history.position': 'Route {number} of {total}',
+    'history.entry': 'Route {number} · {distance}',
+    'history.route': 'Route {number}',
+    'compare.toggle': 'Compare',
+    'compare.with': 'Compare With',
+    'compare.show': 'Show This Route',
+    'error.permalink': 'Could not open the shared route: {message}',
+    'error.permalinkInvalid': 'This route link is damaged or from a newer version of the app',
+    'apiError.RATE_LIMITED': 'Too many requests. Wait a minute and try again.',
+    'apiError.QUOTA_EXCEEDED': 'The daily route limit has been reached. Try again tomorrow.',
+    'apiError.NO_ROUTE': 'No walkable route found here. Try a different starting point or distance.',
+    'apiError.ROUTE_BLOCKED': 'Every route found crosses an area to avoid (outlined in red). Try a shorter distance, another start or smaller areas.',
+    'apiError.ROUTING_FAILED': 'The routing service is having trouble. Try again in a moment.',
+    'apiError.ROUTING_TIMEOUT': 'The routing service took too long to answer. Try again in a moment.',
+    'apiError.ROUTING_UNAVAILABLE': 'The routing service is down right now. Try again in a minute.',
+    'apiError.ELEVATION_FAILED': 'Elevation data is unavailable right now.',
+    'apiError.TOO_MANY_WAYPOINTS': 'This route needs more stops than the routing service allows. Try a shorter distance.',
+    'apiError.BODY_TOO_LARGE': 'The boundary has too many points. Draw a simpler one.',
+    'apiError.SERVER_MISCONFIGURED': 'The server is not set up for routing yet.',
+    'apiError.INTERNAL_ERROR': 'Something went wrong. Try again.',
+    'apiError.coordinate.origin': 'The starting point is not a valid location. Set it again.',
+    'apiError.coordinate.destination': 'The destination is not a valid location. Set it again.',
+    'apiError.coordinate.boundary': 'A boundary point is not a valid location. Redraw the boundary.',
+    'apiError.coordinate.exclusions': 'A point of an area to avoid is not a valid location. Redraw the area.',
+    'maneuver.depart': 'Head out',
+    'maneuver.turnLeft': 'Turn left',
+    'maneuver.turnRight': 'Turn right',
+    'maneuver.turnSlightLeft': 'Turn slightly left',
+    'maneuver.turnSlightRight': 'Turn slightly right',
+    'maneuver.turnSharpLeft': 'Turn sharp left',
+    'maneuver.turnSharpRight': 'Turn sharp right',
+    'maneuver.uturn': 'Make a U-turn',
+    'maneuver.continue': 'Continue',
+    'maneuver.merge': 'Merge',
+    'maneuver.forkLeft': 'Keep left',
+    'maneuver.forkRight': 'Keep right',
+    'maneuver.rampLeft': 'Take the ramp on the left',
+    'maneuver.rampRight': 'Take the ramp on the right',
+    'maneuver.roundabout': 'Enter the roundabout',
+    'maneuver.ferry': 'Take the ferry',
+    'maneuver.on': '{action} on {street}',
+    'maneuver.onto': '{action} onto {street}'
+  },
+
+  es: {
+    'app.title': 'Rutas de entrenamiento',
+    'app.github': 'Repositorio en GitHub',
+    'language.label': 'Idioma',
+    'intro.summary': 'Genera una ruta circular para correr desde cualquier punto de partida. Elige una distancia, pulsa Generar y obtén una ruta con indicaciones paso a paso que puedes abrir en Google Maps.',
+    'intro.step1': 'Busca un lugar o haz clic en el mapa para fijar la salida',
+    'intro.step2': 'Elige una distancia o escribe la tuya',
+    'intro.step3': 'Si quieres, dibuja un límite para que la ruta no salga de una zona, o marca zonas que evitar',
+    'intro.step4': 'Si quieres, suelta un archivo GPX, KML o GeoJSON en el mapa para compararlo con una ruta conocida',
+    'intro.step5': 'Pulsa <strong>Generar ruta</strong>',
+    'start.label': 'Punto de partida',
+    'start.placeholder': 'Busca un lugar o haz clic en el mapa',
+    'distance.label': 'Distancia',
+    'preset.half': 'Media',
+    'preset.full': 'Maratón',
+    'shape.label': 'Forma de la ruta',
+    'shape.loop': 'Circular',
+    'shape.outAndBack': 'Ida y vuelta',
+    'shape.pointToPoint': 'De punto a punto',
+    'shape.cloverleaf': 'Trébol',
+    'petal.label': 'Volver a la salida cada',
+    'destination.label': 'Destino',
+    'destination.placeholder': 'Busca el destino',
+    'destination.pick': 'Elegir en el mapa',
+    'destination.picking': 'Haz clic en el mapa...',
+    'bearing.label': 'Dirección del giro',
+    'bearing.random': 'Aleatoria',
+    'compass.0': 'Norte',
+    'compass.1': 'Noreste',
+    'compass.2': 'Este',
+    'compass.3': 'Sureste',
+    'compass.4': 'Sur',
+    'compass.5': 'Suroeste',
+    'compass.6': 'Oeste',
+    'compass.7': 'Noroeste',
+    'compassShort.0': 'N',
+    'compassShort.1': 'NE',
+    'compassShort.2': 'E',
+    'compassShort.3': 'SE',
+    'compassShort.4': 'S',
+    'compassShort.5': 'SO',
+    'compassShort.6': 'O',
+    'compassShort.7': 'NO',
+    'terrain.label': 'Terreno',
+    'terrain.flat': 'Llano',
+    'terrain.any': 'Cualquiera',
+    'terrain.hilly': 'Con cuestas',
+    'seed.label': 'Semilla',
+    'seed.placeholder': 'Aleatoria',
+    'generate': 'Generar ruta',
+    'regenerate': 'Otra ruta',
+    'boundary.draw': 'Dibujar límite',
+    'boundary.done': 'Listo',
+    'boundary.clear': 'Borrar límite',
+    'boundary.tolerance': 'Permitido fuera del límite',
+    'exclusion.draw': 'Evitar zona',
+    'exclusion.clear': 'Borrar zonas evitadas',
+    'boundary.drawing': 'Dibujando... (haz clic en el mapa)',
+    'boundary.drawingPoints': { one: 'Dibujando... ({count} punto)', other: 'Dibujando... ({count} puntos)' },
+    'import.button': 'Importar ruta',
+    'imported.label': 'Importada',
+    'imported.useStart': 'Usar como salida',
+    'imported.remove': 'Quitar',
+    'info.duration': 'Tiempo est.',
+    'info.climb': 'Desnivel',
+    'info.outsideBoundary': 'Fuera del límite',
+    'info.seed': 'Semilla',
+    'info.seedAlternative': '{seed} (alternativa {number})',
+    'info.petal': 'Pétalo {number} ({direction})',
+    'route.openInMaps': 'Abrir en Google Maps',
+    'export.gpx': 'Exportar GPX',
+    'export.tcx': 'Exportar TCX',
+    'export.gpxName': 'Ruta de entrenamiento {distance}',
+    'export.tcxName': 'Carrera {distance}',
+    'directions.show': 'Ver indicaciones',
+    'directions.showSteps': { one: 'Ver indicaciones ({count} paso)', other: 'Ver indicaciones ({count} pasos)' },
+    'directions.hideSteps': { one: 'Ocultar indicaciones ({count} paso)', other: 'Ocultar indicaciones ({count} pasos)' },
+    'directions.continue': 'Continúa',
+    'loading': 'Generando ruta...',
+    'marker.turnaround': 'Giro',
+    'error.config': 'No se pudo cargar la configuración',
+    'error.init': 'Error al iniciar: {message}',
+    'error.mapsLoad': 'No se pudo cargar Google Maps',
+    'error.distanceRange': 'Introduce una distancia entre {min} y {max}',
+    'error.destinationRequired': 'Elige un destino para las rutas de punto a punto',
+    'error.petalRange': 'Elige una distancia de pétalo de al menos {min}, menor que el total',
+    'error.seedInvalid': 'La semilla debe ser un número entero de 0 a {max}',
+    'error.routeFailed': 'No se pudo generar la ruta',
+    'error.elevationFailed': 'No se pudo obtener la altitud',
+    'error.importTooShort': 'El archivo de ruta necesita al menos 2 puntos',
+    'error.import': 'No se pudo importar la ruta: {message}',
+    'error.importNoGpxPoints': 'No se encontraron puntos de track en el archivo GPX',
+    'error.importNoKmlLine': 'No se encontró ningún LineString en el archivo KML',
+    'error.importInvalidGeoJson': 'GeoJSON no válido: {message}',
+    'error.importNoGeoJsonLine': 'No se encontró ningún LineString en el archivo GeoJSON',
+    'error.importUnsupported': 'Tipo de archivo no compatible. Usa un archivo GPX, KML o GeoJSON.',
+    'error.boundaryTooShort': 'Dibuja al menos 3 puntos para crear un límite',
+    'error.exclusionTooShort': 'Dibuja al menos 3 puntos para marcar una zona que evitar',
+    'error.startInExclusion': 'El punto de partida está dentro de una zona que evitar. Muévelo o borra la zona.',
+    'error.destinationInExclusion': 'El destino está dentro de una zona que evitar. Muévelo o borra la zona.',
+    'library.save': 'Guardar ruta',
+    'library.saved': 'Guardada',
+    'library.toggle': 'Rutas guardadas',
+    'library.toggleCount': 'Rutas guardadas ({count})',
+    'library.search': 'Buscar rutas guardadas',
+    'library.empty': 'Aún no hay rutas guardadas',
+    'library.noMatches': 'Ninguna ruta guardada coincide',
+    'library.open': 'Abrir',
+    'library.rename': 'Renombrar',
+    'library.delete': 'Eliminar',
+    'library.nameLabel': 'Nombre de la ruta',
+    'library.confirmDelete': '¿Eliminar «{name}»?',
+    'library.defaultName': '{shape}, {distance}',
+    'library.error': 'No se pudieron usar las rutas guardadas: {message}',
+    'share.copy': 'Copiar enlace',
+    'share.copied': 'Enlace copiado',
+    'history.back': 'Anterior',
+    'history.forward': 'Siguiente',
+    'history.position': 'Ruta {number} de {total}',
+    'history.entry': 'Ruta {number} · {distance}',
+    'history.route': 'Ruta {number}',
+    'compare.toggle': 'Comparar',
+    'compare.with': 'Comparar con',
+    'compare.show': 'Mostrar esta ruta',
+    'error.permalink': 'No se pudo abrir la ruta compartida: {message}',
+    'error.permalinkInvalid': 'Este enlace de ruta está dañado o es de una versión más reciente de la app',
+    'apiError.RATE_LIMITED': 'Demasiadas solicitudes. Espera un minuto y vuelve a intentarlo.',
+    'apiError.QUOTA_EXCEEDED': 'Se ha alcanzado el límite diario de rutas. Vuelve a intentarlo mañana.',
+    'apiError.NO_ROUTE': 'No se encontró una ruta a pie aquí. Prueba con otro punto de partida u otra distancia.',
+    'apiError.ROUTE_BLOCKED': 'Todas las rutas encontradas cruzan una zona que evitar (marcada en rojo). Prueba con una distancia más corta, otro punto de partida o zonas más pequeñas.',
+    'apiError.ROUTING_FAILED': 'El servicio de rutas tiene problemas. Vuelve a intentarlo en un momento.',
+    'apiError.ROUTING_TIMEOUT': 'El servicio de rutas tardó demasiado en responder. Vuelve a intentarlo en un momento.',
+    'apiError.ROUTING_UNAVAILABLE': 'El servicio de rutas no está disponible ahora. Vuelve a intentarlo en un minuto.',
+    'apiError.ELEVATION_FAILED': 'Los datos de altitud no están disponibles ahora.',
+    'apiError.TOO_MANY_WAYPOINTS': 'Esta ruta necesita más paradas de las que permite el servicio de rutas. Prueba con una distancia más corta.',
+    'apiError.BODY_TOO_LARGE': 'El límite tiene demasiados puntos. Dibuja uno más sencillo.',
+    'apiError.SERVER_MISCONFIGURED': 'El servidor aún no está preparado para calcular rutas.',
+    'apiError.INTERNAL_ERROR': 'Algo salió mal. Vuelve a intentarlo.',
+    'apiError.coordinate.origin': 'El punto de partida no es una ubicación válida. Vuelve a fijarlo.',
+    'apiError.coordinate.destination': 'El destino no es una ubicación válida. Vuelve a fijarlo.',
+    'apiError.coordinate.boundary': 'Un punto del límite no es una ubicación válida. Vuelve a dibujar el límite.',
+    'apiError.coordinate.exclusions': 'Un punto de una zona que evitar no es una ubicación válida. Vuelve a dibujar la zona.',
+    'maneuver.depart': 'Sal',
+    'maneuver.turnLeft': 'Gira a la izquierda',
+    'maneuver.turnRight': 'Gira a la derecha',
+    'maneuver.turnSlightLeft': 'Gira ligeramente a la izquierda',
+    'maneuver.turnSlightRight': 'Gira ligeramente a la derecha',
+    'maneuver.turnSharpLeft': 'Gira bruscamente a la izquierda',
+    'maneuver.turnSharpRight': 'Gira bruscamente a la derecha',
+    'maneuver.uturn': 'Da la vuelta',
+    'maneuver.continue': 'Continúa',
+    'maneuver.merge': 'Incorpórate',
+    'maneuver.forkLeft': 'Mantente a la izquierda',
+    'maneuver.forkRight': 'Mantente a la derecha',
+    'maneuver.rampLeft': 'Toma la rampa de la izquierda',
+    'maneuver.rampRight': 'Toma la rampa de la derecha',
+    'maneuver.roundabout': 'Entra en la rotonda',
+    'maneuver.ferry': 'Toma el ferry',
+    'maneuver.on': '{action} por {street}',
+    'maneuver.onto': '{action} hacia {street}'
+  },
+
+  de: {
+    'app.title': 'Trainingsrouten',
+    'app.github': 'GitHub-Repository',
+    'language.label': 'Sprache',
+    'intro.summary': 'Erstelle eine Laufrunde ab jedem beliebigen Startpunkt. Distanz wählen, auf „Erstellen“ tippen und eine Route mit Abbiegehinweisen bekommen, die du in Google Maps öffnen kannst.',
+    'intro.step1': 'Suche einen Ort oder klicke auf die Karte, um den Start festzulegen',
+    'intro.step2': 'Wähle eine Distanz oder gib eine eigene ein',
+    'intro.step3': 'Zeichne optional eine Begrenzung, damit die Route in einem Gebiet bleibt, oder markiere Gebiete, die sie meiden soll',
+    'intro.step4': 'Ziehe optional eine GPX-, KML- oder GeoJSON-Datei auf die Karte, um mit einer bekannten Route zu vergleichen',
+    'intro.step5': 'Tippe auf <strong>Route erstellen</strong>',
+    'start.label': 'Startpunkt',
+    'start.placeholder': 'Ort suchen oder auf die Karte klicken',
+    'distance.label': 'Distanz',
+    'preset.half': 'Halb',
+    'preset.full': 'Marathon',
+    'shape.label': 'Routenform',
+    'shape.loop': 'Runde',
+    'shape.outAndBack': 'Hin & zurück',
+    'shape.pointToPoint': 'Von A nach B',
+    'shape.cloverleaf': 'Kleeblatt',
+    'petal.label': 'Zurück am Start alle',
+    'destination.label': 'Ziel',
+    'destination.placeholder': 'Ziel suchen',
+    'destination.pick': 'Auf der Karte wählen',
+    'destination.picking': 'Auf die Karte klicken...',
+    'bearing.label': 'Richtung des Wendepunkts',
+    'bearing.random': 'Zufällig',
+    'compass.0': 'Norden',
+    'compass.1': 'Nordosten',
+    'compass.2': 'Osten',
+    'compass.3': 'Südosten',
+    'compass.4': 'Süden',
+    'compass.5': 'Südwesten',
+    'compass.6': 'Westen',
+    'compass.7': 'Nordwesten',
+    'compassShort.0': 'N',
+    'compassShort.1': 'NO',
+    'compassShort.2': 'O',
+    'compassShort.3': 'SO',
+    'compassShort.4': 'S',
+    'compassShort.5': 'SW',
+    'compassShort.6': 'W',
+    'compassShort.7': 'NW',
+    'terrain.label': 'Gelände',
+    'terrain.flat': 'Flach',
+    'terrain.any': 'Egal',
+    'terrain.hilly': 'Hügelig',
+    'seed.label': 'Startwert',
+    'seed.placeholder': 'Zufällig',
+    'generate': 'Route erstellen',
+    'regenerate': 'Neu erstellen',
+    'boundary.draw': 'Begrenzung zeichnen',
+    'boundary.done': 'Fertig',
+    'boundary.clear': 'Begrenzung entfernen',
+    'boundary.tolerance': 'Erlaubt außerhalb der Begrenzung',
+    'exclusion.draw': 'Gebiet meiden',
+    'exclusion.clear': 'Gemiedene Gebiete entfernen',
+    'boundary.drawing': 'Zeichnen... (auf die Karte klicken)',
+    'boundary.drawingPoints': { one: 'Zeichnen... ({count} Punkt)', other: 'Zeichnen... ({count} Punkte)' },
+    'import.button': 'Route importieren',
+    'imported.label': 'Importiert',
+    'imported.useStart': 'Als Start nutzen',
+    'imported.remove': 'Entfernen',
+    'info.duration': 'Geschätzte Zeit',
+    'info.climb': 'Anstieg',
+    'info.outsideBoundary': 'Außerhalb der Begrenzung',
+    'info.seed': 'Startwert',
+    'info.seedAlternative': '{seed} (Alternative {number})',
+    'info.petal': 'Blatt {number} ({direction})',
+    'route.openInMaps': 'In Google Maps öffnen',
+    'export.gpx': 'GPX exportieren',
+    'export.tcx': 'TCX exportieren',
+    'export.gpxName': 'Trainingsroute {distance}',
+    'export.tcxName': 'Lauf {distance}',
+    'directions.show': 'Wegbeschreibung anzeigen',
+    'directions.showSteps': { one: 'Wegbeschreibung anzeigen ({count} Schritt)', other: 'Wegbeschreibung anzeigen ({count} Schritte)' },
+    'directions.hideSteps': { one: 'Wegbeschreibung ausblenden ({count} Schritt)', other: 'Wegbeschreibung ausblenden ({count} Schritte)' },
+    'directions.continue': 'Weiter',
+    'loading': 'Route wird erstellt...',
+    'marker.turnaround': 'Wendepunkt',
+    'error.config': 'Die Konfiguration konnte nicht geladen werden',
+    'error.init': 'Start fehlgeschlagen: {message}',
+    'error.mapsLoad': 'Google Maps konnte nicht geladen werden',
+    'error.distanceRange': 'Gib eine Distanz zwischen {min} und {max} ein',
+    'error.destinationRequired': 'Lege ein Ziel für Routen von A nach B fest',
+    'error.petalRange': 'Wähle eine Blattlänge von mindestens {min}, kürzer als die Gesamtdistanz',
+    'error.seedInvalid': 'Der Startwert muss eine ganze Zahl von 0 bis {max} sein',
+    'error.routeFailed': 'Die Route konnte nicht erstellt werden',
+    'error.elevationFailed': 'Die Höhendaten konnten nicht geladen werden',
+    'error.importTooShort': 'Die Routendatei braucht mindestens 2 Punkte',
+    'error.import': 'Die Route konnte nicht importiert werden: {message}',
+    'error.importNoGpxPoints': 'Keine Trackpunkte in der GPX-Datei gefunden',
+    'error.importNoKmlLine': 'Kein LineString in der KML-Datei gefunden',
+    'error.importInvalidGeoJson': 'Ungültiges GeoJSON: {message}',
+    'error.importNoGeoJsonLine': 'Kein LineString in der GeoJSON-Datei gefunden',
+    'error.importUnsupported': 'Nicht unterstützter Dateityp. Verwende eine GPX-, KML- oder GeoJSON-Datei.',
+    'error.boundaryTooShort': 'Zeichne mindestens 3 Punkte für eine Begrenzung',
+    'error.exclusionTooShort': 'Zeichne mindestens 3 Punkte, um ein Gebiet zum Meiden zu markieren',
+    'error.startInExclusion': 'Der Startpunkt liegt in einem gemiedenen Gebiet. Verschiebe ihn oder entferne das Gebiet.',
+    'error.destinationInExclusion': 'Das Ziel liegt in einem gemiedenen Gebiet. Verschiebe es oder entferne das Gebiet.',
+    'library.save': 'Route speichern',
+    'library.saved': 'Gespeichert',
+    'library.toggle': 'Gespeicherte Routen',
+    'library.toggleCount': 'Gespeicherte Routen ({count})',
+    'library.search': 'Gespeicherte Routen durchsuchen',
+    'library.empty': 'Noch keine gespeicherten Routen',
+    'library.noMatches': 'Keine gespeicherte Route passt',
+    'library.open': 'Öffnen',
+    'library.rename': 'Umbenennen',
+    'library.delete': 'Löschen',
+    'library.nameLabel': 'Name der Route',
+    'library.confirmDelete': '„{name}“ löschen?',
+    'library.defaultName': '{shape}, {distance}',
+    'library.error': 'Gespeicherte Routen sind nicht verfügbar: {message}',
+    'share.copy': 'Link kopieren',
+    'share.copied': 'Link kopiert',
+    'history.back': 'Zurück',
+    'history.forward': 'Weiter',
+    'history.position': 'Route {number} von {total}',
+    'history.entry': 'Route {number} · {distance}',
+    'history.route': 'Route {number}',
+    'compare.toggle': 'Vergleichen',
+    'compare.with': 'Vergleichen mit',
+    'compare.show': 'Diese Route anzeigen',
+    'error.permalink': 'Geteilte Route konnte nicht geöffnet werden: {message}',
+    'error.permalinkInvalid': 'Dieser Routen-Link ist beschädigt oder stammt aus einer neueren Version der App',
+    'apiError.RATE_LIMITED': 'Zu viele Anfragen. Warte eine Minute und versuche es erneut.',
+    'apiError.QUOTA_EXCEEDED': 'Das tägliche Routenlimit ist erreicht. Versuche es morgen wieder.',
+    'apiError.NO_ROUTE': 'Hier wurde keine begehbare Route gefunden. Versuche einen anderen Startpunkt oder eine andere Distanz.',
+    'apiError.ROUTE_BLOCKED': 'Jede gefundene Route führt durch ein gemiedenes Gebiet (rot umrandet). Versuche eine kürzere Distanz, einen anderen Start oder kleinere Gebiete.',
+    'apiError.ROUTING_FAILED': 'Der Routendienst hat Probleme. Versuche es gleich noch einmal.',
+    'apiError.ROUTING_TIMEOUT': 'Der Routendienst hat zu lange gebraucht. Versuche es gleich noch einmal.',
+    'apiError.ROUTING_UNAVAILABLE': 'Der Routendienst ist gerade nicht erreichbar. Versuche es in einer Minute erneut.',
+    'apiError.ELEVATION_FAILED': 'Höhendaten sind gerade nicht verfügbar.',
+    'apiError.TOO_MANY_WAYPOINTS': 'Diese Route braucht mehr Zwischenstopps, als der Routendienst erlaubt. Versuche eine kürzere Distanz.',
+    'apiError.BODY_TOO_LARGE': 'Die Begrenzung hat zu viele Punkte. Zeichne eine einfachere.',
+    'apiError.SERVER_MISCONFIGURED': 'Der Server ist noch nicht für Routen eingerichtet.',
+    'apiError.INTERNAL_ERROR': 'Etwas ist schiefgelaufen. Versuche es erneut.',
+    'apiError.coordinate.origin': 'Der Startpunkt ist kein gültiger Ort. Lege ihn neu fest.',
+    'apiError.coordinate.destination': 'Das Ziel ist kein gültiger Ort. Lege es neu fest.',
+    'apiError.coordinate.boundary': 'Ein Punkt der Begrenzung ist kein gültiger Ort. Zeichne die Begrenzung neu.',
+    'apiError.coordinate.exclusions': 'Ein Punkt eines gemiedenen Gebiets ist kein gültiger Ort. Zeichne das Gebiet neu.',
+    'maneuver.depart': 'Losgehen',
+    'maneuver.turnLeft': 'Links abbiegen',
+    'maneuver.turnRight': 'Rechts abbiegen',
+    'maneuver.turnSlightLeft': 'Leicht links abbiegen',
+    'maneuver.turnSlightRight': 'Leicht rechts abbiegen',
+    'maneuver.turnSharpLeft': 'Scharf links abbiegen',
+    'maneuver.turnSharpRight': 'Scharf rechts abbiegen',
+    'maneuver.uturn': 'Wenden',
+    'maneuver.continue': 'Weitergehen',
+    'maneuver.merge': 'Einfädeln',
+    'maneuver.forkLeft': 'Links halten',
+    'maneuver.forkRight': 'Rechts halten',
+    'maneuver.rampLeft': 'Die Rampe links nehmen',
+    'maneuver.rampRight': 'Die Rampe rechts nehmen',
+    'maneuver.roundabout': 'In den Kreisverkehr',
+    'maneuver.ferry': 'Die Fähre nehmen',
+    'maneuver.on': '{action} auf {street}',
+    'maneuver.onto': '{action} auf {street}'
+  }
+};
+
+function baseLanguage(tag) {
+  return String(tag || '').split('-')[0].toLowerCase();
+}
+
+/**
+ * The catalog language for a locale tag: its base language when there is a catalog for it.
+ */
+function uiLanguage(locale) {
+  return MESSAGES[baseLanguage(locale)] ? baseLanguage(locale) : DEFAULT_UI_LANGUAGE;
+}
+
+/**
+ * Pick the locale to show: the one saved from the language switcher, else the first of the
+ * browser's preferred languages (navigator.languages) with a catalog, else English.
+ * Browser tags are kept whole (de-AT) so numbers and directions follow the region too.
+ */
+function detectLocale(saved, preferred = []) {
+  return [saved, ...preferred].find(tag => tag && MESSAGES[baseLanguage(tag)]) || DEFAULT_UI_LANGUAGE;
+}
+
+function hasMessage(key) {
+  return Object.prototype.hasOwnProperty.call(MESSAGES[DEFAULT_UI_LANGUAGE], key);
+}
+
+/**
+ * The message for key in locale with params filled in; the key itself when no catalog has it.
+ */
+function translate(locale, key, params = {}) {
+  let message = MESSAGES[uiLanguage(locale)][key];
+  if (message === undefined) message = MESSAGES[DEFAULT_UI_LANGUAGE][key];
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(locale).select(params.count);
+    message = message[form] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translate every marked element under root.
+ */
+function applyTranslations(root, locale) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = translate(locale, el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach(el => {
+    el.innerHTML = translate(locale, el.dataset.i18nHtml);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    el.placeholder = translate(locale, el.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+    el.setAttribute('aria-label', translate(locale, el.dataset.i18nAriaLabel));
+  });
+}
+
+// Export for testing (no-op in browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    translate,
+    hasMessage,
+    detectLocale,
+    uiLanguage,
+    applyTranslations,
+    MESSAGES,
+    UI_LANGUAGES,
+    DEFAULT_UI_LANGUAGE
+  };
+}
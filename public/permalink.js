@@ -0,0 +1,153 @@
+// polyline.js helpers are page globals in the browser; Node requires them. A var (unlike a const)
+// can share its name with those globals, so this declaration doesn't clash with polyline.js.
+if (typeof module !== 'undefined' && module.exports) {
+  var { decodePolyline, encodePolyline } = require('./polyline');
+}
+
+/**
+ * Route state in the URL hash, so a link opens the same route.
+ *
+ * The hash is a query string: v (format version), s (start "lat,lng"), d (distance in miles),
+ * u (mi or km), sh (shape), t (terrain), br (out-and-back bearing), p (petal miles),
+ * pb (cloverleaf petal bearings), sd (the seed the route was generated with) and sa (its
+ * runner-up number under that seed), e (destination "lat,lng"), b / w (boundary and waypoints),
+ * and x (exclusion zones, separated by "." since it never appears in a polyline).
+ * Point lists are encoded polylines: each point is a delta from the previous
+ * one in a few characters, so a 40-vertex boundary takes a few hundred characters rather than
+ * a thousand. Coordinates keep 5 decimal places (about 1 m).
+ */
+
+const PERMALINK_VERSION = 1;
+const PERMALINK_SHAPES = ['loop', 'out-and-back', 'point-to-point', 'cloverleaf'];
+const PERMALINK_TERRAINS = ['flat', 'any', 'hilly'];
+
+// Rounded the way encodePolyline rounds, so the start matches its copies in a cloverleaf's waypoints
+function formatPoint(p) {
+  const round = v => Math.round(v * 1e5) / 1e5;
+  return `${round(p.lat)},${round(p.lng)}`;
+}
+
+function parsePoint(text) {
+  if (!text) return null;
+  const parts = text.split(',');
+  if (parts.length !== 2) return null;
+  const [lat, lng] = parts.map(Number);
+  return isValidPoint({ lat, lng }) ? { lat, lng } : null;
+}
+
+function isValidPoint(p) {
+  return Number.isFinite(p.lat) && Number.isFinite(p.lng) &&
+    p.lat >= -90 && p.lat <= 90 && p.lng >= -180 && p.lng <= 180;
+}
+
+function parsePointList(encoded) {
+  if (!encoded) return [];
+  const points = decodePolyline(encoded);
+  // A list cut off or mangled in transit decodes to something, but doesn't encode back the same
+  if (encodePolyline(points) !== encoded) return null;
+  return points.every(isValidPoint) ? points : null;
+}
+
+/**
+ * The hash (without "#") for a route state:
+ * { start, distanceMiles, useKm, shape, terrain, bearing, petalMiles, petalBearings, seed,
+ *   alternative, destination, boundary, exclusions, waypoints }. Only start and distanceMiles are required.
+ */
+function encodePermalink(state) {
+  const params = [
+    ['v', PERMALINK_VERSION],
+    ['s', formatPoint(state.start)],
+    ['d', Number(state.distanceMiles.toFixed(3))],
+    ['u', state.useKm ? 'km' : 'mi']
+  ];
+  if (state.shape && state.shape !== 'loop') params.push(['sh', state.shape]);
+  if (state.terrain && state.terrain !== 'any') params.push(['t', state.terrain]);
+  if (Number.isFinite(state.bearing)) params.push(['br', Math.round(state.bearing)]);
+  if (Number.isFinite(state.petalMiles)) params.push(['p', Number(state.petalMiles.toFixed(3))]);
+  if (state.petalBearings && state.petalBearings.length) {
+    params.push(['pb', state.petalBearings.map(b => Math.round(b)).join(',')]);
+  }
+  if (Number.isInteger(state.seed)) params.push(['sd', state.seed]);
+  if (Number.isInteger(state.alternative)) params.push(['sa', state.alternative]);
+  if (state.destination) params.push(['e', formatPoint(state.destination)]);
+  if (state.boundary && state.boundary.length >= 3) {
+    params.push(['b', encodePolyline(state.boundary)]);
+  }
+  const exclusions = (state.exclusions || []).filter(zone => zone.length >= 3);
+  if (exclusions.length) {
+    params.push(['x', exclusions.map(zone => encodePolyline(zone)).join('.')]);
+  }
+  if (state.waypoints && state.waypoints.length) {
+    params.push(['w', encodePolyline(state.waypoints)]);
+  }
+  return params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+}
+
+/**
+ * The route state in a URL hash (with or without "#"), or null when the hash isn't a
+ * permalink or is damaged. Optional fields that don't parse are left out rather than
+ * failing the whole link, except for the boundary, exclusion zones and waypoints the route depends on.
+ */
+function decodePermalink(hash) {
+  const text = String(hash || '').replace(/^#/, '');
+  if (!text) return null;
+
+  const params = {};
+  for (const pair of text.split('&')) {
+    const eq = pair.indexOf('=');
+    if (eq < 1) continue;
+    try {
+      params[pair.slice(0, eq)] = decodeURIComponent(pair.slice(eq + 1));
+    } catch {
+      return null;
+    }
+  }
+  if (Number(params.v) !== PERMALINK_VERSION) return null;
+
+  const start = parsePoint(params.s);
+  const distanceMiles = Number(params.d);
+  if (!start || !Number.isFinite(distanceMiles) || distanceMiles <= 0) return null;
+
+  const boundary = parsePointList(params.b);
+  const waypoints = parsePointList(params.w);
+  if (!boundary || !waypoints) return null;
+  const exclusions = params.x ? params.x.split('.').map(parsePointList) : [];
+  if (exclusions.some(zone => !zone || zone.length < 3)) return null;
+
+  const state = {
+    start,
+    distanceMiles,
+    useKm: params.u === 'km',
+    shape: PERMALINK_SHAPES.includes(params.sh) ? params.sh : 'loop',
+    terrain: PERMALINK_TERRAINS.includes(params.t) ? params.t : 'any',
+    boundary: boundary.length >= 3 ? boundary : [],
+    waypoints
+  };
+
+  const bearing = Number(params.br);
+  if (params.br && Number.isFinite(bearing)) state.bearing = ((bearing % 360) + 360) % 360;
+  const petalMiles = Number(params.p);
+  if (params.p && Number.isFinite(petalMiles) && petalMiles > 0) state.petalMiles = petalMiles;
+  if (params.pb) {
+    const bearings = params.pb.split(',').map(Number);
+    if (bearings.every(Number.isFinite)) state.petalBearings = bearings;
+  }
+  if (/^\d+$/.test(params.sd || '')) {
+    state.seed = Number(params.sd);
+    if (/^[1-9]\d*$/.test(params.sa || '')) state.alternative = Number(params.sa);
+  }
+  const destination = parsePoint(params.e);
+  if (destination) state.destination = destination;
+  if (exclusions.length) state.exclusions = exclusions;
+
+  return state;
+}
+
+// Export for testing (no-op in browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    encodePermalink,
+    decodePermalink,
+    PERMALINK_VERSION
+  };
+}
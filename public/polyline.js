@@ -0,0 +1,173 @@
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Decode a Google encoded polyline string into an array of {lat, lng} points.
+ * Same algorithm as google.maps.geometry.encoding.decodePath, usable without the Maps JS API.
+ * precision is the number of decimal places encoded (5 for Google, 6 for Valhalla's polyline6).
+ */
+function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    let shift = 0;
+    let result = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    shift = 0;
+    result = 0;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    points.push({ lat: lat / factor, lng: lng / factor });
+  }
+
+  return points;
+}
+
+function encodeValue(value) {
+  let v = value < 0 ? ~(value << 1) : (value << 1);
+  let out = '';
+  while (v >= 0x20) {
+    out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return out + String.fromCharCode(v + 63);
+}
+
+/**
+ * Encode an array of {lat, lng} points as a Google encoded polyline string.
+ */
+function encodePolyline(points) {
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = '';
+
+  for (const p of points) {
+    const lat = Math.round(p.lat * 1e5);
+    const lng = Math.round(p.lng * 1e5);
+    encoded += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+
+  return encoded;
+}
+
+/**
+ * Great-circle distance in meters between two {lat, lng} points.
+ */
+function haversineMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Total length in meters of a path of {lat, lng} points.
+ */
+function pathDistanceMeters(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineMeters(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+/**
+ * Cumulative distance in meters at each point of a path.
+ * Returns an array the same length as points, starting at 0.
+ */
+function cumulativeDistances(points) {
+  const out = [];
+  let total = 0;
+  points.forEach((p, i) => {
+    if (i > 0) total += haversineMeters(points[i - 1], p);
+    out.push(total);
+  });
+  return out;
+}
+
+/**
+ * Interpolate the {lat, lng} position that lies `meters` along a path.
+ * Distances past either end are clamped to the first/last point.
+ * Pass precomputed cumulativeDistances(points) to avoid recomputing them.
+ */
+function pointAlongPath(points, meters, cumulative) {
+  const cum = cumulative || cumulativeDistances(points);
+  return positionOnSegment(points, cum, meters, segmentEndIndex(cum, meters, 1));
+}
+
+// First index from `from` on whose cumulative distance reaches meters (cum.length when none does)
+function segmentEndIndex(cum, meters, from) {
+  let i = from;
+  while (i < cum.length && cum[i] < meters) i++;
+  return i;
+}
+
+// The position `meters` along the path, on the segment ending at index i
+function positionOnSegment(points, cum, meters, i) {
+  if (meters <= 0) return { lat: points[0].lat, lng: points[0].lng };
+  if (i >= points.length) {
+    const last = points[points.length - 1];
+    return { lat: last.lat, lng: last.lng };
+  }
+
+  const segment = cum[i] - cum[i - 1];
+  const t = segment === 0 ? 0 : (meters - cum[i - 1]) / segment;
+  return {
+    lat: points[i - 1].lat + (points[i].lat - points[i - 1].lat) * t,
+    lng: points[i - 1].lng + (points[i].lng - points[i - 1].lng) * t
+  };
+}
+
+/**
+ * Take `count` evenly spaced samples along a path, including both ends.
+ * Returns [{ lat, lng, distanceMeters }].
+ */
+function samplePath(points, count) {
+  const cum = cumulativeDistances(points);
+  const total = cum[cum.length - 1];
+  const samples = [];
+  // Samples only move forward, so each segment search picks up where the last one stopped
+  let segment = 1;
+
+  for (let i = 0; i < count; i++) {
+    const distanceMeters = count === 1 ? 0 : (total * i) / (count - 1);
+    segment = segmentEndIndex(cum, distanceMeters, segment);
+    const p = positionOnSegment(points, cum, distanceMeters, segment);
+    samples.push({ lat: p.lat, lng: p.lng, distanceMeters });
+  }
+
+  return samples;
+}
+
+// Export for testing (no-op in browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    decodePolyline,
+    encodePolyline,
+    haversineMeters,
+    pathDistanceMeters,
+    cumulativeDistances,
+    pointAlongPath,
+    samplePath,
+    EARTH_RADIUS_METERS
+  };
+}
@@ -0,0 +1,246 @@
+// polyline.js helpers: required in Node, page globals in the browser
+const polylineLib = typeof module !== 'undefined' && module.exports ? require('./polyline') : window;
+
+const GPX_CREATOR = 'Training Routes';
+const TCX_NAME_MAX = 15; // Course <Name> is limited to 15 characters by the TCX schema
+const TCX_POINT_NAME_MAX = 10; // CoursePoint <Name> is limited to 10 characters
+const DEFAULT_SPEED_MPS = 1.4; // walking pace used when the route has no duration
+
+/**
+ * Escape the five XML special characters for use in element text or attributes.
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatCoord(value) {
+  return value.toFixed(6);
+}
+
+function describeDistance(distanceMeters) {
+  const miles = distanceMeters / 1609.34;
+  const km = distanceMeters / 1000;
+  return `Distance: ${miles.toFixed(2)} mi (${km.toFixed(2)} km)`;
+}
+
+/**
+ * Build a GPX 1.1 document for a generated route.
+ * route: { name, start, waypoints, finish, trackPoints, distanceMeters, time }
+ *   start        — {lat, lng} start/finish, written as a named waypoint
+ *   waypoints    — [{lat, lng}] generator waypoints, written as named waypoints
+ *   finish       — optional {lat, lng} end point when the route doesn't return to start
+ *   trackPoints  — [{lat, lng}] decoded route polyline, written as the track
+ *   time         — optional Date for the metadata timestamp
+ */
+function buildGpx(route) {
+  const name = escapeXml(route.name || 'Training Route');
+  const desc = escapeXml(describeDistance(route.distanceMeters));
+  const time = (route.time || new Date()).toISOString();
+  const lines = [];
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<gpx version="1.1" creator="${GPX_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`);
+  lines.push('  <metadata>');
+  lines.push(`    <name>${name}</name>`);
+  lines.push(`    <desc>${desc}</desc>`);
+  lines.push(`    <time>${time}</time>`);
+  lines.push('  </metadata>');
+
+  if (route.start) {
+    lines.push(`  <wpt lat="${formatCoord(route.start.lat)}" lon="${formatCoord(route.start.lng)}">`);
+    lines.push('    <name>Start</name>');
+    lines.push('  </wpt>');
+  }
+
+  (route.waypoints || []).forEach((wp, i) => {
+    lines.push(`  <wpt lat="${formatCoord(wp.lat)}" lon="${formatCoord(wp.lng)}">`);
+    lines.push(`    <name>Waypoint ${i + 1}</name>`);
+    lines.push('  </wpt>');
+  });
+
+  if (route.finish) {
+    lines.push(`  <wpt lat="${formatCoord(route.finish.lat)}" lon="${formatCoord(route.finish.lng)}">`);
+    lines.push('    <name>Finish</name>');
+    lines.push('  </wpt>');
+  }
+
+  lines.push('  <trk>');
+  lines.push(`    <name>${name}</name>`);
+  lines.push(`    <desc>${desc}</desc>`);
+  lines.push('    <trkseg>');
+  route.trackPoints.forEach(p => {
+    lines.push(`      <trkpt lat="${formatCoord(p.lat)}" lon="${formatCoord(p.lng)}"></trkpt>`);
+  });
+  lines.push('    </trkseg>');
+  lines.push('  </trk>');
+  lines.push('</gpx>');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Map a Routes API navigationInstruction.maneuver to a TCX CoursePoint PointType.
+ * Left/right variants (slight, sharp, ramp, fork, roundabout, U-turn) collapse to Left/Right
+ * so the device cues them as turns.
+ */
+function maneuverToPointType(maneuver) {
+  if (!maneuver) return 'Generic';
+  if (maneuver.endsWith('_LEFT')) return 'Left';
+  if (maneuver.endsWith('_RIGHT')) return 'Right';
+  if (maneuver === 'STRAIGHT' || maneuver === 'NAME_CHANGE' || maneuver === 'MERGE') return 'Straight';
+  return 'Generic';
+}
+
+function maneuverLabel(maneuver) {
+  const labels = {
+    DEPART: 'Start',
+    STRAIGHT: 'Straight',
+    NAME_CHANGE: 'Continue',
+    MERGE: 'Merge',
+    TURN_LEFT: 'Left',
+    TURN_RIGHT: 'Right',
+    TURN_SLIGHT_LEFT: 'Slight L',
+    TURN_SLIGHT_RIGHT: 'Slight R',
+    TURN_SHARP_LEFT: 'Sharp L',
+    TURN_SHARP_RIGHT: 'Sharp R',
+    UTURN_LEFT: 'U-turn',
+    UTURN_RIGHT: 'U-turn',
+    ROUNDABOUT_LEFT: 'Roundabout',
+    ROUNDABOUT_RIGHT: 'Roundabout',
+    ROUNDABOUT_CLOCKWISE: 'Roundabout',
+    ROUNDABOUT_COUNTERCLOCKWISE: 'Roundabout'
+  };
+  return (labels[maneuver] || maneuverToPointType(maneuver)).slice(0, TCX_POINT_NAME_MAX);
+}
+
+/**
+ * Flatten route legs into course cues: one per step, in the same order renderDirections() lists them.
+ * Each cue sits at the cumulative distance where its step begins.
+ * Returns [{ distanceMeters, instruction, maneuver }].
+ */
+function buildCourseCues(legs) {
+  const cues = [];
+  let cumulative = 0;
+
+  (legs || []).forEach(leg => {
+    (leg.steps || []).forEach(step => {
+      const nav = step.navigationInstruction || {};
+      cues.push({
+        distanceMeters: cumulative,
+        instruction: nav.instructions || 'Continue',
+        maneuver: nav.maneuver || null
+      });
+      cumulative += step.distanceMeters || 0;
+    });
+  });
+
+  return cues;
+}
+
+function tcxPosition(p, indent) {
+  return [
+    `${indent}<Position>`,
+    `${indent}  <LatitudeDegrees>${formatCoord(p.lat)}</LatitudeDegrees>`,
+    `${indent}  <LongitudeDegrees>${formatCoord(p.lng)}</LongitudeDegrees>`,
+    `${indent}</Position>`
+  ];
+}
+
+/**
+ * Build a TCX course for a generated route, with a CoursePoint for every directions step.
+ * route: { name, trackPoints, legs, distanceMeters, durationSeconds, time }
+ *   trackPoints      — [{lat, lng}] decoded route polyline
+ *   legs             — Routes API legs with steps (navigationInstruction, distanceMeters)
+ *   durationSeconds  — used to give trackpoints plausible timestamps; devices line up
+ *                      course points with the track by time, so every point needs one
+ */
+function buildTcx(route) {
+  const points = route.trackPoints;
+  const name = escapeXml((route.name || 'Training Route').slice(0, TCX_NAME_MAX));
+  const startTime = (route.time || new Date()).getTime();
+  const cumulative = polylineLib.cumulativeDistances(points);
+  const trackLength = cumulative[cumulative.length - 1] || 0;
+  const routeDistance = route.distanceMeters || trackLength;
+  const speed = route.durationSeconds > 0 ? routeDistance / route.durationSeconds : DEFAULT_SPEED_MPS;
+  // Step distances come from the API and differ slightly from the decoded track length,
+  // so scale them onto the track to keep cues on the right corners.
+  const scale = routeDistance > 0 ? trackLength / routeDistance : 1;
+  const timeAt = (meters) => new Date(startTime + (meters / speed) * 1000).toISOString();
+  const lines = [];
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"');
+  lines.push('  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"');
+  lines.push('  xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">');
+  lines.push('  <Courses>');
+  lines.push('    <Course>');
+  lines.push(`      <Name>${name}</Name>`);
+  lines.push('      <Lap>');
+  lines.push(`        <TotalTimeSeconds>${(trackLength / speed).toFixed(0)}</TotalTimeSeconds>`);
+  lines.push(`        <DistanceMeters>${trackLength.toFixed(1)}</DistanceMeters>`);
+  lines.push('        <BeginPosition>');
+  lines.push(`          <LatitudeDegrees>${formatCoord(points[0].lat)}</LatitudeDegrees>`);
+  lines.push(`          <LongitudeDegrees>${formatCoord(points[0].lng)}</LongitudeDegrees>`);
+  lines.push('        </BeginPosition>');
+  lines.push('        <EndPosition>');
+  lines.push(`          <LatitudeDegrees>${formatCoord(points[points.length - 1].lat)}</LatitudeDegrees>`);
+  lines.push(`          <LongitudeDegrees>${formatCoord(points[points.length - 1].lng)}</LongitudeDegrees>`);
+  lines.push('        </EndPosition>');
+  lines.push('        <Intensity>Active</Intensity>');
+  lines.push('      </Lap>');
+  lines.push('      <Track>');
+  points.forEach((p, i) => {
+    lines.push('        <Trackpoint>');
+    lines.push(`          <Time>${timeAt(cumulative[i])}</Time>`);
+    lines.push(...tcxPosition(p, '          '));
+    lines.push(`          <DistanceMeters>${cumulative[i].toFixed(1)}</DistanceMeters>`);
+    lines.push('        </Trackpoint>');
+  });
+  lines.push('      </Track>');
+
+  buildCourseCues(route.legs).forEach(cue => {
+    const trackMeters = Math.min(cue.distanceMeters * scale, trackLength);
+    const position = polylineLib.pointAlongPath(points, trackMeters, cumulative);
+    lines.push('      <CoursePoint>');
+    lines.push(`        <Name>${escapeXml(maneuverLabel(cue.maneuver))}</Name>`);
+    lines.push(`        <Time>${timeAt(trackMeters)}</Time>`);
+    lines.push(...tcxPosition(position, '        '));
+    lines.push(`        <PointType>${maneuverToPointType(cue.maneuver)}</PointType>`);
+    lines.push(`        <Notes>${escapeXml(cue.instruction)}</Notes>`);
+    lines.push('      </CoursePoint>');
+  });
+
+  lines.push('    </Course>');
+  lines.push('  </Courses>');
+  lines.push('</TrainingCenterDatabase>');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a filesystem-friendly file name like "training-route-5.02mi.gpx".
+ */
+function exportFileName(distanceMeters, useKm, extension) {
+  const dist = useKm
+    ? `${(distanceMeters / 1000).toFixed(2)}km`
+    : `${(distanceMeters / 1609.34).toFixed(2)}mi`;
+  return `training-route-${dist}.${extension}`;
+}
+
+// Export for testing (no-op in browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildGpx,
+    buildTcx,
+    buildCourseCues,
+    maneuverToPointType,
+    escapeXml,
+    exportFileName,
+    GPX_CREATOR
+  };
+}
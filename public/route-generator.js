@@ -2,6 +2,40 @@ const METERS_PER_MILE = 1609.34;
 const METERS_PER_DEGREE_LAT = 111320;
 const ROAD_WINDING_FACTOR = 1.15;
 const OVERSHOOT_BIAS = 1.05; // 5% longer to err on the side of too long
+// Asymmetric tolerance: accept up to 10% too long, but only 3% too short
+const MAX_OVERSHOOT = 0.10;
+const MAX_UNDERSHOOT = 0.03;
+// Cloverleaf petals: 6 petals of 3 waypoints plus the start between them stays under
+// the Routes API's 25-intermediate limit
+const MAX_PETALS = 6;
+const PETAL_WAYPOINTS = 3;
+const PETAL_WIDTH = 0.6; // petal half-width as a fraction of its half-length
+const MAX_SEED = 0xffffffff; // seeds are unsigned 32-bit integers
+const EXCLUSION_MARGIN_METERS = 30; // how far past an exclusion zone's edge a waypoint is pushed
+const EXCLUSION_PASSES = 4; // zones a waypoint is pushed through before giving up
+
+/**
+ * Seedable stand-in for Math.random (mulberry32): returns a function yielding numbers in
+ * [0, 1), the same sequence every time for the same seed. Layouts generated with it can be
+ * reproduced from the seed.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A fresh seed for createRandom, from 0 to MAX_SEED.
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
 
 function getWaypointCount(distanceMiles) {
   if (distanceMiles < 5) return 4;
@@ -84,17 +118,107 @@ function polygonCentroid(polygon) {
   return { lat: latSum / polygon.length, lng: lngSum / polygon.length };
 }
 
+/**
+ * Move (lat, lng) out of an exclusion polygon it lies in: past the nearest edge by
+ * EXCLUSION_MARGIN_METERS, straight away from where it was (away from the centroid if it sits
+ * right on the edge). Returns { point, north, east }, the new point and the unit direction it
+ * moved in (meters north and east per meter).
+ */
+function pushOutOfPolygon(lat, lng, polygon) {
+  let edge = { lat, lng };
+  let bestDist = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const proj = projectToSegment(lat, lng, polygon[j], polygon[i]);
+    const d = (proj.lat - lat) ** 2 + (proj.lng - lng) ** 2;
+    if (d < bestDist) {
+      bestDist = d;
+      edge = proj;
+    }
+  }
+
+  // Work in meters so the margin is the same in every direction
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+  const from = bestDist > 0 ? { lat, lng } : polygonCentroid(polygon);
+  const north = (edge.lat - from.lat) * METERS_PER_DEGREE_LAT;
+  const east = (edge.lng - from.lng) * metersPerDegreeLng;
+  const length = Math.hypot(north, east) || 1;
+  return {
+    point: {
+      lat: edge.lat + (north / length) * EXCLUSION_MARGIN_METERS / METERS_PER_DEGREE_LAT,
+      lng: edge.lng + (east / length) * EXCLUSION_MARGIN_METERS / metersPerDegreeLng
+    },
+    north: north / length,
+    east: east / length
+  };
+}
+
+/**
+ * Move (lat, lng), inside polygon, along a unit direction ({ north, east }) until it leaves
+ * the polygon, then EXCLUSION_MARGIN_METERS further.
+ */
+function exitAlongDirection(lat, lng, direction, polygon) {
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+  const local = p => ({ x: (p.lng - lng) * metersPerDegreeLng, y: (p.lat - lat) * METERS_PER_DEGREE_LAT });
+  const dx = direction.east;
+  const dy = direction.north;
+
+  // Nearest edge crossing ahead along the ray: that's where it leaves the polygon
+  let exit = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = local(polygon[j]);
+    const b = local(polygon[i]);
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denom = dx * ey - dy * ex;
+    if (denom === 0) continue;
+    const t = (a.x * ey - a.y * ex) / denom;
+    const u = (a.x * dy - a.y * dx) / denom;
+    if (t > 0 && u >= 0 && u <= 1) exit = Math.min(exit, t);
+  }
+  if (exit === Infinity) return { lat, lng };
+
+  const meters = exit + EXCLUSION_MARGIN_METERS;
+  return {
+    lat: lat + (dy * meters) / METERS_PER_DEGREE_LAT,
+    lng: lng + (dx * meters) / metersPerDegreeLng
+  };
+}
+
+/**
+ * Push waypoints that fall inside any exclusion polygon (areas to avoid) out past its edge.
+ * Waypoints outside every zone are returned unchanged. A waypoint pushed into a neighbouring
+ * zone keeps going the same way through it, so two zones can't push it back and forth; it
+ * gives up after EXCLUSION_PASSES zones.
+ */
+function avoidExclusions(waypoints, exclusions) {
+  if (!exclusions || exclusions.length === 0) return waypoints;
+  const zoneAt = p => exclusions.find(z => z.length >= 3 && pointInPolygon(p.lat, p.lng, z));
+  return waypoints.map(wp => {
+    const first = zoneAt(wp);
+    if (!first) return wp;
+    const pushed = pushOutOfPolygon(wp.lat, wp.lng, first);
+    let point = pushed.point;
+    for (let pass = 1; pass < EXCLUSION_PASSES; pass++) {
+      const zone = zoneAt(point);
+      if (!zone) break;
+      point = exitAlongDirection(point.lat, point.lng, pushed, zone);
+    }
+    return point;
+  });
+}
+
 /**
  * Generate waypoints forming a rough loop around the starting point.
  * Returns an array of {lat, lng} objects.
  * Optional boundary: array of {lat, lng} polygon vertices to constrain waypoints.
+ * random places the loop and perturbs its radius; pass createRandom(seed) to make it reproducible.
  */
-function generateWaypoints(startLat, startLng, distanceMiles, radiusOverride, boundary) {
+function generateWaypoints(startLat, startLng, distanceMiles, radiusOverride, boundary, random = Math.random) {
   const count = getWaypointCount(distanceMiles);
   const targetCircumferenceMeters = distanceMiles * METERS_PER_MILE;
   const radius = radiusOverride || (targetCircumferenceMeters / (2 * Math.PI * ROAD_WINDING_FACTOR)) * OVERSHOOT_BIAS;
 
-  const randomOffset = Math.random() * 2 * Math.PI;
+  const randomOffset = random() * 2 * Math.PI;
   const startLatRad = (startLat * Math.PI) / 180;
   const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(startLatRad);
 
@@ -102,7 +226,7 @@ function generateWaypoints(startLat, startLng, distanceMiles, radiusOverride, bo
   for (let i = 0; i < count; i++) {
     const angle = randomOffset + (2 * Math.PI * i) / count;
     // Perturb radius slightly for variety
-    const perturbedRadius = radius * (0.85 + Math.random() * 0.3);
+    const perturbedRadius = radius * (0.85 + random() * 0.3);
 
     const dLat = (perturbedRadius * Math.cos(angle)) / METERS_PER_DEGREE_LAT;
     const dLng = (perturbedRadius * Math.sin(angle)) / metersPerDegreeLng;
@@ -125,6 +249,199 @@ function generateWaypoints(startLat, startLng, distanceMiles, radiusOverride, bo
   return waypoints;
 }
 
+/**
+ * Offset (lat, lng) by `meters` along a compass bearing (degrees clockwise from north).
+ * Uses the same flat-earth approximation as generateWaypoints, fine at running distances.
+ */
+function destinationPoint(lat, lng, bearingDeg, meters) {
+  const bearing = (bearingDeg * Math.PI) / 180;
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+  return {
+    lat: lat + (meters * Math.cos(bearing)) / METERS_PER_DEGREE_LAT,
+    lng: lng + (meters * Math.sin(bearing)) / metersPerDegreeLng
+  };
+}
+
+/**
+ * Generate the single turnaround waypoint for an out-and-back route.
+ * The straight-line turnaround distance defaults to half the target, corrected for road winding.
+ * bearingDeg picks the direction; omit it for one drawn from random.
+ * Returns [{lat, lng}] so it can be sent as intermediates like a loop's waypoints.
+ */
+function generateOutAndBack(startLat, startLng, distanceMiles, turnaroundOverride, bearingDeg, boundary, random = Math.random) {
+  const halfMeters = (distanceMiles * METERS_PER_MILE) / 2;
+  const turnaroundMeters = turnaroundOverride || (halfMeters / ROAD_WINDING_FACTOR) * OVERSHOOT_BIAS;
+  const bearing = bearingDeg === undefined || bearingDeg === null ? random() * 360 : bearingDeg;
+
+  let { lat, lng } = destinationPoint(startLat, startLng, bearing, turnaroundMeters);
+
+  if (boundary && boundary.length >= 3 && !pointInPolygon(lat, lng, boundary)) {
+    ({ lat, lng } = nearestPointOnPolygon(lat, lng, boundary));
+  }
+
+  return [{ lat, lng }];
+}
+
+/**
+ * Scale the turnaround distance for the next out-and-back attempt.
+ * Route length grows roughly linearly with the turnaround distance, so this uses the plain ratio.
+ * previousTurnaround is null after the first attempt, which used generateOutAndBack's default.
+ */
+function refineTurnaround(distanceMiles, actualDistanceMeters, previousTurnaround) {
+  const targetMeters = distanceMiles * METERS_PER_MILE;
+  const baseTurnaround = (targetMeters / 2 / ROAD_WINDING_FACTOR) * OVERSHOOT_BIAS;
+  return (previousTurnaround || baseTurnaround) * (targetMeters * OVERSHOOT_BIAS) / actualDistanceMeters;
+}
+
+/**
+ * Straight-line distance in meters from start to end, flat-earth approximation.
+ */
+function localDistanceMeters(startLat, startLng, endLat, endLng) {
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos((startLat * Math.PI) / 180);
+  const dx = (endLng - startLng) * metersPerDegreeLng;
+  const dy = (endLat - startLat) * METERS_PER_DEGREE_LAT;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Sideways bulge (meters) that stretches a start→end trip to the target distance.
+ * Models the detour as two straight legs via a point `detour` meters off the midpoint,
+ * so 2 * sqrt((direct / 2)^2 + detour^2) equals the target's straight-line length.
+ * Returns 0 when the direct route is already long enough.
+ */
+function defaultDetour(directMeters, distanceMiles) {
+  const straightLineTarget = (distanceMiles * METERS_PER_MILE / ROAD_WINDING_FACTOR) * OVERSHOOT_BIAS;
+  if (straightLineTarget <= directMeters) return 0;
+  return Math.sqrt((straightLineTarget / 2) ** 2 - (directMeters / 2) ** 2);
+}
+
+/**
+ * Generate detour waypoints for a point-to-point route from start to end.
+ * Waypoints follow a half-sine arc bulging `detour` meters to one side of the straight line.
+ * side is 'left' or 'right' of the direction of travel; omit it for one drawn from random.
+ */
+function generatePointToPoint(startLat, startLng, endLat, endLng, distanceMiles, detourOverride, side, boundary, random = Math.random) {
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos((startLat * Math.PI) / 180);
+  const dx = (endLng - startLng) * metersPerDegreeLng;
+  const dy = (endLat - startLat) * METERS_PER_DEGREE_LAT;
+  const direct = Math.sqrt(dx * dx + dy * dy);
+  const detour = detourOverride === undefined || detourOverride === null
+    ? defaultDetour(direct, distanceMiles)
+    : detourOverride;
+  const sideSign = (side || (random() < 0.5 ? 'left' : 'right')) === 'left' ? 1 : -1;
+  const count = Math.max(2, getWaypointCount(distanceMiles) / 2);
+
+  // Unit vector along the trip, and its left-hand perpendicular
+  const ux = direct === 0 ? 0 : dx / direct;
+  const uy = direct === 0 ? 1 : dy / direct;
+  const px = -uy;
+  const py = ux;
+
+  const waypoints = [];
+  for (let i = 1; i <= count; i++) {
+    const t = i / (count + 1);
+    const offset = sideSign * detour * Math.sin(Math.PI * t);
+    const x = ux * direct * t + px * offset;
+    const y = uy * direct * t + py * offset;
+
+    let lat = startLat + y / METERS_PER_DEGREE_LAT;
+    let lng = startLng + x / metersPerDegreeLng;
+
+    if (boundary && boundary.length >= 3 && !pointInPolygon(lat, lng, boundary)) {
+      ({ lat, lng } = nearestPointOnPolygon(lat, lng, boundary));
+    }
+
+    waypoints.push({ lat, lng });
+  }
+
+  return waypoints;
+}
+
+/**
+ * Re-fit the detour after a point-to-point attempt.
+ * Calibrates the effective winding from the actual route against the two-leg model,
+ * then solves the model for the detour that hits the biased target.
+ */
+function refineDetour(directMeters, distanceMiles, actualDistanceMeters, previousDetour) {
+  const detour = previousDetour === undefined || previousDetour === null
+    ? defaultDetour(directMeters, distanceMiles)
+    : previousDetour;
+  const modelLength = 2 * Math.sqrt((directMeters / 2) ** 2 + detour ** 2);
+  const winding = actualDistanceMeters / modelLength;
+  const biasedTarget = distanceMiles * METERS_PER_MILE * OVERSHOOT_BIAS;
+  return Math.sqrt(Math.max(0, (biasedTarget / (2 * winding)) ** 2 - (directMeters / 2) ** 2));
+}
+
+/**
+ * Number of equal petals needed to pass the start at least every petalMiles (minimum 2).
+ */
+function getPetalCount(distanceMiles, petalMiles) {
+  // Tolerate float noise so 20 / 5 is exactly 4 petals
+  return Math.max(2, Math.ceil(distanceMiles / petalMiles - 1e-9));
+}
+
+/**
+ * Default half-length (meters) of an elliptical petal whose perimeter, corrected for
+ * road winding, matches petalMiles. Perimeter uses the 2π·sqrt((a² + b²) / 2) approximation.
+ */
+function defaultPetalRadius(petalMiles) {
+  const perimeter = (petalMiles * METERS_PER_MILE / ROAD_WINDING_FACTOR) * OVERSHOOT_BIAS;
+  return perimeter / (2 * Math.PI * Math.sqrt((1 + PETAL_WIDTH * PETAL_WIDTH) / 2));
+}
+
+/**
+ * Generate a cloverleaf: equal petal loops that each start and end at the start point.
+ * Petals are ellipses touching the start, spread evenly around the compass from offsetDeg
+ * (drawn from random if omitted) so each heads a different way. radiusOverride sets every petal's half-length.
+ * Returns [{ bearing, waypoints }], one entry per petal.
+ */
+function generateCloverleaf(startLat, startLng, distanceMiles, petalMiles, radiusOverride, offsetDeg, boundary, random = Math.random) {
+  const count = getPetalCount(distanceMiles, petalMiles);
+  const a = radiusOverride || defaultPetalRadius(distanceMiles / count);
+  const b = a * PETAL_WIDTH;
+  const offset = offsetDeg === undefined || offsetDeg === null ? random() * 360 : offsetDeg;
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos((startLat * Math.PI) / 180);
+
+  const petals = [];
+  for (let i = 0; i < count; i++) {
+    const bearing = (offset + (360 * i) / count) % 360;
+    const theta = (bearing * Math.PI) / 180;
+
+    const waypoints = [];
+    for (let j = 1; j <= PETAL_WAYPOINTS; j++) {
+      // Walk around the ellipse; phi = π is the start, where the petal touches it
+      const phi = Math.PI + (2 * Math.PI * j) / (PETAL_WAYPOINTS + 1);
+      const along = a + a * Math.cos(phi);
+      const across = b * Math.sin(phi);
+      const east = along * Math.sin(theta) + across * Math.cos(theta);
+      const north = along * Math.cos(theta) - across * Math.sin(theta);
+
+      let lat = startLat + north / METERS_PER_DEGREE_LAT;
+      let lng = startLng + east / metersPerDegreeLng;
+
+      if (boundary && boundary.length >= 3 && !pointInPolygon(lat, lng, boundary)) {
+        ({ lat, lng } = nearestPointOnPolygon(lat, lng, boundary));
+      }
+
+      waypoints.push({ lat, lng });
+    }
+
+    petals.push({ bearing, waypoints });
+  }
+
+  return petals;
+}
+
+/**
+ * Scale the petal half-length for the next cloverleaf attempt.
+ * Every petal starts at the same point, so total length grows linearly with the half-length.
+ */
+function refinePetalRadius(distanceMiles, petalMiles, actualDistanceMeters, previousRadius) {
+  const targetMeters = distanceMiles * METERS_PER_MILE;
+  const baseRadius = defaultPetalRadius(distanceMiles / getPetalCount(distanceMiles, petalMiles));
+  return (previousRadius || baseRadius) * (targetMeters * OVERSHOOT_BIAS) / actualDistanceMeters;
+}
+
 /**
  * Given the actual route distance from the API, compute an adjusted radius
  * and regenerate waypoints to get closer to the target distance.
@@ -142,19 +459,66 @@ function adjustWaypoints(startLat, startLng, distanceMiles, actualDistanceMeters
   return generateWaypoints(startLat, startLng, distanceMiles, adjustedRadius, boundary);
 }
 
+/**
+ * Compare an actual route distance to the target using the asymmetric tolerance.
+ * Returns { pctDiff, tooLong, tooShort, withinTolerance }.
+ */
+function checkTolerance(actualDistanceMeters, distanceMiles) {
+  const targetMeters = distanceMiles * METERS_PER_MILE;
+  const pctDiff = (actualDistanceMeters - targetMeters) / targetMeters;
+  const tooLong = pctDiff > MAX_OVERSHOOT;
+  const tooShort = pctDiff < -MAX_UNDERSHOOT;
+  return { pctDiff, tooLong, tooShort, withinTolerance: !tooLong && !tooShort };
+}
+
+/**
+ * Scale the waypoint radius for the next refinement attempt, biasing toward longer routes.
+ * previousRadius is the radius used last time, or null after the first (default-radius) attempt.
+ */
+function refineRadius(distanceMiles, actualDistanceMeters, previousRadius) {
+  const targetMeters = distanceMiles * METERS_PER_MILE;
+  const biasedTarget = targetMeters * OVERSHOOT_BIAS;
+  const ratio = biasedTarget / actualDistanceMeters;
+  const baseRadius = targetMeters / (2 * Math.PI * ROAD_WINDING_FACTOR);
+  return (previousRadius || baseRadius) * Math.sqrt(ratio);
+}
+
 // Export for testing (no-op in browser)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    createRandom,
+    randomSeed,
     generateWaypoints,
     adjustWaypoints,
     pointInPolygon,
     nearestPointOnPolygon,
     projectToSegment,
     polygonCentroid,
+    avoidExclusions,
     getWaypointCount,
+    checkTolerance,
+    refineRadius,
+    destinationPoint,
+    generateOutAndBack,
+    refineTurnaround,
+    localDistanceMeters,
+    defaultDetour,
+    generatePointToPoint,
+    refineDetour,
+    getPetalCount,
+    defaultPetalRadius,
+    generateCloverleaf,
+    refinePetalRadius,
     METERS_PER_MILE,
     METERS_PER_DEGREE_LAT,
     ROAD_WINDING_FACTOR,
-    OVERSHOOT_BIAS
+    OVERSHOOT_BIAS,
+    MAX_OVERSHOOT,
+    MAX_UNDERSHOOT,
+    MAX_PETALS,
+    MAX_SEED,
+    EXCLUSION_MARGIN_METERS,
+    PETAL_WAYPOINTS,
+    PETAL_WIDTH
   };
 }
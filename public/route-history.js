@@ -0,0 +1,67 @@
+/**
+ * Session history of the routes shown, for stepping back and forward between them and
+ * comparing two.
+ *
+ * Entries stay in the order they were shown. Showing a new route after going back adds it at
+ * the end instead of dropping the ones ahead (as browser history would), so a route from earlier
+ * in the session is never lost until the history is over its limit; then the oldest goes.
+ */
+
+const ROUTE_HISTORY_LIMIT = 50;
+
+function createRouteHistory(limit = ROUTE_HISTORY_LIMIT) {
+  const entries = [];
+  let index = -1;
+  let nextNumber = 1;
+
+  return {
+    /**
+     * Add an entry at the end and make it current. Returns the stored copy, which gets a
+     * number: 1 for the first route of the session, counting up, never reused.
+     */
+    push(entry) {
+      const stored = { ...entry, number: nextNumber++ };
+      entries.push(stored);
+      if (entries.length > limit) entries.shift();
+      index = entries.length - 1;
+      return stored;
+    },
+
+    current: () => entries[index] || null,
+
+    /**
+     * Step to the previous (-1) or next (+1) entry; returns it, or null at either end.
+     */
+    step(direction) {
+      const next = index + direction;
+      if (next < 0 || next >= entries.length) return null;
+      index = next;
+      return entries[index];
+    },
+
+    /**
+     * Make the entry with this number current; returns it, or null if it isn't in the history.
+     */
+    go(number) {
+      const found = entries.findIndex(e => e.number === number);
+      if (found === -1) return null;
+      index = found;
+      return entries[index];
+    },
+
+    get: number => entries.find(e => e.number === number) || null,
+
+    list: () => entries.slice(),
+
+    // 0-based place of the current entry, and how many there are
+    position: () => ({ index, size: entries.length })
+  };
+}
+
+// Export for testing (no-op in browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createRouteHistory,
+    ROUTE_HISTORY_LIMIT
+  };
+}
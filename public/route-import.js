@@ -0,0 +1,175 @@
+/**
+ * Parsers for route files dropped onto the map.
+ * Each returns { name, points } where points is an array of {lat, lng}.
+ * XML formats are read with small regexes rather than DOMParser so the same code runs in tests.
+ * Failures throw an Error whose message is an i18n catalog key (see importError).
+ */
+
+/**
+ * An error the page can translate: the message and key are the i18n catalog key, params fill it in.
+ */
+function importError(key, params = {}) {
+  const err = new Error(key);
+  err.key = key;
+  err.params = params;
+  return err;
+}
+
+function unescapeXml(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readAttr(tag, attr) {
+  const match = tag.match(new RegExp(`\\b${attr}\\s*=\\s*["']([^"']*)["']`));
+  return match ? parseFloat(match[1]) : NaN;
+}
+
+function firstName(xml) {
+  const match = xml.match(/<name>\s*(?:<!\[CDATA\[([\s\S]*?)\]\]>|([^<]*))\s*<\/name>/);
+  if (!match) return null;
+  const name = (match[1] !== undefined ? match[1] : unescapeXml(match[2])).trim();
+  return name || null;
+}
+
+function validPoint(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * Parse a GPX document. Uses track points if present, then route points, then waypoints.
+ */
+function parseGpx(text) {
+  for (const tagName of ['trkpt', 'rtept', 'wpt']) {
+    const tags = text.match(new RegExp(`<${tagName}\\b[^>]*>`, 'g')) || [];
+    const points = tags
+      .map(tag => ({ lat: readAttr(tag, 'lat'), lng: readAttr(tag, 'lon') }))
+      .filter(p => validPoint(p.lat, p.lng));
+    if (points.length > 0) {
+      return { name: firstName(text), points };
+    }
+  }
+  throw importError('error.importNoGpxPoints');
+}
+
+function parseKmlCoordinates(block) {
+  return block.trim().split(/\s+/)
+    .map(tuple => {
+      const [lng, lat] = tuple.split(',').map(parseFloat);
+      return { lat, lng };
+    })
+    .filter(p => validPoint(p.lat, p.lng));
+}
+
+/**
+ * Parse a KML document. Joins every LineString in order; falls back to gx:Track coordinates.
+ */
+function parseKml(text) {
+  const lineStrings = text.match(/<LineString\b[\s\S]*?<\/LineString>/g) || [];
+  let points = [];
+
+  lineStrings.forEach(ls => {
+    const coords = ls.match(/<coordinates>([\s\S]*?)<\/coordinates>/);
+    if (coords) points = points.concat(parseKmlCoordinates(coords[1]));
+  });
+
+  if (points.length === 0) {
+    const gxCoords = text.match(/<gx:coord>([^<]*)<\/gx:coord>/g) || [];
+    points = gxCoords
+      .map(c => {
+        const [lng, lat] = c.replace(/<\/?gx:coord>/g, '').trim().split(/\s+/).map(parseFloat);
+        return { lat, lng };
+      })
+      .filter(p => validPoint(p.lat, p.lng));
+  }
+
+  if (points.length === 0) {
+    throw importError('error.importNoKmlLine');
+  }
+
+  return { name: firstName(text), points };
+}
+
+function collectLineStrings(geojson, out) {
+  if (!geojson || typeof geojson !== 'object') return;
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      (geojson.features || []).forEach(f => collectLineStrings(f, out));
+      break;
+    case 'Feature':
+      collectLineStrings(geojson.geometry, out);
+      if (!out.name && geojson.properties && geojson.properties.name) {
+        out.name = String(geojson.properties.name);
+      }
+      break;
+    case 'GeometryCollection':
+      (geojson.geometries || []).forEach(g => collectLineStrings(g, out));
+      break;
+    case 'LineString':
+      out.lines.push(geojson.coordinates || []);
+      break;
+    case 'MultiLineString':
+      (geojson.coordinates || []).forEach(line => out.lines.push(line));
+      break;
+  }
+}
+
+/**
+ * Parse GeoJSON text. Joins every LineString / MultiLineString in document order.
+ */
+function parseGeoJson(text) {
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch (err) {
+    throw importError('error.importInvalidGeoJson', { message: err.message });
+  }
+
+  const out = { name: null, lines: [] };
+  collectLineStrings(geojson, out);
+
+  const points = [];
+  out.lines.forEach(line => {
+    line.forEach(coord => {
+      const [lng, lat] = coord;
+      if (validPoint(lat, lng)) points.push({ lat, lng });
+    });
+  });
+
+  if (points.length === 0) {
+    throw importError('error.importNoGeoJsonLine');
+  }
+
+  return { name: out.name, points };
+}
+
+/**
+ * Detect the format from the file name (falling back to the content) and parse it.
+ */
+function parseRouteFile(text, fileName) {
+  const ext = (fileName || '').toLowerCase().split('.').pop();
+  const head = text.trimStart().slice(0, 500);
+
+  if (ext === 'gpx' || (ext !== 'kml' && /<gpx\b/.test(head))) return parseGpx(text);
+  if (ext === 'kml' || /<kml\b/.test(head)) return parseKml(text);
+  if (ext === 'geojson' || ext === 'json' || head.startsWith('{')) return parseGeoJson(text);
+
+  throw importError('error.importUnsupported');
+}
+
+// Export for testing (no-op in browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseRouteFile,
+    parseGpx,
+    parseKml,
+    parseGeoJson,
+    unescapeXml
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Saved route library, kept in the browser.
+ *
+ * A saved route is a plain object with an id, name, createdAt (ISO date) and whatever the app
+ * needs to redraw it without routing again: start, destination, waypoints, boundary, polyline,
+ * legs with their steps, and so on (see saveCurrentRoute in app.js).
+ *
+ * Records live in a store with promise-returning getAll / get / put / delete: IndexedDB in the
+ * browser, or memory where IndexedDB isn't available (then the library lasts until reload).
+ */
+
+const LIBRARY_DB_NAME = 'training-routes';
+const LIBRARY_STORE_NAME = 'routes';
+
+function createIndexedDbStore(idb, dbName = LIBRARY_DB_NAME) {
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = idb.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(LIBRARY_STORE_NAME, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run one request in its own transaction, resolving with its result once the transaction commits
+  async function run(mode, makeRequest) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(LIBRARY_STORE_NAME, mode);
+      const request = makeRequest(tx.objectStore(LIBRARY_STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  return {
+    getAll: () => run('readonly', store => store.getAll()),
+    get: id => run('readonly', store => store.get(id)),
+    put: record => run('readwrite', store => store.put(record)),
+    delete: id => run('readwrite', store => store.delete(id))
+  };
+}
+
+function createMemoryStore() {
+  const records = new Map();
+  // Copies in and out, like IndexedDB, so callers can't change stored records by accident
+  return {
+    getAll: async () => [...records.values()].map(r => structuredClone(r)),
+    get: async id => (records.has(id) ? structuredClone(records.get(id)) : undefined),
+    put: async record => {
+      records.set(record.id, structuredClone(record));
+      return record.id;
+    },
+    delete: async id => {
+      records.delete(id);
+    }
+  };
+}
+
+function newRouteId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Lower case without accents, so "cafe" finds "Café"
+function foldText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Routes whose name contains every word of query (case- and accent-insensitive).
+ */
+function filterRoutes(routes, query = '') {
+  const words = foldText(query).split(/\s+/).filter(Boolean);
+  return routes.filter(route => {
+    const name = foldText(route.name);
+    return words.every(word => name.includes(word));
+  });
+}
+
+function createRouteLibrary(store) {
+  return {
+    /**
+     * Store a route; resolves with the saved record (with its new id and createdAt).
+     */
+    async save(route, now = new Date()) {
+      const record = { ...route, id: newRouteId(), createdAt: now.toISOString() };
+      await store.put(record);
+      return record;
+    },
+
+    /**
+     * Saved routes matching query (see filterRoutes), newest first.
+     */
+    async list(query = '') {
+      const routes = filterRoutes(await store.getAll(), query);
+      return routes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    get: id => store.get(id),
+
+    async rename(id, name) {
+      const trimmed = String(name || '').trim();
+      if (!trimmed) throw new Error('A saved route needs a name');
+      const record = await store.get(id);
+      if (!record) throw new Error('Saved route not found');
+      const renamed = { ...record, name: trimmed };
+      await store.put(renamed);
+      return renamed;
+    },
+
+    remove: id => store.delete(id)
+  };
+}
+
+/**
+ * The library backed by IndexedDB when the browser has it, else by memory.
+ */
+function openRouteLibrary(idb = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+  return createRouteLibrary(idb ? createIndexedDbStore(idb) : createMemoryStore());
+}
+
+// Export for testing (no-op in browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    openRouteLibrary,
+    createRouteLibrary,
+    createIndexedDbStore,
+    createMemoryStore,
+    filterRoutes
+  };
+}
@@ -0,0 +1,123 @@
+const { getBrowserKey, getServerKey, apiKeyWarnings } = require('../lib/api-keys');
+const { getAllowedOrigins, isAllowedOrigin, requestOrigin } = require('../lib/allowed-origins');
+const { getRoutingProvider } = require('../lib/routing');
+const { getElevationProvider } = require('../lib/elevation');
+
+// --- Browser and server keys ---
+
+describe('getBrowserKey / getServerKey', () => {
+  test('use the separate keys when set', () => {
+    const env = { GOOGLE_MAPS_BROWSER_KEY: 'browser', GOOGLE_MAPS_SERVER_KEY: 'server', GOOGLE_MAPS_API_KEY: 'shared' };
+    expect(getBrowserKey(env)).toBe('browser');
+    expect(getServerKey(env)).toBe('server');
+  });
+
+  test('fall back to the single GOOGLE_MAPS_API_KEY', () => {
+    expect(getBrowserKey({ GOOGLE_MAPS_API_KEY: 'shared' })).toBe('shared');
+    expect(getServerKey({ GOOGLE_MAPS_API_KEY: 'shared' })).toBe('shared');
+  });
+
+  test('never use one specific key for the other side', () => {
+    expect(getBrowserKey({ GOOGLE_MAPS_SERVER_KEY: 'server' })).toBeNull();
+    expect(getServerKey({ GOOGLE_MAPS_BROWSER_KEY: 'browser' })).toBeNull();
+  });
+
+  test('the Google routing and elevation providers use the server key', async () => {
+    const env = { GOOGLE_MAPS_BROWSER_KEY: 'browser', GOOGLE_MAPS_SERVER_KEY: 'server' };
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ routes: [], status: 'OK', results: [{ elevation: 10 }] }) }));
+
+    await getRoutingProvider(env).computeRoutes({ origin: { lat: 40, lng: -74 }, waypoints: [] });
+    await getElevationProvider(env).getElevations([{ lat: 40, lng: -74 }]);
+
+    expect(global.fetch.mock.calls[0][1].headers['X-Goog-Api-Key']).toBe('server');
+    expect(global.fetch.mock.calls[1][0]).toContain('key=server');
+    expect(getRoutingProvider({ GOOGLE_MAPS_BROWSER_KEY: 'browser' })).toBeNull();
+
+    delete global.fetch;
+  });
+});
+
+describe('apiKeyWarnings', () => {
+  const origins = { ALLOWED_ORIGINS: 'https://routes.example.com' };
+
+  test('are quiet with separate keys and an allow-list', () => {
+    expect(apiKeyWarnings({ GOOGLE_MAPS_BROWSER_KEY: 'b', GOOGLE_MAPS_SERVER_KEY: 's', ...origins })).toEqual([]);
+  });
+
+  test('warn when one key serves both sides', () => {
+    expect(apiKeyWarnings({ GOOGLE_MAPS_API_KEY: 'shared', ...origins })[0])
+      .toMatch(/^The same Google API key is used in the browser and on the server/);
+    expect(apiKeyWarnings({ GOOGLE_MAPS_BROWSER_KEY: 'k', GOOGLE_MAPS_SERVER_KEY: 'k', ...origins })).toHaveLength(1);
+  });
+
+  test('warn when only the server key is set', () => {
+    expect(apiKeyWarnings({ GOOGLE_MAPS_SERVER_KEY: 's' }))
+      .toEqual(['GOOGLE_MAPS_BROWSER_KEY is not set, so /api/config has no key for the map.']);
+  });
+
+  test('warn when only the browser key is set and the server needs Google', () => {
+    expect(apiKeyWarnings({ GOOGLE_MAPS_BROWSER_KEY: 'b', ...origins }))
+      .toEqual(['GOOGLE_MAPS_SERVER_KEY is not set, so Google routing and elevation calls will fail.']);
+    expect(apiKeyWarnings({
+      GOOGLE_MAPS_BROWSER_KEY: 'b', ROUTING_PROVIDER: 'osrm', ELEVATION_PROVIDER: 'hgt', ...origins
+    })).toEqual([]);
+  });
+
+  test('warn when the browser key is handed out without an allow-list', () => {
+    expect(apiKeyWarnings({ GOOGLE_MAPS_BROWSER_KEY: 'b', GOOGLE_MAPS_SERVER_KEY: 's' }))
+      .toEqual(['ALLOWED_ORIGINS is not set, so /api/config hands the browser key to any site.']);
+  });
+
+  test('say nothing when no key is configured', () => {
+    expect(apiKeyWarnings({})).toEqual([]);
+  });
+});
+
+// --- Origin allow-list ---
+
+describe('getAllowedOrigins', () => {
+  test('splits and trims the list', () => {
+    expect(getAllowedOrigins({ ALLOWED_ORIGINS: 'https://a.example.com/, http://localhost:3000' }))
+      .toEqual(['https://a.example.com', 'http://localhost:3000']);
+  });
+
+  test('returns null without a list', () => {
+    expect(getAllowedOrigins({})).toBeNull();
+    expect(getAllowedOrigins({ ALLOWED_ORIGINS: ' , ' })).toBeNull();
+  });
+});
+
+describe('requestOrigin', () => {
+  test('prefers Origin, then the origin of Referer', () => {
+    expect(requestOrigin({ origin: 'https://a.example.com', referer: 'https://b.example.com/x' })).toBe('https://a.example.com');
+    expect(requestOrigin({ referer: 'https://b.example.com/map?x=1' })).toBe('https://b.example.com');
+    expect(requestOrigin({ origin: 'null', referer: 'https://b.example.com/' })).toBe('https://b.example.com');
+  });
+
+  test('returns null with neither header or a malformed Referer', () => {
+    expect(requestOrigin({})).toBeNull();
+    expect(requestOrigin({ referer: 'not a url' })).toBeNull();
+    expect(requestOrigin(undefined)).toBeNull();
+  });
+});
+
+describe('isAllowedOrigin', () => {
+  const allowed = ['https://routes.example.com', 'https://*.vercel.app'];
+
+  test('allows listed origins and subdomains of wildcard entries', () => {
+    expect(isAllowedOrigin({ headers: { origin: 'https://routes.example.com' } }, allowed)).toBe(true);
+    expect(isAllowedOrigin({ headers: { referer: 'https://my-preview.vercel.app/' } }, allowed)).toBe(true);
+  });
+
+  test('rejects other origins, look-alikes and requests with no origin', () => {
+    expect(isAllowedOrigin({ headers: { origin: 'https://evil.example.com' } }, allowed)).toBe(false);
+    expect(isAllowedOrigin({ headers: { origin: 'https://routes.example.com.evil.com' } }, allowed)).toBe(false);
+    expect(isAllowedOrigin({ headers: { origin: 'http://my-preview.vercel.app' } }, allowed)).toBe(false);
+    expect(isAllowedOrigin({ headers: { origin: 'https://vercel.app' } }, allowed)).toBe(false);
+    expect(isAllowedOrigin({ headers: {} }, allowed)).toBe(false);
+  });
+
+  test('allows everything without a list', () => {
+    expect(isAllowedOrigin({ headers: {} }, null)).toBe(true);
+  });
+});
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  getElevationProvider,
+  getElevationProfile,
+  summarizeClimb
+} = require('../lib/elevation');
+const { createHgtElevationProvider, tileName, VOID_VALUE } = require('../lib/elevation/hgt');
+const { createGoogleElevationProvider } = require('../lib/elevation/google');
+const { encodePolyline } = require('../public/polyline');
+const elevationHandler = require('../api/elevation');
+const { resetRateLimiters } = require('../lib/rate-limit');
+
+function mockRes() {
+  const res = {
+    _status: 200,
+    _body: null,
+    _headers: {},
+    status(code) { this._status = code; return this; },
+    setHeader(name, value) { this._headers[name.toLowerCase()] = value; return this; },
+    json(body) { this._body = body; return this; }
+  };
+  return res;
+}
+
+/**
+ * Write a small synthetic HGT tile: `size` x `size` samples, big-endian int16, rows north to south.
+ * valueAt(row, col) gives each sample's elevation.
+ */
+function writeTile(dir, name, size, valueAt) {
+  const buf = Buffer.alloc(size * size * 2);
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      buf.writeInt16BE(valueAt(r, c), (r * size + c) * 2);
+    }
+  }
+  fs.writeFileSync(path.join(dir, name), buf);
+}
+
+let tileDir;
+
+beforeAll(() => {
+  tileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hgt-'));
+  // N40W075 covers lat 40..41, lng -75..-74. Elevation rises 100 m per column eastward.
+  writeTile(tileDir, 'N40W075.hgt', 11, (r, c) => c * 100);
+  // N41W075 has a void in the north-west corner
+  writeTile(tileDir, 'N41W075.hgt', 3, (r, c) => (r === 0 && c === 0 ? VOID_VALUE : 50));
+});
+
+afterAll(() => {
+  fs.rmSync(tileDir, { recursive: true, force: true });
+});
+
+// --- tileName ---
+
+describe('tileName', () => {
+  test('names northern/western tiles by their south-west corner', () => {
+    expect(tileName(40.7128, -74.006)).toBe('N40W075.hgt');
+  });
+
+  test('names southern/eastern tiles', () => {
+    expect(tileName(-33.86, 151.2)).toBe('S34E151.hgt');
+  });
+});
+
+// --- HGT provider ---
+
+describe('createHgtElevationProvider', () => {
+  test('reads grid values at sample points', async () => {
+    const provider = createHgtElevationProvider(tileDir);
+    const [west, east] = await provider.getElevations([
+      { lat: 40.5, lng: -75 },
+      { lat: 40.5, lng: -74.0000001 }
+    ]);
+    expect(west).toBeCloseTo(0, 3);
+    expect(east).toBeCloseTo(1000, 2);
+  });
+
+  test('interpolates between grid columns', async () => {
+    const provider = createHgtElevationProvider(tileDir);
+    // Halfway between columns 2 (200 m) and 3 (300 m)
+    const [e] = await provider.getElevations([{ lat: 40.5, lng: -75 + 0.25 }]);
+    expect(e).toBeCloseTo(250, 6);
+  });
+
+  test('skips void samples when interpolating', async () => {
+    const provider = createHgtElevationProvider(tileDir);
+    const [e] = await provider.getElevations([{ lat: 41.75, lng: -74.75 }]);
+    expect(e).toBe(50);
+  });
+
+  test('throws when the tile is missing', async () => {
+    const provider = createHgtElevationProvider(tileDir);
+    await expect(provider.getElevations([{ lat: 10, lng: 10 }])).rejects.toThrow('No elevation tile N10E010.hgt');
+  });
+});
+
+// --- Google provider ---
+
+describe('createGoogleElevationProvider', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('requests encoded locations and returns elevations in order', async () => {
+    let capturedUrl;
+    global.fetch = jest.fn(async (url) => {
+      capturedUrl = url;
+      return {
+        ok: true,
+        json: async () => ({ status: 'OK', results: [{ elevation: 12.5 }, { elevation: 20 }] })
+      };
+    });
+
+    const provider = createGoogleElevationProvider('test-key');
+    const elevations = await provider.getElevations([{ lat: 40, lng: -74 }, { lat: 40.1, lng: -74.1 }]);
+
+    expect(elevations).toEqual([12.5, 20]);
+    expect(capturedUrl).toContain('https://maps.googleapis.com/maps/api/elevation/json?locations=enc%3A');
+    expect(capturedUrl).toContain('key=test-key');
+  });
+
+  test('retries a failed call and stops at the deadline', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 503, headers: new Headers(), json: async () => ({}) })
+      .mockResolvedValue({ ok: true, status: 200, json: async () => ({ status: 'OK', results: [{ elevation: 7 }] }) });
+    const provider = createGoogleElevationProvider('test-key');
+
+    expect(await provider.getElevations([{ lat: 40, lng: -74 }])).toEqual([7]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    await expect(provider.getElevations([{ lat: 40, lng: -74 }], { deadline: Date.now() - 1 }))
+      .rejects.toMatchObject({ name: 'ElevationError', message: expect.stringContaining('Elevation API timed out') });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    Math.random.mockRestore();
+  });
+
+  test('throws on a non-OK status', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({ status: 'REQUEST_DENIED', error_message: 'API not enabled' })
+    }));
+
+    const provider = createGoogleElevationProvider('test-key');
+    await expect(provider.getElevations([{ lat: 40, lng: -74 }])).rejects.toThrow('API not enabled');
+    console.error.mockRestore();
+  });
+});
+
+// --- getElevationProvider ---
+
+describe('getElevationProvider', () => {
+  test('defaults to Google when an API key is set', () => {
+    expect(getElevationProvider({ GOOGLE_MAPS_API_KEY: 'k' }).name).toBe('google');
+  });
+
+  test('selects the HGT reader', () => {
+    expect(getElevationProvider({ ELEVATION_PROVIDER: 'hgt', ELEVATION_HGT_DIR: tileDir }).name).toBe('hgt');
+  });
+
+  test('returns null when the provider is not configured', () => {
+    expect(getElevationProvider({})).toBeNull();
+    expect(getElevationProvider({ ELEVATION_PROVIDER: 'hgt' })).toBeNull();
+  });
+
+  test('throws on an unknown provider', () => {
+    expect(() => getElevationProvider({ ELEVATION_PROVIDER: 'lidar' })).toThrow('Unknown ELEVATION_PROVIDER: lidar');
+  });
+});
+
+// --- summarizeClimb ---
+
+describe('summarizeClimb', () => {
+  test('sums ascent and descent separately', () => {
+    const stats = summarizeClimb([10, 20, 15, 30, 30, 5]);
+    expect(stats.ascentMeters).toBe(25);
+    expect(stats.descentMeters).toBe(30);
+    expect(stats.minElevationMeters).toBe(5);
+    expect(stats.maxElevationMeters).toBe(30);
+  });
+
+  test('skips unresolved samples', () => {
+    const stats = summarizeClimb([10, null, 20]);
+    expect(stats.ascentMeters).toBe(10);
+  });
+
+  test('handles no data', () => {
+    expect(summarizeClimb([])).toEqual({
+      ascentMeters: 0,
+      descentMeters: 0,
+      minElevationMeters: null,
+      maxElevationMeters: null
+    });
+  });
+});
+
+// --- getElevationProfile ---
+
+describe('getElevationProfile', () => {
+  // East along lat 40.5 from -75 to -74.5, then back: climbs 500 m and descends 500 m
+  const outAndBack = encodePolyline([
+    { lat: 40.5, lng: -75 },
+    { lat: 40.5, lng: -74.5 },
+    { lat: 40.5, lng: -75 }
+  ]);
+
+  test('samples evenly along the polyline', async () => {
+    const provider = createHgtElevationProvider(tileDir);
+    const profile = await getElevationProfile(outAndBack, provider, 21);
+    expect(profile.samples).toHaveLength(21);
+    expect(profile.samples[0].distanceMeters).toBe(0);
+    expect(profile.samples[10].lng).toBeCloseTo(-74.5, 4);
+    expect(profile.provider).toBe('hgt');
+  });
+
+  test('reports total ascent and descent', async () => {
+    const provider = createHgtElevationProvider(tileDir);
+    const profile = await getElevationProfile(outAndBack, provider, 21);
+    expect(profile.ascentMeters).toBeCloseTo(500, 0);
+    expect(profile.descentMeters).toBeCloseTo(500, 0);
+    expect(profile.maxElevationMeters).toBeCloseTo(500, 0);
+  });
+});
+
+// --- POST /api/elevation ---
+
+describe('POST /api/elevation', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    resetRateLimiters();
+    process.env.ELEVATION_PROVIDER = 'hgt';
+    process.env.ELEVATION_HGT_DIR = tileDir;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  const encodedPolyline = encodePolyline([{ lat: 40.5, lng: -75 }, { lat: 40.5, lng: -74.5 }]);
+
+  test('returns 405 for non-POST methods', async () => {
+    const res = mockRes();
+    await elevationHandler({ method: 'GET', body: {} }, res);
+    expect(res._status).toBe(405);
+  });
+
+  test('returns 500 when no provider is configured', async () => {
+    delete process.env.ELEVATION_HGT_DIR;
+    const res = mockRes();
+    await elevationHandler({ method: 'POST', body: { encodedPolyline } }, res);
+    expect(res._status).toBe(500);
+  });
+
+  test('rejects a missing polyline', async () => {
+    const res = mockRes();
+    await elevationHandler({ method: 'POST', body: {} }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('encodedPolyline is required');
+  });
+
+  test('rejects a missing or non-object body', async () => {
+    for (const body of [undefined, null, 'text', [encodedPolyline]]) {
+      const res = mockRes();
+      await elevationHandler({ method: 'POST', body }, res);
+      expect(res._status).toBe(400);
+      expect(res._body).toMatchObject({ code: 'INVALID_BODY', message: 'Request body must be a JSON object' });
+    }
+  });
+
+  test('rejects an out-of-range sample count', async () => {
+    const res = mockRes();
+    await elevationHandler({ method: 'POST', body: { encodedPolyline, samples: 1000 } }, res);
+    expect(res._status).toBe(400);
+  });
+
+  test('returns the profile', async () => {
+    const res = mockRes();
+    await elevationHandler({ method: 'POST', body: { encodedPolyline, samples: 11 } }, res);
+    expect(res._status).toBe(200);
+    expect(res._body.samples).toHaveLength(11);
+    expect(res._body.ascentMeters).toBeCloseTo(500, 0);
+    expect(res._body.descentMeters).toBe(0);
+  });
+
+  test('returns 502 when a tile is missing', async () => {
+    const res = mockRes();
+    const elsewhere = encodePolyline([{ lat: 10, lng: 10 }, { lat: 10.1, lng: 10.1 }]);
+    await elevationHandler({ method: 'POST', body: { encodedPolyline: elsewhere } }, res);
+    expect(res._status).toBe(502);
+    expect(res._body.details).toBe('No elevation tile N10E010.hgt');
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  translate,
+  hasMessage,
+  detectLocale,
+  uiLanguage,
+  applyTranslations,
+  MESSAGES,
+  UI_LANGUAGES
+} = require('../public/i18n');
+
+/**
+ * Tests for the UI message catalog and its use in index.html and app.js.
+ */
+
+const placeholders = message =>
+  (typeof message === 'object' ? Object.values(message).join(' ') : message).match(/\{\w+\}/g)?.sort() || [];
+
+// --- Catalogs ---
+
+describe('message catalogs', () => {
+  const english = MESSAGES.en;
+
+  test('every language in the switcher has a catalog', () => {
+    expect(Object.keys(UI_LANGUAGES).sort()).toEqual(Object.keys(MESSAGES).sort());
+  });
+
+  test.each(Object.keys(MESSAGES).filter(l => l !== 'en'))('%s translates every English message', language => {
+    expect(Object.keys(MESSAGES[language]).sort()).toEqual(Object.keys(english).sort());
+  });
+
+  test.each(Object.keys(MESSAGES))('%s messages keep the English placeholders and plural forms', language => {
+    Object.entries(MESSAGES[language]).forEach(([key, message]) => {
+      expect([key, placeholders(message)]).toEqual([key, placeholders(english[key])]);
+      expect([key, typeof message]).toEqual([key, typeof english[key]]);
+      if (typeof message === 'object') expect(message.other).toBeDefined();
+    });
+  });
+
+  test('index.html only uses keys in the catalog', () => {
+    const html = fs.readFileSync(path.join(__dirname, '../public/index.html'), 'utf8');
+    const keys = [...html.matchAll(/data-i18n(?:-html|-placeholder|-aria-label)?="([^"]+)"/g)].map(m => m[1]);
+    expect(keys.length).toBeGreaterThan(40);
+    expect(keys.filter(key => !hasMessage(key))).toEqual([]);
+  });
+
+  test('app.js only uses keys in the catalog', () => {
+    const app = fs.readFileSync(path.join(__dirname, '../public/app.js'), 'utf8');
+    const keys = [...app.matchAll(/\bt\('([^']+)'/g)].map(m => m[1]);
+    expect(keys.length).toBeGreaterThan(20);
+    expect(keys.filter(key => !hasMessage(key))).toEqual([]);
+  });
+});
+
+// --- translate ---
+
+describe('translate', () => {
+  test('fills in placeholders', () => {
+    expect(translate('en', 'error.import', { message: 'bad file' })).toBe('Could not import route: bad file');
+    expect(translate('de', 'info.petal', { number: 2, direction: 'NO' })).toBe('Blatt 2 (NO)');
+  });
+
+  test('leaves placeholders without a value alone', () => {
+    expect(translate('en', 'error.import')).toBe('Could not import route: {message}');
+  });
+
+  test('picks the plural form for the count', () => {
+    expect(translate('en', 'directions.showSteps', { count: 1 })).toBe('Show Directions (1 step)');
+    expect(translate('en', 'directions.showSteps', { count: 12 })).toBe('Show Directions (12 steps)');
+    expect(translate('es', 'boundary.drawingPoints', { count: 3 })).toBe('Dibujando... (3 puntos)');
+  });
+
+  test('uses the base language catalog for regional locales', () => {
+    expect(translate('es-MX', 'generate')).toBe('Generar ruta');
+    expect(translate('de-AT', 'generate')).toBe('Route erstellen');
+  });
+
+  test('falls back to English, then to the key', () => {
+    expect(translate('fr-FR', 'generate')).toBe('Generate Route');
+    expect(translate('en', 'no.such.key')).toBe('no.such.key');
+  });
+});
+
+// --- detectLocale ---
+
+describe('detectLocale', () => {
+  test('prefers the saved choice', () => {
+    expect(detectLocale('de', ['es-ES', 'en-US'])).toBe('de');
+  });
+
+  test('takes the first preferred browser language with a catalog, keeping the region', () => {
+    expect(detectLocale(null, ['fr-FR', 'es-AR', 'en'])).toBe('es-AR');
+    expect(detectLocale(undefined, ['de-CH'])).toBe('de-CH');
+  });
+
+  test('ignores a saved language without a catalog and defaults to English', () => {
+    expect(detectLocale('fr', ['it-IT'])).toBe('en');
+    expect(detectLocale(null, [])).toBe('en');
+  });
+
+  test('uiLanguage maps a locale to its catalog', () => {
+    expect(uiLanguage('ES-es')).toBe('es');
+    expect(uiLanguage('pt-BR')).toBe('en');
+  });
+});
+
+// --- applyTranslations ---
+
+describe('applyTranslations', () => {
+  function fakeElement(dataset) {
+    return { dataset, textContent: '', innerHTML: '', placeholder: '', setAttribute: jest.fn() };
+  }
+
+  test('translates text, markup, placeholders and aria labels', () => {
+    const text = fakeElement({ i18n: 'generate' });
+    const html = fakeElement({ i18nHtml: 'intro.step5' });
+    const input = fakeElement({ i18nPlaceholder: 'start.placeholder' });
+    const link = fakeElement({ i18nAriaLabel: 'app.github' });
+    const bySelector = {
+      '[data-i18n]': [text],
+      '[data-i18n-html]': [html],
+      '[data-i18n-placeholder]': [input],
+      '[data-i18n-aria-label]': [link]
+    };
+
+    applyTranslations({ querySelectorAll: selector => bySelector[selector] }, 'es');
+
+    expect(text.textContent).toBe('Generar ruta');
+    expect(html.innerHTML).toBe('Pulsa <strong>Generar ruta</strong>');
+    expect(input.placeholder).toBe('Busca un lugar o haz clic en el mapa');
+    expect(link.setAttribute).toHaveBeenCalledWith('aria-label', 'Repositorio en GitHub');
+  });
+});
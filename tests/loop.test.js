@@ -0,0 +1,736 @@
+const { generateLoop, pickCandidate, rankCandidates, CANDIDATES } = require('../lib/loop');
+const { encodePolyline, decodePolyline } = require('../public/polyline');
+const { checkTolerance, localDistanceMeters, METERS_PER_MILE } = require('../public/route-generator');
+const { measureRoute } = require('../lib/route-quality');
+const { createGoogleRoutingProvider } = require('../lib/routing/google');
+const { RoutingError } = require('../lib/routing/errors');
+
+const origin = { lat: 40.7128, lng: -74.006 };
+const targetMeters = 5 * METERS_PER_MILE;
+// Google provider over the mocked fetch below
+const router = createGoogleRoutingProvider('key');
+
+// Fake provider: elevation is proportional to latitude offset, so taller out-and-backs climb more
+const elevationProvider = {
+  name: 'fake',
+  async getElevations(points) {
+    return points.map(p => (p.lat - origin.lat) * 10000);
+  }
+};
+
+/**
+ * Mock the Routes API. Call i returns an out-and-back whose turnaround is i+1 steps north,
+ * so later calls climb more. distances[i] sets each call's distance (last one repeats).
+ */
+function mockRoutesApi(distances) {
+  let call = 0;
+  global.fetch = jest.fn(async () => {
+    const i = call++;
+    const turnaround = { lat: origin.lat + 0.001 * (i + 1), lng: origin.lng };
+    return {
+      ok: true,
+      json: async () => ({
+        routes: [{
+          distanceMeters: distances[Math.min(i, distances.length - 1)],
+          duration: '3600s',
+          polyline: { encodedPolyline: encodePolyline([origin, turnaround, origin]) }
+        }]
+      })
+    };
+  });
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+// --- pickCandidate ---
+
+describe('pickCandidate', () => {
+  function candidate(distanceMeters, climbPerMileMeters) {
+    return { tolerance: checkTolerance(distanceMeters, 5), climbPerMileMeters };
+  }
+
+  test('prefers a candidate within tolerance over a closer-to-target one outside it', () => {
+    const inside = candidate(targetMeters * 1.09, 10);
+    const outside = candidate(targetMeters * 0.95, 10);
+    expect(pickCandidate([outside, inside], 'any')).toBe(inside);
+  });
+
+  test('flat picks the least climb per mile', () => {
+    const a = candidate(targetMeters, 30);
+    const b = candidate(targetMeters, 5);
+    const c = candidate(targetMeters, 12);
+    expect(pickCandidate([a, b, c], 'flat')).toBe(b);
+  });
+
+  test('hilly picks the most climb per mile', () => {
+    const a = candidate(targetMeters, 30);
+    const b = candidate(targetMeters, 5);
+    expect(pickCandidate([a, b], 'hilly')).toBe(a);
+  });
+
+  test('with nothing in tolerance, picks the smallest miss', () => {
+    const wayLong = candidate(targetMeters * 1.5);
+    const slightlyShort = candidate(targetMeters * 0.95);
+    expect(pickCandidate([wayLong, slightlyShort], 'flat')).toBe(slightlyShort);
+  });
+
+  test('prefers the route closest to target', () => {
+    const near = candidate(targetMeters * 1.01);
+    const far = candidate(targetMeters * 1.08);
+    expect(pickCandidate([far, near], 'any')).toBe(near);
+  });
+
+  test('penalises self-overlap', () => {
+    const retraced = { ...candidate(targetMeters), overlapFraction: 0.4 };
+    const fresh = { ...candidate(targetMeters * 1.05), overlapFraction: 0 };
+    expect(pickCandidate([retraced, fresh], 'any')).toBe(fresh);
+  });
+
+  test('penalises leaving the boundary more than overlap', () => {
+    const outside = { ...candidate(targetMeters), outsideFraction: 0.2 };
+    const retraced = { ...candidate(targetMeters), overlapFraction: 0.2 };
+    expect(pickCandidate([outside, retraced], 'any')).toBe(retraced);
+  });
+});
+
+// --- rankCandidates ---
+
+describe('rankCandidates', () => {
+  test('orders every candidate best first without mutating the input', () => {
+    const a = { tolerance: checkTolerance(targetMeters * 1.5, 5) };
+    const b = { tolerance: checkTolerance(targetMeters * 1.06, 5) };
+    const c = { tolerance: checkTolerance(targetMeters, 5) };
+    const input = [a, b, c];
+    expect(rankCandidates(input, 'any')).toEqual([c, b, a]);
+    expect(input).toEqual([a, b, c]);
+  });
+});
+
+// --- generateLoop terrain preference ---
+
+describe('generateLoop with a terrain preference', () => {
+  test('any sends a batch of layouts without looking up climb', async () => {
+    mockRoutesApi([targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5 }, router);
+    expect(global.fetch).toHaveBeenCalledTimes(CANDIDATES);
+    expect(result.climbPerMileMeters).toBeUndefined();
+  });
+
+  test('flat tries several layouts and keeps the least climb', async () => {
+    mockRoutesApi([targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5, options: { terrain: 'flat' } }, router, elevationProvider);
+
+    expect(global.fetch).toHaveBeenCalledTimes(CANDIDATES);
+    expect(result.attempts[0].candidates).toBe(CANDIDATES);
+    // First call has the lowest turnaround: 0.001 deg * 10000 = 10 m of climb
+    expect(result.ascentMeters).toBeCloseTo(10, 0);
+  });
+
+  test('bounds the elevation lookups by the deadline', async () => {
+    mockRoutesApi([targetMeters]);
+    const lookups = [];
+    const recordingProvider = {
+      name: 'recording',
+      async getElevations(points, options) {
+        lookups.push(options);
+        return elevationProvider.getElevations(points);
+      }
+    };
+    const deadline = Date.now() + 60000;
+    await generateLoop({ origin, distanceMiles: 5, options: { terrain: 'flat' }, deadline }, router, recordingProvider);
+
+    expect(lookups).toHaveLength(CANDIDATES);
+    lookups.forEach(options => expect(options).toEqual({ deadline }));
+  });
+
+  test('hilly keeps the most climb', async () => {
+    mockRoutesApi([targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5, options: { terrain: 'hilly' } }, router, elevationProvider);
+    // Last call has the highest turnaround (sampling may clip the very peak)
+    expect(result.ascentMeters).toBeGreaterThan(10 * (CANDIDATES - 1));
+    expect(result.climbPerMileMeters).toBeCloseTo(result.ascentMeters / 5, 6);
+  });
+
+  test('never trades distance tolerance for terrain', async () => {
+    // Only the first (flattest) layout is too long; hilly must still not pick it,
+    // and flat must skip it for the next-flattest layout within tolerance
+    mockRoutesApi([targetMeters * 1.5, targetMeters, targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5, options: { terrain: 'flat' } }, router, elevationProvider);
+    expect(result.withinTolerance).toBe(true);
+    expect(result.ascentMeters).toBeCloseTo(20, 0);
+  });
+
+  test('refines the radius when no layout is within tolerance', async () => {
+    mockRoutesApi([...Array(CANDIDATES).fill(targetMeters * 1.5), targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5, options: { terrain: 'hilly' } }, router, elevationProvider);
+    expect(result.attempts).toHaveLength(2);
+    expect(global.fetch).toHaveBeenCalledTimes(2 * CANDIDATES);
+    expect(result.withinTolerance).toBe(true);
+  });
+});
+
+// --- generateLoop out-and-back ---
+
+describe('generateLoop out-and-back', () => {
+  test('sends one turnaround waypoint and returns it', async () => {
+    let capturedBody;
+    mockRoutesApi([targetMeters]);
+    const mock = global.fetch;
+    global.fetch = jest.fn(async (url, options) => {
+      capturedBody = JSON.parse(options.body);
+      return mock(url, options);
+    });
+
+    const result = await generateLoop({ origin, distanceMiles: 5, options: { shape: 'out-and-back', bearing: 90 } }, router);
+
+    expect(capturedBody.intermediates).toHaveLength(1);
+    expect(result.shape).toBe('out-and-back');
+    expect(result.bearing).toBe(90);
+    expect(result.turnaround).toEqual(result.waypoints[0]);
+    expect(result.turnaround.lng).toBeGreaterThan(origin.lng);
+  });
+
+  test('keeps the bearing fixed while refining the turnaround distance', async () => {
+    mockRoutesApi([targetMeters * 2, targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5, options: { shape: 'out-and-back', bearing: 0 } }, router);
+
+    expect(result.attempts).toHaveLength(2);
+    // Halved after a route twice as long as the biased target
+    expect(result.attempts[1].radiusMeters).toBeLessThan(3000);
+    expect(result.turnaround.lng).toBeCloseTo(origin.lng, 8);
+  });
+
+  test('picks a random bearing when none is given', async () => {
+    mockRoutesApi([targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5, options: { shape: 'out-and-back' } }, router);
+    expect(result.bearing).toBeGreaterThanOrEqual(0);
+    expect(result.bearing).toBeLessThan(360);
+  });
+});
+
+// --- generateLoop point-to-point ---
+
+describe('generateLoop point-to-point', () => {
+  const destination = { lat: origin.lat + 0.02, lng: origin.lng };
+
+  test('routes to the destination and returns the detour side', async () => {
+    let capturedBody;
+    mockRoutesApi([targetMeters]);
+    const mock = global.fetch;
+    global.fetch = jest.fn(async (url, options) => {
+      capturedBody = JSON.parse(options.body);
+      return mock(url, options);
+    });
+
+    const result = await generateLoop(
+      { origin, destination, distanceMiles: 5, options: { shape: 'point-to-point' } }, router
+    );
+
+    expect(capturedBody.destination.location.latLng).toEqual({ latitude: destination.lat, longitude: destination.lng });
+    expect(result.shape).toBe('point-to-point');
+    expect(result.destination).toEqual(destination);
+    expect(['left', 'right']).toContain(result.side);
+  });
+
+  test('tries both sides in the first batch', async () => {
+    mockRoutesApi([targetMeters]);
+    await generateLoop({ origin, destination, distanceMiles: 5, options: { shape: 'point-to-point' } }, router);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps the side fixed while refining the detour', async () => {
+    mockRoutesApi([targetMeters * 1.5, targetMeters * 1.5, targetMeters]);
+    const result = await generateLoop(
+      { origin, destination, distanceMiles: 5, options: { shape: 'point-to-point' } }, router
+    );
+
+    expect(result.attempts).toHaveLength(2);
+    expect(result.attempts[1].radiusMeters).toBeGreaterThan(0);
+    const westOfStart = result.waypoints.every(wp => wp.lng < origin.lng);
+    expect(westOfStart).toBe(result.side === 'left');
+  });
+});
+
+// --- generateLoop cloverleaf ---
+
+describe('generateLoop cloverleaf', () => {
+  function mockLegs(legDistances) {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        routes: [{
+          distanceMeters: legDistances.reduce((a, b) => a + b, 0),
+          duration: '3600s',
+          polyline: { encodedPolyline: '' },
+          legs: legDistances.map(distanceMeters => ({ distanceMeters }))
+        }]
+      })
+    }));
+  }
+
+  test('passes the start between petals and reports per-petal distances', async () => {
+    let capturedBody;
+    // Two petals of 4 legs each: 2.5 miles per petal
+    const leg = 2.5 * METERS_PER_MILE / 4;
+    mockLegs([leg, leg, leg, leg, leg, leg, leg, leg * 1.2]);
+    const mock = global.fetch;
+    global.fetch = jest.fn(async (url, options) => {
+      capturedBody = JSON.parse(options.body);
+      return mock(url, options);
+    });
+
+    const result = await generateLoop(
+      { origin, distanceMiles: 5, options: { shape: 'cloverleaf', petalMiles: 2.5 } }, router
+    );
+
+    // 3 + start + 3 waypoints
+    expect(capturedBody.intermediates).toHaveLength(7);
+    expect(capturedBody.intermediates[3].location.latLng).toEqual({ latitude: origin.lat, longitude: origin.lng });
+    expect(result.shape).toBe('cloverleaf');
+    expect(result.petals).toHaveLength(2);
+    expect(result.petals[0].distanceMeters).toBeCloseTo(leg * 4);
+    expect(result.petals[1].distanceMeters).toBeCloseTo(leg * 4.2);
+    expect(Math.abs(result.petals[1].bearing - result.petals[0].bearing)).toBeCloseTo(180);
+  });
+
+  test('keeps petal directions fixed while refining their size', async () => {
+    mockRoutesApi([...Array(CANDIDATES).fill(targetMeters * 1.5), targetMeters]);
+    const result = await generateLoop(
+      { origin, distanceMiles: 5, options: { shape: 'cloverleaf', petalMiles: 2.5 } }, router
+    );
+
+    expect(result.attempts).toHaveLength(2);
+    expect(result.attempts[1].radiusMeters).toBeGreaterThan(0);
+    // Route legs are missing from this mock, so petal distances fall back to zero
+    expect(result.petals.map(p => p.distanceMeters)).toEqual([0, 0]);
+  });
+});
+
+// --- generateLoop runners-up ---
+
+describe('generateLoop alternatives', () => {
+  // Like mockRoutesApi, but each call returns a distinct triangle loop that never retraces itself
+  function mockTriangles(distances, polylineFor) {
+    let call = 0;
+    global.fetch = jest.fn(async () => {
+      const i = call++;
+      const size = 0.01 * (i + 1);
+      const points = [origin, { lat: origin.lat + size, lng: origin.lng }, { lat: origin.lat, lng: origin.lng + size }, origin];
+      return {
+        ok: true,
+        json: async () => ({
+          routes: [{
+            distanceMeters: distances[Math.min(i, distances.length - 1)],
+            duration: '3600s',
+            polyline: { encodedPolyline: polylineFor ? polylineFor(i) : encodePolyline(points) }
+          }]
+        })
+      };
+    });
+  }
+
+  test('returns the other candidates within tolerance, best first', async () => {
+    mockTriangles([targetMeters * 1.08, targetMeters * 1.5, targetMeters, targetMeters * 1.04]);
+    const result = await generateLoop({ origin, distanceMiles: 5 }, router);
+
+    expect(result.route.distanceMeters).toBe(targetMeters);
+    expect(result.alternatives.map(a => a.route.distanceMeters)).toEqual([targetMeters * 1.04, targetMeters * 1.08]);
+    result.alternatives.forEach(a => {
+      expect(a.shape).toBe('loop');
+      expect(a.withinTolerance).toBe(true);
+      expect(a.waypoints.length).toBeGreaterThan(0);
+      expect(a.attempts).toBeUndefined();
+    });
+  });
+
+  test('drops duplicate routes', async () => {
+    const same = encodePolyline([origin, { lat: origin.lat + 0.01, lng: origin.lng }, origin]);
+    mockTriangles([targetMeters], () => same);
+    const result = await generateLoop({ origin, distanceMiles: 5 }, router);
+    expect(result.alternatives).toEqual([]);
+  });
+
+  test('scores self-overlap on loops but not out-and-backs', async () => {
+    const retraced = () => encodePolyline([origin, { lat: origin.lat + 0.01, lng: origin.lng }, origin]);
+    mockTriangles([targetMeters], retraced);
+    const loop = await generateLoop({ origin, distanceMiles: 5, options: { candidates: 1 } }, router);
+    expect(loop.overlapFraction).toBeGreaterThan(0.9);
+
+    mockTriangles([targetMeters], retraced);
+    const outAndBack = await generateLoop({ origin, distanceMiles: 5, options: { shape: 'out-and-back', candidates: 1 } }, router);
+    expect(outAndBack.overlapFraction).toBe(0);
+  });
+});
+
+// --- generateLoop routing failures ---
+
+describe('generateLoop routing failures', () => {
+  // Router whose calls listed in failing throw, while the rest come back on target
+  function flakyRouter(failing) {
+    let call = 0;
+    return {
+      name: 'flaky',
+      maxWaypoints: 25,
+      async computeRoutes() {
+        const i = call++;
+        if (failing(i)) throw new RoutingError('Routes API error', 429, 'Quota exceeded');
+        const size = 0.01 * (i + 1);
+        const points = [origin, { lat: origin.lat + size, lng: origin.lng }, { lat: origin.lat, lng: origin.lng + size }, origin];
+        return { routes: [{ distanceMeters: targetMeters, duration: '3600s', polyline: { encodedPolyline: encodePolyline(points) } }] };
+      }
+    };
+  }
+
+  test('keeps the routes that came back when some calls of a batch fail', async () => {
+    const result = await generateLoop({ origin, distanceMiles: 5 }, flakyRouter(i => i === 0));
+
+    expect(result.withinTolerance).toBe(true);
+    expect(result.attempts[0].candidates).toBe(CANDIDATES - 1);
+  });
+
+  test('keeps the best so far when a later attempt finds no route', async () => {
+    let call = 0;
+    const deadEndRouter = {
+      name: 'dead-end',
+      maxWaypoints: 25,
+      async computeRoutes() {
+        // The first batch comes back too short, and the refined one finds nothing
+        if (call++ >= CANDIDATES) return { routes: [] };
+        return { routes: [{ distanceMeters: targetMeters / 2, duration: '1800s', polyline: { encodedPolyline: encodePolyline([origin, origin]) } }] };
+      }
+    };
+
+    const result = await generateLoop({ origin, distanceMiles: 5 }, deadEndRouter);
+
+    expect(result.route.distanceMeters).toBe(targetMeters / 2);
+    expect(result.withinTolerance).toBe(false);
+    expect(result.attempts).toHaveLength(1);
+  });
+
+  test('fails with the routing error when every call of a batch fails', async () => {
+    await expect(generateLoop({ origin, distanceMiles: 5 }, flakyRouter(() => true)))
+      .rejects.toMatchObject({ name: 'RoutingError', status: 429 });
+  });
+});
+
+// --- generateLoop seeds ---
+
+describe('generateLoop seeds', () => {
+  const sentWaypoints = () => global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).intermediates);
+
+  test.each(['loop', 'out-and-back', 'cloverleaf'])('the same seed sends the same %s layouts', async shape => {
+    const request = { origin, distanceMiles: 5, options: { shape, petalMiles: 2, seed: 42 } };
+
+    mockRoutesApi([targetMeters * 2, targetMeters]);
+    const first = await generateLoop(request, router);
+    const firstLayouts = sentWaypoints();
+    mockRoutesApi([targetMeters * 2, targetMeters]);
+    const second = await generateLoop(request, router);
+
+    expect(sentWaypoints()).toEqual(firstLayouts);
+    expect(second.waypoints).toEqual(first.waypoints);
+    expect(second.seed).toBe(42);
+  });
+
+  test('different seeds send different layouts', async () => {
+    mockRoutesApi([targetMeters]);
+    await generateLoop({ origin, distanceMiles: 5, options: { seed: 1 } }, router);
+    const seedOne = sentWaypoints();
+    mockRoutesApi([targetMeters]);
+    await generateLoop({ origin, distanceMiles: 5, options: { seed: 2 } }, router);
+
+    expect(sentWaypoints()).not.toEqual(seedOne);
+  });
+
+  test('picks and reports a seed when none is given', async () => {
+    mockRoutesApi([targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5 }, router);
+    const layouts = sentWaypoints();
+
+    expect(Number.isInteger(result.seed)).toBe(true);
+    mockRoutesApi([targetMeters]);
+    await generateLoop({ origin, distanceMiles: 5, options: { seed: result.seed } }, router);
+    expect(sentWaypoints()).toEqual(layouts);
+  });
+
+  test('labels runners-up with the seed and their rank', async () => {
+    mockRoutesApi([targetMeters * 1.02, targetMeters, targetMeters * 1.04]);
+    const result = await generateLoop({ origin, distanceMiles: 5, options: { seed: 7 } }, router);
+
+    expect(result.alternative).toBeUndefined();
+    expect(result.alternatives.map(a => [a.seed, a.alternative])).toEqual([[7, 1], [7, 2], [7, 3]]);
+  });
+});
+
+// --- generateLoop exclusion zones ---
+
+describe('generateLoop exclusion zones', () => {
+  const sentWaypoints = () => global.fetch.mock.calls.flatMap(([, init]) =>
+    JSON.parse(init.body).intermediates.map(i => ({ lat: i.location.latLng.latitude, lng: i.location.latLng.longitude })));
+  // Box spanning origin.lng ± 0.001 between the given latitude offsets north of the origin
+  const box = (south, north) => [
+    { lat: origin.lat + south, lng: origin.lng - 0.001 },
+    { lat: origin.lat + south, lng: origin.lng + 0.001 },
+    { lat: origin.lat + north, lng: origin.lng + 0.001 },
+    { lat: origin.lat + north, lng: origin.lng - 0.001 }
+  ];
+  // Router whose roads run straight between the waypoints; sent collects each call's waypoints
+  const straightRouter = sent => ({
+    name: 'straight',
+    maxWaypoints: 25,
+    async computeRoutes(request) {
+      sent.push(request.waypoints);
+      const points = [request.origin, ...request.waypoints, request.destination || request.origin];
+      const meters = points.slice(1).reduce((sum, p, i) =>
+        sum + localDistanceMeters(points[i].lat, points[i].lng, p.lat, p.lng), 0);
+      return { routes: [{ distanceMeters: meters * 1.15, duration: '600s', polyline: { encodedPolyline: encodePolyline(points) } }] };
+    }
+  });
+
+  test('pushes waypoints out of the zones', async () => {
+    // Everything east of the start
+    const east = [
+      { lat: origin.lat - 0.05, lng: origin.lng + 0.002 },
+      { lat: origin.lat - 0.05, lng: origin.lng + 0.05 },
+      { lat: origin.lat + 0.05, lng: origin.lng + 0.05 },
+      { lat: origin.lat + 0.05, lng: origin.lng + 0.002 }
+    ];
+    mockRoutesApi([targetMeters]);
+    await generateLoop({ origin, distanceMiles: 5, exclusions: [east], options: { seed: 3 } }, router);
+
+    const waypoints = sentWaypoints();
+    expect(waypoints.length).toBeGreaterThan(0);
+    waypoints.forEach(wp => expect(wp.lng).toBeLessThan(origin.lng + 0.002));
+  });
+
+  test('rejects routes that pass through a zone and counts them', async () => {
+    // Calls 0 and 1 turn around short of the zone; the rest run into or through it
+    mockRoutesApi([targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5, exclusions: [box(0.0025, 0.0035)] }, router);
+
+    expect(result.attempts[0]).toMatchObject({ candidates: 2, blocked: 2 });
+    const turnarounds = [result, ...result.alternatives]
+      .map(r => Math.max(...decodePolyline(r.route.polyline.encodedPolyline).map(p => p.lat)));
+    expect(turnarounds).toHaveLength(2);
+    turnarounds.forEach(lat => expect(lat).toBeLessThan(origin.lat + 0.0025));
+  });
+
+  test('tries fresh layouts when a whole batch is blocked, then reports the blocking zones', async () => {
+    // Every mocked route heads north through this zone: either turning inside it or running across it
+    mockRoutesApi([targetMeters]);
+    const zone = box(0.0005, 0.0045);
+    const request = { origin, distanceMiles: 5, exclusions: [zone], options: { maxAttempts: 2 } };
+
+    await expect(generateLoop(request, router)).rejects.toMatchObject({
+      name: 'RouteBlockedError',
+      zones: [0],
+      blockedRoutes: 8
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2 * CANDIDATES);
+  });
+
+  test('names only the zones that blocked a route', async () => {
+    mockRoutesApi([targetMeters]);
+    const far = box(0.5, 0.6);
+    const request = { origin, distanceMiles: 5, exclusions: [far, box(0.0005, 0.1)], options: { maxAttempts: 1 } };
+
+    await expect(generateLoop(request, router)).rejects.toMatchObject({ zones: [1], blockedRoutes: CANDIDATES });
+  });
+
+  test('goes round a zone on the direct line of a point-to-point route', async () => {
+    // 2 km east of the start, with a zone across the middle reaching 500 m to either side
+    const metersPerDegreeLng = 111320 * Math.cos((origin.lat * Math.PI) / 180);
+    const east = meters => origin.lng + meters / metersPerDegreeLng;
+    const destination = { lat: origin.lat, lng: east(2000) };
+    const zone = [
+      { lat: origin.lat - 500 / 111320, lng: east(900) },
+      { lat: origin.lat - 500 / 111320, lng: east(1100) },
+      { lat: origin.lat + 500 / 111320, lng: east(1100) },
+      { lat: origin.lat + 500 / 111320, lng: east(900) }
+    ];
+    const sent = [];
+    const result = await generateLoop({
+      origin, destination, distanceMiles: 1.5, exclusions: [zone], options: { shape: 'point-to-point' }
+    }, straightRouter(sent));
+
+    // The default detour runs both sides through the zone; the next attempt has to change course
+    expect(result.attempts[0]).toMatchObject({ candidates: 0, blocked: 2 });
+    expect(sent[2]).not.toEqual(sent[0]);
+    expect(measureRoute(result.route.polyline.encodedPolyline, undefined, [zone]).crossedExclusions).toEqual([]);
+  });
+
+  test('swings a requested out-and-back bearing that runs into a zone', async () => {
+    const zone = box(0.005, 0.05);
+    const sent = [];
+    const result = await generateLoop({
+      origin, distanceMiles: 5, exclusions: [zone], options: { shape: 'out-and-back', bearing: 0 }
+    }, straightRouter(sent));
+
+    expect(result.attempts[0]).toMatchObject({ candidates: 0, blocked: 1 });
+    expect(result.bearing).toBe(30);
+    expect(sent[1][0].lng).toBeGreaterThan(origin.lng);
+  });
+
+  test('leaves attempts unchanged without exclusions', async () => {
+    mockRoutesApi([targetMeters]);
+    const result = await generateLoop({ origin, distanceMiles: 5 }, router);
+    expect(result.attempts[0]).not.toHaveProperty('blocked');
+  });
+});
+
+// --- generateLoop deadline ---
+
+describe('generateLoop deadline', () => {
+  test('passes the deadline to the router and skips an attempt that would run past it', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const requests = [];
+    // Every call takes a second and comes back far too short, so without a deadline it would keep refining
+    const slowRouter = {
+      name: 'slow',
+      maxWaypoints: 25,
+      async computeRoutes(request) {
+        requests.push(request);
+        now += 1000;
+        return { routes: [{ distanceMeters: targetMeters / 2, duration: '3600s', polyline: { encodedPolyline: encodePolyline([origin, origin]) } }] };
+      }
+    };
+
+    const deadline = now + CANDIDATES * 1000 + 500;
+    const result = await generateLoop({ origin, distanceMiles: 5, deadline }, slowRouter);
+    jest.restoreAllMocks();
+
+    expect(result.attempts).toHaveLength(1);
+    expect(requests).toHaveLength(CANDIDATES);
+    requests.forEach(request => expect(request.deadline).toBe(deadline));
+  });
+});
+
+// --- generateLoop boundary on the road path ---
+
+describe('generateLoop boundary on the road path', () => {
+  // Box from just south of the origin to 0.0025° north of it
+  const boundary = [
+    { lat: origin.lat - 0.001, lng: origin.lng - 0.001 },
+    { lat: origin.lat - 0.001, lng: origin.lng + 0.001 },
+    { lat: origin.lat + 0.0025, lng: origin.lng + 0.001 },
+    { lat: origin.lat + 0.0025, lng: origin.lng - 0.001 }
+  ];
+
+  /**
+   * Mock the Routes API with out-and-backs that all hit the target distance. Call i turns
+   * around norths[i] degrees north of the origin (last one repeats): 0.001 stays inside the
+   * boundary, 0.005 spends half the route outside it.
+   */
+  function mockRoutesNorth(norths) {
+    let call = 0;
+    global.fetch = jest.fn(async () => {
+      const north = norths[Math.min(call++, norths.length - 1)];
+      const turnaround = { lat: origin.lat + north, lng: origin.lng };
+      return {
+        ok: true,
+        json: async () => ({
+          routes: [{
+            distanceMeters: targetMeters,
+            duration: '3600s',
+            polyline: { encodedPolyline: encodePolyline([origin, turnaround, origin]) }
+          }]
+        })
+      };
+    });
+  }
+
+  test('keeps trying until the route stays inside', async () => {
+    mockRoutesNorth([0.005, 0.005, 0.005, 0.005, 0.001]);
+    const result = await generateLoop({ origin, distanceMiles: 5, boundary }, router);
+
+    expect(result.attempts).toHaveLength(2);
+    expect(result.attempts[0].outsideFraction).toBeCloseTo(0.5, 1);
+    expect(result.withinBoundary).toBe(true);
+    expect(result.outsideFraction).toBe(0);
+    expect(result).not.toHaveProperty('outsideStretches');
+  });
+
+  test('tries fresh directions instead of refining one whose roads leave the boundary', async () => {
+    mockRoutesNorth([0.005, 0.005, 0.005, 0.005, 0.001]);
+    await generateLoop({ origin, distanceMiles: 5, boundary, options: { shape: 'out-and-back' } }, router);
+
+    // A refined out-and-back would send one layout; fresh ones fill the batch
+    expect(global.fetch).toHaveBeenCalledTimes(2 * CANDIDATES);
+  });
+
+  test('pulls a fixed out-and-back in when its roads leave the boundary', async () => {
+    // Roads run on 50% past the turnaround, but always come to the target distance
+    const metersNorth = meters => origin.lat + meters / 111320;
+    const sent = [];
+    const overshootRouter = {
+      name: 'overshoot',
+      maxWaypoints: 25,
+      async computeRoutes(request) {
+        sent.push(request.waypoints);
+        const [turnaround] = request.waypoints;
+        const far = { lat: origin.lat + (turnaround.lat - origin.lat) * 1.5, lng: turnaround.lng };
+        return { routes: [{ distanceMeters: METERS_PER_MILE, duration: '900s', polyline: { encodedPolyline: encodePolyline([origin, far, origin]) } }] };
+      }
+    };
+    const tall = [
+      { lat: metersNorth(-100), lng: origin.lng - 0.01 },
+      { lat: metersNorth(-100), lng: origin.lng + 0.01 },
+      { lat: metersNorth(900), lng: origin.lng + 0.01 },
+      { lat: metersNorth(900), lng: origin.lng - 0.01 }
+    ];
+
+    const result = await generateLoop({
+      origin, distanceMiles: 1, boundary: tall, options: { shape: 'out-and-back', bearing: 0 }
+    }, overshootRouter);
+
+    expect(result.attempts[0].outsideFraction).toBeGreaterThan(0.1);
+    expect(sent[1][0].lat).toBeLessThan(sent[0][0].lat);
+    expect(result.withinBoundary).toBe(true);
+  });
+
+  test('gives up with the stretches outside the boundary', async () => {
+    mockRoutesNorth([0.005]);
+    const result = await generateLoop({ origin, distanceMiles: 5, boundary }, router);
+
+    expect(result.attempts).toHaveLength(4);
+    expect(result.withinBoundary).toBe(false);
+    expect(result.withinTolerance).toBe(true);
+    expect(result.outsideStretches).toHaveLength(1);
+    const [stretch] = result.outsideStretches;
+    // Joined to the route inside at both ends, outside everywhere between
+    expect(stretch[0].lat).toBeLessThan(origin.lat + 0.0025);
+    expect(stretch[stretch.length - 1].lat).toBeLessThan(origin.lat + 0.0025);
+    stretch.slice(1, -1).forEach(p => expect(p.lat).toBeGreaterThanOrEqual(origin.lat + 0.0025));
+  });
+
+  test('marks the stretches outside the boundary on alternatives too', async () => {
+    // Distinct turnarounds, all well outside, so none fits and none is a duplicate
+    mockRoutesNorth([0.005, 0.0051, 0.0052, 0.0053, 0.0054, 0.0055]);
+    const result = await generateLoop({ origin, distanceMiles: 5, boundary }, router);
+
+    expect(result.alternatives.length).toBeGreaterThan(0);
+    result.alternatives.forEach(a => {
+      expect(a.withinBoundary).toBe(false);
+      expect(a.outsideStretches).toHaveLength(1);
+      a.outsideStretches[0].slice(1, -1).forEach(p => expect(p.lat).toBeGreaterThanOrEqual(origin.lat + 0.0025));
+    });
+  });
+
+  test('accepts as much of the route outside as the tolerance allows', async () => {
+    mockRoutesNorth([0.005]);
+    const result = await generateLoop({ origin, distanceMiles: 5, boundary, options: { boundaryTolerance: 0.6 } }, router);
+
+    expect(result.attempts).toHaveLength(1);
+    expect(result.withinBoundary).toBe(true);
+    expect(result.outsideFraction).toBeGreaterThan(0.4);
+  });
+
+  test('ranks a route inside the boundary over one on target that leaves it', () => {
+    const onTarget = { tolerance: checkTolerance(targetMeters, 5), outsideFraction: 0.3, withinBoundary: false };
+    const slightlyLong = { tolerance: checkTolerance(targetMeters * 1.08, 5), outsideFraction: 0, withinBoundary: true };
+    expect(pickCandidate([onTarget, slightlyLong], 'any')).toBe(slightlyLong);
+  });
+});
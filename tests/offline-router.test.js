@@ -0,0 +1,279 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { parseOsmXml } = require('../lib/routing/offline/osm-xml');
+const { parseOsmPbf } = require('../lib/routing/offline/osm-pbf');
+const { isWalkable, buildPedestrianGraph } = require('../lib/routing/offline/graph');
+const { createOfflineRoutingProvider, turnManeuver } = require('../lib/routing/offline');
+const { getRoutingProvider } = require('../lib/routing');
+const { decodePolyline } = require('../public/polyline');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'grid.osm');
+
+// Grid corners from the fixture: node id → {lat, lng}
+function corner(id) {
+  const r = Math.floor((id - 1) / 3);
+  const c = (id - 1) % 3;
+  return { lat: 40 + 0.001 * r, lng: -75 + 0.0013 * c };
+}
+
+// --- Minimal OSM PBF writer, so the PBF reader can be tested against the XML fixture ---
+
+function varint(n) {
+  const bytes = [];
+  while (n >= 128) {
+    bytes.push((n % 128) | 128);
+    n = Math.floor(n / 128);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+const zigzag = n => (n >= 0 ? n * 2 : -n * 2 - 1);
+
+function field(num, value) {
+  if (Buffer.isBuffer(value)) return Buffer.concat([varint(num * 8 + 2), varint(value.length), value]);
+  return Buffer.concat([varint(num * 8), varint(value)]);
+}
+
+const packed = values => Buffer.concat(values.map(varint));
+
+function deltas(values) {
+  let prev = 0;
+  return values.map(v => {
+    const d = v - prev;
+    prev = v;
+    return zigzag(d);
+  });
+}
+
+function fileBlock(type, data) {
+  const blob = Buffer.concat([field(2, data.length), field(3, zlib.deflateSync(data))]);
+  const header = Buffer.concat([field(1, Buffer.from(type)), field(3, blob.length)]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length);
+  return Buffer.concat([length, header, blob]);
+}
+
+function encodePbf({ nodes, ways }) {
+  const strings = [''];
+  const stringIndex = s => {
+    if (!strings.includes(s)) strings.push(s);
+    return strings.indexOf(s);
+  };
+
+  const ids = [...nodes.keys()];
+  const dense = Buffer.concat([
+    field(1, packed(deltas(ids))),
+    field(8, packed(deltas(ids.map(id => Math.round(nodes.get(id).lat * 1e7))))),
+    field(9, packed(deltas(ids.map(id => Math.round(nodes.get(id).lng * 1e7)))))
+  ]);
+  const wayMessages = ways.map(way => {
+    const keys = Object.keys(way.tags);
+    return Buffer.concat([
+      field(1, way.id),
+      field(2, packed(keys.map(stringIndex))),
+      field(3, packed(keys.map(k => stringIndex(way.tags[k])))),
+      field(8, packed(deltas(way.refs)))
+    ]);
+  });
+
+  const stringTable = Buffer.concat(strings.map(s => field(1, Buffer.from(s))));
+  const block = Buffer.concat([
+    field(1, stringTable),
+    field(2, field(2, dense)),
+    field(2, Buffer.concat(wayMessages.map(m => field(3, m))))
+  ]);
+  return Buffer.concat([
+    fileBlock('OSMHeader', field(4, Buffer.from('OsmSchema-V0.6'))),
+    fileBlock('OSMData', block)
+  ]);
+}
+
+// --- parseOsmXml ---
+
+describe('parseOsmXml', () => {
+  const osm = parseOsmXml(fs.readFileSync(FIXTURE, 'utf8'));
+
+  test('reads every node, self-closing or not', () => {
+    expect(osm.nodes.size).toBe(15);
+    expect(osm.nodes.get(5)).toEqual({ lat: 40.001, lng: -74.9987 });
+    expect(osm.nodes.get(30)).toEqual({ lat: 40.0004, lng: -74.9996 });
+  });
+
+  test('reads ways with refs and unescaped tags', () => {
+    expect(osm.ways).toHaveLength(12);
+    expect(osm.ways[0]).toEqual({ id: 101, refs: [1, 2, 3], tags: { highway: 'residential', name: '1st Street' } });
+    expect(osm.ways.find(w => w.id === 150).tags.name).toBe('Town Hall & Library');
+  });
+});
+
+// --- parseOsmPbf ---
+
+describe('parseOsmPbf', () => {
+  const xml = parseOsmXml(fs.readFileSync(FIXTURE, 'utf8'));
+  const pbf = parseOsmPbf(encodePbf(xml));
+
+  test('decodes dense nodes with their coordinates', () => {
+    expect([...pbf.nodes.keys()]).toEqual([...xml.nodes.keys()]);
+    xml.nodes.forEach((point, id) => {
+      expect(pbf.nodes.get(id).lat).toBeCloseTo(point.lat, 7);
+      expect(pbf.nodes.get(id).lng).toBeCloseTo(point.lng, 7);
+    });
+  });
+
+  test('decodes ways with delta-coded refs and string-table tags', () => {
+    expect(pbf.ways).toEqual(xml.ways);
+  });
+
+  test('rejects unsupported compression', () => {
+    const blob = field(4, Buffer.from('lzma'));
+    const header = Buffer.concat([field(1, Buffer.from('OSMData')), field(3, blob.length)]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(header.length);
+    expect(() => parseOsmPbf(Buffer.concat([length, header, blob]))).toThrow('Only zlib-compressed or raw PBF blobs are supported');
+  });
+});
+
+// --- isWalkable ---
+
+describe('isWalkable', () => {
+  test('allows ordinary streets and paths', () => {
+    expect(isWalkable({ highway: 'residential' })).toBe(true);
+    expect(isWalkable({ highway: 'footway' })).toBe(true);
+    expect(isWalkable({ highway: 'primary', sidewalk: 'both' })).toBe(true);
+  });
+
+  test('rejects non-highways and highways that forbid walking', () => {
+    expect(isWalkable({ building: 'yes' })).toBe(false);
+    expect(isWalkable({ highway: 'motorway' })).toBe(false);
+    expect(isWalkable({ highway: 'construction' })).toBe(false);
+    expect(isWalkable({ highway: 'footway', foot: 'no' })).toBe(false);
+    expect(isWalkable({ highway: 'service', access: 'private' })).toBe(false);
+  });
+
+  test('lets foot access override general access', () => {
+    expect(isWalkable({ highway: 'track', access: 'no', foot: 'yes' })).toBe(true);
+  });
+});
+
+// --- buildPedestrianGraph ---
+
+describe('buildPedestrianGraph', () => {
+  const graph = buildPedestrianGraph(parseOsmXml(fs.readFileSync(FIXTURE, 'utf8')));
+
+  test('keeps only nodes on walkable ways', () => {
+    // 9 grid corners plus the 2 island nodes; the building outline is dropped
+    expect(graph.points).toHaveLength(11);
+  });
+
+  test('leaves out the motorway, the closed path and the private lane', () => {
+    const names = graph.ways.map(w => w.name);
+    expect(names).toContain('River Path');
+    expect(names).not.toContain('Expressway');
+    expect(names).not.toContain('Closed Path');
+    expect(names).not.toContain('Private Lane');
+  });
+
+  test('links neighbours in both directions', () => {
+    const degrees = graph.edges.map(e => e.length).sort((a, b) => a - b);
+    // Island nodes have one neighbour; the centre of the grid has four
+    expect(degrees[0]).toBe(1);
+    expect(degrees[degrees.length - 1]).toBe(4);
+  });
+});
+
+// --- turnManeuver ---
+
+describe('turnManeuver', () => {
+  test('classifies heading changes', () => {
+    expect(turnManeuver(5)).toBe('STRAIGHT');
+    expect(turnManeuver(-30)).toBe('TURN_SLIGHT_LEFT');
+    expect(turnManeuver(90)).toBe('TURN_RIGHT');
+    expect(turnManeuver(-150)).toBe('TURN_SHARP_LEFT');
+    expect(turnManeuver(178)).toBe('UTURN_RIGHT');
+  });
+});
+
+// --- Offline routing on the fixture ---
+
+describe('offline routing provider', () => {
+  const provider = createOfflineRoutingProvider(FIXTURE);
+
+  test('takes the footpath shortcut and never the motorway', async () => {
+    const { routes } = await provider.computeRoutes({ origin: corner(1), destination: corner(9), waypoints: [] });
+    const route = routes[0];
+
+    // Oak Avenue (~111 m) then River Path (~248 m); the Expressway diagonal would be ~314 m
+    expect(route.distanceMeters).toBeGreaterThan(355);
+    expect(route.distanceMeters).toBeLessThan(365);
+    expect(route.legs[0].steps.map(s => s.navigationInstruction)).toEqual([
+      { maneuver: 'DEPART', instructions: 'Head out on Oak Avenue' },
+      { maneuver: 'TURN_RIGHT', instructions: 'Turn right onto River Path' }
+    ]);
+    expect(decodePolyline(route.polyline.encodedPolyline)).toEqual([corner(1), corner(4), corner(9)]);
+  });
+
+  test('writes the directions in the request language', async () => {
+    const { routes } = await provider.computeRoutes({ origin: corner(1), destination: corner(9), waypoints: [], languageCode: 'es-ES' });
+    expect(routes[0].legs[0].steps.map(s => s.navigationInstruction.instructions)).toEqual([
+      'Sal por Oak Avenue',
+      'Gira a la derecha hacia River Path'
+    ]);
+  });
+
+  test('avoids ways where walking is forbidden', async () => {
+    const { routes } = await provider.computeRoutes({ origin: corner(3), destination: corner(7), waypoints: [] });
+    // Around the grid (~444 m) instead of the Closed Path diagonal (~314 m)
+    expect(routes[0].distanceMeters).toBeGreaterThan(440);
+  });
+
+  test('answers a closed loop through intermediates with one leg per stop', async () => {
+    const { routes } = await provider.computeRoutes({
+      origin: corner(1),
+      waypoints: [corner(3), corner(9), corner(7)].map(p => ({ lat: p.lat + 0.00005, lng: p.lng }))
+    });
+    const route = routes[0];
+
+    expect(route.legs).toHaveLength(4);
+    expect(route.distanceMeters).toBeGreaterThan(880);
+    expect(route.distanceMeters).toBeLessThan(895);
+    expect(route.legs.map(l => l.steps[0].navigationInstruction.instructions)).toEqual([
+      'Head out on 1st Street', 'Head out on Pine Avenue', 'Head out on 3rd Street', 'Head out on Oak Avenue'
+    ]);
+    const points = decodePolyline(route.polyline.encodedPolyline);
+    expect(points[0]).toEqual(points[points.length - 1]);
+    expect(route.duration).toBe(`${Math.round(route.distanceMeters / 1.4)}s`);
+  });
+
+  test('returns no routes between disconnected parts of the extract', async () => {
+    const island = { lat: 40.02, lng: -75 };
+    expect(await provider.computeRoutes({ origin: corner(1), destination: island, waypoints: [] })).toEqual({ routes: [] });
+  });
+
+  test('returns no routes for stops far from any walkable way', async () => {
+    expect(await provider.computeRoutes({ origin: { lat: 40.5, lng: -75 }, waypoints: [corner(1)] })).toEqual({ routes: [] });
+  });
+
+  test('routes the same from an .osm.pbf extract', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-'));
+    const pbfPath = path.join(dir, 'grid.osm.pbf');
+    fs.writeFileSync(pbfPath, encodePbf(parseOsmXml(fs.readFileSync(FIXTURE, 'utf8'))));
+
+    try {
+      const request = { origin: corner(1), destination: corner(9), waypoints: [] };
+      const fromPbf = await createOfflineRoutingProvider(pbfPath).computeRoutes(request);
+      const fromXml = await provider.computeRoutes(request);
+      expect(fromPbf.routes[0].distanceMeters).toBe(fromXml.routes[0].distanceMeters);
+      expect(fromPbf.routes[0].legs[0].steps).toEqual(fromXml.routes[0].legs[0].steps);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('is selected with ROUTING_PROVIDER=offline and OSM_EXTRACT', () => {
+    expect(getRoutingProvider({ ROUTING_PROVIDER: 'offline', OSM_EXTRACT: FIXTURE }).name).toBe('offline');
+    expect(getRoutingProvider({ ROUTING_PROVIDER: 'offline' })).toBeNull();
+  });
+});
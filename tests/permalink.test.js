@@ -0,0 +1,143 @@
+const { encodePermalink, decodePermalink } = require('../public/permalink');
+
+/**
+ * Tests for route permalinks in the URL hash.
+ */
+
+const start = { lat: 40.7128, lng: -74.006 };
+
+// A boundary of `count` vertices on a circle around start
+function ring(count, radius = 0.01) {
+  return Array.from({ length: count }, (_, i) => ({
+    lat: Number((start.lat + radius * Math.cos((2 * Math.PI * i) / count)).toFixed(5)),
+    lng: Number((start.lng + radius * Math.sin((2 * Math.PI * i) / count)).toFixed(5))
+  }));
+}
+
+describe('encodePermalink / decodePermalink', () => {
+  test('round-trips a loop with its boundary and waypoints', () => {
+    const state = {
+      start,
+      distanceMiles: 5,
+      useKm: false,
+      shape: 'loop',
+      terrain: 'hilly',
+      boundary: ring(5),
+      waypoints: [{ lat: 40.72, lng: -74.001 }, { lat: 40.718, lng: -73.995 }]
+    };
+
+    expect(decodePermalink(`#${encodePermalink(state)}`)).toEqual(state);
+  });
+
+  test('round-trips the options of each shape', () => {
+    const outAndBack = { start, distanceMiles: 6.2, useKm: true, shape: 'out-and-back', terrain: 'any', bearing: 90, boundary: [], waypoints: [{ lat: 40.74, lng: -74.006 }] };
+    const pointToPoint = { start, distanceMiles: 4, useKm: false, shape: 'point-to-point', terrain: 'flat', destination: { lat: 40.75, lng: -73.99 }, boundary: [], waypoints: [{ lat: 40.73, lng: -74.01 }] };
+    const cloverleaf = {
+      start,
+      distanceMiles: 12,
+      useKm: false,
+      shape: 'cloverleaf',
+      terrain: 'any',
+      petalMiles: 4,
+      petalBearings: [0, 120, 240],
+      boundary: [],
+      waypoints: [{ lat: 40.73, lng: -74.006 }, start, { lat: 40.7, lng: -73.99 }, start, { lat: 40.7, lng: -74.02 }]
+    };
+
+    [outAndBack, pointToPoint, cloverleaf].forEach(state => {
+      expect(decodePermalink(encodePermalink(state))).toEqual(state);
+    });
+  });
+
+  test('round-trips the seed and runner-up number', () => {
+    const state = { start, distanceMiles: 5, useKm: false, shape: 'loop', terrain: 'any', seed: 4294967295, alternative: 2, boundary: [], waypoints: [start] };
+    expect(decodePermalink(encodePermalink(state))).toEqual(state);
+  });
+
+  test('round-trips exclusion zones', () => {
+    const exclusions = [ring(4, 0.002), ring(6, 0.003).map(p => ({ lat: Number((p.lat + 0.02).toFixed(5)), lng: p.lng }))];
+    const state = { start, distanceMiles: 5, useKm: false, shape: 'loop', terrain: 'any', boundary: ring(5), exclusions, waypoints: ring(3, 0.005) };
+    const url = new URL(`https://example.com/#${encodePermalink(state)}`);
+
+    expect(decodePermalink(url.hash)).toEqual(state);
+  });
+
+  test('rounds coordinates to 5 decimal places, the same way for the start and waypoints', () => {
+    const exact = { lat: 40.712849999, lng: -74.006000004 };
+    const state = decodePermalink(encodePermalink({ start: exact, distanceMiles: 3, waypoints: [exact] }));
+
+    expect(state.start).toEqual({ lat: 40.71285, lng: -74.006 });
+    expect(state.waypoints).toEqual([state.start]);
+  });
+
+  test('fills in defaults for a link with only start and distance', () => {
+    expect(decodePermalink('v=1&s=40.7128,-74.006&d=3.1')).toEqual({
+      start,
+      distanceMiles: 3.1,
+      useKm: false,
+      shape: 'loop',
+      terrain: 'any',
+      boundary: [],
+      waypoints: []
+    });
+  });
+
+  test('keeps a long boundary compact', () => {
+    const boundary = ring(40);
+    const hash = encodePermalink({ start, distanceMiles: 5, boundary });
+    const plain = boundary.map(p => `${p.lat},${p.lng}`).join(';');
+
+    expect(decodePermalink(hash).boundary).toEqual(boundary);
+    expect(hash.length).toBeLessThan(plain.length / 2);
+  });
+
+  test('survives being put through URLSearchParams-style escaping', () => {
+    const state = { start, distanceMiles: 5, useKm: false, shape: 'loop', terrain: 'any', boundary: ring(8), waypoints: ring(3, 0.005) };
+    const url = new URL(`https://example.com/#${encodePermalink(state)}`);
+
+    expect(decodePermalink(url.hash)).toEqual(state);
+  });
+});
+
+describe('decodePermalink rejects links it cannot trust', () => {
+  const good = encodePermalink({ start, distanceMiles: 5, boundary: ring(6), waypoints: ring(3, 0.005) });
+
+  test('ignores hashes that are not permalinks', () => {
+    expect(decodePermalink('')).toBeNull();
+    expect(decodePermalink('#')).toBeNull();
+    expect(decodePermalink('#directions')).toBeNull();
+  });
+
+  test('rejects other format versions', () => {
+    expect(decodePermalink(good.replace('v=1', 'v=2'))).toBeNull();
+  });
+
+  test('rejects a missing or invalid start or distance', () => {
+    expect(decodePermalink('v=1&d=5')).toBeNull();
+    expect(decodePermalink('v=1&s=95,10&d=5')).toBeNull();
+    expect(decodePermalink('v=1&s=40,-74&d=abc')).toBeNull();
+    expect(decodePermalink('v=1&s=40,-74&d=-1')).toBeNull();
+  });
+
+  test('rejects a cut-off link', () => {
+    expect(decodePermalink(good.slice(0, -3))).toBeNull();
+  });
+
+  test('rejects a damaged exclusion zone', () => {
+    const withZones = encodePermalink({ start, distanceMiles: 5, exclusions: [ring(4, 0.002), ring(5, 0.003)] });
+    const zones = new URLSearchParams(withZones).get('x');
+
+    expect(decodePermalink(withZones.replace(encodeURIComponent(zones), encodeURIComponent(zones.slice(0, -2))))).toBeNull();
+    expect(decodePermalink(`${good}&x=${encodeURIComponent(`${zones.split('.')[0]}.`)}`)).toBeNull();
+  });
+
+  test('rejects malformed escapes', () => {
+    expect(decodePermalink('v=1&s=40,-74&d=5&w=%E0%A4%A')).toBeNull();
+  });
+
+  test('drops optional fields that do not parse', () => {
+    const state = decodePermalink('v=1&s=40.7128,-74.006&d=5&sh=spiral&t=steep&br=north&p=0&sd=-3&e=1,2,3');
+
+    expect(state).toEqual({ start, distanceMiles: 5, useKm: false, shape: 'loop', terrain: 'any', boundary: [], waypoints: [] });
+  });
+});
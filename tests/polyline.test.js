@@ -0,0 +1,142 @@
+const {
+  decodePolyline,
+  encodePolyline,
+  haversineMeters,
+  pathDistanceMeters,
+  cumulativeDistances,
+  pointAlongPath,
+  samplePath
+} = require('../public/polyline');
+
+// --- decodePolyline ---
+
+describe('decodePolyline', () => {
+  // Example from Google's encoded polyline algorithm documentation
+  const encoded = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+  test('decodes the reference polyline', () => {
+    const points = decodePolyline(encoded);
+    expect(points).toHaveLength(3);
+    expect(points[0]).toEqual({ lat: 38.5, lng: -120.2 });
+    expect(points[1]).toEqual({ lat: 40.7, lng: -120.95 });
+    expect(points[2]).toEqual({ lat: 43.252, lng: -126.453 });
+  });
+
+  test('decodes polyline6 when given a precision of 6', () => {
+    const points = decodePolyline(encoded, 6);
+    expect(points[0]).toEqual({ lat: 3.85, lng: -12.02 });
+  });
+
+  test('returns an empty array for an empty string', () => {
+    expect(decodePolyline('')).toEqual([]);
+  });
+});
+
+// --- encodePolyline ---
+
+describe('encodePolyline', () => {
+  test('encodes the reference points', () => {
+    const points = [
+      { lat: 38.5, lng: -120.2 },
+      { lat: 40.7, lng: -120.95 },
+      { lat: 43.252, lng: -126.453 }
+    ];
+    expect(encodePolyline(points)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  });
+
+  test('round-trips through decodePolyline at 5-decimal precision', () => {
+    const points = [
+      { lat: 40.71280, lng: -74.00600 },
+      { lat: 40.72001, lng: -73.99012 },
+      { lat: 40.71280, lng: -74.00600 }
+    ];
+    const decoded = decodePolyline(encodePolyline(points));
+    decoded.forEach((p, i) => {
+      expect(p.lat).toBeCloseTo(points[i].lat, 5);
+      expect(p.lng).toBeCloseTo(points[i].lng, 5);
+    });
+  });
+});
+
+// --- haversineMeters / pathDistanceMeters ---
+
+describe('haversineMeters', () => {
+  test('returns 0 for identical points', () => {
+    expect(haversineMeters({ lat: 40, lng: -74 }, { lat: 40, lng: -74 })).toBe(0);
+  });
+
+  test('one degree of latitude is ~111.2 km', () => {
+    const d = haversineMeters({ lat: 0, lng: 0 }, { lat: 1, lng: 0 });
+    expect(d).toBeGreaterThan(111000);
+    expect(d).toBeLessThan(111400);
+  });
+});
+
+describe('pathDistanceMeters', () => {
+  test('sums segment lengths', () => {
+    const a = { lat: 0, lng: 0 };
+    const b = { lat: 0.01, lng: 0 };
+    const c = { lat: 0.01, lng: 0.01 };
+    const expected = haversineMeters(a, b) + haversineMeters(b, c);
+    expect(pathDistanceMeters([a, b, c])).toBeCloseTo(expected, 6);
+  });
+
+  test('returns 0 for fewer than two points', () => {
+    expect(pathDistanceMeters([])).toBe(0);
+    expect(pathDistanceMeters([{ lat: 1, lng: 1 }])).toBe(0);
+  });
+});
+
+// --- cumulativeDistances / pointAlongPath ---
+
+describe('cumulativeDistances', () => {
+  test('starts at 0 and ends at the path length', () => {
+    const points = [{ lat: 0, lng: 0 }, { lat: 0.01, lng: 0 }, { lat: 0.02, lng: 0 }];
+    const cum = cumulativeDistances(points);
+    expect(cum).toHaveLength(3);
+    expect(cum[0]).toBe(0);
+    expect(cum[2]).toBeCloseTo(pathDistanceMeters(points), 6);
+  });
+});
+
+describe('pointAlongPath', () => {
+  const points = [{ lat: 0, lng: 0 }, { lat: 0.01, lng: 0 }, { lat: 0.02, lng: 0 }];
+  const total = pathDistanceMeters(points);
+
+  test('interpolates within a segment', () => {
+    const p = pointAlongPath(points, total / 4);
+    expect(p.lat).toBeCloseTo(0.005, 6);
+    expect(p.lng).toBeCloseTo(0, 6);
+  });
+
+  test('clamps before the start and past the end', () => {
+    expect(pointAlongPath(points, -10)).toEqual({ lat: 0, lng: 0 });
+    expect(pointAlongPath(points, total * 2)).toEqual({ lat: 0.02, lng: 0 });
+  });
+});
+
+describe('samplePath', () => {
+  const points = [{ lat: 0, lng: 0 }, { lat: 0.02, lng: 0 }];
+
+  test('includes both ends and spaces samples evenly', () => {
+    const samples = samplePath(points, 5);
+    expect(samples).toHaveLength(5);
+    expect(samples[0].lat).toBeCloseTo(0, 8);
+    expect(samples[2].lat).toBeCloseTo(0.01, 6);
+    expect(samples[4].lat).toBeCloseTo(0.02, 8);
+    expect(samples[4].distanceMeters).toBeCloseTo(pathDistanceMeters(points), 6);
+  });
+
+  test('matches pointAlongPath across many segments, including repeated points', () => {
+    const zigzag = [];
+    for (let i = 0; i < 40; i++) {
+      zigzag.push({ lat: i * 0.001, lng: (i % 2) * 0.001 });
+      if (i % 7 === 0) zigzag.push({ lat: i * 0.001, lng: (i % 2) * 0.001 });
+    }
+    samplePath(zigzag, 97).forEach(sample => {
+      const expected = pointAlongPath(zigzag, sample.distanceMeters);
+      expect(sample.lat).toBeCloseTo(expected.lat, 10);
+      expect(sample.lng).toBeCloseTo(expected.lng, 10);
+    });
+  });
+});
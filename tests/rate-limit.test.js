@@ -0,0 +1,288 @@
+const {
+  getRateLimiter,
+  resetRateLimiters,
+  limitRequest,
+  getUsageReport,
+  clientKey
+} = require('../lib/rate-limit');
+const { createMemoryCounterStore } = require('../lib/rate-limit/memory');
+const { createRedisCounterStore } = require('../lib/rate-limit/redis');
+
+const ENV_KEYS = ['RATE_LIMIT', 'RATE_LIMIT_PER_MINUTE', 'ROUTING_QUOTA_PER_DAY', 'RATE_LIMIT_TOKENS'];
+const NOON = Date.UTC(2026, 9, 18, 12, 0, 0);
+
+function mockRes() {
+  return {
+    _status: 200,
+    _body: null,
+    _headers: {},
+    status(code) { this._status = code; return this; },
+    json(body) { this._body = body; return this; },
+    setHeader(name, value) { this._headers[name.toLowerCase()] = value; return this; }
+  };
+}
+
+// The client's own X-Forwarded-For first, then the address the proxy appended
+function req(ip = '203.0.113.5', headers = {}) {
+  return { headers: { 'x-forwarded-for': `10.0.0.1, ${ip}`, ...headers } };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  resetRateLimiters();
+});
+
+// --- clientKey ---
+
+describe('clientKey', () => {
+  const tokens = new Set(['team-token']);
+
+  test('uses the forwarded address the proxy appended', () => {
+    expect(clientKey(req('198.51.100.7'), tokens)).toBe('ip:198.51.100.7');
+  });
+
+  test('ignores forwarded addresses the client made up', () => {
+    const spoofed = ip => ({ headers: { 'x-forwarded-for': `${ip}, 198.51.100.7` } });
+    expect(clientKey(spoofed('1.1.1.1'), tokens)).toBe(clientKey(spoofed('2.2.2.2'), tokens));
+  });
+
+  test('prefers the addresses Vercel sets', () => {
+    const headers = { 'x-forwarded-for': '1.1.1.1', 'x-real-ip': '198.51.100.9', 'x-vercel-forwarded-for': '198.51.100.8' };
+    expect(clientKey({ headers }, tokens)).toBe('ip:198.51.100.8');
+    delete headers['x-vercel-forwarded-for'];
+    expect(clientKey({ headers }, tokens)).toBe('ip:198.51.100.9');
+  });
+
+  test('falls back to X-Real-IP and the socket address', () => {
+    expect(clientKey({ headers: { 'x-real-ip': '198.51.100.8' } }, tokens)).toBe('ip:198.51.100.8');
+    expect(clientKey({ headers: {}, socket: { remoteAddress: '::1' } }, tokens)).toBe('ip:::1');
+    expect(clientKey({}, tokens)).toBe('ip:unknown');
+  });
+
+  test('uses a known bearer token instead of the IP', () => {
+    expect(clientKey(req('198.51.100.7', { authorization: 'Bearer team-token' }), tokens)).toBe('token:team-token');
+  });
+
+  test('ignores unknown tokens so they cannot dodge the IP limit', () => {
+    expect(clientKey(req('198.51.100.7', { authorization: 'Bearer made-up' }), tokens)).toBe('ip:198.51.100.7');
+  });
+});
+
+// --- getRateLimiter ---
+
+describe('getRateLimiter', () => {
+  test('defaults to in-memory counters', () => {
+    expect(getRateLimiter({})).toMatchObject({ perMinute: 30, routingQuotaPerDay: 500 });
+    expect(getRateLimiter({}).store.name).toBe('memory');
+    expect(getRateLimiter({})).toBe(getRateLimiter({}));
+  });
+
+  test('reads limits and tokens', () => {
+    const limiter = getRateLimiter({ RATE_LIMIT_PER_MINUTE: '5', ROUTING_QUOTA_PER_DAY: '50', RATE_LIMIT_TOKENS: 'a, b' });
+    expect(limiter).toMatchObject({ perMinute: 5, routingQuotaPerDay: 50 });
+    expect([...limiter.tokens]).toEqual(['a', 'b']);
+  });
+
+  test('picks the redis store, or nothing without a URL', () => {
+    expect(getRateLimiter({ RATE_LIMIT: 'redis', KV_REST_API_URL: 'https://kv.local' }).store.name).toBe('redis');
+    expect(getRateLimiter({ RATE_LIMIT: 'redis' })).toBeNull();
+    expect(getRateLimiter({ RATE_LIMIT: 'off' })).toBeNull();
+  });
+
+  test('throws for an unknown store', () => {
+    expect(() => getRateLimiter({ RATE_LIMIT: 'dynamo' })).toThrow('Unknown RATE_LIMIT: dynamo');
+  });
+});
+
+// --- Counter stores ---
+
+describe('memory counter store', () => {
+  test('counts until the window expires', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(NOON);
+    const store = createMemoryCounterStore();
+
+    expect(await store.incr('k', 1, 60)).toBe(1);
+    expect(await store.incr('k', 2, 60)).toBe(3);
+    expect(await store.get('k')).toBe(3);
+
+    now.mockReturnValue(NOON + 60000);
+    expect(await store.get('k')).toBe(0);
+    expect(await store.incr('k', 1, 60)).toBe(1);
+  });
+});
+
+describe('redis counter store', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  function mockRedis() {
+    const values = {};
+    const run = ([command, key, arg]) => {
+      if (command === 'INCRBY') return values[key] = (values[key] || 0) + Number(arg);
+      if (command === 'GET') return values[key] === undefined ? null : String(values[key]);
+      return 1;
+    };
+    global.fetch = jest.fn(async (url, options) => {
+      const body = JSON.parse(options.body);
+      const data = url.endsWith('/pipeline') ? body.map(args => ({ result: run(args) })) : { result: run(body) };
+      return { ok: true, json: async () => data };
+    });
+  }
+
+  test('increments and sets the expiry in one pipeline', async () => {
+    mockRedis();
+    const store = createRedisCounterStore('https://kv.local', 'secret');
+
+    expect(await store.incr('k', 2, 60)).toBe(2);
+    expect(await store.incr('k', 1, 60)).toBe(3);
+    expect(await store.get('k')).toBe(3);
+    expect(await store.get('missing')).toBe(0);
+
+    const calls = global.fetch.mock.calls.map(([url, options]) => [url, JSON.parse(options.body)]);
+    expect(calls).toEqual([
+      ['https://kv.local/pipeline', [['INCRBY', 'rate-limit:k', '2'], ['EXPIRE', 'rate-limit:k', '60', 'NX']]],
+      ['https://kv.local/pipeline', [['INCRBY', 'rate-limit:k', '1'], ['EXPIRE', 'rate-limit:k', '60', 'NX']]],
+      ['https://kv.local', ['GET', 'rate-limit:k']],
+      ['https://kv.local', ['GET', 'rate-limit:missing']]
+    ]);
+  });
+
+  test('fails when any command in the pipeline fails', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => [{ result: 1 }, { error: 'ERR syntax error' }] }));
+    const store = createRedisCounterStore('https://kv.local', 'secret');
+    await expect(store.incr('k', 1, 60)).rejects.toThrow('Redis INCRBY+EXPIRE failed: ERR syntax error');
+  });
+});
+
+// --- limitRequest ---
+
+describe('limitRequest', () => {
+  test('allows requests up to the per-minute limit, then answers 429 with Retry-After', async () => {
+    process.env.RATE_LIMIT_PER_MINUTE = '2';
+    jest.spyOn(Date, 'now').mockReturnValue(NOON + 15000);
+
+    const first = mockRes();
+    expect(await limitRequest(req(), first, 'route')).not.toBeNull();
+    expect(first._headers).toMatchObject({ 'x-ratelimit-limit': '2', 'x-ratelimit-remaining': '1' });
+    expect(await limitRequest(req(), mockRes(), 'route')).not.toBeNull();
+
+    const third = mockRes();
+    expect(await limitRequest(req(), third, 'route')).toBeNull();
+    expect(third._status).toBe(429);
+    expect(third._headers['retry-after']).toBe('45');
+    expect(third._body.error).toBe('Too many requests; try again in 45 seconds');
+  });
+
+  test('counts each client separately', async () => {
+    process.env.RATE_LIMIT_PER_MINUTE = '1';
+    process.env.RATE_LIMIT_TOKENS = 'team-token';
+
+    expect(await limitRequest(req('203.0.113.5'), mockRes(), 'route')).not.toBeNull();
+    expect(await limitRequest(req('203.0.113.6'), mockRes(), 'route')).not.toBeNull();
+    expect(await limitRequest(req('203.0.113.5', { authorization: 'Bearer team-token' }), mockRes(), 'route')).not.toBeNull();
+    expect(await limitRequest(req('203.0.113.5'), mockRes(), 'route')).toBeNull();
+  });
+
+  test('starts a fresh allowance in the next minute', async () => {
+    process.env.RATE_LIMIT_PER_MINUTE = '1';
+    const now = jest.spyOn(Date, 'now').mockReturnValue(NOON);
+
+    await limitRequest(req(), mockRes(), 'route');
+    expect(await limitRequest(req(), mockRes(), 'route')).toBeNull();
+    now.mockReturnValue(NOON + 60000);
+    expect(await limitRequest(req(), mockRes(), 'route')).not.toBeNull();
+  });
+
+  test('stops routing requests once the daily quota is used, until UTC midnight', async () => {
+    process.env.ROUTING_QUOTA_PER_DAY = '5';
+    jest.spyOn(Date, 'now').mockReturnValue(NOON);
+
+    const usage = await limitRequest(req(), mockRes(), 'loop', { routing: true });
+    await usage.recordRoutingCalls(5);
+
+    const res = mockRes();
+    expect(await limitRequest(req(), res, 'loop', { routing: true })).toBeNull();
+    expect(res._status).toBe(429);
+    expect(res._headers['retry-after']).toBe(String(12 * 60 * 60));
+    expect(res._body.error).toBe('Daily routing quota reached; try again tomorrow');
+
+    // Other endpoints and other clients are unaffected
+    expect(await limitRequest(req(), mockRes(), 'config')).not.toBeNull();
+    expect(await limitRequest(req('203.0.113.9'), mockRes(), 'loop', { routing: true })).not.toBeNull();
+  });
+
+  test('does nothing with RATE_LIMIT=off', async () => {
+    process.env.RATE_LIMIT = 'off';
+    process.env.RATE_LIMIT_PER_MINUTE = '1';
+    const res = mockRes();
+
+    await limitRequest(req(), res, 'route');
+    expect(await limitRequest(req(), res, 'route')).not.toBeNull();
+    expect(res._headers).toEqual({});
+  });
+
+  test('answers 500 for an unknown store', async () => {
+    process.env.RATE_LIMIT = 'dynamo';
+    const res = mockRes();
+    expect(await limitRequest(req(), res, 'route')).toBeNull();
+    expect(res._status).toBe(500);
+    expect(res._body.error).toBe('Server misconfiguration: Unknown RATE_LIMIT: dynamo');
+  });
+
+  test('lets requests through when the store fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const limiter = getRateLimiter();
+    limiter.store.incr = jest.fn(async () => { throw new Error('connection refused'); });
+    limiter.store.get = jest.fn(async () => { throw new Error('connection refused'); });
+
+    const usage = await limitRequest(req(), mockRes(), 'loop', { routing: true });
+    expect(usage).not.toBeNull();
+    await usage.recordRoutingCalls(3);
+    expect(console.error).toHaveBeenCalledWith('Rate limit store failed:', 'connection refused');
+  });
+});
+
+// --- getUsageReport ---
+
+describe('getUsageReport', () => {
+  test('reports requests, routing calls and the cost of each generated route per day', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(NOON - 24 * 60 * 60 * 1000);
+    const yesterday = await limitRequest(req(), mockRes(), 'route', { routing: true });
+    await yesterday.recordRoutingCalls(1);
+
+    now.mockReturnValue(NOON);
+    for (const calls of [4, 6]) {
+      const usage = await limitRequest(req(), mockRes(), 'loop', { routing: true });
+      await usage.recordRoutingCalls(calls);
+      await usage.recordRoute();
+    }
+    await limitRequest(req(), mockRes(), 'config');
+
+    const report = await getUsageReport(getRateLimiter(), 3, NOON);
+    expect(report).toEqual([
+      {
+        date: '2026-10-18',
+        requests: { config: 1, route: 0, loop: 2, elevation: 0 },
+        routingCalls: { route: 0, loop: 10 },
+        routesGenerated: 2,
+        routingCallsPerRoute: 5
+      },
+      {
+        date: '2026-10-17',
+        requests: { config: 0, route: 1, loop: 0, elevation: 0 },
+        routingCalls: { route: 1, loop: 0 },
+        routesGenerated: 0,
+        routingCallsPerRoute: null
+      },
+      {
+        date: '2026-10-16',
+        requests: { config: 0, route: 0, loop: 0, elevation: 0 },
+        routingCalls: { route: 0, loop: 0 },
+        routesGenerated: 0,
+        routingCallsPerRoute: null
+      }
+    ]);
+  });
+});
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getRouteCache,
+  resetRouteCaches,
+  routeCacheKey,
+  wantsFreshRoute,
+  cachedComputeRoutes,
+  createCachedRouter
+} = require('../lib/route-cache');
+const { createMemoryCacheStore } = require('../lib/route-cache/memory');
+const { createFileCacheStore } = require('../lib/route-cache/file');
+const { createRedisCacheStore } = require('../lib/route-cache/redis');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  resetRouteCaches();
+});
+
+// --- routeCacheKey ---
+
+describe('routeCacheKey', () => {
+  const origin = { lat: 40.712812, lng: -74.006013 };
+  const waypoints = [{ lat: 40.72, lng: -73.99 }];
+
+  test('rounds every stop to the given precision', () => {
+    expect(routeCacheKey('google', { origin, waypoints }, 4)).toBe('google;40.7128,-74.0060;;40.7200,-73.9900');
+    expect(routeCacheKey('google', { origin, waypoints }, 2)).toBe('google;40.71,-74.01;;40.72,-73.99');
+  });
+
+  test('keeps destination, waypoint order and provider apart', () => {
+    const loop = routeCacheKey('google', { origin, waypoints }, 4);
+    expect(routeCacheKey('google', { origin, destination: waypoints[0], waypoints: [] }, 4)).not.toBe(loop);
+    expect(routeCacheKey('osrm', { origin, waypoints }, 4)).not.toBe(loop);
+    expect(routeCacheKey('google', { origin, waypoints: [...waypoints, origin] }, 4))
+      .not.toBe(routeCacheKey('google', { origin, waypoints: [origin, ...waypoints] }, 4));
+  });
+
+  test('keeps directions in other units or languages apart', () => {
+    const us = routeCacheKey('google', { origin, waypoints, units: 'IMPERIAL', languageCode: 'en-US' }, 4);
+    expect(us).toBe('google;40.7128,-74.0060;;40.7200,-73.9900|IMPERIAL,en-US');
+    expect(routeCacheKey('google', { origin, waypoints, units: 'METRIC', languageCode: 'en-US' }, 4)).not.toBe(us);
+    expect(routeCacheKey('google', { origin, waypoints, units: 'IMPERIAL', languageCode: 'de' }, 4)).not.toBe(us);
+  });
+});
+
+// --- wantsFreshRoute ---
+
+describe('wantsFreshRoute', () => {
+  test('honours no-cache and no-store', () => {
+    expect(wantsFreshRoute({ 'cache-control': 'no-cache' })).toBe(true);
+    expect(wantsFreshRoute({ 'cache-control': 'max-age=0, No-Store' })).toBe(true);
+    expect(wantsFreshRoute({ 'cache-control': 'max-age=60' })).toBe(false);
+    expect(wantsFreshRoute({})).toBe(false);
+    expect(wantsFreshRoute(undefined)).toBe(false);
+  });
+});
+
+// --- getRouteCache ---
+
+describe('getRouteCache', () => {
+  test('defaults to an in-memory cache', () => {
+    const cache = getRouteCache({});
+    expect(cache.store.name).toBe('memory');
+    expect(cache.precision).toBe(4);
+    expect(cache.ttlSeconds).toBe(86400);
+  });
+
+  test('returns the same cache for the same settings', () => {
+    expect(getRouteCache({})).toBe(getRouteCache({}));
+    expect(getRouteCache({ ROUTE_CACHE_PRECISION: '3' })).not.toBe(getRouteCache({}));
+  });
+
+  test('reads precision, size and TTL, ignoring invalid values', () => {
+    const cache = getRouteCache({ ROUTE_CACHE_PRECISION: '3', ROUTE_CACHE_TTL_SECONDS: '60' });
+    expect(cache.precision).toBe(3);
+    expect(cache.ttlSeconds).toBe(60);
+    expect(getRouteCache({ ROUTE_CACHE_PRECISION: 'fine', ROUTE_CACHE_TTL_SECONDS: '-1' }))
+      .toMatchObject({ precision: 4, ttlSeconds: 86400 });
+  });
+
+  test('picks file and redis stores', () => {
+    expect(getRouteCache({ ROUTE_CACHE: 'file', ROUTE_CACHE_DIR: '/tmp/x' }).store.name).toBe('file');
+    expect(getRouteCache({ ROUTE_CACHE: 'redis', ROUTE_CACHE_REDIS_URL: 'https://kv.local' }).store.name).toBe('redis');
+    expect(getRouteCache({ ROUTE_CACHE: 'redis', KV_REST_API_URL: 'https://kv.local' }).store.name).toBe('redis');
+  });
+
+  test('returns null when off or when redis has no URL', () => {
+    expect(getRouteCache({ ROUTE_CACHE: 'off' })).toBeNull();
+    expect(getRouteCache({ ROUTE_CACHE: 'redis' })).toBeNull();
+  });
+
+  test('throws for an unknown store', () => {
+    expect(() => getRouteCache({ ROUTE_CACHE: 'memcached' })).toThrow('Unknown ROUTE_CACHE: memcached');
+  });
+});
+
+// --- Memory store ---
+
+describe('memory cache store', () => {
+  test('evicts the least recently used entry', async () => {
+    const store = createMemoryCacheStore({ maxEntries: 2 });
+    await store.set('a', 1, 60);
+    await store.set('b', 2, 60);
+    await store.get('a');
+    await store.set('c', 3, 60);
+
+    expect(await store.get('b')).toBeNull();
+    expect((await store.get('a')).value).toBe(1);
+    expect((await store.get('c')).value).toBe(3);
+    expect(store.size).toBe(2);
+  });
+
+  test('expires entries after their TTL', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const store = createMemoryCacheStore({ maxEntries: 10 });
+    await store.set('a', 1, 60);
+
+    now.mockReturnValue(1000000 + 59999);
+    expect((await store.get('a')).storedAt).toBe(1000000);
+    now.mockReturnValue(1000000 + 60000);
+    expect(await store.get('a')).toBeNull();
+    expect(store.size).toBe(0);
+  });
+});
+
+// --- File store ---
+
+describe('file cache store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips entries through JSON files', async () => {
+    const store = createFileCacheStore(dir, { maxEntries: 10 });
+    await store.set('google;40,-74', { routes: [{ distanceMeters: 5 }] }, 60);
+
+    expect((await store.get('google;40,-74')).value).toEqual({ routes: [{ distanceMeters: 5 }] });
+    expect(await store.get('google;41,-74')).toBeNull();
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+  });
+
+  test('prunes the least recently used files beyond maxEntries', async () => {
+    const store = createFileCacheStore(dir, { maxEntries: 2 });
+    await store.set('a', 1, 60);
+    await store.set('b', 2, 60);
+    // Age both files, then use 'a' so 'b' is the oldest
+    fs.readdirSync(dir).forEach(name => fs.utimesSync(path.join(dir, name), 1000, 1000));
+    await store.get('a');
+    await store.set('c', 3, 60);
+
+    expect(fs.readdirSync(dir)).toHaveLength(2);
+    expect(await store.get('b')).toBeNull();
+    expect((await store.get('a')).value).toBe(1);
+  });
+
+  test('deletes expired entries on read', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const store = createFileCacheStore(dir, { maxEntries: 10 });
+    await store.set('a', 1, 60);
+
+    now.mockReturnValue(1000000 + 60000);
+    expect(await store.get('a')).toBeNull();
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  test('creates the cache directory on first write', async () => {
+    const store = createFileCacheStore(path.join(dir, 'nested'), { maxEntries: 10 });
+    expect(await store.get('a')).toBeNull();
+    await store.set('a', 1, 60);
+    expect((await store.get('a')).value).toBe(1);
+  });
+});
+
+// --- Redis store ---
+
+describe('redis cache store', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('sends GET and SET with expiry to the REST endpoint', async () => {
+    const stored = {};
+    global.fetch = jest.fn(async (url, options) => {
+      const [command, key, value] = JSON.parse(options.body);
+      if (command === 'SET') stored[key] = value;
+      return { ok: true, json: async () => ({ result: command === 'SET' ? 'OK' : stored[key] || null }) };
+    });
+    const store = createRedisCacheStore('https://kv.local', 'secret');
+
+    expect(await store.get('a')).toBeNull();
+    await store.set('a', { routes: [] }, 60);
+    expect((await store.get('a')).value).toEqual({ routes: [] });
+
+    const [url, options] = global.fetch.mock.calls[1];
+    expect(url).toBe('https://kv.local');
+    expect(options.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(options.body)).toEqual(['SET', 'route-cache:a', expect.any(String), 'EX', '60']);
+  });
+
+  test('throws on server errors', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 401, json: async () => ({ error: 'Unauthorized' }) }));
+    await expect(createRedisCacheStore('https://kv.local').get('a')).rejects.toThrow('Redis GET failed: Unauthorized');
+  });
+});
+
+// --- cachedComputeRoutes ---
+
+describe('cachedComputeRoutes', () => {
+  const request = { origin: { lat: 40, lng: -74 }, waypoints: [{ lat: 40.01, lng: -74 }] };
+
+  function mockRouter(result = { routes: [{ distanceMeters: 100 }] }) {
+    return { name: 'mock', computeRoutes: jest.fn(async () => result) };
+  }
+
+  function memoryCache() {
+    return { store: createMemoryCacheStore({ maxEntries: 10 }), precision: 4, ttlSeconds: 60 };
+  }
+
+  test('misses, then hits with the entry age', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const router = mockRouter();
+    const cache = memoryCache();
+
+    expect(await cachedComputeRoutes(router, request, cache)).toMatchObject({ cacheStatus: 'MISS', ageSeconds: null });
+    now.mockReturnValue(1000000 + 12500);
+    expect(await cachedComputeRoutes(router, request, cache))
+      .toEqual({ data: { routes: [{ distanceMeters: 100 }] }, cacheStatus: 'HIT', ageSeconds: 12 });
+    expect(router.computeRoutes).toHaveBeenCalledTimes(1);
+  });
+
+  test('a bypass skips the lookup but refreshes the entry', async () => {
+    const cache = memoryCache();
+    await cachedComputeRoutes(mockRouter({ routes: ['old'] }), request, cache);
+    const fresh = mockRouter({ routes: ['new'] });
+
+    expect(await cachedComputeRoutes(fresh, request, cache, { bypass: true }))
+      .toMatchObject({ data: { routes: ['new'] }, cacheStatus: 'BYPASS' });
+    expect(await cachedComputeRoutes(fresh, request, cache))
+      .toMatchObject({ data: { routes: ['new'] }, cacheStatus: 'HIT' });
+  });
+
+  test('calls the router directly without a cache', async () => {
+    const router = mockRouter();
+    await cachedComputeRoutes(router, request, null);
+    await cachedComputeRoutes(router, request, null);
+    expect(router.computeRoutes).toHaveBeenCalledTimes(2);
+  });
+
+  test('treats store failures as a miss', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = {
+      get: jest.fn(async () => { throw new Error('disk full'); }),
+      set: jest.fn(async () => { throw new Error('disk full'); })
+    };
+
+    const result = await cachedComputeRoutes(mockRouter(), request, { store, precision: 4, ttlSeconds: 60 });
+    expect(result).toMatchObject({ data: { routes: [{ distanceMeters: 100 }] }, cacheStatus: 'MISS' });
+    expect(console.error).toHaveBeenCalledWith('Route cache read failed:', 'disk full');
+  });
+
+  test('does not cache routing errors', async () => {
+    const cache = memoryCache();
+    const router = { name: 'mock', computeRoutes: jest.fn(async () => { throw new Error('quota'); }) };
+
+    await expect(cachedComputeRoutes(router, request, cache)).rejects.toThrow('quota');
+    expect(cache.store.size).toBe(0);
+  });
+});
+
+// --- createCachedRouter ---
+
+describe('createCachedRouter', () => {
+  test('counts hits and misses across calls', async () => {
+    const router = { name: 'mock', computeRoutes: jest.fn(async () => ({ routes: [] })) };
+    const cached = createCachedRouter(router, { store: createMemoryCacheStore({ maxEntries: 10 }), precision: 4, ttlSeconds: 60 });
+
+    await cached.computeRoutes({ origin: { lat: 40, lng: -74 }, waypoints: [] });
+    await cached.computeRoutes({ origin: { lat: 40, lng: -74 }, waypoints: [] });
+    await cached.computeRoutes({ origin: { lat: 41, lng: -74 }, waypoints: [] });
+
+    expect(cached.name).toBe('mock');
+    expect(cached.stats).toEqual({ hits: 1, misses: 2 });
+    expect(router.computeRoutes).toHaveBeenCalledTimes(2);
+  });
+});
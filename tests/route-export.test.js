@@ -0,0 +1,240 @@
+const {
+  buildGpx,
+  buildTcx,
+  buildCourseCues,
+  maneuverToPointType,
+  escapeXml,
+  exportFileName
+} = require('../public/route-export');
+
+const start = { lat: 40.7128, lng: -74.006 };
+const waypoints = [
+  { lat: 40.72, lng: -73.99 },
+  { lat: 40.71, lng: -73.98 }
+];
+const trackPoints = [
+  start,
+  { lat: 40.715, lng: -74.0 },
+  { lat: 40.72, lng: -73.99 },
+  start
+];
+
+// --- escapeXml ---
+
+describe('escapeXml', () => {
+  test('escapes XML special characters', () => {
+    expect(escapeXml('Tom & Jerry\'s <"loop">')).toBe('Tom &amp; Jerry&apos;s &lt;&quot;loop&quot;&gt;');
+  });
+});
+
+// --- buildGpx ---
+
+describe('buildGpx', () => {
+  const gpx = buildGpx({
+    name: 'Morning Loop',
+    start,
+    waypoints,
+    trackPoints,
+    distanceMeters: 8046.7,
+    time: new Date('2024-05-01T12:00:00Z')
+  });
+
+  test('produces a GPX 1.1 document', () => {
+    expect(gpx.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(gpx).toContain('<gpx version="1.1"');
+    expect(gpx).toContain('xmlns="http://www.topografix.com/GPX/1/1"');
+    expect(gpx.trim().endsWith('</gpx>')).toBe(true);
+  });
+
+  test('writes one trkpt per track point', () => {
+    const matches = gpx.match(/<trkpt /g);
+    expect(matches).toHaveLength(trackPoints.length);
+    expect(gpx).toContain('<trkpt lat="40.715000" lon="-74.000000">');
+  });
+
+  test('writes the start and every waypoint as named wpt elements', () => {
+    expect(gpx.match(/<wpt /g)).toHaveLength(1 + waypoints.length);
+    expect(gpx).toContain('<name>Start</name>');
+    expect(gpx).toContain('<name>Waypoint 1</name>');
+    expect(gpx).toContain('<name>Waypoint 2</name>');
+  });
+
+  test('adds a Finish waypoint for routes that end away from the start', () => {
+    const oneWay = buildGpx({ start, waypoints, finish: { lat: 40.73, lng: -73.99 }, trackPoints, distanceMeters: 8046.7 });
+    expect(oneWay.match(/<wpt /g)).toHaveLength(2 + waypoints.length);
+    expect(oneWay).toContain('<wpt lat="40.730000" lon="-73.990000">\n    <name>Finish</name>');
+    expect(gpx).not.toContain('<name>Finish</name>');
+  });
+
+  test('places waypoints before the track, as the GPX schema requires', () => {
+    expect(gpx.lastIndexOf('<wpt ')).toBeLessThan(gpx.indexOf('<trk>'));
+  });
+
+  test('embeds the route distance', () => {
+    expect(gpx).toContain('Distance: 5.00 mi (8.05 km)');
+  });
+
+  test('uses the provided timestamp', () => {
+    expect(gpx).toContain('<time>2024-05-01T12:00:00.000Z</time>');
+  });
+
+  test('escapes the route name', () => {
+    const out = buildGpx({ name: 'A & B', trackPoints, distanceMeters: 1000 });
+    expect(out).toContain('<name>A &amp; B</name>');
+  });
+
+  test('omits wpt elements when no start or waypoints are given', () => {
+    const out = buildGpx({ trackPoints, distanceMeters: 1000 });
+    expect(out).not.toContain('<wpt ');
+  });
+});
+
+// --- maneuverToPointType ---
+
+describe('maneuverToPointType', () => {
+  test('maps left variants to Left', () => {
+    expect(maneuverToPointType('TURN_LEFT')).toBe('Left');
+    expect(maneuverToPointType('TURN_SLIGHT_LEFT')).toBe('Left');
+    expect(maneuverToPointType('TURN_SHARP_LEFT')).toBe('Left');
+    expect(maneuverToPointType('RAMP_LEFT')).toBe('Left');
+  });
+
+  test('maps right variants to Right', () => {
+    expect(maneuverToPointType('TURN_RIGHT')).toBe('Right');
+    expect(maneuverToPointType('FORK_RIGHT')).toBe('Right');
+    expect(maneuverToPointType('UTURN_RIGHT')).toBe('Right');
+  });
+
+  test('maps straight-ahead maneuvers to Straight', () => {
+    expect(maneuverToPointType('STRAIGHT')).toBe('Straight');
+    expect(maneuverToPointType('NAME_CHANGE')).toBe('Straight');
+  });
+
+  test('falls back to Generic', () => {
+    expect(maneuverToPointType('DEPART')).toBe('Generic');
+    expect(maneuverToPointType(undefined)).toBe('Generic');
+  });
+});
+
+// --- buildCourseCues ---
+
+describe('buildCourseCues', () => {
+  const legs = [
+    {
+      steps: [
+        { distanceMeters: 100, navigationInstruction: { maneuver: 'DEPART', instructions: 'Head north' } },
+        { distanceMeters: 250, navigationInstruction: { maneuver: 'TURN_LEFT', instructions: 'Turn left onto Elm St' } }
+      ]
+    },
+    {
+      steps: [
+        { distanceMeters: 400, navigationInstruction: { maneuver: 'TURN_RIGHT', instructions: 'Turn right onto Oak Ave' } },
+        { distanceMeters: 50 }
+      ]
+    }
+  ];
+
+  test('creates one cue per step across all legs', () => {
+    expect(buildCourseCues(legs)).toHaveLength(4);
+  });
+
+  test('places each cue at the cumulative distance where its step starts', () => {
+    const cues = buildCourseCues(legs);
+    expect(cues.map(c => c.distanceMeters)).toEqual([0, 100, 350, 750]);
+  });
+
+  test('falls back to "Continue" like the directions list', () => {
+    const cues = buildCourseCues(legs);
+    expect(cues[3].instruction).toBe('Continue');
+    expect(cues[3].maneuver).toBeNull();
+  });
+
+  test('handles missing legs', () => {
+    expect(buildCourseCues(undefined)).toEqual([]);
+  });
+});
+
+// --- buildTcx ---
+
+describe('buildTcx', () => {
+  // A straight 0.01-degree line north (~1112 m)
+  const line = [
+    { lat: 40.0, lng: -74.0 },
+    { lat: 40.005, lng: -74.0 },
+    { lat: 40.01, lng: -74.0 }
+  ];
+  const legs = [{
+    steps: [
+      { distanceMeters: 556, navigationInstruction: { maneuver: 'DEPART', instructions: 'Head north' } },
+      { distanceMeters: 556, navigationInstruction: { maneuver: 'TURN_LEFT', instructions: 'Turn left onto Elm & 1st' } }
+    ]
+  }];
+  const tcx = buildTcx({
+    name: 'A very long course name',
+    trackPoints: line,
+    legs,
+    distanceMeters: 1112,
+    durationSeconds: 800,
+    time: new Date('2024-05-01T12:00:00Z')
+  });
+
+  test('produces a TCX course document', () => {
+    expect(tcx).toContain('<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"');
+    expect(tcx).toContain('<Courses>');
+    expect(tcx).toContain('<Course>');
+    expect(tcx.trim().endsWith('</TrainingCenterDatabase>')).toBe(true);
+  });
+
+  test('truncates the course name to the 15-character schema limit', () => {
+    expect(tcx).toContain('<Name>A very long cou</Name>');
+  });
+
+  test('writes one Trackpoint per track point with increasing distance', () => {
+    expect(tcx.match(/<Trackpoint>/g)).toHaveLength(3);
+    const distances = [...tcx.matchAll(/<Trackpoint>[\s\S]*?<DistanceMeters>([\d.]+)<\/DistanceMeters>/g)]
+      .map(m => parseFloat(m[1]));
+    expect(distances[0]).toBe(0);
+    expect(distances[1]).toBeGreaterThan(distances[0]);
+    expect(distances[2]).toBeGreaterThan(distances[1]);
+  });
+
+  test('writes one CoursePoint per directions step', () => {
+    expect(tcx.match(/<CoursePoint>/g)).toHaveLength(2);
+  });
+
+  test('sets CoursePoint types from the maneuver', () => {
+    expect(tcx).toContain('<PointType>Generic</PointType>');
+    expect(tcx).toContain('<PointType>Left</PointType>');
+  });
+
+  test('puts the turn cue at its cumulative distance along the track', () => {
+    // Second step starts halfway along the line
+    const turn = tcx.split('<CoursePoint>')[2];
+    const lat = parseFloat(turn.match(/<LatitudeDegrees>([\d.-]+)</)[1]);
+    expect(lat).toBeCloseTo(40.005, 3);
+  });
+
+  test('gives the cue the same time as the matching trackpoint', () => {
+    const turn = tcx.split('<CoursePoint>')[2];
+    const cueTime = turn.match(/<Time>([^<]+)</)[1];
+    const midTrackpoint = tcx.split('<Trackpoint>')[2];
+    const tpTime = midTrackpoint.match(/<Time>([^<]+)</)[1];
+    expect(Math.abs(Date.parse(cueTime) - Date.parse(tpTime))).toBeLessThan(2000);
+  });
+
+  test('escapes instruction text in Notes', () => {
+    expect(tcx).toContain('<Notes>Turn left onto Elm &amp; 1st</Notes>');
+  });
+});
+
+// --- exportFileName ---
+
+describe('exportFileName', () => {
+  test('uses miles by default', () => {
+    expect(exportFileName(8046.7, false, 'gpx')).toBe('training-route-5.00mi.gpx');
+  });
+
+  test('uses kilometers in km mode', () => {
+    expect(exportFileName(8046.7, true, 'gpx')).toBe('training-route-8.05km.gpx');
+  });
+});
@@ -1,16 +1,76 @@
 const {
+  createRandom,
+  randomSeed,
   generateWaypoints,
   adjustWaypoints,
   pointInPolygon,
   nearestPointOnPolygon,
   projectToSegment,
   polygonCentroid,
+  avoidExclusions,
   getWaypointCount,
+  checkTolerance,
+  refineRadius,
+  destinationPoint,
+  generateOutAndBack,
+  refineTurnaround,
+  localDistanceMeters,
+  defaultDetour,
+  generatePointToPoint,
+  refineDetour,
+  getPetalCount,
+  defaultPetalRadius,
+  generateCloverleaf,
+  refinePetalRadius,
+  PETAL_WAYPOINTS,
   METERS_PER_MILE,
   ROAD_WINDING_FACTOR,
-  OVERSHOOT_BIAS
+  OVERSHOOT_BIAS,
+  MAX_SEED,
+  EXCLUSION_MARGIN_METERS
 } = require('../public/route-generator');
 
+// --- createRandom / randomSeed ---
+
+describe('createRandom', () => {
+  const take = (random, n) => Array.from({ length: n }, () => random());
+
+  test('repeats the same sequence for the same seed', () => {
+    expect(take(createRandom(12345), 20)).toEqual(take(createRandom(12345), 20));
+  });
+
+  test('gives different sequences for different seeds', () => {
+    expect(take(createRandom(1), 5)).not.toEqual(take(createRandom(2), 5));
+  });
+
+  test('yields numbers in [0, 1) spread over the range', () => {
+    const values = take(createRandom(0), 1000);
+    values.forEach(v => {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    });
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    expect(mean).toBeGreaterThan(0.45);
+    expect(mean).toBeLessThan(0.55);
+  });
+
+  test('works across the whole seed range', () => {
+    expect(take(createRandom(MAX_SEED), 3)).toEqual(take(createRandom(MAX_SEED), 3));
+    expect(take(createRandom(MAX_SEED), 3)).not.toEqual(take(createRandom(0), 3));
+  });
+});
+
+describe('randomSeed', () => {
+  test('returns an integer from 0 to MAX_SEED', () => {
+    for (let i = 0; i < 20; i++) {
+      const seed = randomSeed();
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThanOrEqual(MAX_SEED);
+    }
+  });
+});
+
 // --- getWaypointCount ---
 
 describe('getWaypointCount', () => {
@@ -140,6 +200,14 @@ describe('generateWaypoints', () => {
     expect(biasedTotal / runs).toBeGreaterThan(unbiasedTotal / runs);
   });
 
+  test('generates the same waypoints from the same seed', () => {
+    const wp1 = generateWaypoints(startLat, startLng, 5, null, null, createRandom(99));
+    const wp2 = generateWaypoints(startLat, startLng, 5, null, null, createRandom(99));
+    const wp3 = generateWaypoints(startLat, startLng, 5, null, null, createRandom(100));
+    expect(wp2).toEqual(wp1);
+    expect(wp3).not.toEqual(wp1);
+  });
+
   test('generates different waypoints on each call (random offset)', () => {
     const wp1 = generateWaypoints(startLat, startLng, 5);
     const wp2 = generateWaypoints(startLat, startLng, 5);
@@ -352,6 +420,57 @@ describe('nearestPointOnPolygon', () => {
   });
 });
 
+// --- avoidExclusions ---
+
+describe('avoidExclusions', () => {
+  const center = { lat: 40.7128, lng: -74.006 };
+  // A square zone about 220 m across, centered on `center` shifted by dLng degrees
+  const zone = (dLng = 0) => [
+    { lat: center.lat - 0.001, lng: center.lng + dLng - 0.0013 },
+    { lat: center.lat - 0.001, lng: center.lng + dLng + 0.0013 },
+    { lat: center.lat + 0.001, lng: center.lng + dLng + 0.0013 },
+    { lat: center.lat + 0.001, lng: center.lng + dLng - 0.0013 }
+  ];
+
+  test('returns the waypoints unchanged without zones', () => {
+    const waypoints = [center];
+    expect(avoidExclusions(waypoints, [])).toBe(waypoints);
+    expect(avoidExclusions(waypoints, undefined)).toBe(waypoints);
+  });
+
+  test('leaves waypoints outside every zone where they are', () => {
+    const outside = { lat: center.lat + 0.01, lng: center.lng };
+    expect(avoidExclusions([outside], [zone()])).toEqual([outside]);
+  });
+
+  test('pushes a waypoint out past the nearest edge by the margin', () => {
+    // 0.0002° below the north edge, so that edge is nearest
+    const inside = { lat: center.lat + 0.0008, lng: center.lng };
+    const [pushed] = avoidExclusions([inside], [zone()]);
+
+    expect(pointInPolygon(pushed.lat, pushed.lng, zone())).toBe(false);
+    expect(pushed.lng).toBeCloseTo(center.lng, 6);
+    expect(localDistanceMeters(center.lat + 0.001, center.lng, pushed.lat, pushed.lng)).toBeCloseTo(EXCLUSION_MARGIN_METERS, 0);
+  });
+
+  test('pushes a waypoint on the edge away from the middle of the zone', () => {
+    const onEdge = { lat: center.lat - 0.001, lng: center.lng };
+    const [pushed] = avoidExclusions([onEdge], [zone()]);
+
+    expect(pointInPolygon(pushed.lat, pushed.lng, zone())).toBe(false);
+    expect(pushed.lat).toBeLessThan(onEdge.lat);
+  });
+
+  test('keeps pushing a waypoint that lands in an overlapping zone', () => {
+    // The second zone starts just past the first one's east edge
+    const zones = [zone(), zone(0.0026)];
+    const inside = { lat: center.lat, lng: center.lng + 0.0012 };
+    const [pushed] = avoidExclusions([inside], zones);
+
+    zones.forEach(z => expect(pointInPolygon(pushed.lat, pushed.lng, z)).toBe(false));
+  });
+});
+
 // --- adjustWaypoints ---
 
 describe('adjustWaypoints', () => {
@@ -450,3 +569,333 @@ describe('adjustWaypoints', () => {
     }
   });
 });
+
+// --- checkTolerance ---
+
+describe('checkTolerance', () => {
+  const target = 5 * METERS_PER_MILE;
+
+  test('accepts an exact match', () => {
+    expect(checkTolerance(target, 5).withinTolerance).toBe(true);
+  });
+
+  test('accepts up to 10% too long', () => {
+    expect(checkTolerance(target * 1.099, 5).withinTolerance).toBe(true);
+    expect(checkTolerance(target * 1.11, 5).tooLong).toBe(true);
+  });
+
+  test('accepts only 3% too short', () => {
+    expect(checkTolerance(target * 0.971, 5).withinTolerance).toBe(true);
+    expect(checkTolerance(target * 0.96, 5).tooShort).toBe(true);
+  });
+
+  test('reports the signed percentage difference', () => {
+    expect(checkTolerance(target * 1.2, 5).pctDiff).toBeCloseTo(0.2, 10);
+    expect(checkTolerance(target * 0.9, 5).pctDiff).toBeCloseTo(-0.1, 10);
+  });
+});
+
+// --- refineRadius ---
+
+describe('refineRadius', () => {
+  const target = 5 * METERS_PER_MILE;
+
+  test('shrinks the radius after a route that was too long', () => {
+    expect(refineRadius(5, target * 2, 1000)).toBeLessThan(1000);
+  });
+
+  test('grows the radius after a route that was too short', () => {
+    expect(refineRadius(5, target * 0.5, 1000)).toBeGreaterThan(1000);
+  });
+
+  test('biases an on-target result slightly longer', () => {
+    expect(refineRadius(5, target, 1000)).toBeCloseTo(1000 * Math.sqrt(OVERSHOOT_BIAS), 6);
+  });
+
+  test('starts from the geometric radius when there is no previous radius', () => {
+    const base = target / (2 * Math.PI * ROAD_WINDING_FACTOR);
+    expect(refineRadius(5, target * OVERSHOOT_BIAS, null)).toBeCloseTo(base, 6);
+  });
+});
+
+// --- destinationPoint ---
+
+describe('destinationPoint', () => {
+  test('moves north along bearing 0', () => {
+    const p = destinationPoint(40, -74, 0, 1113.2);
+    expect(p.lat).toBeCloseTo(40.01, 4);
+    expect(p.lng).toBeCloseTo(-74, 8);
+  });
+
+  test('moves east along bearing 90', () => {
+    const p = destinationPoint(40, -74, 90, 1000);
+    expect(p.lat).toBeCloseTo(40, 8);
+    expect(p.lng).toBeGreaterThan(-74);
+  });
+});
+
+// --- generateOutAndBack ---
+
+describe('generateOutAndBack', () => {
+  const startLat = 40.7128;
+  const startLng = -74.006;
+
+  test('returns a single turnaround waypoint', () => {
+    expect(generateOutAndBack(startLat, startLng, 6)).toHaveLength(1);
+  });
+
+  test('places the turnaround about half the distance away, corrected for winding', () => {
+    const [turnaround] = generateOutAndBack(startLat, startLng, 6, null, 0);
+    const expectedMeters = (6 * METERS_PER_MILE / 2 / ROAD_WINDING_FACTOR) * OVERSHOOT_BIAS;
+    expect((turnaround.lat - startLat) * 111320).toBeCloseTo(expectedMeters, 0);
+  });
+
+  test('follows the requested bearing', () => {
+    const [south] = generateOutAndBack(startLat, startLng, 6, null, 180);
+    expect(south.lat).toBeLessThan(startLat);
+    expect(south.lng).toBeCloseTo(startLng, 8);
+  });
+
+  test('draws a missing bearing from the given random', () => {
+    const [a] = generateOutAndBack(startLat, startLng, 6, null, null, null, createRandom(5));
+    const [b] = generateOutAndBack(startLat, startLng, 6, null, null, null, createRandom(5));
+    const [north] = generateOutAndBack(startLat, startLng, 6, null, null, null, () => 0);
+    expect(b).toEqual(a);
+    expect(north.lng).toBeCloseTo(startLng, 8);
+  });
+
+  test('uses a turnaround distance override', () => {
+    const [turnaround] = generateOutAndBack(startLat, startLng, 6, 500, 0);
+    expect((turnaround.lat - startLat) * 111320).toBeCloseTo(500, 3);
+  });
+
+  test('keeps the turnaround inside a boundary', () => {
+    const boundary = [
+      { lat: 40.710, lng: -74.010 },
+      { lat: 40.710, lng: -74.002 },
+      { lat: 40.716, lng: -74.002 },
+      { lat: 40.716, lng: -74.010 }
+    ];
+    const [turnaround] = generateOutAndBack(startLat, startLng, 6, null, 0, boundary);
+    expect(pointInPolygon(turnaround.lat, turnaround.lng, boundary)).toBe(true);
+  });
+});
+
+// --- refineTurnaround ---
+
+describe('refineTurnaround', () => {
+  const target = 6 * METERS_PER_MILE;
+
+  test('scales linearly with the distance error', () => {
+    expect(refineTurnaround(6, target * 2 * OVERSHOOT_BIAS, 1000)).toBeCloseTo(500, 6);
+  });
+
+  test('grows the turnaround after a short route', () => {
+    expect(refineTurnaround(6, target * 0.8, 1000)).toBeGreaterThan(1000);
+  });
+
+  test('keeps the default turnaround when the first attempt hit the biased target', () => {
+    const defaultTurnaround = (target / 2 / ROAD_WINDING_FACTOR) * OVERSHOOT_BIAS;
+    expect(refineTurnaround(6, target * OVERSHOOT_BIAS, null)).toBeCloseTo(defaultTurnaround, 6);
+  });
+});
+
+// --- localDistanceMeters ---
+
+describe('localDistanceMeters', () => {
+  test('measures north-south distance in meters', () => {
+    expect(localDistanceMeters(40, -74, 40.01, -74)).toBeCloseTo(1113.2, 1);
+  });
+
+  test('shrinks east-west degrees by latitude', () => {
+    const atEquator = localDistanceMeters(0, 0, 0, 0.01);
+    const at60 = localDistanceMeters(60, 0, 60, 0.01);
+    expect(at60).toBeCloseTo(atEquator / 2, 1);
+  });
+});
+
+// --- defaultDetour ---
+
+describe('defaultDetour', () => {
+  test('is zero when the straight line is already long enough', () => {
+    expect(defaultDetour(10 * METERS_PER_MILE, 5)).toBe(0);
+  });
+
+  test('bulges so the two-leg model matches the straight-line target', () => {
+    const direct = 2000;
+    const detour = defaultDetour(direct, 5);
+    const straightLineTarget = (5 * METERS_PER_MILE / ROAD_WINDING_FACTOR) * OVERSHOOT_BIAS;
+    expect(2 * Math.sqrt((direct / 2) ** 2 + detour ** 2)).toBeCloseTo(straightLineTarget, 6);
+  });
+});
+
+// --- generatePointToPoint ---
+
+describe('generatePointToPoint', () => {
+  const startLat = 40.7128;
+  const startLng = -74.006;
+  // 2 km due north
+  const endLat = startLat + 2000 / 111320;
+  const endLng = startLng;
+
+  test('returns half the loop waypoint count, at least two', () => {
+    expect(generatePointToPoint(startLat, startLng, endLat, endLng, 5, null, 'left')).toHaveLength(3);
+    expect(generatePointToPoint(startLat, startLng, endLat, endLng, 2, null, 'left')).toHaveLength(2);
+  });
+
+  test('places waypoints between start and end, in order', () => {
+    const waypoints = generatePointToPoint(startLat, startLng, endLat, endLng, 5, null, 'left');
+    for (let i = 0; i < waypoints.length; i++) {
+      expect(waypoints[i].lat).toBeGreaterThan(startLat);
+      expect(waypoints[i].lat).toBeLessThan(endLat);
+      if (i > 0) expect(waypoints[i].lat).toBeGreaterThan(waypoints[i - 1].lat);
+    }
+  });
+
+  test('bulges to the requested side of the direction of travel', () => {
+    const left = generatePointToPoint(startLat, startLng, endLat, endLng, 5, 1000, 'left');
+    const right = generatePointToPoint(startLat, startLng, endLat, endLng, 5, 1000, 'right');
+    // Heading north, left is west
+    left.forEach(wp => expect(wp.lng).toBeLessThan(startLng));
+    right.forEach(wp => expect(wp.lng).toBeGreaterThan(startLng));
+  });
+
+  test('draws a missing side from the given random', () => {
+    const left = generatePointToPoint(startLat, startLng, endLat, endLng, 5, 1000, null, null, () => 0.2);
+    const right = generatePointToPoint(startLat, startLng, endLat, endLng, 5, 1000, null, null, () => 0.7);
+    left.forEach(wp => expect(wp.lng).toBeLessThan(startLng));
+    right.forEach(wp => expect(wp.lng).toBeGreaterThan(startLng));
+  });
+
+  test('peaks at the detour override in the middle of the arc', () => {
+    const waypoints = generatePointToPoint(startLat, startLng, endLat, endLng, 5, 1000, 'right');
+    const metersPerDegreeLng = 111320 * Math.cos((startLat * Math.PI) / 180);
+    const middle = waypoints[1];
+    expect((middle.lng - startLng) * metersPerDegreeLng).toBeCloseTo(1000, 3);
+  });
+
+  test('keeps waypoints inside a boundary', () => {
+    const boundary = [
+      { lat: startLat - 0.001, lng: startLng - 0.002 },
+      { lat: startLat - 0.001, lng: startLng + 0.002 },
+      { lat: endLat + 0.001, lng: startLng + 0.002 },
+      { lat: endLat + 0.001, lng: startLng - 0.002 }
+    ];
+    const waypoints = generatePointToPoint(startLat, startLng, endLat, endLng, 5, null, 'left', boundary);
+    waypoints.forEach(wp => expect(pointInPolygon(wp.lat, wp.lng, boundary)).toBe(true));
+  });
+});
+
+// --- refineDetour ---
+
+describe('refineDetour', () => {
+  const direct = 2000;
+
+  test('keeps the default detour when the first attempt hit the biased target', () => {
+    const detour = defaultDetour(direct, 5);
+    const modelLength = 2 * Math.sqrt((direct / 2) ** 2 + detour ** 2);
+    const actual = modelLength * ROAD_WINDING_FACTOR;
+    expect(refineDetour(direct, 5, actual, null)).toBeCloseTo(detour, 6);
+  });
+
+  test('shrinks the detour after a long route', () => {
+    expect(refineDetour(direct, 5, 5 * METERS_PER_MILE * 1.5, 3000)).toBeLessThan(3000);
+  });
+
+  test('grows the detour after a short route', () => {
+    expect(refineDetour(direct, 5, 5 * METERS_PER_MILE * 0.7, 3000)).toBeGreaterThan(3000);
+  });
+
+  test('never goes negative', () => {
+    expect(refineDetour(direct, 5, 5 * METERS_PER_MILE * 10, 100)).toBe(0);
+  });
+});
+
+// --- getPetalCount ---
+
+describe('getPetalCount', () => {
+  test('splits the distance into petals no longer than petalMiles', () => {
+    expect(getPetalCount(20, 5)).toBe(4);
+    expect(getPetalCount(18, 5)).toBe(4);
+    expect(getPetalCount(21, 5)).toBe(5);
+  });
+
+  test('always makes at least two petals', () => {
+    expect(getPetalCount(6, 5.5)).toBe(2);
+  });
+});
+
+// --- generateCloverleaf ---
+
+describe('generateCloverleaf', () => {
+  const startLat = 40.7128;
+  const startLng = -74.006;
+  const metersPerDegreeLng = 111320 * Math.cos((startLat * Math.PI) / 180);
+
+  function offsetMeters(wp) {
+    return {
+      north: (wp.lat - startLat) * 111320,
+      east: (wp.lng - startLng) * metersPerDegreeLng
+    };
+  }
+
+  test('returns one petal per getPetalCount with PETAL_WAYPOINTS waypoints each', () => {
+    const petals = generateCloverleaf(startLat, startLng, 20, 5);
+    expect(petals).toHaveLength(4);
+    petals.forEach(petal => expect(petal.waypoints).toHaveLength(PETAL_WAYPOINTS));
+  });
+
+  test('spreads petal bearings evenly from the offset', () => {
+    const petals = generateCloverleaf(startLat, startLng, 20, 5, null, 30);
+    expect(petals.map(p => p.bearing)).toEqual([30, 120, 210, 300]);
+  });
+
+  test('draws a missing offset from the given random', () => {
+    const petals = generateCloverleaf(startLat, startLng, 20, 5, null, null, null, () => 0.25);
+    expect(petals.map(p => p.bearing)).toEqual([90, 180, 270, 0]);
+  });
+
+  test('points each petal tip along its bearing', () => {
+    const radius = 1000;
+    const petals = generateCloverleaf(startLat, startLng, 20, 5, radius, 0);
+    // Middle waypoint is the tip, twice the half-length from the start
+    const north = offsetMeters(petals[0].waypoints[1]);
+    expect(north.north).toBeCloseTo(2 * radius, 3);
+    expect(north.east).toBeCloseTo(0, 3);
+    const east = offsetMeters(petals[1].waypoints[1]);
+    expect(east.east).toBeCloseTo(2 * radius, 3);
+  });
+
+  test('sizes default petals from the per-petal distance', () => {
+    const [petal] = generateCloverleaf(startLat, startLng, 18, 5, null, 0);
+    const tip = offsetMeters(petal.waypoints[1]);
+    expect(tip.north).toBeCloseTo(2 * defaultPetalRadius(18 / 4), 3);
+  });
+
+  test('keeps petals inside a boundary', () => {
+    const boundary = [
+      { lat: 40.705, lng: -74.015 },
+      { lat: 40.705, lng: -73.997 },
+      { lat: 40.720, lng: -73.997 },
+      { lat: 40.720, lng: -74.015 }
+    ];
+    const petals = generateCloverleaf(startLat, startLng, 20, 5, null, null, boundary);
+    petals.forEach(petal => petal.waypoints.forEach(wp => {
+      expect(pointInPolygon(wp.lat, wp.lng, boundary)).toBe(true);
+    }));
+  });
+});
+
+// --- refinePetalRadius ---
+
+describe('refinePetalRadius', () => {
+  const target = 20 * METERS_PER_MILE;
+
+  test('scales linearly with the distance error', () => {
+    expect(refinePetalRadius(20, 5, target * 2 * OVERSHOOT_BIAS, 1000)).toBeCloseTo(500, 6);
+  });
+
+  test('keeps the default radius when the first attempt hit the biased target', () => {
+    expect(refinePetalRadius(20, 5, target * OVERSHOOT_BIAS, null)).toBeCloseTo(defaultPetalRadius(5), 6);
+  });
+});
@@ -0,0 +1,81 @@
+const { createRouteHistory } = require('../public/route-history');
+
+/**
+ * Tests for the session route history behind back/forward and compare.
+ */
+
+describe('createRouteHistory', () => {
+  test('starts empty', () => {
+    const history = createRouteHistory();
+    expect(history.current()).toBeNull();
+    expect(history.position()).toEqual({ index: -1, size: 0 });
+    expect(history.step(-1)).toBeNull();
+    expect(history.step(1)).toBeNull();
+  });
+
+  test('numbers entries and makes the newest current', () => {
+    const history = createRouteHistory();
+    const first = history.push({ name: 'a' });
+    const second = history.push({ name: 'b' });
+
+    expect(first).toEqual({ name: 'a', number: 1 });
+    expect(second.number).toBe(2);
+    expect(history.current()).toBe(second);
+    expect(history.position()).toEqual({ index: 1, size: 2 });
+  });
+
+  test('steps back and forward, stopping at either end', () => {
+    const history = createRouteHistory();
+    const [a, b, c] = ['a', 'b', 'c'].map(name => history.push({ name }));
+
+    expect(history.step(1)).toBeNull();
+    expect(history.step(-1)).toBe(b);
+    expect(history.step(-1)).toBe(a);
+    expect(history.step(-1)).toBeNull();
+    expect(history.current()).toBe(a);
+    expect(history.step(1)).toBe(b);
+    expect(history.step(1)).toBe(c);
+  });
+
+  test('adds a route shown after going back at the end, keeping the ones ahead', () => {
+    const history = createRouteHistory();
+    ['a', 'b', 'c'].forEach(name => history.push({ name }));
+    history.step(-1);
+    history.step(-1);
+
+    const d = history.push({ name: 'd' });
+
+    expect(history.list().map(e => e.name)).toEqual(['a', 'b', 'c', 'd']);
+    expect(history.current()).toBe(d);
+  });
+
+  test('goes to and looks up entries by number', () => {
+    const history = createRouteHistory();
+    const a = history.push({ name: 'a' });
+    history.push({ name: 'b' });
+
+    expect(history.get(1)).toBe(a);
+    expect(history.get(9)).toBeNull();
+    expect(history.go(9)).toBeNull();
+    expect(history.current().name).toBe('b');
+    expect(history.go(1)).toBe(a);
+    expect(history.position()).toEqual({ index: 0, size: 2 });
+  });
+
+  test('drops the oldest entries over the limit without reusing numbers', () => {
+    const history = createRouteHistory(3);
+    ['a', 'b', 'c', 'd', 'e'].forEach(name => history.push({ name }));
+
+    expect(history.list().map(e => [e.number, e.name])).toEqual([[3, 'c'], [4, 'd'], [5, 'e']]);
+    expect(history.position()).toEqual({ index: 2, size: 3 });
+    expect(history.get(1)).toBeNull();
+  });
+
+  test('keeps the stored entries mutable so late data (like elevation) sticks', () => {
+    const history = createRouteHistory();
+    history.push({ name: 'a' });
+    history.current().elevation = { ascentMeters: 40 };
+
+    expect(history.list()[0].elevation).toEqual({ ascentMeters: 40 });
+  });
+});
@@ -0,0 +1,174 @@
+const {
+  parseRouteFile,
+  parseGpx,
+  parseKml,
+  parseGeoJson
+} = require('../public/route-import');
+
+const { buildGpx } = require('../public/route-export');
+const { hasMessage } = require('../public/i18n');
+
+// --- parseGpx ---
+
+describe('parseGpx', () => {
+  const gpx = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>River &amp; Park Loop</name></metadata>
+  <wpt lat="1" lon="1"><name>Ignored</name></wpt>
+  <trk><trkseg>
+    <trkpt lat="40.7128" lon="-74.006"><ele>10</ele></trkpt>
+    <trkpt lon="-73.99" lat="40.72"/>
+    <trkpt lat="40.71" lon="-73.98"></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+  test('reads track points in order', () => {
+    const { points } = parseGpx(gpx);
+    expect(points).toEqual([
+      { lat: 40.7128, lng: -74.006 },
+      { lat: 40.72, lng: -73.99 },
+      { lat: 40.71, lng: -73.98 }
+    ]);
+  });
+
+  test('handles attributes in either order', () => {
+    expect(parseGpx(gpx).points[1]).toEqual({ lat: 40.72, lng: -73.99 });
+  });
+
+  test('reads and unescapes the name', () => {
+    expect(parseGpx(gpx).name).toBe('River & Park Loop');
+  });
+
+  test('falls back to route points when there is no track', () => {
+    const rte = '<gpx><rte><rtept lat="1.5" lon="2.5"/><rtept lat="1.6" lon="2.6"/></rte></gpx>';
+    expect(parseGpx(rte).points).toEqual([{ lat: 1.5, lng: 2.5 }, { lat: 1.6, lng: 2.6 }]);
+  });
+
+  test('throws when there are no points', () => {
+    expect(() => parseGpx('<gpx></gpx>')).toThrow('error.importNoGpxPoints');
+  });
+
+  test('reads back a GPX file written by buildGpx', () => {
+    const trackPoints = [{ lat: 40.1, lng: -74.1 }, { lat: 40.2, lng: -74.2 }];
+    const exported = buildGpx({ name: 'Round trip', start: trackPoints[0], trackPoints, distanceMeters: 100 });
+    const parsed = parseGpx(exported);
+    expect(parsed.name).toBe('Round trip');
+    expect(parsed.points).toEqual(trackPoints);
+  });
+});
+
+// --- parseKml ---
+
+describe('parseKml', () => {
+  const kml = `<?xml version="1.0"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <name><![CDATA[Tempo Route]]></name>
+  <Placemark><Point><coordinates>-1,1,0</coordinates></Point></Placemark>
+  <Placemark><LineString><coordinates>
+    -74.006,40.7128,0 -73.99,40.72,0
+    -73.98,40.71
+  </coordinates></LineString></Placemark>
+</Document></kml>`;
+
+  test('reads LineString coordinates as lng,lat', () => {
+    expect(parseKml(kml).points).toEqual([
+      { lat: 40.7128, lng: -74.006 },
+      { lat: 40.72, lng: -73.99 },
+      { lat: 40.71, lng: -73.98 }
+    ]);
+  });
+
+  test('reads a CDATA name', () => {
+    expect(parseKml(kml).name).toBe('Tempo Route');
+  });
+
+  test('falls back to gx:Track coordinates', () => {
+    const track = '<kml><gx:Track><gx:coord>-74 40 0</gx:coord><gx:coord>-74.1 40.1 0</gx:coord></gx:Track></kml>';
+    expect(parseKml(track).points).toEqual([{ lat: 40, lng: -74 }, { lat: 40.1, lng: -74.1 }]);
+  });
+
+  test('throws without a LineString', () => {
+    expect(() => parseKml('<kml><Point><coordinates>1,2</coordinates></Point></kml>'))
+      .toThrow('error.importNoKmlLine');
+  });
+});
+
+// --- parseGeoJson ---
+
+describe('parseGeoJson', () => {
+  test('reads a Feature LineString and its name', () => {
+    const text = JSON.stringify({
+      type: 'Feature',
+      properties: { name: 'Greenway' },
+      geometry: { type: 'LineString', coordinates: [[-74.006, 40.7128], [-73.99, 40.72]] }
+    });
+    const parsed = parseGeoJson(text);
+    expect(parsed.name).toBe('Greenway');
+    expect(parsed.points).toEqual([{ lat: 40.7128, lng: -74.006 }, { lat: 40.72, lng: -73.99 }]);
+  });
+
+  test('joins MultiLineStrings inside a FeatureCollection', () => {
+    const text = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'MultiLineString', coordinates: [[[1, 2], [3, 4]], [[5, 6]]] }
+      }]
+    });
+    expect(parseGeoJson(text).points).toHaveLength(3);
+  });
+
+  test('accepts a bare geometry', () => {
+    const text = JSON.stringify({ type: 'LineString', coordinates: [[1, 2], [3, 4]] });
+    expect(parseGeoJson(text).points).toEqual([{ lat: 2, lng: 1 }, { lat: 4, lng: 3 }]);
+  });
+
+  test('throws on invalid JSON', () => {
+    let error;
+    try {
+      parseGeoJson('{nope');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.key).toBe('error.importInvalidGeoJson');
+    expect(error.params.message).toEqual(expect.any(String));
+  });
+
+  test('throws without any LineString', () => {
+    const text = JSON.stringify({ type: 'Point', coordinates: [1, 2] });
+    expect(() => parseGeoJson(text)).toThrow('error.importNoGeoJsonLine');
+  });
+});
+
+// --- parseRouteFile ---
+
+describe('parseRouteFile', () => {
+  test('dispatches on file extension', () => {
+    const gpx = '<gpx><trk><trkseg><trkpt lat="1" lon="2"/></trkseg></trk></gpx>';
+    expect(parseRouteFile(gpx, 'run.GPX').points).toEqual([{ lat: 1, lng: 2 }]);
+  });
+
+  test('sniffs the content when the extension is unknown', () => {
+    const kml = '<kml><LineString><coordinates>2,1 4,3</coordinates></LineString></kml>';
+    expect(parseRouteFile(kml, 'route.xml').points).toHaveLength(2);
+    const json = JSON.stringify({ type: 'LineString', coordinates: [[2, 1]] });
+    expect(parseRouteFile(json, 'route.txt').points).toEqual([{ lat: 1, lng: 2 }]);
+  });
+
+  test('rejects unsupported files', () => {
+    expect(() => parseRouteFile('hello', 'notes.txt')).toThrow('error.importUnsupported');
+  });
+
+  test('throws catalog keys the page can translate', () => {
+    const bad = [['<gpx></gpx>', 'a.gpx'], ['<kml></kml>', 'a.kml'], ['{nope', 'a.json'], ['{}', 'a.json'], ['hello', 'a.txt']];
+    expect.assertions(bad.length);
+    bad.forEach(([text, name]) => {
+      try {
+        parseRouteFile(text, name);
+      } catch (err) {
+        expect(hasMessage(err.key)).toBe(true);
+      }
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const {
+  openRouteLibrary,
+  createRouteLibrary,
+  createIndexedDbStore,
+  createMemoryStore,
+  filterRoutes
+} = require('../public/route-library');
+
+/**
+ * Tests for the saved route library.
+ */
+
+const route = (name, extra = {}) => ({
+  name,
+  start: { lat: 40.7128, lng: -74.006 },
+  waypoints: [{ lat: 40.72, lng: -74.0 }],
+  polyline: '_p~iF~ps|U_ulLnnqC',
+  distanceMeters: 8047,
+  ...extra
+});
+
+// --- filterRoutes ---
+
+describe('filterRoutes', () => {
+  const routes = [route('Central Park loop'), route('Café run, 5 km'), route('Hudson out and back')];
+
+  test('matches every word of the query, in any order', () => {
+    expect(filterRoutes(routes, 'loop park').map(r => r.name)).toEqual(['Central Park loop']);
+    expect(filterRoutes(routes, 'park hudson')).toEqual([]);
+  });
+
+  test('ignores case and accents', () => {
+    expect(filterRoutes(routes, 'CAFE').map(r => r.name)).toEqual(['Café run, 5 km']);
+    expect(filterRoutes(routes, 'hudsón').map(r => r.name)).toEqual(['Hudson out and back']);
+  });
+
+  test('returns everything for a blank query', () => {
+    expect(filterRoutes(routes, '   ')).toHaveLength(3);
+    expect(filterRoutes(routes)).toHaveLength(3);
+  });
+});
+
+// --- createRouteLibrary ---
+
+describe('createRouteLibrary', () => {
+  let library;
+
+  beforeEach(() => {
+    library = createRouteLibrary(createMemoryStore());
+  });
+
+  test('save assigns an id and creation date and keeps the route', async () => {
+    const saved = await library.save(route('Morning loop'), new Date('2026-03-01T07:00:00Z'));
+
+    expect(saved.id).toEqual(expect.any(String));
+    expect(saved.createdAt).toBe('2026-03-01T07:00:00.000Z');
+    expect(await library.get(saved.id)).toEqual(saved);
+  });
+
+  test('list returns routes newest first, filtered by query', async () => {
+    await library.save(route('Old loop'), new Date('2026-01-01T00:00:00Z'));
+    await library.save(route('New loop'), new Date('2026-02-01T00:00:00Z'));
+    await library.save(route('Bridge run'), new Date('2026-01-15T00:00:00Z'));
+
+    expect((await library.list()).map(r => r.name)).toEqual(['New loop', 'Bridge run', 'Old loop']);
+    expect((await library.list('loop')).map(r => r.name)).toEqual(['New loop', 'Old loop']);
+  });
+
+  test('rename trims the new name and keeps everything else', async () => {
+    const saved = await library.save(route('Morning loop'));
+
+    const renamed = await library.rename(saved.id, '  Tempo loop ');
+
+    expect(renamed).toEqual({ ...saved, name: 'Tempo loop' });
+    expect((await library.get(saved.id)).name).toBe('Tempo loop');
+  });
+
+  test('rename rejects a blank name or a missing route', async () => {
+    const saved = await library.save(route('Morning loop'));
+
+    await expect(library.rename(saved.id, '  ')).rejects.toThrow('needs a name');
+    await expect(library.rename('nope', 'Other')).rejects.toThrow('not found');
+    expect((await library.get(saved.id)).name).toBe('Morning loop');
+  });
+
+  test('remove deletes a route', async () => {
+    const keep = await library.save(route('Keep'));
+    const drop = await library.save(route('Drop'));
+
+    await library.remove(drop.id);
+
+    expect(await library.get(drop.id)).toBeUndefined();
+    expect((await library.list()).map(r => r.id)).toEqual([keep.id]);
+  });
+
+  test('every save gets its own id', async () => {
+    const a = await library.save(route('Same'));
+    const b = await library.save(route('Same'));
+    expect(a.id).not.toBe(b.id);
+    expect(await library.list()).toHaveLength(2);
+  });
+});
+
+// --- Stores ---
+
+describe('createMemoryStore', () => {
+  test('stores copies, so later changes to a record do not leak in', async () => {
+    const store = createMemoryStore();
+    const record = { id: 'a', name: 'Loop', waypoints: [{ lat: 1, lng: 2 }] };
+
+    await store.put(record);
+    record.waypoints[0].lat = 99;
+    const read = await store.get('a');
+    read.name = 'Changed';
+
+    expect(await store.get('a')).toEqual({ id: 'a', name: 'Loop', waypoints: [{ lat: 1, lng: 2 }] });
+  });
+});
+
+describe('createIndexedDbStore', () => {
+  // Just enough of the IndexedDB API: requests and transactions complete on the next tick
+  function fakeIndexedDb() {
+    const opened = [];
+    const records = new Map();
+    const later = fn => setTimeout(fn, 0);
+
+    function transaction() {
+      const tx = {};
+      tx.objectStore = () => {
+        const request = result => {
+          const req = { result };
+          later(() => tx.oncomplete());
+          return req;
+        };
+        return {
+          getAll: () => request([...records.values()]),
+          get: id => request(records.get(id)),
+          put: record => {
+            records.set(record.id, record);
+            return request(record.id);
+          },
+          delete: id => {
+            records.delete(id);
+            return request(undefined);
+          }
+        };
+      };
+      return tx;
+    }
+
+    return {
+      opened,
+      open(name, version) {
+        opened.push({ name, version });
+        const req = {};
+        later(() => {
+          const db = { createObjectStore: jest.fn(), transaction };
+          req.result = db;
+          req.onupgradeneeded();
+          req.onsuccess();
+        });
+        return req;
+      }
+    };
+  }
+
+  test('reads and writes through transactions, opening the database once', async () => {
+    const idb = fakeIndexedDb();
+    const library = createRouteLibrary(createIndexedDbStore(idb));
+
+    const saved = await library.save(route('Stored loop'));
+    expect(await library.get(saved.id)).toEqual(saved);
+    expect((await library.list()).map(r => r.name)).toEqual(['Stored loop']);
+    await library.remove(saved.id);
+    expect(await library.list()).toEqual([]);
+
+    expect(idb.opened).toEqual([{ name: 'training-routes', version: 1 }]);
+  });
+
+  test('openRouteLibrary falls back to memory without IndexedDB', async () => {
+    const library = openRouteLibrary(null);
+    const saved = await library.save(route('Session only'));
+    expect(await library.get(saved.id)).toEqual(saved);
+  });
+});
@@ -0,0 +1,141 @@
+const { selfOverlapFraction, fractionOutside, outsideStretches, crossedExclusions, measureRoute } = require('../lib/route-quality');
+const { encodePolyline } = require('../public/polyline');
+
+const origin = { lat: 40.7128, lng: -74.006 };
+const north = { lat: origin.lat + 0.01, lng: origin.lng }; // ~1.1 km
+const northEast = { lat: origin.lat + 0.01, lng: origin.lng + 0.013 };
+const east = { lat: origin.lat, lng: origin.lng + 0.013 };
+
+// --- selfOverlapFraction ---
+
+describe('selfOverlapFraction', () => {
+  test('is zero for a square loop', () => {
+    expect(selfOverlapFraction([origin, north, northEast, east, origin])).toBeLessThan(0.05);
+  });
+
+  test('is close to one for an out-and-back', () => {
+    expect(selfOverlapFraction([origin, north, origin])).toBeGreaterThan(0.9);
+  });
+
+  test('counts only the retraced stretch', () => {
+    // Square loop, then back up the first side again: about a fifth of the route is doubled
+    const fraction = selfOverlapFraction([origin, north, northEast, east, origin, north]);
+    expect(fraction).toBeGreaterThan(0.25);
+    expect(fraction).toBeLessThan(0.45);
+  });
+
+  test('is zero for routes too short to sample', () => {
+    expect(selfOverlapFraction([])).toBe(0);
+    expect(selfOverlapFraction([origin])).toBe(0);
+  });
+});
+
+// --- fractionOutside ---
+
+describe('fractionOutside', () => {
+  // Covers the western half of the square loop
+  const boundary = [
+    { lat: origin.lat - 0.001, lng: origin.lng - 0.001 },
+    { lat: origin.lat - 0.001, lng: origin.lng + 0.0065 },
+    { lat: origin.lat + 0.011, lng: origin.lng + 0.0065 },
+    { lat: origin.lat + 0.011, lng: origin.lng - 0.001 }
+  ];
+
+  test('is zero without a boundary', () => {
+    expect(fractionOutside([origin, north, origin], null)).toBe(0);
+    expect(fractionOutside([origin, north, origin], [])).toBe(0);
+  });
+
+  test('is zero for a route inside the boundary', () => {
+    expect(fractionOutside([origin, north, origin], boundary)).toBe(0);
+  });
+
+  test('measures the share of the route outside', () => {
+    const fraction = fractionOutside([origin, north, northEast, east, origin], boundary);
+    expect(fraction).toBeGreaterThan(0.4);
+    expect(fraction).toBeLessThan(0.6);
+  });
+});
+
+// --- outsideStretches ---
+
+describe('outsideStretches', () => {
+  // Covers the west half of the square loop, so its north and south legs each leave it once
+  const westHalf = [
+    { lat: origin.lat - 0.001, lng: origin.lng - 0.001 },
+    { lat: origin.lat - 0.001, lng: origin.lng + 0.0065 },
+    { lat: origin.lat + 0.011, lng: origin.lng + 0.0065 },
+    { lat: origin.lat + 0.011, lng: origin.lng - 0.001 }
+  ];
+  const square = [origin, north, northEast, east, origin];
+
+  test('is empty without a boundary or when the route stays inside', () => {
+    expect(outsideStretches(square, null)).toEqual([]);
+    expect(outsideStretches([origin, north], westHalf)).toEqual([]);
+  });
+
+  test('returns one stretch per excursion, joined to the route inside', () => {
+    const stretches = outsideStretches(square, westHalf);
+
+    expect(stretches).toHaveLength(1);
+    const [stretch] = stretches;
+    expect(stretch[0].lng).toBeLessThan(origin.lng + 0.0065);
+    expect(stretch[stretch.length - 1].lng).toBeLessThan(origin.lng + 0.0065);
+    stretch.slice(1, -1).forEach(p => expect(p.lng).toBeGreaterThan(origin.lng + 0.0065));
+  });
+
+  test('starts without a joining point when the route starts outside', () => {
+    const eastHalf = westHalf.map(p => ({ lat: p.lat, lng: p.lng + 0.0075 }));
+    const [first] = outsideStretches(square, eastHalf);
+    expect(first[0]).toEqual({ lat: origin.lat, lng: origin.lng });
+  });
+});
+
+// --- crossedExclusions ---
+
+describe('crossedExclusions', () => {
+  // Small square straddling the north leg, and one well away from the route
+  const onNorthLeg = [
+    { lat: origin.lat + 0.004, lng: origin.lng - 0.001 },
+    { lat: origin.lat + 0.004, lng: origin.lng + 0.001 },
+    { lat: origin.lat + 0.006, lng: origin.lng + 0.001 },
+    { lat: origin.lat + 0.006, lng: origin.lng - 0.001 }
+  ];
+  const faraway = onNorthLeg.map(p => ({ lat: p.lat - 0.1, lng: p.lng }));
+
+  test('is empty without zones', () => {
+    expect(crossedExclusions([origin, north], [])).toEqual([]);
+    expect(crossedExclusions([origin, north], undefined)).toEqual([]);
+  });
+
+  test('catches a segment that runs straight through a zone with no point inside it', () => {
+    expect(crossedExclusions([origin, north, origin], [faraway, onNorthLeg])).toEqual([1]);
+  });
+
+  test('catches a route that ends inside a zone', () => {
+    const inside = { lat: origin.lat + 0.005, lng: origin.lng };
+    expect(crossedExclusions([origin, inside], [onNorthLeg])).toEqual([0]);
+  });
+
+  test('lists every zone crossed, and none the route goes around', () => {
+    // Centered on the north-east corner of the square
+    const onCorner = onNorthLeg.map(p => ({ lat: p.lat + 0.005, lng: p.lng + 0.013 }));
+    const square = [origin, north, northEast, east, origin];
+    expect(crossedExclusions(square, [onCorner, faraway, onNorthLeg])).toEqual([0, 2]);
+    expect(crossedExclusions([origin, east], [onNorthLeg])).toEqual([]);
+  });
+});
+
+// --- measureRoute ---
+
+describe('measureRoute', () => {
+  test('decodes the polyline and reports both measures', () => {
+    const result = measureRoute(encodePolyline([origin, north, origin]), null);
+    expect(result.overlapFraction).toBeGreaterThan(0.9);
+    expect(result.outsideFraction).toBe(0);
+  });
+
+  test('handles a missing polyline', () => {
+    expect(measureRoute(undefined, null)).toEqual({ overlapFraction: 0, outsideFraction: 0, crossedExclusions: [] });
+  });
+});
@@ -0,0 +1,367 @@
+const { getRoutingProvider, RoutingError } = require('../lib/routing');
+const { createOsrmRoutingProvider } = require('../lib/routing/osrm');
+const { createGraphHopperRoutingProvider } = require('../lib/routing/graphhopper');
+const { createValhallaRoutingProvider } = require('../lib/routing/valhalla');
+const { normalizeRoute, instructionText, joinPaths } = require('../lib/routing/normalize');
+const { encodePolyline, decodePolyline } = require('../public/polyline');
+
+const origin = { lat: 40.7128, lng: -74.006 };
+const north = { lat: 40.7138, lng: -74.006 };
+const northEast = { lat: 40.7138, lng: -74.005 };
+const request = { origin, waypoints: [north, northEast] };
+
+function mockFetch(status, body) {
+  global.fetch = jest.fn(async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+  }));
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+// Every adapter must produce the Routes API fields drawRoute() and renderDirections() read
+function expectNormalizedRoute(route) {
+  expect(typeof route.distanceMeters).toBe('number');
+  expect(route.duration).toMatch(/^\d+s$/);
+  expect(typeof route.polyline.encodedPolyline).toBe('string');
+  route.legs.forEach(leg => {
+    expect(typeof leg.distanceMeters).toBe('number');
+    expect(typeof leg.polyline.encodedPolyline).toBe('string');
+    leg.steps.forEach(step => {
+      expect(typeof step.navigationInstruction.instructions).toBe('string');
+      expect(typeof step.distanceMeters).toBe('number');
+      expect(step.staticDuration).toMatch(/^\d+s$/);
+    });
+  });
+}
+
+// --- getRoutingProvider ---
+
+describe('getRoutingProvider', () => {
+  test('defaults to Google when an API key is set', () => {
+    expect(getRoutingProvider({ GOOGLE_MAPS_API_KEY: 'k' }).name).toBe('google');
+  });
+
+  test('returns null when the selected provider is not configured', () => {
+    expect(getRoutingProvider({})).toBeNull();
+    expect(getRoutingProvider({ ROUTING_PROVIDER: 'osrm' })).toBeNull();
+    expect(getRoutingProvider({ ROUTING_PROVIDER: 'graphhopper' })).toBeNull();
+    expect(getRoutingProvider({ ROUTING_PROVIDER: 'valhalla' })).toBeNull();
+  });
+
+  test('picks self-hosted routers without a Google key', () => {
+    expect(getRoutingProvider({ ROUTING_PROVIDER: 'osrm', OSRM_URL: 'http://osrm' }).name).toBe('osrm');
+    expect(getRoutingProvider({ ROUTING_PROVIDER: 'GraphHopper', GRAPHHOPPER_URL: 'http://gh' }).name).toBe('graphhopper');
+    expect(getRoutingProvider({ ROUTING_PROVIDER: 'valhalla', VALHALLA_URL: 'http://valhalla' }).name).toBe('valhalla');
+  });
+
+  test('throws on an unknown provider', () => {
+    expect(() => getRoutingProvider({ ROUTING_PROVIDER: 'mapquest' })).toThrow('Unknown ROUTING_PROVIDER: mapquest');
+  });
+});
+
+// --- normalize helpers ---
+
+describe('normalizeRoute', () => {
+  test('encodes polylines and formats durations like the Routes API', () => {
+    const route = normalizeRoute({
+      distanceMeters: 1234.6,
+      durationSeconds: 900.4,
+      points: [origin, north],
+      legs: [{
+        distanceMeters: 1234.6,
+        durationSeconds: 900.4,
+        points: [origin, north],
+        steps: [{ distanceMeters: 1234.6, durationSeconds: 900.4, maneuver: 'DEPART', instructions: 'Head out' }]
+      }]
+    });
+
+    expect(route.distanceMeters).toBe(1235);
+    expect(route.duration).toBe('900s');
+    expect(decodePolyline(route.polyline.encodedPolyline)).toEqual([origin, north]);
+    expect(route.legs[0].steps[0]).toEqual({
+      navigationInstruction: { maneuver: 'DEPART', instructions: 'Head out' },
+      distanceMeters: 1235,
+      staticDuration: '900s'
+    });
+  });
+
+  test('omits an unknown maneuver', () => {
+    const route = normalizeRoute({
+      distanceMeters: 1, durationSeconds: 1, points: [],
+      legs: [{ distanceMeters: 1, durationSeconds: 1, points: [], steps: [{ distanceMeters: 1, durationSeconds: 1, instructions: 'Go' }] }]
+    });
+    expect(route.legs[0].steps[0].navigationInstruction).toEqual({ instructions: 'Go' });
+  });
+});
+
+describe('instructionText', () => {
+  test('builds instructions from a maneuver and street name', () => {
+    expect(instructionText('TURN_LEFT', 'Main St')).toBe('Turn left onto Main St');
+    expect(instructionText('DEPART', 'Main St')).toBe('Head out on Main St');
+    expect(instructionText('TURN_RIGHT', '')).toBe('Turn right');
+    expect(instructionText(undefined, 'Elm St')).toBe('Continue onto Elm St');
+  });
+
+  test('writes instructions in the request language, falling back to English', () => {
+    expect(instructionText('TURN_LEFT', 'Hauptstraße', 'de')).toBe('Links abbiegen auf Hauptstraße');
+    expect(instructionText('DEPART', 'Calle Mayor', 'es-419')).toBe('Sal por Calle Mayor');
+    expect(instructionText('TURN_RIGHT', '', 'es')).toBe('Gira a la derecha');
+    expect(instructionText('TURN_LEFT', 'Rue Haute', 'fr')).toBe('Turn left onto Rue Haute');
+  });
+});
+
+describe('joinPaths', () => {
+  test('drops the shared point between consecutive paths', () => {
+    expect(joinPaths([[origin, north], [north, northEast]])).toEqual([origin, north, northEast]);
+  });
+});
+
+// --- OSRM ---
+
+describe('OSRM provider', () => {
+  const provider = createOsrmRoutingProvider('http://osrm.local/', 'foot');
+
+  function step(type, modifier, name, from, to, distance) {
+    return {
+      distance, duration: distance, name,
+      geometry: encodePolyline([from, to]),
+      maneuver: { type, modifier }
+    };
+  }
+
+  const osrmResponse = {
+    code: 'Ok',
+    routes: [{
+      distance: 300,
+      duration: 240,
+      geometry: encodePolyline([origin, north, northEast, origin]),
+      legs: [
+        { distance: 100, duration: 80, steps: [step('depart', undefined, 'Main St', origin, north, 100), step('arrive', undefined, 'Main St', north, north, 0)] },
+        { distance: 100, duration: 80, steps: [step('turn', 'right', 'Elm St', north, northEast, 100), step('arrive', undefined, 'Elm St', northEast, northEast, 0)] },
+        { distance: 100, duration: 80, steps: [step('turn', 'sharp left', '', northEast, origin, 100), step('arrive', undefined, '', origin, origin, 0)] }
+      ]
+    }]
+  };
+
+  test('requests a foot route through every stop, back to the origin', async () => {
+    mockFetch(200, osrmResponse);
+    await provider.computeRoutes(request);
+    const url = global.fetch.mock.calls[0][0];
+    expect(url).toBe(
+      'http://osrm.local/route/v1/foot/-74.006,40.7128;-74.006,40.7138;-74.005,40.7138;-74.006,40.7128' +
+      '?overview=full&geometries=polyline&steps=true'
+    );
+  });
+
+  test('normalizes the route, dropping arrival steps', async () => {
+    mockFetch(200, osrmResponse);
+    const { routes } = await provider.computeRoutes(request);
+    const route = routes[0];
+
+    expectNormalizedRoute(route);
+    expect(route.distanceMeters).toBe(300);
+    expect(route.duration).toBe('240s');
+    expect(route.legs).toHaveLength(3);
+    expect(route.legs[0].steps).toHaveLength(1);
+    expect(route.legs[0].steps[0].navigationInstruction).toEqual({ maneuver: 'DEPART', instructions: 'Head out on Main St' });
+    expect(route.legs[1].steps[0].navigationInstruction).toEqual({ maneuver: 'TURN_RIGHT', instructions: 'Turn right onto Elm St' });
+    expect(route.legs[2].steps[0].navigationInstruction.maneuver).toBe('TURN_SHARP_LEFT');
+    expect(decodePolyline(route.legs[0].polyline.encodedPolyline)).toEqual([origin, north]);
+  });
+
+  test('writes the directions in the request language', async () => {
+    mockFetch(200, osrmResponse);
+    const { routes } = await provider.computeRoutes({ ...request, languageCode: 'de' });
+    expect(routes[0].legs[1].steps[0].navigationInstruction).toEqual({ maneuver: 'TURN_RIGHT', instructions: 'Rechts abbiegen auf Elm St' });
+  });
+
+  test('returns no routes when OSRM cannot connect the points', async () => {
+    mockFetch(400, { code: 'NoRoute', message: 'Impossible route between points' });
+    expect(await provider.computeRoutes(request)).toEqual({ routes: [] });
+  });
+
+  test('throws a RoutingError on other failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockFetch(400, { code: 'InvalidQuery', message: 'Query string malformed' });
+    await expect(provider.computeRoutes(request)).rejects.toMatchObject({
+      name: 'RoutingError', message: 'OSRM error', status: 400, details: 'Query string malformed'
+    });
+    console.error.mockRestore();
+  });
+});
+
+// --- GraphHopper ---
+
+describe('GraphHopper provider', () => {
+  const points = [origin, north, northEast, origin];
+  const ghResponse = {
+    paths: [{
+      distance: 300,
+      time: 240000,
+      points: encodePolyline(points),
+      instructions: [
+        { distance: 100, time: 80000, sign: 0, text: 'Continue onto Main St', interval: [0, 1] },
+        { distance: 0, time: 0, sign: 5, text: 'Waypoint 1', interval: [1, 1] },
+        { distance: 100, time: 80000, sign: 2, text: 'Turn right onto Elm St', interval: [1, 2] },
+        { distance: 0, time: 0, sign: 5, text: 'Waypoint 2', interval: [2, 2] },
+        { distance: 100, time: 80000, sign: -7, text: 'Keep left', interval: [2, 3] },
+        { distance: 0, time: 0, sign: 4, text: 'Arrive at destination', interval: [3, 3] }
+      ]
+    }]
+  };
+
+  test('posts every stop as [lng, lat] with the foot profile', async () => {
+    mockFetch(200, ghResponse);
+    await createGraphHopperRoutingProvider('http://gh.local', { apiKey: 'secret' }).computeRoutes(request);
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://gh.local/route?key=secret');
+    const body = JSON.parse(options.body);
+    expect(body.profile).toBe('foot');
+    expect(body.points).toEqual([[-74.006, 40.7128], [-74.006, 40.7138], [-74.005, 40.7138], [-74.006, 40.7128]]);
+  });
+
+  test('asks for instructions in the request language', async () => {
+    mockFetch(200, ghResponse);
+    const provider = createGraphHopperRoutingProvider('http://gh.local');
+    await provider.computeRoutes(request);
+    await provider.computeRoutes({ ...request, languageCode: 'de' });
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).locale).toBe('en');
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body).locale).toBe('de');
+  });
+
+  test('splits legs at reached waypoints and maps instruction signs', async () => {
+    mockFetch(200, ghResponse);
+    const { routes } = await createGraphHopperRoutingProvider('http://gh.local').computeRoutes(request);
+    const route = routes[0];
+
+    expectNormalizedRoute(route);
+    expect(route.duration).toBe('240s');
+    expect(route.legs.map(l => l.distanceMeters)).toEqual([100, 100, 100]);
+    expect(route.legs[0].steps[0].navigationInstruction).toEqual({ maneuver: 'DEPART', instructions: 'Continue onto Main St' });
+    expect(route.legs[1].steps[0].navigationInstruction.maneuver).toBe('TURN_RIGHT');
+    expect(route.legs[2].steps[0].navigationInstruction.maneuver).toBe('FORK_LEFT');
+    expect(decodePolyline(route.legs[1].polyline.encodedPolyline)).toEqual([north, northEast]);
+  });
+
+  test('maps entering and leaving a roundabout to roundabout maneuvers', async () => {
+    mockFetch(200, {
+      paths: [{
+        ...ghResponse.paths[0],
+        instructions: [
+          { distance: 100, time: 80000, sign: 0, text: 'Continue onto Main St', interval: [0, 1] },
+          { distance: 100, time: 80000, sign: 6, text: 'At roundabout, take exit 2', interval: [1, 2] },
+          { distance: 100, time: 80000, sign: -6, text: 'Leave roundabout onto Elm St', interval: [2, 3] },
+          { distance: 0, time: 0, sign: 4, text: 'Arrive at destination', interval: [3, 3] }
+        ]
+      }]
+    });
+    const { routes } = await createGraphHopperRoutingProvider('http://gh.local').computeRoutes(request);
+    const maneuvers = routes[0].legs[0].steps.map(s => s.navigationInstruction.maneuver);
+    expect(maneuvers).toEqual(['DEPART', 'ROUNDABOUT_RIGHT', 'ROUNDABOUT_RIGHT']);
+  });
+
+  test('returns no routes for unroutable points', async () => {
+    mockFetch(400, { message: 'Connection between locations not found' });
+    expect(await createGraphHopperRoutingProvider('http://gh.local').computeRoutes(request)).toEqual({ routes: [] });
+  });
+
+  test('throws a RoutingError on other failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockFetch(401, { message: 'Wrong credentials' });
+    await expect(createGraphHopperRoutingProvider('http://gh.local').computeRoutes(request))
+      .rejects.toBeInstanceOf(RoutingError);
+    console.error.mockRestore();
+  });
+});
+
+// --- Valhalla ---
+
+describe('Valhalla provider', () => {
+  const provider = createValhallaRoutingProvider('http://valhalla.local');
+
+  // Valhalla shapes use 6 decimal places
+  function shape6(points) {
+    return encodePolyline(points.map(p => ({ lat: p.lat * 10, lng: p.lng * 10 })));
+  }
+
+  const valhallaResponse = {
+    trip: {
+      summary: { length: 0.3, time: 240 },
+      legs: [
+        {
+          summary: { length: 0.15, time: 120 },
+          shape: shape6([origin, north]),
+          maneuvers: [
+            { type: 1, instruction: 'Walk north on Main St.', length: 0.15, time: 120 },
+            { type: 5, instruction: 'You have arrived.', length: 0, time: 0 }
+          ]
+        },
+        {
+          summary: { length: 0.15, time: 120 },
+          shape: shape6([north, northEast, origin]),
+          maneuvers: [
+            { type: 15, instruction: 'Turn left onto Elm St.', length: 0.15, time: 120 },
+            { type: 4, instruction: 'You have arrived at your destination.', length: 0, time: 0 }
+          ]
+        }
+      ]
+    }
+  };
+
+  test('posts break locations with pedestrian costing', async () => {
+    mockFetch(200, valhallaResponse);
+    await provider.computeRoutes(request);
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://valhalla.local/route');
+    const body = JSON.parse(options.body);
+    expect(body.costing).toBe('pedestrian');
+    expect(body.locations[0]).toEqual({ lat: 40.7128, lon: -74.006, type: 'break' });
+    expect(body.locations).toHaveLength(4);
+  });
+
+  test('asks for narrative in the request language and units', async () => {
+    mockFetch(200, valhallaResponse);
+    await provider.computeRoutes({ ...request, units: 'IMPERIAL', languageCode: 'fr' });
+    await provider.computeRoutes({ ...request, units: 'METRIC', languageCode: 'de' });
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).directions_options).toEqual({ units: 'miles', language: 'fr' });
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body).directions_options).toEqual({ units: 'kilometers', language: 'de' });
+  });
+
+  test('reads lengths in miles when it asked for them', async () => {
+    mockFetch(200, valhallaResponse);
+    const { routes } = await provider.computeRoutes({ ...request, units: 'IMPERIAL' });
+    expect(routes[0].distanceMeters).toBe(483);
+    expect(routes[0].legs[0].distanceMeters).toBe(241);
+  });
+
+  test('converts kilometers and polyline6 into the normalized shape', async () => {
+    mockFetch(200, valhallaResponse);
+    const { routes } = await provider.computeRoutes(request);
+    const route = routes[0];
+
+    expectNormalizedRoute(route);
+    expect(route.distanceMeters).toBe(300);
+    expect(route.legs[0].distanceMeters).toBe(150);
+    expect(route.legs[0].steps).toHaveLength(1);
+    expect(route.legs[1].steps[0].navigationInstruction).toEqual({ maneuver: 'TURN_LEFT', instructions: 'Turn left onto Elm St.' });
+    expect(decodePolyline(route.polyline.encodedPolyline)).toEqual([origin, north, northEast, origin]);
+  });
+
+  test('returns no routes when no path is found', async () => {
+    mockFetch(400, { error_code: 442, error: 'No path could be found for input' });
+    expect(await provider.computeRoutes(request)).toEqual({ routes: [] });
+  });
+
+  test('throws a RoutingError on other failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockFetch(500, { error_code: 100, error: 'Failed to parse json request' });
+    await expect(provider.computeRoutes(request)).rejects.toMatchObject({
+      message: 'Valhalla error', status: 500, details: 'Failed to parse json request'
+    });
+    console.error.mockRestore();
+  });
+});
@@ -1,16 +1,31 @@
 const configHandler = require('../api/config');
 const routeHandler = require('../api/route');
+const loopHandler = require('../api/loop');
+const usageHandler = require('../api/usage');
+const { resetRouteCaches } = require('../lib/route-cache');
+const { resetRateLimiters } = require('../lib/rate-limit');
+const { resetCircuitBreakers } = require('../lib/routing/upstream');
+const { encodePolyline } = require('../public/polyline');
 
 /**
  * Tests for the serverless API handlers.
  * Handlers are called directly with mock req/res objects.
  */
 
+// Every test starts with an empty route cache, fresh rate limits and closed circuits
+beforeEach(() => {
+  resetRouteCaches();
+  resetRateLimiters();
+  resetCircuitBreakers();
+});
+
 function mockRes() {
   const res = {
     _status: 200,
     _body: null,
+    _headers: {},
     status(code) { this._status = code; return this; },
+    setHeader(name, value) { this._headers[name.toLowerCase()] = value; return this; },
     json(body) { this._body = body; return this; }
   };
   return res;
@@ -33,28 +48,79 @@ describe('GET /api/config', () => {
     }
   });
 
-  test('returns the API key', () => {
+  test('returns the API key', async () => {
     const req = { method: 'GET' };
     const res = mockRes();
-    configHandler(req, res);
+    await configHandler(req, res);
     expect(res._status).toBe(200);
     expect(res._body).toEqual({ apiKey: 'test-api-key' });
   });
 
-  test('returns 405 for non-GET methods', () => {
+  test('returns 405 for non-GET methods', async () => {
     const req = { method: 'POST' };
     const res = mockRes();
-    configHandler(req, res);
+    await configHandler(req, res);
     expect(res._status).toBe(405);
   });
 
-  test('returns 500 when API key is not set', () => {
+  test('returns 500 when API key is not set', async () => {
     delete process.env.GOOGLE_MAPS_API_KEY;
     const req = { method: 'GET' };
     const res = mockRes();
-    configHandler(req, res);
+    await configHandler(req, res);
     expect(res._status).toBe(500);
   });
+
+  describe('with separate browser and server keys', () => {
+    beforeEach(() => {
+      delete process.env.GOOGLE_MAPS_API_KEY;
+      process.env.GOOGLE_MAPS_BROWSER_KEY = 'browser-key';
+      process.env.GOOGLE_MAPS_SERVER_KEY = 'server-key';
+    });
+
+    afterEach(() => {
+      delete process.env.GOOGLE_MAPS_BROWSER_KEY;
+      delete process.env.GOOGLE_MAPS_SERVER_KEY;
+      delete process.env.ALLOWED_ORIGINS;
+    });
+
+    test('returns only the browser key', async () => {
+      const res = mockRes();
+      await configHandler({ method: 'GET' }, res);
+      expect(res._body).toEqual({ apiKey: 'browser-key' });
+    });
+
+    test('never falls back to the server key', async () => {
+      delete process.env.GOOGLE_MAPS_BROWSER_KEY;
+      const res = mockRes();
+      await configHandler({ method: 'GET' }, res);
+      expect(res._status).toBe(500);
+      expect(JSON.stringify(res._body)).not.toContain('server-key');
+    });
+
+    test('refuses a browser key that is the server key', async () => {
+      process.env.GOOGLE_MAPS_BROWSER_KEY = 'server-key';
+      const res = mockRes();
+      await configHandler({ method: 'GET' }, res);
+      expect(res._status).toBe(500);
+      expect(res._body).toMatchObject({
+        code: 'SERVER_MISCONFIGURED', message: 'Server misconfiguration: browser API key is the server key'
+      });
+    });
+
+    test('serves allowed origins and rejects others with 403', async () => {
+      process.env.ALLOWED_ORIGINS = 'https://routes.example.com';
+
+      const allowed = mockRes();
+      await configHandler({ method: 'GET', headers: { referer: 'https://routes.example.com/' } }, allowed);
+      expect(allowed._body).toEqual({ apiKey: 'browser-key' });
+
+      const rejected = mockRes();
+      await configHandler({ method: 'GET', headers: { origin: 'https://elsewhere.example.com' } }, rejected);
+      expect(rejected._status).toBe(403);
+      expect(rejected._body).toMatchObject({ code: 'ORIGIN_NOT_ALLOWED', message: 'Origin not allowed' });
+    });
+  });
 });
 
 // --- POST /api/route ---
@@ -86,7 +152,9 @@ describe('POST /api/route', () => {
     const res = mockRes();
     await routeHandler(req, res);
     expect(res._status).toBe(400);
-    expect(res._body.error).toBe('origin and waypoints array are required');
+    expect(res._body).toEqual({
+      code: 'MISSING_FIELD', message: 'origin is required', field: 'origin', error: 'origin is required'
+    });
   });
 
   test('rejects request with missing waypoints', async () => {
@@ -94,7 +162,7 @@ describe('POST /api/route', () => {
     const res = mockRes();
     await routeHandler(req, res);
     expect(res._status).toBe(400);
-    expect(res._body.error).toBe('origin and waypoints array are required');
+    expect(res._body).toMatchObject({ code: 'MISSING_FIELD', field: 'waypoints' });
   });
 
   test('rejects request with waypoints as non-array', async () => {
@@ -102,7 +170,9 @@ describe('POST /api/route', () => {
     const res = mockRes();
     await routeHandler(req, res);
     expect(res._status).toBe(400);
-    expect(res._body.error).toBe('origin and waypoints array are required');
+    expect(res._body).toMatchObject({
+      code: 'INVALID_FIELD', message: 'waypoints must be an array of {lat, lng} points', field: 'waypoints'
+    });
   });
 
   test('rejects request with empty body', async () => {
@@ -146,6 +216,28 @@ describe('POST /api/route', () => {
     delete global.fetch;
   });
 
+  test('passes the client\'s units and language through to the Routes API', async () => {
+    let capturedBody;
+    global.fetch = jest.fn(async (url, options) => {
+      capturedBody = JSON.parse(options.body);
+      return { ok: true, json: async () => ({ routes: [] }) };
+    });
+
+    const body = { origin: { lat: 40, lng: -74 }, waypoints: [], useKm: true, language: 'es-MX' };
+    await routeHandler({ method: 'POST', body }, mockRes());
+
+    expect(capturedBody.units).toBe('METRIC');
+    expect(capturedBody.languageCode).toBe('es');
+    delete global.fetch;
+  });
+
+  test('rejects a malformed language', async () => {
+    const res = mockRes();
+    await routeHandler({ method: 'POST', body: { origin: { lat: 40, lng: -74 }, waypoints: [], language: 'english' } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body).toMatchObject({ code: 'INVALID_FIELD', field: 'language' });
+  });
+
   test('sets destination equal to origin for loop route', async () => {
     const origin = { lat: 33.749, lng: -84.388 };
     const waypoints = [{ lat: 33.75, lng: -84.39 }];
@@ -165,6 +257,252 @@ describe('POST /api/route', () => {
     delete global.fetch;
   });
 
+  test('routes to a separate destination when one is given', async () => {
+    const origin = { lat: 40.7128, lng: -74.006 };
+    const destination = { lat: 40.73, lng: -73.99 };
+
+    let capturedBody;
+    global.fetch = jest.fn(async (url, options) => {
+      capturedBody = JSON.parse(options.body);
+      return { ok: true, json: async () => ({ routes: [] }) };
+    });
+
+    const req = { method: 'POST', body: { origin, destination, waypoints: [] } };
+    const res = mockRes();
+    await routeHandler(req, res);
+
+    expect(capturedBody.destination.location.latLng).toEqual({ latitude: 40.73, longitude: -73.99 });
+
+    delete global.fetch;
+  });
+
+  test('rejects a malformed destination', async () => {
+    const req = { method: 'POST', body: { origin: { lat: 40, lng: -74 }, destination: { lat: 'x' }, waypoints: [] } };
+    const res = mockRes();
+    await routeHandler(req, res);
+    expect(res._status).toBe(400);
+    expect(res._body).toMatchObject({
+      code: 'INVALID_COORDINATE', message: 'destination.lat must be a number from -90 to 90', field: 'destination.lat'
+    });
+  });
+
+  test('rejects out-of-range and non-finite coordinates', async () => {
+    const cases = [
+      [{ origin: { lat: 91, lng: -74 }, waypoints: [] }, 'origin.lat'],
+      [{ origin: { lat: 40, lng: -181 }, waypoints: [] }, 'origin.lng'],
+      [{ origin: { lat: 40, lng: -74 }, waypoints: [{ lat: 40, lng: -74 }, { lat: 40, lng: 'NaN' }] }, 'waypoints[1].lng'],
+      [{ origin: { lat: 40, lng: -74 }, waypoints: [null] }, 'waypoints[0]']
+    ];
+    for (const [body, field] of cases) {
+      const res = mockRes();
+      await routeHandler({ method: 'POST', body }, res);
+      expect(res._status).toBe(400);
+      expect(res._body.field).toBe(field);
+    }
+  });
+
+  test('caps waypoints at the routing provider limit', async () => {
+    global.fetch = jest.fn();
+    const waypoints = Array.from({ length: 26 }, (_, i) => ({ lat: 40 + i * 0.001, lng: -74 }));
+    const res = mockRes();
+    await routeHandler({ method: 'POST', body: { origin: { lat: 40, lng: -74 }, waypoints } }, res);
+
+    expect(res._status).toBe(400);
+    expect(res._body).toMatchObject({
+      code: 'TOO_MANY_WAYPOINTS', message: 'waypoints can have at most 25 points', field: 'waypoints'
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+    delete global.fetch;
+  });
+
+  test('rejects bodies over the size limit with 413', async () => {
+    const res = mockRes();
+    await routeHandler({
+      method: 'POST',
+      headers: { 'content-length': String(1024 * 1024) },
+      body: { origin: { lat: 40, lng: -74 }, waypoints: [] }
+    }, res);
+    expect(res._status).toBe(413);
+    expect(res._body.code).toBe('BODY_TOO_LARGE');
+  });
+
+  test('rejects a body that is not a JSON object', async () => {
+    const res = mockRes();
+    await routeHandler({ method: 'POST', body: 'origin=40,-74' }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.code).toBe('INVALID_BODY');
+  });
+
+  test('forwards only lat and lng for each stop', async () => {
+    let capturedBody;
+    global.fetch = jest.fn(async (url, options) => {
+      capturedBody = JSON.parse(options.body);
+      return { ok: true, json: async () => ({ routes: [] }) };
+    });
+
+    const origin = { lat: 40, lng: -74, via: true, label: 'x'.repeat(100) };
+    await routeHandler({ method: 'POST', body: { origin, waypoints: [{ lat: 40.01, lng: -74, sideOfRoad: true }] } }, mockRes());
+
+    expect(capturedBody.origin.location.latLng).toEqual({ latitude: 40, longitude: -74 });
+    expect(capturedBody.intermediates[0]).toEqual({ location: { latLng: { latitude: 40.01, longitude: -74 } } });
+    delete global.fetch;
+  });
+
+  test('reports routing provider failures with a code and the upstream details', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 403,
+      json: async () => ({ error: { message: 'API key not valid' } })
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = mockRes();
+    await routeHandler({ method: 'POST', body: { origin: { lat: 40, lng: -74 }, waypoints: [] } }, res);
+
+    expect(res._status).toBe(403);
+    expect(res._body).toEqual({
+      code: 'ROUTING_FAILED', message: 'Routes API error', details: 'API key not valid', error: 'Routes API error'
+    });
+    console.error.mockRestore();
+    delete global.fetch;
+  });
+
+  test('fails fast with ROUTING_UNAVAILABLE once the circuit opens', async () => {
+    process.env.ROUTING_RETRIES = '0';
+    process.env.ROUTING_BREAKER_THRESHOLD = '1';
+    global.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 500,
+      headers: new Headers(),
+      json: async () => ({ error: { message: 'Backend error' } })
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const body = { origin: { lat: 40, lng: -74 }, waypoints: [] };
+
+    const first = mockRes();
+    await routeHandler({ method: 'POST', body }, first);
+    const second = mockRes();
+    await routeHandler({ method: 'POST', body }, second);
+
+    expect(first._body.code).toBe('ROUTING_FAILED');
+    expect(second._status).toBe(503);
+    expect(second._body).toMatchObject({ code: 'ROUTING_UNAVAILABLE', message: 'Routes API unavailable' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+    delete global.fetch;
+    delete process.env.ROUTING_RETRIES;
+    delete process.env.ROUTING_BREAKER_THRESHOLD;
+  });
+
+  test('reports a routing timeout as ROUTING_TIMEOUT', async () => {
+    process.env.ROUTING_TIMEOUT_MS = '10';
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = mockRes();
+    await routeHandler({ method: 'POST', body: { origin: { lat: 40, lng: -74 }, waypoints: [] } }, res);
+
+    expect(res._status).toBe(504);
+    expect(res._body).toMatchObject({ code: 'ROUTING_TIMEOUT', details: 'No response within 10 ms' });
+    console.error.mockRestore();
+    delete global.fetch;
+    delete process.env.ROUTING_TIMEOUT_MS;
+  });
+
+  test('uses the routing provider picked by ROUTING_PROVIDER, with no Google key', async () => {
+    delete process.env.GOOGLE_MAPS_API_KEY;
+    process.env.ROUTING_PROVIDER = 'osrm';
+    process.env.OSRM_URL = 'http://osrm.local';
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({
+        code: 'Ok',
+        routes: [{ distance: 1000, duration: 720, geometry: '_p~iF~ps|U_ulLnnqC', legs: [] }]
+      })
+    }));
+
+    const req = { method: 'POST', body: { origin: { lat: 40, lng: -74 }, waypoints: [{ lat: 40.01, lng: -74 }] } };
+    const res = mockRes();
+    await routeHandler(req, res);
+
+    expect(global.fetch.mock.calls[0][0]).toMatch(/^http:\/\/osrm\.local\/route\/v1\/foot\//);
+    expect(res._status).toBe(200);
+    expect(res._body.routes[0]).toMatchObject({ distanceMeters: 1000, duration: '720s' });
+
+    delete process.env.ROUTING_PROVIDER;
+    delete process.env.OSRM_URL;
+    delete global.fetch;
+  });
+
+  test('returns 500 when the routing provider is not configured', async () => {
+    delete process.env.GOOGLE_MAPS_API_KEY;
+    const req = { method: 'POST', body: { origin: { lat: 40, lng: -74 }, waypoints: [] } };
+    const res = mockRes();
+    await routeHandler(req, res);
+    expect(res._status).toBe(500);
+    expect(res._body.error).toBe('Server misconfiguration: routing provider not configured');
+  });
+
+  test('serves nearly identical requests from the cache', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({ routes: [{ distanceMeters: 1234, duration: '900s' }] })
+    }));
+
+    const first = mockRes();
+    await routeHandler({ method: 'POST', body: { origin: { lat: 40.71281, lng: -74.00601 }, waypoints: [{ lat: 40.72, lng: -73.99 }] } }, first);
+    const second = mockRes();
+    await routeHandler({ method: 'POST', body: { origin: { lat: 40.71279, lng: -74.00599 }, waypoints: [{ lat: 40.72001, lng: -73.99 }] } }, second);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(first._headers['x-cache']).toBe('MISS');
+    expect(second._headers['x-cache']).toBe('HIT');
+    expect(second._headers.age).toBe('0');
+    expect(second._body).toEqual(first._body);
+
+    delete global.fetch;
+  });
+
+  test('skips the cache for Cache-Control: no-cache', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ routes: [] }) }));
+    const body = { origin: { lat: 40, lng: -74 }, waypoints: [{ lat: 40.01, lng: -74 }] };
+
+    await routeHandler({ method: 'POST', body }, mockRes());
+    const res = mockRes();
+    await routeHandler({ method: 'POST', headers: { 'cache-control': 'no-cache' }, body }, res);
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(res._headers['x-cache']).toBe('BYPASS');
+
+    delete global.fetch;
+  });
+
+  test('does not cache with ROUTE_CACHE=off', async () => {
+    process.env.ROUTE_CACHE = 'off';
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ routes: [] }) }));
+    const body = { origin: { lat: 40, lng: -74 }, waypoints: [{ lat: 40.01, lng: -74 }] };
+
+    await routeHandler({ method: 'POST', body }, mockRes());
+    await routeHandler({ method: 'POST', body }, mockRes());
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    delete process.env.ROUTE_CACHE;
+    delete global.fetch;
+  });
+
+  test('returns 500 for an unknown ROUTE_CACHE', async () => {
+    process.env.ROUTE_CACHE = 'memcached';
+    const res = mockRes();
+    await routeHandler({ method: 'POST', body: { origin: { lat: 40, lng: -74 }, waypoints: [] } }, res);
+    expect(res._status).toBe(500);
+    expect(res._body.error).toBe('Server misconfiguration: Unknown ROUTE_CACHE: memcached');
+    delete process.env.ROUTE_CACHE;
+  });
+
   test('maps all waypoints to intermediates array', async () => {
     const origin = { lat: 40.0, lng: -74.0 };
     const waypoints = [
@@ -192,13 +530,532 @@ describe('POST /api/route', () => {
   });
 });
 
+// --- POST /api/loop ---
+
+describe('POST /api/loop', () => {
+  const originalKey = process.env.GOOGLE_MAPS_API_KEY;
+  const origin = { lat: 40.7128, lng: -74.006 };
+
+  // Respond to every Routes API call with the next distance in the list
+  function mockRoutesApi(distances) {
+    let call = 0;
+    global.fetch = jest.fn(async () => {
+      const distanceMeters = distances[Math.min(call++, distances.length - 1)];
+      return {
+        ok: true,
+        json: async () => ({
+          routes: [{ distanceMeters, duration: '3600s', polyline: { encodedPolyline: '' } }]
+        })
+      };
+    });
+  }
+
+  beforeEach(() => {
+    process.env.GOOGLE_MAPS_API_KEY = 'test-api-key';
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    if (originalKey === undefined) {
+      delete process.env.GOOGLE_MAPS_API_KEY;
+    } else {
+      process.env.GOOGLE_MAPS_API_KEY = originalKey;
+    }
+  });
+
+  test('returns 405 for non-POST methods', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'GET', body: {} }, res);
+    expect(res._status).toBe(405);
+  });
+
+  test('returns 500 when API key is not set', async () => {
+    delete process.env.GOOGLE_MAPS_API_KEY;
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5 } }, res);
+    expect(res._status).toBe(500);
+  });
+
+  test('rejects a missing origin', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { distanceMiles: 5 } }, res);
+    expect(res._status).toBe(400);
+  });
+
+  test('rejects an out-of-range distance', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 80 } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('distanceMiles must be between 0.5 and 50');
+  });
+
+  test('asks for directions in the client\'s units and language', async () => {
+    mockRoutesApi([8046.72]);
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, useKm: true, language: 'de-AT' } }, res);
+
+    expect(res._status).toBe(200);
+    global.fetch.mock.calls.forEach(([, init]) => {
+      expect(JSON.parse(init.body)).toMatchObject({ units: 'METRIC', languageCode: 'de' });
+    });
+  });
+
+  test('rejects a non-boolean useKm', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, useKm: 'true' } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.field).toBe('useKm');
+  });
+
+  test('rejects a malformed boundary', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, boundary: [{ lat: 'x' }] } }, res);
+    expect(res._status).toBe(400);
+  });
+
+  describe('exclusion zones', () => {
+    // A square about 220 m across, `north` degrees of latitude north of the origin
+    const zone = (north = 0) => [
+      { lat: origin.lat + north - 0.001, lng: origin.lng - 0.0013 },
+      { lat: origin.lat + north - 0.001, lng: origin.lng + 0.0013 },
+      { lat: origin.lat + north + 0.001, lng: origin.lng + 0.0013 },
+      { lat: origin.lat + north + 0.001, lng: origin.lng - 0.0013 }
+    ];
+
+    test('rejects malformed zones with the field at fault', async () => {
+      const cases = [
+        [{ exclusions: 'park' }, 'INVALID_FIELD', 'exclusions'],
+        [{ exclusions: [zone(0.01), zone(0.01).slice(0, 2)] }, 'INVALID_FIELD', 'exclusions[1]'],
+        [{ exclusions: [[...zone(0.01).slice(0, 3), { lat: 95, lng: 0 }]] }, 'INVALID_COORDINATE', 'exclusions[0][3].lat'],
+        [{ exclusions: Array.from({ length: 11 }, () => zone(0.01)) }, 'INVALID_FIELD', 'exclusions']
+      ];
+      for (const [extra, code, field] of cases) {
+        const res = mockRes();
+        await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, ...extra } }, res);
+        expect(res._status).toBe(400);
+        expect(res._body).toMatchObject({ code, field });
+      }
+    });
+
+    test('rejects a start or destination inside a zone', async () => {
+      const res = mockRes();
+      await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, exclusions: [zone(0.01), zone()] } }, res);
+      expect(res._status).toBe(400);
+      expect(res._body).toMatchObject({ field: 'origin', message: 'origin is inside exclusions[1]' });
+
+      const destination = { lat: origin.lat + 0.02, lng: origin.lng };
+      const destinationRes = mockRes();
+      await loopHandler({
+        method: 'POST',
+        body: { origin, destination, distanceMiles: 5, exclusions: [zone(0.02)], options: { shape: 'point-to-point' } }
+      }, destinationRes);
+      expect(destinationRes._body).toMatchObject({ field: 'destination' });
+    });
+
+    test('returns 422 naming the zones when every route passes through one', async () => {
+      // Every route runs north through the zone and back
+      const polyline = encodePolyline([origin, { lat: origin.lat + 0.02, lng: origin.lng }, origin]);
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        json: async () => ({ routes: [{ distanceMeters: 8047, duration: '3600s', polyline: { encodedPolyline: polyline } }] })
+      }));
+      const res = mockRes();
+      await loopHandler({
+        method: 'POST',
+        body: { origin, distanceMiles: 5, exclusions: [zone(-0.5), zone(0.01)], options: { maxAttempts: 1, candidates: 2 } }
+      }, res);
+
+      expect(res._status).toBe(422);
+      expect(res._body).toMatchObject({ code: 'ROUTE_BLOCKED', field: 'exclusions', zones: [1], blockedRoutes: 2 });
+    });
+  });
+
+  test('rejects out-of-range coordinates with the field at fault', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin: { lat: 40, lng: 200 }, distanceMiles: 5 } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body).toMatchObject({ code: 'INVALID_COORDINATE', field: 'origin.lng' });
+
+    const boundary = [{ lat: 40, lng: -74 }, { lat: 40.1, lng: -74 }, { lat: 95, lng: -74.1 }];
+    const boundaryRes = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, boundary } }, boundaryRes);
+    expect(boundaryRes._body).toMatchObject({ code: 'INVALID_COORDINATE', field: 'boundary[2].lat' });
+  });
+
+  test('names the option at fault in validation errors', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { bearing: 400 } } }, res);
+    expect(res._body).toEqual({
+      code: 'INVALID_FIELD',
+      message: 'options.bearing must be a number from 0 to 359',
+      field: 'options.bearing',
+      error: 'options.bearing must be a number from 0 to 359'
+    });
+  });
+
+  test('rejects a boundary tolerance outside 0–1', async () => {
+    for (const boundaryTolerance of [-0.1, 1.5, '5%']) {
+      const res = mockRes();
+      await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { boundaryTolerance } } }, res);
+      expect(res._status).toBe(400);
+      expect(res._body.field).toBe('options.boundaryTolerance');
+    }
+  });
+
+  test('rejects an unknown terrain preference', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { terrain: 'steep' } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('options.terrain must be one of flat, any, hilly');
+  });
+
+  test('rejects an unknown route shape', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { shape: 'figure-eight' } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('options.shape must be one of loop, out-and-back, point-to-point, cloverleaf');
+  });
+
+  test('requires a destination for point-to-point routes', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { shape: 'point-to-point' } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('destination with numeric lat and lng is required for point-to-point routes');
+  });
+
+  test('rejects a point-to-point destination beyond the target distance', async () => {
+    const destination = { lat: origin.lat + 0.2, lng: origin.lng }; // ~14 miles north
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, destination, distanceMiles: 5, options: { shape: 'point-to-point' } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('distanceMiles is shorter than the straight line to destination');
+  });
+
+  test('rejects a point-to-point destination at the start', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, destination: origin, distanceMiles: 5, options: { shape: 'point-to-point' } } }, res);
+    expect(res._status).toBe(400);
+  });
+
+  test('requires a petal distance for cloverleaf routes', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 20, options: { shape: 'cloverleaf' } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('options.petalMiles must be a number of at least 0.5 for cloverleaf routes');
+  });
+
+  test('rejects a petal distance as long as the whole route', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { shape: 'cloverleaf', petalMiles: 5 } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('options.petalMiles must be shorter than distanceMiles');
+  });
+
+  test('rejects a petal distance that needs too many petals', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 20, options: { shape: 'cloverleaf', petalMiles: 1 } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('options.petalMiles must be at least 3.34 (cloverleaf routes have at most 6 petals)');
+  });
+
+  test('rejects an out-of-range bearing', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { shape: 'out-and-back', bearing: 400 } } }, res);
+    expect(res._status).toBe(400);
+  });
+
+  test('returns 500 for a terrain preference without an elevation provider', async () => {
+    const originalProvider = process.env.ELEVATION_PROVIDER;
+    process.env.ELEVATION_PROVIDER = 'hgt';
+    delete process.env.ELEVATION_HGT_DIR;
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { terrain: 'flat' } } }, res);
+    expect(res._status).toBe(500);
+    if (originalProvider === undefined) {
+      delete process.env.ELEVATION_PROVIDER;
+    } else {
+      process.env.ELEVATION_PROVIDER = originalProvider;
+    }
+  });
+
+  test('stops after one batch when the first routes are within tolerance', async () => {
+    mockRoutesApi([5 * 1609.34]);
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5 } }, res);
+
+    expect(res._status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(res._body.withinTolerance).toBe(true);
+    expect(res._body.attempts).toHaveLength(1);
+    expect(res._body.waypoints).toHaveLength(6);
+    expect(res._body.route.distanceMeters).toBeCloseTo(5 * 1609.34);
+  });
+
+  // One candidate per attempt, so each Routes API call is one refinement step
+  const single = { candidates: 1 };
+
+  test('refines until the route is within tolerance', async () => {
+    // 30% too long, then 20% too short, then on target
+    mockRoutesApi([5 * 1609.34 * 1.3, 5 * 1609.34 * 0.8, 5 * 1609.34 * 1.02]);
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: single } }, res);
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(res._body.withinTolerance).toBe(true);
+    expect(res._body.attempts.map(a => a.distanceMeters)).toEqual([
+      5 * 1609.34 * 1.3, 5 * 1609.34 * 0.8, 5 * 1609.34 * 1.02
+    ]);
+    // Too long shrinks the radius, too short grows it
+    expect(res._body.attempts[2].radiusMeters).toBeGreaterThan(res._body.attempts[1].radiusMeters);
+  });
+
+  test('gives up after four attempts and returns the last route', async () => {
+    mockRoutesApi([5 * 1609.34 * 2]);
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: single } }, res);
+
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(res._status).toBe(200);
+    expect(res._body.withinTolerance).toBe(false);
+    expect(res._body.attempts).toHaveLength(4);
+  });
+
+  test('honours a lower options.maxAttempts', async () => {
+    mockRoutesApi([5 * 1609.34 * 2]);
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { maxAttempts: 2, candidates: 1 } } }, res);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends a batch of candidates and returns the runners-up', async () => {
+    // Third candidate is closest to target; the too-long one isn't offered as an alternative
+    mockRoutesApi([5 * 1609.34 * 1.08, 5 * 1609.34 * 1.3, 5 * 1609.34 * 1.01, 5 * 1609.34 * 1.05]);
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5 } }, res);
+
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(res._body.attempts[0].candidates).toBe(4);
+    expect(res._body.route.distanceMeters).toBeCloseTo(5 * 1609.34 * 1.01);
+    expect(res._body.alternatives.map(a => a.route.distanceMeters)).toEqual([
+      5 * 1609.34 * 1.05, 5 * 1609.34 * 1.08
+    ]);
+  });
+
+  test('reports routing calls served from the cache', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    mockRoutesApi([8047]);
+    const body = { origin, distanceMiles: 5, options: { candidates: 1 } };
+
+    const first = mockRes();
+    await loopHandler({ method: 'POST', body }, first);
+    const second = mockRes();
+    await loopHandler({ method: 'POST', body }, second);
+    const regenerated = mockRes();
+    await loopHandler({ method: 'POST', headers: { 'cache-control': 'no-cache' }, body }, regenerated);
+
+    expect(first._headers['x-cache']).toBe('MISS');
+    expect(second._headers).toMatchObject({ 'x-cache': 'HIT', 'x-cache-hits': '1' });
+    expect(regenerated._headers).toMatchObject({ 'x-cache': 'BYPASS', 'x-cache-hits': '0' });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    Math.random.mockRestore();
+  });
+
+  test('rejects an out-of-range candidate count', async () => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { candidates: 9 } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('options.candidates must be an integer from 1 to 5');
+  });
+
+  test.each([-1, 1.5, 2 ** 32, '42'])('rejects seed %p', async seed => {
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5, options: { seed } } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body).toMatchObject({ code: 'INVALID_FIELD', field: 'options.seed' });
+  });
+
+  test('reproduces a route from its seed', async () => {
+    mockRoutesApi([8047]);
+    const body = { origin, distanceMiles: 5, options: { seed: 123 } };
+
+    const first = mockRes();
+    await loopHandler({ method: 'POST', body }, first);
+    const again = mockRes();
+    await loopHandler({ method: 'POST', headers: { 'cache-control': 'no-cache' }, body }, again);
+
+    expect(first._body.seed).toBe(123);
+    expect(again._body.waypoints).toEqual(first._body.waypoints);
+  });
+
+  test('returns 422 when the Routes API finds no route', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ routes: [] }) }));
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5 } }, res);
+    expect(res._status).toBe(422);
+    expect(res._body).toMatchObject({ code: 'NO_ROUTE', message: 'No route found. Try a different starting location.' });
+  });
+
+  test('passes Routes API errors through with their status', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 403,
+      json: async () => ({ error: { message: 'API key not valid' } })
+    }));
+    const res = mockRes();
+    await loopHandler({ method: 'POST', body: { origin, distanceMiles: 5 } }, res);
+    expect(res._status).toBe(403);
+    expect(res._body).toEqual({
+      code: 'ROUTING_FAILED', message: 'Routes API error', details: 'API key not valid', error: 'Routes API error'
+    });
+    console.error.mockRestore();
+  });
+});
+
+// --- Rate limits and GET /api/usage ---
+
+describe('rate limits', () => {
+  const originalKey = process.env.GOOGLE_MAPS_API_KEY;
+  const body = { origin: { lat: 40, lng: -74 }, waypoints: [{ lat: 40.01, lng: -74 }] };
+  const usageHeaders = { authorization: 'Bearer report-token' };
+
+  beforeEach(() => {
+    process.env.GOOGLE_MAPS_API_KEY = 'test-api-key';
+    process.env.USAGE_TOKEN = 'report-token';
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ routes: [] }) }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    delete process.env.RATE_LIMIT_PER_MINUTE;
+    delete process.env.ROUTING_QUOTA_PER_DAY;
+    delete process.env.USAGE_TOKEN;
+    if (originalKey === undefined) {
+      delete process.env.GOOGLE_MAPS_API_KEY;
+    } else {
+      process.env.GOOGLE_MAPS_API_KEY = originalKey;
+    }
+  });
+
+  test('answers 429 with Retry-After once a client exceeds the per-minute limit', async () => {
+    process.env.RATE_LIMIT_PER_MINUTE = '2';
+    const req = { method: 'GET', headers: { 'x-forwarded-for': '203.0.113.5' } };
+
+    await configHandler(req, mockRes());
+    await configHandler(req, mockRes());
+    const res = mockRes();
+    await configHandler(req, res);
+
+    expect(res._status).toBe(429);
+    expect(Number(res._headers['retry-after'])).toBeGreaterThan(0);
+    expect(res._body.apiKey).toBeUndefined();
+  });
+
+  test('stops /api/route at the daily routing quota without calling the provider', async () => {
+    process.env.ROUTING_QUOTA_PER_DAY = '1';
+
+    await routeHandler({ method: 'POST', body }, mockRes());
+    const res = mockRes();
+    await routeHandler({ method: 'POST', headers: { 'cache-control': 'no-cache' }, body }, res);
+
+    expect(res._status).toBe(429);
+    expect(res._body.error).toBe('Daily routing quota reached; try again tomorrow');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('cache hits do not use up the routing quota', async () => {
+    process.env.ROUTING_QUOTA_PER_DAY = '2';
+    const fresh = { 'cache-control': 'no-cache' };
+
+    await routeHandler({ method: 'POST', body }, mockRes());
+    const hit = mockRes();
+    await routeHandler({ method: 'POST', body }, hit);
+    const second = mockRes();
+    await routeHandler({ method: 'POST', headers: fresh, body }, second);
+    const third = mockRes();
+    await routeHandler({ method: 'POST', headers: fresh, body }, third);
+
+    expect(hit._headers['x-cache']).toBe('HIT');
+    expect(second._status).toBe(200);
+    expect(third._status).toBe(429);
+  });
+
+  test('reports routing calls per generated route', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    let call = 0;
+    const distances = [4000, 8047];
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        routes: [{ distanceMeters: distances[Math.min(call++, 1)], duration: '3600s', polyline: { encodedPolyline: '' } }]
+      })
+    }));
+
+    await loopHandler({ method: 'POST', body: { origin: { lat: 40, lng: -74 }, distanceMiles: 5, options: { candidates: 1 } } }, mockRes());
+    await routeHandler({ method: 'POST', body }, mockRes());
+
+    const res = mockRes();
+    await usageHandler({ method: 'GET', headers: usageHeaders, query: { days: '1' } }, res);
+    Math.random.mockRestore();
+
+    expect(res._status).toBe(200);
+    expect(res._body.days).toEqual([{
+      date: new Date().toISOString().slice(0, 10),
+      requests: { config: 0, route: 1, loop: 1, elevation: 0 },
+      routingCalls: { route: 1, loop: 2 },
+      routesGenerated: 1,
+      routingCallsPerRoute: 2
+    }]);
+  });
+
+  test('usage report defaults to a week', async () => {
+    const res = mockRes();
+    await usageHandler({ method: 'GET', headers: usageHeaders }, res);
+    expect(res._body.days).toHaveLength(7);
+  });
+
+  test('usage report validates days', async () => {
+    const res = mockRes();
+    await usageHandler({ method: 'GET', headers: usageHeaders, query: { days: '90' } }, res);
+    expect(res._status).toBe(400);
+    expect(res._body.error).toBe('days must be an integer from 1 to 31');
+  });
+
+  test('usage report requires the USAGE_TOKEN bearer token', async () => {
+    const denied = mockRes();
+    await usageHandler({ method: 'GET', headers: {} }, denied);
+    expect(denied._status).toBe(401);
+
+    const allowed = mockRes();
+    await usageHandler({ method: 'GET', headers: usageHeaders }, allowed);
+    expect(allowed._status).toBe(200);
+  });
+
+  test('usage report is 404 when USAGE_TOKEN is not set', async () => {
+    delete process.env.USAGE_TOKEN;
+    const res = mockRes();
+    await usageHandler({ method: 'GET', headers: {} }, res);
+    expect(res._status).toBe(404);
+    expect(res._body.code).toBe('NOT_FOUND');
+  });
+
+  test('usage report is 404 with RATE_LIMIT=off', async () => {
+    process.env.RATE_LIMIT = 'off';
+    const res = mockRes();
+    await usageHandler({ method: 'GET', headers: usageHeaders }, res);
+    expect(res._status).toBe(404);
+    delete process.env.RATE_LIMIT;
+  });
+});
+
 // --- Field mask verification ---
 
-describe('api/route.js field mask', () => {
+describe('Routes API field mask', () => {
   const fs = require('fs');
   const path = require('path');
   const routeSource = fs.readFileSync(
-    path.join(__dirname, '..', 'api', 'route.js'),
+    path.join(__dirname, '..', 'lib', 'routes-api.js'),
     'utf-8'
   );
 
@@ -144,6 +144,51 @@ describe('formatStepDistance (km mode)', () => {
   });
 });
 
+// --- locale formatting ---
+
+describe('locale formatting', () => {
+  // Mirrors formatUnit / formatDistance / formatDuration from app.js, with the language passed in
+  function formatUnit(language, value, unit, digits = 0, unitDisplay = 'short') {
+    return new Intl.NumberFormat(language, {
+      style: 'unit',
+      unit,
+      unitDisplay,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(digits === 0 ? Math.round(value) : value);
+  }
+
+  function formatDistance(language, meters, useKm) {
+    return useKm
+      ? formatUnit(language, meters / 1000, 'kilometer', 2)
+      : formatUnit(language, meters / 1609.34, 'mile', 2);
+  }
+
+  function formatDuration(language, totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const minutesText = formatUnit(language, minutes, 'minute', 0, 'narrow');
+    return hours > 0 ? `${formatUnit(language, hours, 'hour', 0, 'narrow')} ${minutesText}` : minutesText;
+  }
+
+  test('matches the fixed US English format', () => {
+    expect(formatDistance('en-US', 8046.7, false)).toBe('5.00 mi');
+    expect(formatDistance('en-US', 1500, true)).toBe('1.50 km');
+    expect(formatUnit('en-US', 50, 'meter')).toBe('50 m');
+    expect(formatDuration('en-US', 3900)).toBe('1h 5m');
+    expect(formatDuration('en-US', 1500)).toBe('25m');
+  });
+
+  test('uses the locale\'s decimal separator', () => {
+    expect(formatDistance('de-DE', 1500, true)).toBe('1,50 km');
+    expect(formatDistance('fr-FR', 1500, true)).toMatch(/^1,50\s?km$/);
+  });
+
+  test('groups thousands in whole units', () => {
+    expect(formatUnit('en-US', 1234, 'foot')).toBe('1,234 ft');
+  });
+});
+
 // --- preset value lookup ---
 
 describe('preset value lookup', () => {
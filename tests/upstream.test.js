@@ -0,0 +1,298 @@
+const {
+  upstreamFetch,
+  getUpstreamPolicy,
+  requestDeadline,
+  resetCircuitBreakers,
+  retryAfterMs
+} = require('../lib/routing/upstream');
+const { RoutingError } = require('../lib/routing/errors');
+const { createGoogleRoutingProvider } = require('../lib/routing/google');
+
+const policy = { timeoutMs: 1000, retries: 2, retryBaseMs: 100, breakerThreshold: 3, breakerCooldownMs: 30000 };
+
+function response(status, headers = {}) {
+  return { ok: status < 400, status, headers: new Headers(headers), json: async () => ({}) };
+}
+
+// Answer successive fetch calls with the given responses (the last one repeats)
+function mockFetch(...responses) {
+  let call = 0;
+  global.fetch = jest.fn(async () => {
+    const next = responses[Math.min(call++, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return next;
+  });
+}
+
+afterEach(() => {
+  delete global.fetch;
+  resetCircuitBreakers();
+  jest.restoreAllMocks();
+});
+
+// --- Retries ---
+
+describe('upstreamFetch retries', () => {
+  test('returns the first good response, passing an abort signal', async () => {
+    mockFetch(response(200));
+    const wait = jest.fn();
+
+    const res = await upstreamFetch('Test API', 'http://api.local', { method: 'POST' }, policy, wait);
+
+    expect(res.status).toBe(200);
+    expect(global.fetch.mock.calls[0][1]).toMatchObject({ method: 'POST', signal: expect.any(AbortSignal) });
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  test('retries 5xx and 429 with jittered exponential backoff', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    mockFetch(response(503), response(429), response(200));
+    const wait = jest.fn();
+
+    const res = await upstreamFetch('Test API', 'http://api.local', {}, policy, wait);
+
+    expect(res.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(wait.mock.calls).toEqual([[50], [100]]);
+  });
+
+  test('waits as long as Retry-After asks', async () => {
+    mockFetch(response(429, { 'Retry-After': '2' }), response(200));
+    const wait = jest.fn();
+
+    await upstreamFetch('Test API', 'http://api.local', {}, policy, wait);
+
+    expect(wait).toHaveBeenCalledWith(2000);
+  });
+
+  test('gives up at once when Retry-After is too long to wait for', async () => {
+    mockFetch(response(503, { 'Retry-After': '120' }), response(200));
+    const wait = jest.fn();
+
+    const res = await upstreamFetch('Test API', 'http://api.local', {}, policy, wait);
+
+    expect(res.status).toBe(503);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns the last failure once retries run out', async () => {
+    mockFetch(response(500));
+    const res = await upstreamFetch('Test API', 'http://api.local', {}, policy, jest.fn());
+
+    expect(res.status).toBe(500);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('cancels the body of a response it retries', async () => {
+    const failed = { ...response(503), body: { cancel: jest.fn(async () => {}) } };
+    mockFetch(failed, response(200));
+
+    await upstreamFetch('Test API', 'http://api.local', {}, policy, jest.fn());
+
+    expect(failed.body.cancel).toHaveBeenCalled();
+  });
+
+  test('does not retry other client errors', async () => {
+    mockFetch(response(400), response(200));
+    const res = await upstreamFetch('Test API', 'http://api.local', {}, policy, jest.fn());
+
+    expect(res.status).toBe(400);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+// --- Timeouts and network errors ---
+
+describe('upstreamFetch failures', () => {
+  test('aborts a slow call after the timeout', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+    }));
+
+    const err = await upstreamFetch('Test API', 'http://api.local', {}, { ...policy, timeoutMs: 20 }).catch(e => e);
+
+    expect(err).toBeInstanceOf(RoutingError);
+    expect(err).toMatchObject({
+      message: 'Test API timed out', status: 504, code: 'ROUTING_TIMEOUT', details: 'No response within 20 ms'
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports an unreachable backend', async () => {
+    mockFetch(new TypeError('fetch failed'));
+    await expect(upstreamFetch('Test API', 'http://api.local', {}, policy)).rejects.toMatchObject({
+      message: 'Test API unreachable', status: 502, code: 'ROUTING_FAILED', details: 'fetch failed'
+    });
+  });
+});
+
+// --- Deadline ---
+
+describe('upstreamFetch deadline', () => {
+  test('skips a retry that would start after the deadline', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    mockFetch(response(503), response(200));
+    const wait = jest.fn();
+
+    const res = await upstreamFetch('Test API', 'http://api.local', {}, { ...policy, deadline: Date.now() + 40 }, wait);
+
+    expect(res.status).toBe(503);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  test('cuts an attempt short to end by the deadline', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+    }));
+
+    const started = Date.now();
+    const err = await upstreamFetch('Test API', 'http://api.local', {}, { ...policy, deadline: started + 20 }).catch(e => e);
+
+    expect(err).toMatchObject({ status: 504, code: 'ROUTING_TIMEOUT' });
+    expect(Date.now() - started).toBeLessThan(policy.timeoutMs);
+  });
+
+  test('fails a call made after the deadline without counting it against the backend', async () => {
+    mockFetch(response(200));
+    const late = { ...policy, deadline: Date.now() - 1 };
+    for (let i = 0; i < policy.breakerThreshold; i++) {
+      await expect(upstreamFetch('Test API', 'http://api.local', {}, late)).rejects.toMatchObject({
+        message: 'Test API timed out', status: 504, code: 'ROUTING_TIMEOUT'
+      });
+    }
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect((await upstreamFetch('Test API', 'http://api.local', {}, policy)).status).toBe(200);
+  });
+});
+
+// --- Circuit breaker ---
+
+describe('upstreamFetch circuit breaker', () => {
+  const quick = { ...policy, retries: 0 };
+
+  async function failTimes(n) {
+    for (let i = 0; i < n; i++) {
+      await upstreamFetch('Test API', 'http://api.local', {}, quick);
+    }
+  }
+
+  test('opens after repeated failures and fails fast', async () => {
+    mockFetch(response(503));
+    await failTimes(3);
+
+    const err = await upstreamFetch('Test API', 'http://api.local', {}, quick).catch(e => e);
+
+    expect(err).toMatchObject({ message: 'Test API unavailable', status: 503, code: 'ROUTING_UNAVAILABLE' });
+    expect(err.details).toBe('Stopped calling Test API after 3 failures in a row; retrying in 30 s');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('keeps a circuit per backend', async () => {
+    mockFetch(response(503));
+    await failTimes(3);
+
+    const res = await upstreamFetch('Other API', 'http://other.local', {}, quick);
+    expect(res.status).toBe(503);
+  });
+
+  test('a success resets the failure count', async () => {
+    mockFetch(response(503), response(503), response(200), response(503), response(503), response(200));
+    await failTimes(6);
+    expect(global.fetch).toHaveBeenCalledTimes(6);
+  });
+
+  test('lets one trial call through after the cooldown and closes on success', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    mockFetch(response(503));
+    await failTimes(3);
+
+    now.mockReturnValue(1000000 + 30000);
+    global.fetch.mockResolvedValue(response(200));
+    expect((await upstreamFetch('Test API', 'http://api.local', {}, quick)).status).toBe(200);
+    expect((await upstreamFetch('Test API', 'http://api.local', {}, quick)).status).toBe(200);
+  });
+
+  test('reopens when the trial call fails', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    mockFetch(response(503));
+    await failTimes(3);
+
+    now.mockReturnValue(1000000 + 30000);
+    await upstreamFetch('Test API', 'http://api.local', {}, quick);
+    await expect(upstreamFetch('Test API', 'http://api.local', {}, quick)).rejects.toMatchObject({ code: 'ROUTING_UNAVAILABLE' });
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('counts timeouts as failures', async () => {
+    mockFetch(new TypeError('fetch failed'));
+    for (let i = 0; i < 3; i++) {
+      await upstreamFetch('Test API', 'http://api.local', {}, quick).catch(() => {});
+    }
+    await expect(upstreamFetch('Test API', 'http://api.local', {}, quick)).rejects.toMatchObject({ code: 'ROUTING_UNAVAILABLE' });
+  });
+});
+
+// --- Settings ---
+
+describe('getUpstreamPolicy', () => {
+  test('has defaults', () => {
+    expect(getUpstreamPolicy({})).toEqual({
+      timeoutMs: 10000, retries: 2, retryBaseMs: 250, breakerThreshold: 5, breakerCooldownMs: 30000
+    });
+  });
+
+  test('carries a request deadline', () => {
+    expect(getUpstreamPolicy({}, 12345)).toMatchObject({ deadline: 12345 });
+    expect(requestDeadline({}, 1000)).toBe(26000);
+    expect(requestDeadline({ ROUTING_DEADLINE_MS: '8000' }, 1000)).toBe(9000);
+  });
+
+  test('reads the environment and ignores invalid values', () => {
+    expect(getUpstreamPolicy({ ROUTING_TIMEOUT_MS: '3000', ROUTING_RETRIES: '0', ROUTING_BREAKER_THRESHOLD: 'x' }))
+      .toMatchObject({ timeoutMs: 3000, retries: 0, breakerThreshold: 5 });
+  });
+});
+
+describe('retryAfterMs', () => {
+  test('reads seconds and HTTP dates', () => {
+    const now = Date.UTC(2026, 9, 18, 12, 0, 0);
+    expect(retryAfterMs(response(429, { 'Retry-After': '3' }), now)).toBe(3000);
+    expect(retryAfterMs(response(429, { 'Retry-After': new Date(now + 5000).toUTCString() }), now)).toBe(5000);
+    expect(retryAfterMs(response(429, { 'Retry-After': 'soon' }), now)).toBeNull();
+    expect(retryAfterMs({ status: 429 })).toBeNull();
+  });
+});
+
+// --- Through a routing provider ---
+
+describe('Routes API through upstreamFetch', () => {
+  const request = { origin: { lat: 40, lng: -74 }, waypoints: [] };
+
+  beforeEach(() => {
+    process.env.ROUTING_RETRY_BASE_MS = '0';
+  });
+
+  afterEach(() => {
+    delete process.env.ROUTING_RETRY_BASE_MS;
+  });
+
+  test('recovers from a transient 503', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 503, headers: new Headers(), json: async () => ({ error: { message: 'busy' } }) })
+      .mockResolvedValueOnce({ ok: true, status: 200, headers: new Headers(), json: async () => ({ routes: [{ distanceMeters: 10 }] }) });
+
+    const data = await createGoogleRoutingProvider('key').computeRoutes(request);
+    expect(data.routes[0].distanceMeters).toBe(10);
+  });
+
+  test('reports a persistent 503 with Google\'s message once retries run out', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn(async () => ({ ok: false, status: 503, headers: new Headers(), json: async () => ({ error: { message: 'busy' } }) }));
+
+    await expect(createGoogleRoutingProvider('key').computeRoutes(request))
+      .rejects.toMatchObject({ message: 'Routes API error', status: 503, details: 'busy' });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+});
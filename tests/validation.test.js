@@ -0,0 +1,137 @@
+const {
+  checkBody, checkLatLng, checkLatLngList, checkRouteLocale, validateRouteRequest, MAX_BODY_BYTES
+} = require('../lib/validation');
+const { resolveLanguage } = require('../lib/locale');
+const { ApiError, sendError } = require('../lib/api-errors');
+const { createGoogleRoutingProvider } = require('../lib/routing/google');
+const { createValhallaRoutingProvider } = require('../lib/routing/valhalla');
+
+function caught(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  throw new Error('expected an error');
+}
+
+// --- checkBody ---
+
+describe('checkBody', () => {
+  test('accepts a JSON object under the limit', () => {
+    const body = { origin: { lat: 40, lng: -74 } };
+    expect(checkBody({ headers: { 'content-length': '40' }, body })).toBe(body);
+  });
+
+  test('rejects oversized bodies by Content-Length or by parsed size', () => {
+    expect(caught(() => checkBody({ headers: { 'content-length': String(MAX_BODY_BYTES + 1) }, body: {} })))
+      .toMatchObject({ status: 413, code: 'BODY_TOO_LARGE' });
+    expect(caught(() => checkBody({ body: { pad: 'x'.repeat(200) } }, 100)))
+      .toMatchObject({ status: 413, code: 'BODY_TOO_LARGE', message: 'Request body must be at most 100 bytes' });
+  });
+
+  test('rejects missing, string and array bodies', () => {
+    [undefined, null, 'origin=1', [1, 2]].forEach(body => {
+      expect(caught(() => checkBody({ body }))).toMatchObject({ status: 400, code: 'INVALID_BODY' });
+    });
+  });
+});
+
+// --- checkLatLng ---
+
+describe('checkLatLng', () => {
+  test('returns just lat and lng', () => {
+    expect(checkLatLng({ lat: -33.9, lng: 151.2, name: 'Sydney' }, 'origin')).toEqual({ lat: -33.9, lng: 151.2 });
+  });
+
+  test('accepts the edges of the valid range', () => {
+    expect(checkLatLng({ lat: 90, lng: -180 }, 'origin')).toEqual({ lat: 90, lng: -180 });
+  });
+
+  test('names the missing or invalid part', () => {
+    expect(caught(() => checkLatLng(undefined, 'origin'))).toMatchObject({ code: 'MISSING_FIELD', field: 'origin' });
+    expect(caught(() => checkLatLng('40,-74', 'origin'))).toMatchObject({ code: 'INVALID_COORDINATE', field: 'origin' });
+    expect(caught(() => checkLatLng({ lat: -90.5, lng: 0 }, 'origin'))).toMatchObject({ field: 'origin.lat' });
+    expect(caught(() => checkLatLng({ lat: 0, lng: NaN }, 'origin'))).toMatchObject({ field: 'origin.lng' });
+    expect(caught(() => checkLatLng({ lat: 0, lng: Infinity }, 'origin'))).toMatchObject({ field: 'origin.lng' });
+    expect(caught(() => checkLatLng({ lat: '40', lng: 0 }, 'origin'))).toMatchObject({ field: 'origin.lat' });
+  });
+});
+
+// --- checkLatLngList / validateRouteRequest ---
+
+describe('validateRouteRequest', () => {
+  const origin = { lat: 40, lng: -74 };
+  const points = n => Array.from({ length: n }, (_, i) => ({ lat: 40 + i * 0.001, lng: -74 }));
+
+  test('returns the cleaned request', () => {
+    expect(validateRouteRequest({ origin, waypoints: points(2), destination: { lat: 41, lng: -74 } }, { maxWaypoints: 25 }))
+      .toEqual({
+        origin, waypoints: points(2), destination: { lat: 41, lng: -74 }, units: 'IMPERIAL', languageCode: 'en-US'
+      });
+    expect(validateRouteRequest({ origin, waypoints: [], destination: null }, { maxWaypoints: 25 }).destination)
+      .toBeUndefined();
+  });
+
+  test('caps waypoints at the router limit', () => {
+    expect(validateRouteRequest({ origin, waypoints: points(25) }, { maxWaypoints: 25 }).waypoints).toHaveLength(25);
+    expect(caught(() => validateRouteRequest({ origin, waypoints: points(26) }, { maxWaypoints: 25 })))
+      .toMatchObject({ code: 'TOO_MANY_WAYPOINTS', field: 'waypoints' });
+  });
+
+  test('points at the bad waypoint by index', () => {
+    const waypoints = [...points(3), { lat: 40, lng: -274 }];
+    expect(caught(() => checkLatLngList(waypoints, 'waypoints', 25))).toMatchObject({ field: 'waypoints[3].lng' });
+  });
+
+  test('uses each provider\'s documented limit', () => {
+    expect(createGoogleRoutingProvider('key').maxWaypoints).toBe(25);
+    expect(createValhallaRoutingProvider('http://valhalla.local').maxWaypoints).toBe(48);
+  });
+});
+
+// --- checkRouteLocale ---
+
+describe('checkRouteLocale', () => {
+  test('defaults to imperial units in US English', () => {
+    expect(checkRouteLocale({})).toEqual({ units: 'IMPERIAL', languageCode: 'en-US' });
+    expect(checkRouteLocale({ useKm: null, language: null })).toEqual({ units: 'IMPERIAL', languageCode: 'en-US' });
+  });
+
+  test('maps useKm to metric units', () => {
+    expect(checkRouteLocale({ useKm: true }).units).toBe('METRIC');
+    expect(checkRouteLocale({ useKm: false }).units).toBe('IMPERIAL');
+  });
+
+  test('resolves the language to a supported one', () => {
+    expect(checkRouteLocale({ language: 'de-DE' }).languageCode).toBe('de');
+    expect(checkRouteLocale({ language: 'pt-br' }).languageCode).toBe('pt-BR');
+    expect(resolveLanguage('en-NZ')).toBe('en');
+    expect(resolveLanguage('es-MX')).toBe('es');
+    expect(resolveLanguage('tlh')).toBe('en-US');
+  });
+
+  test('rejects values of the wrong shape', () => {
+    expect(caught(() => checkRouteLocale({ useKm: 'yes' }))).toMatchObject({ code: 'INVALID_FIELD', field: 'useKm' });
+    expect(caught(() => checkRouteLocale({ language: 'en_US' }))).toMatchObject({ code: 'INVALID_FIELD', field: 'language' });
+    expect(caught(() => checkRouteLocale({ language: 42 }))).toMatchObject({ field: 'language' });
+    expect(caught(() => checkRouteLocale({ language: 'x'.repeat(40) }))).toMatchObject({ field: 'language' });
+  });
+});
+
+// --- sendError ---
+
+describe('sendError', () => {
+  test('sends { code, message, field, error }', () => {
+    const res = { status: jest.fn(function () { return this; }), json: jest.fn() };
+    sendError(res, 400, 'INVALID_FIELD', 'bad', 'options.shape');
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ code: 'INVALID_FIELD', message: 'bad', field: 'options.shape', error: 'bad' });
+  });
+
+  test('ApiError carries the status, code and field', () => {
+    const err = new ApiError(413, 'BODY_TOO_LARGE', 'too big');
+    expect(err).toBeInstanceOf(Error);
+    expect(err).toMatchObject({ status: 413, code: 'BODY_TOO_LARGE', message: 'too big', field: undefined });
+  });
+});